@@ -9,882 +9,1795 @@
  * - arch04: Complex architectural forms with transparent elements
  * - boat01: Fishing boats with human figures
  * - transmissionTower01: Modern transmission tower structures
+ * - bridge01, bridge02: Arched stone bridges and plank bridges over water
+ * - pavilion01: Open-sided pavilions
+ * - paifang01: Memorial archways
+ * - wall01: Village walls with a gate
+ * - terrace01: Terraced fields on a slope
+ * - steps01: Stone steps winding up a slope
  * 
- * Dependencies: utils.js, rendering.js, polytools.js, figures.js
+ * Dependencies: prng.js (through ss.random), noise.js, utils.js, rendering.js, polytools.js, figures.js
  */
 
-var Arch = new function() {
+/**
+ * Create the architecture generators
+ * @param {Object} ss - Shan Shui instance providing random(), Noise,
+ *   PolyTools, utils, rendering functions and Man
+ * @returns {Object} Arch namespace
+ */
+function createArch(ss) {
+    var random = ss.random;
+    var seasonal = ss.seasonal;
+    var Noise = ss.Noise;
+    var PolyTools = ss.PolyTools;
+    var poly = ss.poly;
+    var stroke = ss.stroke;
+    var texture = ss.texture;
+    var div = ss.div;
+    var normRand = ss.normRand;
+    var randChoice = ss.randChoice;
+    var wtrand = ss.wtrand;
+    var Man = ss.Man;
+    var text = ss.text;
+    var Scene = ss.Scene;
+
+    var Arch = new function() {
     
-    // Helper function to flip coordinates along an axis
-    var flip = function(ptlist, axis) {
-        axis = axis == undefined ? 0 : axis;
-        for (var i = 0; i < ptlist.length; i++) {
-            if (ptlist[i].length > 0) {
-                if (typeof ptlist[i][0] == "object") {
-                    for (var j = 0; j < ptlist[i].length; j++) {
-                        ptlist[i][j][0] = axis - (ptlist[i][j][0] - axis);
+        // Helper function to flip coordinates along an axis
+        var flip = function(ptlist, axis) {
+            axis = axis == undefined ? 0 : axis;
+            for (var i = 0; i < ptlist.length; i++) {
+                if (ptlist[i].length > 0) {
+                    if (typeof ptlist[i][0] == "object") {
+                        for (var j = 0; j < ptlist[i].length; j++) {
+                            ptlist[i][j][0] = axis - (ptlist[i][j][0] - axis);
+                        }
+                    } else {
+                        ptlist[i][0] = axis - (ptlist[i][0] - axis);
                     }
-                } else {
-                    ptlist[i][0] = axis - (ptlist[i][0] - axis);
                 }
             }
-        }
-        return ptlist;
-    };
-
-    // Helper function to create traditional hut structures
-    var hut = function(xoff, yoff, args) {
-        var args = args != undefined ? args : {};
-        var hei = args.hei != undefined ? args.hei : 40;
-        var wid = args.wid != undefined ? args.wid : 180;
-        var tex = args.tex != undefined ? args.tex : 300;
-
-        var reso = [10, 10];
-        var ptlist = [];
-
-        for (var i = 0; i < reso[0]; i++) {
-            ptlist.push([]);
-            var heir = hei + hei * 0.2 * Math.random();
-            for (var j = 0; j < reso[1]; j++) {
-                var nx = wid * (i / (reso[0] - 1) - 0.5) * Math.pow(j / (reso[1] - 1), 0.7);
-                var ny = heir * (j / (reso[1] - 1));
-                ptlist[ptlist.length - 1].push([nx, ny]);
-            }
-        }
-        var canv = "";
-        canv += poly(
-            ptlist[0]
-                .slice(0, -1)
-                .concat(ptlist[ptlist.length - 1].slice(0, -1).reverse()),
-            { xof: xoff, yof: yoff, fil: "white", str: "none" }
-        );
-        canv += poly(ptlist[0], {
-            xof: xoff,
-            yof: yoff,
-            fil: "none",
-            str: "rgba(100,100,100,0.3)",
-            wid: 2,
-        });
-        canv += poly(ptlist[ptlist.length - 1], {
-            xof: xoff,
-            yof: yoff,
-            fil: "none",
-            str: "rgba(100,100,100,0.3)",
-            wid: 2,
-        });
-
-        canv += texture(ptlist, {
-            xof: xoff,
-            yof: yoff,
-            tex: tex,
-            wid: 1,
-            len: 0.25,
-            col: function(x) {
-                return (
-                    "rgba(120,120,120," + (0.3 + Math.random() * 0.3).toFixed(3) + ")"
-                );
-            },
-            dis: function() {
-                return wtrand(a => a * a);
-            },
-            noi: function(x) {
-                return 5;
-            },
-        });
-
-        return canv;
-    };
-
-    // Helper function to create box structures
-    var box = function(xoff, yoff, args) {
-        var args = args != undefined ? args : {};
-        var hei = args.hei != undefined ? args.hei : 20;
-        var wid = args.wid != undefined ? args.wid : 120;
-        var rot = args.rot != undefined ? args.rot : 0.7;
-        var per = args.per != undefined ? args.per : 4;
-        var tra = args.tra != undefined ? args.tra : true;
-        var bot = args.bot != undefined ? args.bot : true;
-        var wei = args.wei != undefined ? args.wei : 3;
-        var dec = args.dec != undefined ? args.dec : function(a) { return []; };
-
-        var mid = -wid * 0.5 + wid * rot;
-        var bmid = -wid * 0.5 + wid * (1 - rot);
-        var ptlist = [];
-        ptlist.push(div([[-wid * 0.5, -hei], [-wid * 0.5, 0]], 5));
-        ptlist.push(div([[wid * 0.5, -hei], [wid * 0.5, 0]], 5));
-        if (bot) {
-            ptlist.push(div([[-wid * 0.5, 0], [mid, per]], 5));
-            ptlist.push(div([[wid * 0.5, 0], [mid, per]], 5));
-        }
-        ptlist.push(div([[mid, -hei], [mid, per]], 5));
-        if (tra) {
+            return ptlist;
+        };
+
+        // Helper function to create traditional hut structures
+        var hut = function(xoff, yoff, args) {
+            var args = args != undefined ? args : {};
+            var hei = args.hei != undefined ? args.hei : 40;
+            var wid = args.wid != undefined ? args.wid : 180;
+            var tex = args.tex != undefined ? args.tex : 300;
+
+            var reso = [10, 10];
+            var ptlist = [];
+
+            for (var i = 0; i < reso[0]; i++) {
+                ptlist.push([]);
+                var heir = hei + hei * 0.2 * random();
+                for (var j = 0; j < reso[1]; j++) {
+                    var nx = wid * (i / (reso[0] - 1) - 0.5) * Math.pow(j / (reso[1] - 1), 0.7);
+                    var ny = heir * (j / (reso[1] - 1));
+                    ptlist[ptlist.length - 1].push([nx, ny]);
+                }
+            }
+            var canv = [];
+            Scene.add(canv, poly(
+                ptlist[0]
+                    .slice(0, -1)
+                    .concat(ptlist[ptlist.length - 1].slice(0, -1).reverse()),
+                { xof: xoff, yof: yoff, fil: "white", str: "none" }
+            ));
+            Scene.add(canv, poly(ptlist[0], {
+                xof: xoff,
+                yof: yoff,
+                fil: "none",
+                str: "rgba(100,100,100,0.3)",
+                wid: 2,
+            }));
+            Scene.add(canv, poly(ptlist[ptlist.length - 1], {
+                xof: xoff,
+                yof: yoff,
+                fil: "none",
+                str: "rgba(100,100,100,0.3)",
+                wid: 2,
+            }));
+
+            Scene.add(canv, texture(ptlist, {
+                xof: xoff,
+                yof: yoff,
+                tex: tex,
+                wid: 1,
+                len: 0.25,
+                col: function(x) {
+                    return (
+                        "rgba(120,120,120," + (0.3 + random() * 0.3).toFixed(3) + ")"
+                    );
+                },
+                dis: function() {
+                    return wtrand(a => a * a);
+                },
+                noi: function(x) {
+                    return 5;
+                },
+            }));
+
+            return canv;
+        };
+
+        // Helper function to create box structures
+        var box = function(xoff, yoff, args) {
+            var args = args != undefined ? args : {};
+            var hei = args.hei != undefined ? args.hei : 20;
+            var wid = args.wid != undefined ? args.wid : 120;
+            var rot = args.rot != undefined ? args.rot : 0.7;
+            var per = args.per != undefined ? args.per : 4;
+            var tra = args.tra != undefined ? args.tra : true;
+            var bot = args.bot != undefined ? args.bot : true;
+            var wei = args.wei != undefined ? args.wei : 3;
+            var dec = args.dec != undefined ? args.dec : function(a) { return []; };
+
+            var mid = -wid * 0.5 + wid * rot;
+            var bmid = -wid * 0.5 + wid * (1 - rot);
+            var ptlist = [];
+            ptlist.push(div([[-wid * 0.5, -hei], [-wid * 0.5, 0]], 5));
+            ptlist.push(div([[wid * 0.5, -hei], [wid * 0.5, 0]], 5));
             if (bot) {
-                ptlist.push(div([[-wid * 0.5, 0], [bmid, -per]], 5));
-                ptlist.push(div([[wid * 0.5, 0], [bmid, -per]], 5));
-            }
-            ptlist.push(div([[bmid, -hei], [bmid, -per]], 5));
-        }
-
-        var surf = (rot < 0.5) * 2 - 1;
-        ptlist = ptlist.concat(
-            dec({
-                pul: [surf * wid * 0.5, -hei],
-                pur: [mid, -hei + per],
-                pdl: [surf * wid * 0.5, 0],
-                pdr: [mid, per],
-            })
-        );
-
-        var polist = [
-            [-wid * 0.5, -hei],
-            [wid * 0.5, -hei],
-            [wid * 0.5, 0],
-            [mid, per],
-            [-wid * 0.5, 0],
-        ];
-
-        var canv = "";
-        if (!tra) {
-            canv += poly(polist, {
+                ptlist.push(div([[-wid * 0.5, 0], [mid, per]], 5));
+                ptlist.push(div([[wid * 0.5, 0], [mid, per]], 5));
+            }
+            ptlist.push(div([[mid, -hei], [mid, per]], 5));
+            if (tra) {
+                if (bot) {
+                    ptlist.push(div([[-wid * 0.5, 0], [bmid, -per]], 5));
+                    ptlist.push(div([[wid * 0.5, 0], [bmid, -per]], 5));
+                }
+                ptlist.push(div([[bmid, -hei], [bmid, -per]], 5));
+            }
+
+            var surf = (rot < 0.5) * 2 - 1;
+            ptlist = ptlist.concat(
+                dec({
+                    pul: [surf * wid * 0.5, -hei],
+                    pur: [mid, -hei + per],
+                    pdl: [surf * wid * 0.5, 0],
+                    pdr: [mid, per],
+                })
+            );
+
+            var polist = [
+                [-wid * 0.5, -hei],
+                [wid * 0.5, -hei],
+                [wid * 0.5, 0],
+                [mid, per],
+                [-wid * 0.5, 0],
+            ];
+
+            var canv = [];
+            if (!tra) {
+                Scene.add(canv, poly(polist, {
+                    xof: xoff,
+                    yof: yoff,
+                    str: "none",
+                    fil: "white",
+                }));
+            }
+
+            for (var i = 0; i < ptlist.length; i++) {
+                Scene.add(canv, stroke(
+                    ptlist[i].map(function(x) {
+                        return [x[0] + xoff, x[1] + yoff];
+                    }),
+                    {
+                        col: "rgba(100,100,100,0.4)",
+                        noi: 1,
+                        wid: wei,
+                        fun: function(x) {
+                            return 1;
+                        },
+                    }
+                ));
+            }
+            return canv;
+        };
+
+        // Helper function for decorative elements
+        var deco = function(style, args) {
+            var args = args != undefined ? args : {};
+            var pul = args.pul != undefined ? args.pul : [0, 0];
+            var pur = args.pur != undefined ? args.pur : [0, 100];
+            var pdl = args.pdl != undefined ? args.pdl : [100, 0];
+            var pdr = args.pdr != undefined ? args.pdr : [100, 100];
+            var hsp = args.hsp != undefined ? args.hsp : [1, 3];
+            var vsp = args.vsp != undefined ? args.vsp : [1, 2];
+
+            var plist = [];
+            var dl = div([pul, pdl], vsp[1]);
+            var dr = div([pur, pdr], vsp[1]);
+            var du = div([pul, pur], hsp[1]);
+            var dd = div([pdl, pdr], hsp[1]);
+
+            if (style == 1) {
+                //-| |-
+                var mlu = du[hsp[0]];
+                var mru = du[du.length - 1 - hsp[0]];
+                var mld = dd[hsp[0]];
+                var mrd = dd[du.length - 1 - hsp[0]];
+
+                for (var i = vsp[0]; i < dl.length - vsp[0]; i += vsp[0]) {
+                    var mml = div([mlu, mld], vsp[1])[i];
+                    var mmr = div([mru, mrd], vsp[1])[i];
+                    var ml = dl[i];
+                    var mr = dr[i];
+                    plist.push(div([mml, ml], 5));
+                    plist.push(div([mmr, mr], 5));
+                }
+                plist.push(div([mlu, mld], 5));
+                plist.push(div([mru, mrd], 5));
+            } else if (style == 2) {
+                //||||
+                for (var i = hsp[0]; i < du.length - hsp[0]; i += hsp[0]) {
+                    var mu = du[i];
+                    var md = dd[i];
+                    plist.push(div([mu, md], 5));
+                }
+            } else if (style == 3) {
+                //|##|
+                var mlu = du[hsp[0]];
+                var mru = du[du.length - 1 - hsp[0]];
+                var mld = dd[hsp[0]];
+                var mrd = dd[du.length - 1 - hsp[0]];
+
+                for (var i = vsp[0]; i < dl.length - vsp[0]; i += vsp[0]) {
+                    var mml = div([mlu, mld], vsp[1])[i];
+                    var mmr = div([mru, mrd], vsp[1])[i];
+                    var mmu = div([mlu, mru], vsp[1])[i];
+                    var mmd = div([mld, mrd], vsp[1])[i];
+
+                    var ml = dl[i];
+                    var mr = dr[i];
+                    plist.push(div([mml, mmr], 5));
+                    plist.push(div([mmu, mmd], 5));
+                }
+                plist.push(div([mlu, mld], 5));
+                plist.push(div([mru, mrd], 5));
+            }
+            return plist;
+        };
+
+        // Helper function for railings
+        var rail = function(xoff, yoff, seed, args) {
+            var args = args != undefined ? args : {};
+            var hei = args.hei != undefined ? args.hei : 20;
+            var wid = args.wid != undefined ? args.wid : 180;
+            var rot = args.rot != undefined ? args.rot : 0.7;
+            var per = args.per != undefined ? args.per : 4;
+            var seg = args.seg != undefined ? args.seg : 4;
+            var wei = args.wei != undefined ? args.wei : 1;
+            var tra = args.tra != undefined ? args.tra : true;
+            var fro = args.fro != undefined ? args.fro : true;
+
+            seed = seed != undefined ? seed : 0;
+
+            var mid = -wid * 0.5 + wid * rot;
+            var bmid = -wid * 0.5 + wid * (1 - rot);
+            var ptlist = [];
+
+            if (fro) {
+                ptlist.push(div([[-wid * 0.5, 0], [mid, per]], seg));
+                ptlist.push(div([[mid, per], [wid * 0.5, 0]], seg));
+            }
+            if (tra) {
+                ptlist.push(div([[-wid * 0.5, 0], [bmid, -per]], seg));
+                ptlist.push(div([[bmid, -per], [wid * 0.5, 0]], seg));
+            }
+            if (fro) {
+                ptlist.push(div([[-wid * 0.5, -hei], [mid, -hei + per]], seg));
+                ptlist.push(div([[mid, -hei + per], [wid * 0.5, -hei]], seg));
+            }
+            if (tra) {
+                ptlist.push(div([[-wid * 0.5, -hei], [bmid, -hei - per]], seg));
+                ptlist.push(div([[bmid, -hei - per], [wid * 0.5, -hei]], seg));
+            }
+            if (tra) {
+                var open = Math.floor(random() * ptlist.length);
+                ptlist[open] = ptlist[open].slice(0, -1);
+                ptlist[(open + ptlist.length) % ptlist.length] = ptlist[
+                    (open + ptlist.length) % ptlist.length
+                ].slice(0, -1);
+            }
+            var canv = [];
+
+            for (var i = 0; i < ptlist.length / 2; i++) {
+                for (var j = 0; j < ptlist[i].length; j++) {
+                    ptlist[i][j][1] += (Noise.noise(i, j * 0.5, seed) - 0.5) * hei;
+                    ptlist[(ptlist.length / 2 + i) % ptlist.length][
+                        j % ptlist[(ptlist.length / 2 + i) % ptlist.length].length
+                    ][1] += (Noise.noise(i + 0.5, j * 0.5, seed) - 0.5) * hei;
+                    var ln = div(
+                        [
+                            ptlist[i][j],
+                            ptlist[(ptlist.length / 2 + i) % ptlist.length][
+                                j % ptlist[(ptlist.length / 2 + i) % ptlist.length].length
+                            ],
+                        ],
+                        2
+                    );
+                    ln[0][0] += (random() - 0.5) * hei * 0.5;
+                    Scene.add(canv, poly(ln, {
+                        xof: xoff,
+                        yof: yoff,
+                        fil: "none",
+                        str: "rgba(100,100,100,0.5)",
+                        wid: 2,
+                    }));
+                }
+            }
+
+            for (var i = 0; i < ptlist.length; i++) {
+                Scene.add(canv, stroke(
+                    ptlist[i].map(function(x) {
+                        return [x[0] + xoff, x[1] + yoff];
+                    }),
+                    {
+                        col: "rgba(100,100,100,0.5)",
+                        noi: 0.5,
+                        wid: wei,
+                        fun: function(x) {
+                            return 1;
+                        },
+                    }
+                ));
+            }
+            return canv;
+        };
+
+        // Helper function for traditional roofs
+        var roof = function(xoff, yoff, args) {
+            var args = args != undefined ? args : {};
+            var hei = args.hei != undefined ? args.hei : 20;
+            var wid = args.wid != undefined ? args.wid : 120;
+            var rot = args.rot != undefined ? args.rot : 0.7;
+            var per = args.per != undefined ? args.per : 4;
+            var cor = args.cor != undefined ? args.cor : 5;
+            var wei = args.wei != undefined ? args.wei : 3;
+            var pla = args.pla != undefined ? args.pla : [0, ""];
+
+            var opf = function(ptlist) {
+                if (rot < 0.5) {
+                    return flip(ptlist);
+                } else {
+                    return ptlist;
+                }
+            };
+            var rrot = rot < 0.5 ? 1 - rot : rot;
+
+            var mid = -wid * 0.5 + wid * rrot;
+            var bmid = -wid * 0.5 + wid * (1 - rrot);
+            var quat = (mid + wid * 0.5) * 0.5 - mid;
+
+            var ptlist = [];
+            ptlist.push(
+                div(
+                    opf([
+                        [-wid * 0.5 + quat, -hei - per / 2],
+                        [-wid * 0.5 + quat * 0.5, -hei / 2 - per / 4],
+                        [-wid * 0.5 - cor, 0],
+                    ]),
+                    5
+                )
+            );
+            ptlist.push(
+                div(
+                    opf([
+                        [mid + quat, -hei],
+                        [(mid + quat + wid * 0.5) / 2, -hei / 2],
+                        [wid * 0.5 + cor, 0],
+                    ]),
+                    5
+                )
+            );
+            ptlist.push(
+                div(
+                    opf([
+                        [mid + quat, -hei],
+                        [mid + quat / 2, -hei / 2 + per / 2],
+                        [mid + cor, per],
+                    ]),
+                    5
+                )
+            );
+
+            ptlist.push(div(opf([[-wid * 0.5 - cor, 0], [mid + cor, per]]), 5));
+            ptlist.push(div(opf([[wid * 0.5 + cor, 0], [mid + cor, per]]), 5));
+
+            ptlist.push(
+                div(opf([[-wid * 0.5 + quat, -hei - per / 2], [mid + quat, -hei]]), 5)
+            );
+
+            var canv = [];
+
+            var polist = opf([
+                [-wid * 0.5, 0],
+                [-wid * 0.5 + quat, -hei - per / 2],
+                [mid + quat, -hei],
+                [wid * 0.5, 0],
+                [mid, per],
+            ]);
+            Scene.add(canv, poly(polist, { xof: xoff, yof: yoff, str: "none", fil: "white" }));
+
+            for (var i = 0; i < ptlist.length; i++) {
+                Scene.add(canv, stroke(
+                    ptlist[i].map(function(x) {
+                        return [x[0] + xoff, x[1] + yoff];
+                    }),
+                    {
+                        col: "rgba(100,100,100,0.4)",
+                        noi: 1,
+                        wid: wei,
+                        fun: function(x) {
+                            return 1;
+                        },
+                    }
+                ));
+            }
+
+            if (pla[0] == 1) {
+                var pp = opf([
+                    [mid + quat / 2, -hei / 2 + per / 2],
+                    [-wid * 0.5 + quat * 0.5, -hei / 2 - per / 4],
+                ]);
+                if (pp[0][0] > pp[1][0]) {
+                    pp = [pp[1], pp[0]];
+                }
+                var mp = PolyTools.midPt(pp);
+                var a = Math.atan2(pp[1][1] - pp[0][1], pp[1][0] - pp[0][0]);
+                var adeg = (a * 180) / Math.PI;
+                Scene.add(canv, text(pla[1], mp[0] + xoff, mp[1] + yoff, {
+                    siz: hei * 0.6,
+                    ang: adeg,
+                    col: "rgba(100,100,100,0.9)",
+                }));
+            }
+            return canv;
+        };
+
+        // Helper function for tiled roofs seen from the front, whose eaves
+        // sweep up at both ends, for gates and archways
+        var tileroof = function(xoff, yoff, args) {
+            var args = args != undefined ? args : {};
+            var hei = args.hei != undefined ? args.hei : 8;
+            var wid = args.wid != undefined ? args.wid : 60;
+            var cor = args.cor != undefined ? args.cor : 6;
+            var wei = args.wei != undefined ? args.wei : 1.5;
+
+            var eaveAt = function(x) {
+                var t = Math.min(Math.abs(x) / (wid / 2 + cor), 1);
+                return -Math.pow(t, 4) * cor * 0.8;
+            };
+            var rw = wid * 0.35;
+            var eave = [];
+            for (var i = 0; i <= 10; i++) {
+                var x = (i / 10 - 0.5) * (wid + cor * 2);
+                eave.push([x, eaveAt(x)]);
+            }
+            var canv = [];
+            Scene.add(canv, poly(eave.concat([[rw, -hei], [-rw, -hei]]), {
                 xof: xoff,
                 yof: yoff,
                 str: "none",
                 fil: "white",
+            }));
+
+            var ptlist = [];
+            ptlist.push(eave);
+            ptlist.push([[-rw - cor * 0.5, -hei - cor * 0.4], [-rw, -hei], [rw, -hei], [rw + cor * 0.5, -hei - cor * 0.4]]);
+            ptlist.push(div([[-rw, -hei], eave[0]], 3));
+            ptlist.push(div([[rw, -hei], eave[eave.length - 1]], 3));
+            for (var i = 0; i < ptlist.length; i++) {
+                Scene.add(canv, stroke(
+                    ptlist[i].map(function(x) {
+                        return [x[0] + xoff, x[1] + yoff];
+                    }),
+                    {
+                        col: "rgba(100,100,100,0.4)",
+                        noi: 1,
+                        wid: i < 2 ? wei : wei * 0.6,
+                        fun: function(x) {
+                            return 1;
+                        },
+                    }
+                ));
+            }
+            // Rows of tiles from the ridge down to the eave
+            for (var x = -rw + 3; x < rw; x += 3 + random()) {
+                Scene.add(canv, poly([[x, -hei + 1], [x * (1 + cor / wid), eaveAt(x) - 1]], {
+                    xof: xoff,
+                    yof: yoff,
+                    fil: "none",
+                    str: "rgba(100,100,100,0.25)",
+                    wid: 0.6,
+                }));
+            }
+            return canv;
+        };
+
+        // Helper function for pagoda-style roofs
+        var pagroof = function(xoff, yoff, args) {
+            var args = args != undefined ? args : {};
+            var hei = args.hei != undefined ? args.hei : 20;
+            var wid = args.wid != undefined ? args.wid : 120;
+            var rot = args.rot != undefined ? args.rot : 0.7;
+            var per = args.per != undefined ? args.per : 4;
+            var cor = args.cor != undefined ? args.cor : 10;
+            var sid = args.sid != undefined ? args.sid : 4;
+            var wei = args.wei != undefined ? args.wei : 3;
+
+            var ptlist = [];
+            var polist = [[0, -hei]];
+            var canv = [];
+            for (var i = 0; i < sid; i++) {
+                var fx = wid * ((i * 1.0) / (sid - 1) - 0.5);
+                var fy = per * (1 - Math.abs((i * 1.0) / (sid - 1) - 0.5) * 2);
+                var fxx = (wid + cor) * ((i * 1.0) / (sid - 1) - 0.5);
+                if (i > 0) {
+                    ptlist.push([ptlist[ptlist.length - 1][2], [fxx, fy]]);
+                }
+                ptlist.push([[0, -hei], [fx * 0.5, (-hei + fy) * 0.5], [fxx, fy]]);
+                polist.push([fxx, fy]);
+            }
+
+            Scene.add(canv, poly(polist, { xof: xoff, yof: yoff, str: "none", fil: "white" }));
+            for (var i = 0; i < ptlist.length; i++) {
+                Scene.add(canv, stroke(
+                    div(ptlist[i], 5).map(function(x) {
+                        return [x[0] + xoff, x[1] + yoff];
+                    }),
+                    {
+                        col: "rgba(100,100,100,0.4)",
+                        noi: 1,
+                        wid: wei,
+                        fun: function(x) {
+                            return 1;
+                        },
+                    }
+                ));
+            }
+
+            return canv;
+        };    /**
+
+         * Generate simple buildings with traditional roofs and optional human figures
+         * @param {number} xoff - X offset position
+         * @param {number} yoff - Y offset position  
+         * @param {number} seed - Random seed for deterministic generation
+         * @param {Object} args - Configuration options
+         * @param {number} args.hei - Building height (default: 70)
+         * @param {number} args.wid - Building width (default: 180)
+         * @param {number} args.rot - Rotation factor (default: 0.7)
+         * @param {number} args.per - Perspective factor (default: 5)
+         * @returns {Object} Scene group for the building
+         */
+        this.arch01 = function(xoff, yoff, seed, args) {
+            var args = args != undefined ? args : {};
+            var hei = args.hei != undefined ? args.hei : 70;
+            var wid = args.wid != undefined ? args.wid : 180;
+            var rot = args.rot != undefined ? args.rot : 0.7;
+            var per = args.per != undefined ? args.per : 5;
+
+            seed = seed != undefined ? seed : 0;
+
+            var p = 0.4 + random() * 0.2;
+            var h0 = hei * p;
+            var h1 = hei * (1 - p);
+
+            var canv = [];
+            Scene.add(canv, hut(xoff, yoff - hei, { hei: h0, wid: wid }));
+            Scene.add(canv, box(xoff, yoff, {
+                hei: h1,
+                wid: (wid * 2) / 3,
+                per: per,
+                bot: false,
+            }));
+
+            Scene.add(canv, rail(xoff, yoff, seed, {
+                tra: true,
+                fro: false,
+                hei: 10,
+                wid: wid,
+                per: per * 2,
+                seg: (3 + random() * 3) | 0,
+            }));
+
+            var mcnt = randChoice([0, 1, 1, 2]);
+            if (mcnt == 1) {
+                Scene.add(canv, Man.man(xoff + normRand(-wid / 3, wid / 3), yoff, {
+                    fli: randChoice([true, false]),
+                    sca: 0.42,
+                }));
+            } else if (mcnt == 2) {
+                Scene.add(canv, Man.man(xoff + normRand(-wid / 4, -wid / 5), yoff, {
+                    fli: false,
+                    sca: 0.42,
+                }));
+                Scene.add(canv, Man.man(xoff + normRand(wid / 5, wid / 4), yoff, {
+                    fli: true,
+                    sca: 0.42,
+                }));
+            }
+            Scene.add(canv, rail(xoff, yoff, seed, {
+                tra: false,
+                fro: true,
+                hei: 10,
+                wid: wid,
+                per: per * 2,
+                seg: (3 + random() * 3) | 0,
+            }));
+
+            return Scene.group(canv, {
+                tags: ["building"],
+                source: "Arch.arch01",
+                depth: yoff,
+            });
+        };
+
+        /**
+         * Generate multi-story structures with customizable styles and railings
+         * @param {number} xoff - X offset position
+         * @param {number} yoff - Y offset position
+         * @param {number} seed - Random seed for deterministic generation
+         * @param {Object} args - Configuration options
+         * @param {number} args.hei - Floor height (default: 10)
+         * @param {number} args.wid - Building width (default: 50)
+         * @param {number} args.rot - Rotation factor (default: 0.3)
+         * @param {number} args.per - Perspective factor (default: 5)
+         * @param {number} args.sto - Number of stories (default: 3)
+         * @param {number} args.sty - Decoration style (default: 1)
+         * @param {boolean} args.rai - Include railings (default: false)
+         * @returns {Object} Scene group for the building
+         */
+        this.arch02 = function(xoff, yoff, seed, args) {
+            var args = args != undefined ? args : {};
+            var hei = args.hei != undefined ? args.hei : 10;
+            var wid = args.wid != undefined ? args.wid : 50;
+            var rot = args.rot != undefined ? args.rot : 0.3;
+            var per = args.per != undefined ? args.per : 5;
+            var sto = args.sto != undefined ? args.sto : 3;
+            var sty = args.sty != undefined ? args.sty : 1;
+            var rai = args.rai != undefined ? args.rai : false;
+
+            seed = seed != undefined ? seed : 0;
+            var canv = [];
+
+            var hoff = 0;
+            for (var i = 0; i < sto; i++) {
+                Scene.add(canv, box(xoff, yoff - hoff, {
+                    tra: false,
+                    hei: hei,
+                    wid: wid * Math.pow(0.85, i),
+                    rot: rot,
+                    wei: 1.5,
+                    per: per,
+                    dec: function(a) {
+                        return deco(
+                            sty,
+                            Object.assign({}, a, {
+                                hsp: [[], [1, 5], [1, 5], [1, 4]][sty],
+                                vsp: [[], [1, 2], [1, 2], [1, 3]][sty],
+                            })
+                        );
+                    },
+                }));
+                Scene.add(canv, rai
+                    ? rail(xoff, yoff - hoff, i * 0.2, {
+                          wid: wid * Math.pow(0.85, i) * 1.1,
+                          hei: hei / 2,
+                          per: per,
+                          rot: rot,
+                          wei: 0.5,
+                          tra: false,
+                      })
+                    : []);
+                var pla = undefined;
+                if (sto == 1 && random() < 1 / 3) {
+                    pla = [1, "Pizza Hut"];
+                }
+                Scene.add(canv, roof(xoff, yoff - hoff - hei, {
+                    hei: hei,
+                    wid: wid * Math.pow(0.9, i),
+                    rot: rot,
+                    wei: 1.5,
+                    per: per,
+                    pla: pla,
+                }));
+
+                hoff += hei * 1.5;
+            }
+            return Scene.group(canv, {
+                tags: ["building"],
+                source: "Arch.arch02",
+                depth: yoff,
+            });
+        };
+
+        /**
+         * Generate pagoda-style buildings with multiple levels and traditional roofs
+         * @param {number} xoff - X offset position
+         * @param {number} yoff - Y offset position
+         * @param {number} seed - Random seed for deterministic generation
+         * @param {Object} args - Configuration options
+         * @param {number} args.hei - Floor height (default: 10)
+         * @param {number} args.wid - Building width (default: 50)
+         * @param {number} args.rot - Rotation factor (default: 0.7)
+         * @param {number} args.per - Perspective factor (default: 5)
+         * @param {number} args.sto - Number of stories (default: 7)
+         * @returns {Object} Scene group for the pagoda
+         */
+        this.arch03 = function(xoff, yoff, seed, args) {
+            var args = args != undefined ? args : {};
+            var hei = args.hei != undefined ? args.hei : 10;
+            var wid = args.wid != undefined ? args.wid : 50;
+            var rot = args.rot != undefined ? args.rot : 0.7;
+            var per = args.per != undefined ? args.per : 5;
+            var sto = args.sto != undefined ? args.sto : 7;
+
+            seed = seed != undefined ? seed : 0;
+            var canv = [];
+
+            var hoff = 0;
+            for (var i = 0; i < sto; i++) {
+                Scene.add(canv, box(xoff, yoff - hoff, {
+                    tra: false,
+                    hei: hei,
+                    wid: wid * Math.pow(0.85, i),
+                    rot: rot,
+                    wei: 1.5,
+                    per: per / 2,
+                    dec: function(a) {
+                        return deco(1, Object.assign({}, a, { hsp: [1, 4], vsp: [1, 2] }));
+                    },
+                }));
+                Scene.add(canv, rail(xoff, yoff - hoff, i * 0.2, {
+                    seg: 5,
+                    wid: wid * Math.pow(0.85, i) * 1.1,
+                    hei: hei / 2,
+                    per: per / 2,
+                    rot: rot,
+                    wei: 0.5,
+                    tra: false,
+                }));
+                Scene.add(canv, pagroof(xoff, yoff - hoff - hei, {
+                    hei: hei * 1.5,
+                    wid: wid * Math.pow(0.9, i),
+                    rot: rot,
+                    wei: 1.5,
+                    per: per,
+                }));
+                hoff += hei * 1.5;
+            }
+            return Scene.group(canv, {
+                tags: ["building"],
+                source: "Arch.arch03",
+                depth: yoff,
+            });
+        };
+
+        /**
+         * Generate complex architectural forms with transparent elements
+         * @param {number} xoff - X offset position
+         * @param {number} yoff - Y offset position
+         * @param {number} seed - Random seed for deterministic generation
+         * @param {Object} args - Configuration options
+         * @param {number} args.hei - Floor height (default: 15)
+         * @param {number} args.wid - Building width (default: 30)
+         * @param {number} args.rot - Rotation factor (default: 0.7)
+         * @param {number} args.per - Perspective factor (default: 5)
+         * @param {number} args.sto - Number of stories (default: 2)
+         * @returns {Object} Scene group for the complex structure
+         */
+        this.arch04 = function(xoff, yoff, seed, args) {
+            var args = args != undefined ? args : {};
+            var hei = args.hei != undefined ? args.hei : 15;
+            var wid = args.wid != undefined ? args.wid : 30;
+            var rot = args.rot != undefined ? args.rot : 0.7;
+            var per = args.per != undefined ? args.per : 5;
+            var sto = args.sto != undefined ? args.sto : 2;
+
+            seed = seed != undefined ? seed : 0;
+            var canv = [];
+
+            var hoff = 0;
+            for (var i = 0; i < sto; i++) {
+                Scene.add(canv, box(xoff, yoff - hoff, {
+                    tra: true,
+                    hei: hei,
+                    wid: wid * Math.pow(0.85, i),
+                    rot: rot,
+                    wei: 1.5,
+                    per: per / 2,
+                    dec: function(a) {
+                        return [];
+                    },
+                }));
+                Scene.add(canv, rail(xoff, yoff - hoff, i * 0.2, {
+                    seg: 3,
+                    wid: wid * Math.pow(0.85, i) * 1.2,
+                    hei: hei / 3,
+                    per: per / 2,
+                    rot: rot,
+                    wei: 0.5,
+                    tra: true,
+                }));
+                Scene.add(canv, pagroof(xoff, yoff - hoff - hei, {
+                    hei: hei * 1,
+                    wid: wid * Math.pow(0.9, i),
+                    rot: rot,
+                    wei: 1.5,
+                    per: per,
+                }));
+                hoff += hei * 1.2;
+            }
+            return Scene.group(canv, {
+                tags: ["building"],
+                source: "Arch.arch04",
+                depth: yoff,
+            });
+        };
+
+        /**
+         * Generate fishing boats with human figures
+         * 
+         * Creates traditional fishing boats with human figures using stroke-based rendering.
+         * Automatically applies broken stroke effects when enabled via UI toggle, creating
+         * authentic Chinese painting aesthetics where boat outlines appear hand-painted.
+         * 
+         * @param {number} xoff - X offset position
+         * @param {number} yoff - Y offset position
+         * @param {number} seed - Random seed for deterministic generation
+         * @param {Object} args - Configuration options
+         * @param {number} args.len - Boat length (default: 120)
+         * @param {number} args.sca - Scale factor (default: 1)
+         * @param {boolean} args.fli - Flip horizontally (default: false)
+         * @returns {Object} Scene group for the boat with figure (supports broken strokes)
+         */
+        this.boat01 = function(xoff, yoff, seed, args) {
+            var args = args != undefined ? args : {};
+            var len = args.len != undefined ? args.len : 120;
+            var sca = args.sca != undefined ? args.sca : 1;
+            var fli = args.fli != undefined ? args.fli : false;
+            var canv = [];
+
+            var dir = fli ? -1 : 1;
+            Scene.add(canv, Man.man(xoff + 20 * sca * dir, yoff, {
+                ite: Man.stick01,
+                hat: Man.hat02,
+                sca: 0.5 * sca,
+                fli: !fli,
+                len: [0, 30, 20, 30, 10, 30, 30, 30, 30],
+            }));
+
+            var plist1 = [];
+            var plist2 = [];
+            var fun1 = function(x) {
+                return Math.pow(Math.sin(x * Math.PI), 0.5) * 7 * sca;
+            };
+            var fun2 = function(x) {
+                return Math.pow(Math.sin(x * Math.PI), 0.5) * 10 * sca;
+            };
+            for (var i = 0; i < len * sca; i += 5 * sca) {
+                plist1.push([i * dir, fun1(i / len)]);
+                plist2.push([i * dir, fun2(i / len)]);
+            }
+            var plist = plist1.concat(plist2.reverse());
+            Scene.add(canv, poly(plist, { xof: xoff, yof: yoff, fil: "white" }));
+            Scene.add(canv, stroke(plist.map(v => [xoff + v[0], yoff + v[1]]), {
+                wid: 1,
+                fun: function(x) {
+                    return Math.sin(x * Math.PI * 2);
+                },
+                col: "rgba(100,100,100,0.4)",
+            }));
+
+            return Scene.group(canv, {
+                tags: ["boat"],
+                source: "Arch.boat01",
+                depth: yoff,
             });
-        }
-
-        for (var i = 0; i < ptlist.length; i++) {
-            canv += stroke(
-                ptlist[i].map(function(x) {
-                    return [x[0] + xoff, x[1] + yoff];
-                }),
-                {
+        };
+
+        /**
+         * Generate modern transmission tower structures
+         * @param {number} xoff - X offset position
+         * @param {number} yoff - Y offset position
+         * @param {number} seed - Random seed for deterministic generation
+         * @param {Object} args - Configuration options
+         * @param {number} args.hei - Tower height (default: 100)
+         * @param {number} args.wid - Tower width (default: 20)
+         * @returns {Object} Scene group for the transmission tower
+         */
+        this.transmissionTower01 = function(xoff, yoff, seed, args) {
+            var args = args != undefined ? args : {};
+            var hei = args.hei != undefined ? args.hei : 100;
+            var wid = args.wid != undefined ? args.wid : 20;
+
+            var canv = [];
+            var toGlobal = function(v) {
+                return [v[0] + xoff, v[1] + yoff];
+            };
+
+            var quickstroke = function(pl) {
+                return stroke(div(pl, 5).map(toGlobal), {
+                    wid: 1,
+                    fun: x => 0.5,
                     col: "rgba(100,100,100,0.4)",
+                });
+            };
+
+            var p00 = [-wid * 0.05, -hei];
+            var p01 = [wid * 0.05, -hei];
+
+            var p10 = [-wid * 0.1, -hei * 0.9];
+            var p11 = [wid * 0.1, -hei * 0.9];
+
+            var p20 = [-wid * 0.2, -hei * 0.5];
+            var p21 = [wid * 0.2, -hei * 0.5];
+
+            var p30 = [-wid * 0.5, 0];
+            var p31 = [wid * 0.5, 0];
+
+            var bch = [[0.7, -0.85], [1, -0.675], [0.7, -0.5]];
+
+            for (var i = 0; i < bch.length; i++) {
+                Scene.add(canv, quickstroke([
+                    [-bch[i][0] * wid, bch[i][1] * hei],
+                    [bch[i][0] * wid, bch[i][1] * hei],
+                ]));
+                Scene.add(canv, quickstroke([
+                    [-bch[i][0] * wid, bch[i][1] * hei],
+                    [0, (bch[i][1] - 0.05) * hei],
+                ]));
+                Scene.add(canv, quickstroke([
+                    [bch[i][0] * wid, bch[i][1] * hei],
+                    [0, (bch[i][1] - 0.05) * hei],
+                ]));
+
+                Scene.add(canv, quickstroke([
+                    [-bch[i][0] * wid, bch[i][1] * hei],
+                    [-bch[i][0] * wid, (bch[i][1] + 0.1) * hei],
+                ]));
+                Scene.add(canv, quickstroke([
+                    [bch[i][0] * wid, bch[i][1] * hei],
+                    [bch[i][0] * wid, (bch[i][1] + 0.1) * hei],
+                ]));
+            }
+
+            var l10 = div([p00, p10, p20, p30], 5);
+            var l11 = div([p01, p11, p21, p31], 5);
+
+            for (var i = 0; i < l10.length - 1; i++) {
+                Scene.add(canv, quickstroke([l10[i], l11[i + 1]]));
+                Scene.add(canv, quickstroke([l11[i], l10[i + 1]]));
+            }
+
+            Scene.add(canv, quickstroke([p00, p01]));
+            Scene.add(canv, quickstroke([p10, p11]));
+            Scene.add(canv, quickstroke([p20, p21]));
+            Scene.add(canv, quickstroke([p00, p10, p20, p30]));
+            Scene.add(canv, quickstroke([p01, p11, p21, p31]));
+
+            return Scene.group(canv, {
+                tags: ["tower"],
+                source: "Arch.transmissionTower01",
+                depth: yoff,
+            });
+        };
+
+        /**
+         * Generate an arched stone bridge: a deck that rises over one or more
+         * round arches and comes down to the banks at either end, under a low
+         * parapet. It stands on the water line, so each arch closes into a
+         * ring with its reflection.
+         * @param {number} xoff - X offset position (middle of the span)
+         * @param {number} yoff - Y offset position (the water line)
+         * @param {number} seed - Random seed for deterministic generation
+         * @param {Object} args - Configuration options
+         * @param {number} args.len - Length from bank to bank (default: 160)
+         * @param {number} args.hei - Height of the deck at its crest (default: 30)
+         * @param {number} args.spa - Number of arches (default: 1)
+         * @returns {Object} Scene group for the bridge
+         */
+        this.bridge01 = function(xoff, yoff, seed, args) {
+            var args = args != undefined ? args : {};
+            var len = args.len != undefined ? args.len : 160;
+            var hei = args.hei != undefined ? args.hei : 30;
+            var spa = args.spa != undefined ? args.spa : 1;
+
+            seed = seed != undefined ? seed : 0;
+            var canv = [];
+            var toGlobal = function(v) {
+                return [v[0] + xoff, v[1] + yoff];
+            };
+
+            var deckAt = function(x) {
+                var t = Math.min(Math.max(x / len + 0.5, 0), 1);
+                return -hei * Math.pow(Math.sin(t * Math.PI), 0.6);
+            };
+            var deck = [];
+            for (var i = 0; i <= 30; i++) {
+                var x = (i / 30 - 0.5) * len;
+                deck.push([x, deckAt(x)]);
+            }
+
+            // The arches, as [middle, radius], the middle one the largest
+            var ring = function(cx, r) {
+                var plist = [];
+                for (var i = 0; i <= 16; i++) {
+                    var a = (i / 16) * Math.PI;
+                    plist.push([cx + r * Math.cos(a), -r * Math.sin(a)]);
+                }
+                return plist;
+            };
+            var arches = [];
+            for (var k = 0; k < spa; k++) {
+                var cx = ((k + 0.5) / spa - 0.5) * len * 0.7;
+                arches.push([cx, Math.min(((len * 0.7) / spa) * 0.42, -deckAt(cx) * 0.75)]);
+            }
+            var body = deck.slice();
+            for (var k = spa - 1; k >= 0; k--) {
+                body = body.concat(ring(arches[k][0], arches[k][1]));
+            }
+            Scene.add(canv, poly(body, { xof: xoff, yof: yoff, fil: "white", str: "none" }));
+
+            for (var k = 0; k < spa; k++) {
+                var cx = arches[k][0];
+                var r = arches[k][1];
+                var rr = 3 + r * 0.12;
+                Scene.add(canv, stroke(ring(cx, r).map(toGlobal), {
+                    col: "rgba(100,100,100,0.5)",
                     noi: 1,
-                    wid: wei,
+                    wid: 1.5,
+                    fun: function(x) {
+                        return 1;
+                    },
+                }));
+                Scene.add(canv, stroke(ring(cx, r + rr).map(toGlobal), {
+                    col: "rgba(100,100,100,0.3)",
+                    noi: 1,
+                    wid: 1,
                     fun: function(x) {
                         return 1;
                     },
+                }));
+                // The voussoirs between the two rings
+                for (var i = 1; i < 12; i++) {
+                    var a = (i / 12) * Math.PI;
+                    Scene.add(canv, poly([
+                        [cx + r * Math.cos(a), -r * Math.sin(a)],
+                        [cx + (r + rr) * Math.cos(a), -(r + rr) * Math.sin(a)],
+                    ], { xof: xoff, yof: yoff, fil: "none", str: "rgba(100,100,100,0.3)", wid: 0.8 }));
                 }
-            );
-        }
-        return canv;
-    };
-
-    // Helper function for decorative elements
-    var deco = function(style, args) {
-        var args = args != undefined ? args : {};
-        var pul = args.pul != undefined ? args.pul : [0, 0];
-        var pur = args.pur != undefined ? args.pur : [0, 100];
-        var pdl = args.pdl != undefined ? args.pdl : [100, 0];
-        var pdr = args.pdr != undefined ? args.pdr : [100, 100];
-        var hsp = args.hsp != undefined ? args.hsp : [1, 3];
-        var vsp = args.vsp != undefined ? args.vsp : [1, 2];
-
-        var plist = [];
-        var dl = div([pul, pdl], vsp[1]);
-        var dr = div([pur, pdr], vsp[1]);
-        var du = div([pul, pur], hsp[1]);
-        var dd = div([pdl, pdr], hsp[1]);
-
-        if (style == 1) {
-            //-| |-
-            var mlu = du[hsp[0]];
-            var mru = du[du.length - 1 - hsp[0]];
-            var mld = dd[hsp[0]];
-            var mrd = dd[du.length - 1 - hsp[0]];
-
-            for (var i = vsp[0]; i < dl.length - vsp[0]; i += vsp[0]) {
-                var mml = div([mlu, mld], vsp[1])[i];
-                var mmr = div([mru, mrd], vsp[1])[i];
-                var ml = dl[i];
-                var mr = dr[i];
-                plist.push(div([mml, ml], 5));
-                plist.push(div([mmr, mr], 5));
-            }
-            plist.push(div([mlu, mld], 5));
-            plist.push(div([mru, mrd], 5));
-        } else if (style == 2) {
-            //||||
-            for (var i = hsp[0]; i < du.length - hsp[0]; i += hsp[0]) {
-                var mu = du[i];
-                var md = dd[i];
-                plist.push(div([mu, md], 5));
-            }
-        } else if (style == 3) {
-            //|##|
-            var mlu = du[hsp[0]];
-            var mru = du[du.length - 1 - hsp[0]];
-            var mld = dd[hsp[0]];
-            var mrd = dd[du.length - 1 - hsp[0]];
-
-            for (var i = vsp[0]; i < dl.length - vsp[0]; i += vsp[0]) {
-                var mml = div([mlu, mld], vsp[1])[i];
-                var mmr = div([mru, mrd], vsp[1])[i];
-                var mmu = div([mlu, mru], vsp[1])[i];
-                var mmd = div([mld, mrd], vsp[1])[i];
-
-                var ml = dl[i];
-                var mr = dr[i];
-                plist.push(div([mml, mmr], 5));
-                plist.push(div([mmu, mmd], 5));
-            }
-            plist.push(div([mlu, mld], 5));
-            plist.push(div([mru, mrd], 5));
-        }
-        return plist;
-    };
-
-    // Helper function for railings
-    var rail = function(xoff, yoff, seed, args) {
-        var args = args != undefined ? args : {};
-        var hei = args.hei != undefined ? args.hei : 20;
-        var wid = args.wid != undefined ? args.wid : 180;
-        var rot = args.rot != undefined ? args.rot : 0.7;
-        var per = args.per != undefined ? args.per : 4;
-        var seg = args.seg != undefined ? args.seg : 4;
-        var wei = args.wei != undefined ? args.wei : 1;
-        var tra = args.tra != undefined ? args.tra : true;
-        var fro = args.fro != undefined ? args.fro : true;
-
-        seed = seed != undefined ? seed : 0;
-
-        var mid = -wid * 0.5 + wid * rot;
-        var bmid = -wid * 0.5 + wid * (1 - rot);
-        var ptlist = [];
-
-        if (fro) {
-            ptlist.push(div([[-wid * 0.5, 0], [mid, per]], seg));
-            ptlist.push(div([[mid, per], [wid * 0.5, 0]], seg));
-        }
-        if (tra) {
-            ptlist.push(div([[-wid * 0.5, 0], [bmid, -per]], seg));
-            ptlist.push(div([[bmid, -per], [wid * 0.5, 0]], seg));
-        }
-        if (fro) {
-            ptlist.push(div([[-wid * 0.5, -hei], [mid, -hei + per]], seg));
-            ptlist.push(div([[mid, -hei + per], [wid * 0.5, -hei]], seg));
-        }
-        if (tra) {
-            ptlist.push(div([[-wid * 0.5, -hei], [bmid, -hei - per]], seg));
-            ptlist.push(div([[bmid, -hei - per], [wid * 0.5, -hei]], seg));
-        }
-        if (tra) {
-            var open = Math.floor(Math.random() * ptlist.length);
-            ptlist[open] = ptlist[open].slice(0, -1);
-            ptlist[(open + ptlist.length) % ptlist.length] = ptlist[
-                (open + ptlist.length) % ptlist.length
-            ].slice(0, -1);
-        }
-        var canv = "";
-
-        for (var i = 0; i < ptlist.length / 2; i++) {
-            for (var j = 0; j < ptlist[i].length; j++) {
-                ptlist[i][j][1] += (Noise.noise(i, j * 0.5, seed) - 0.5) * hei;
-                ptlist[(ptlist.length / 2 + i) % ptlist.length][
-                    j % ptlist[(ptlist.length / 2 + i) % ptlist.length].length
-                ][1] += (Noise.noise(i + 0.5, j * 0.5, seed) - 0.5) * hei;
-                var ln = div(
-                    [
-                        ptlist[i][j],
-                        ptlist[(ptlist.length / 2 + i) % ptlist.length][
-                            j % ptlist[(ptlist.length / 2 + i) % ptlist.length].length
-                        ],
-                    ],
-                    2
-                );
-                ln[0][0] += (Math.random() - 0.5) * hei * 0.5;
-                canv += poly(ln, {
+            }
+
+            // Courses of stone on the spandrels
+            for (var i = 0; i < (len * hei) / 150; i++) {
+                var x = (random() - 0.5) * len * 0.9;
+                var y = deckAt(x) * random() * 0.8;
+                var clear = true;
+                for (var k = 0; k < spa; k++) {
+                    var r = arches[k][1] + 5 + arches[k][1] * 0.12;
+                    if (Math.pow(x - arches[k][0], 2) + y * y < r * r) {
+                        clear = false;
+                    }
+                }
+                if (clear && y < -2) {
+                    var sl = 4 + random() * 6;
+                    Scene.add(canv, poly([[x - sl / 2, y], [x + sl / 2, y]], {
+                        xof: xoff,
+                        yof: yoff,
+                        fil: "none",
+                        str: "rgba(100,100,100," + (0.15 + random() * 0.15).toFixed(3) + ")",
+                        wid: 1,
+                    }));
+                }
+            }
+
+            Scene.add(canv, stroke(deck.map(toGlobal), {
+                col: "rgba(100,100,100,0.5)",
+                noi: 1,
+                wid: 2,
+                fun: function(x) {
+                    return 1;
+                },
+            }));
+
+            if (random() < 0.4) {
+                var x = normRand(-len / 4, len / 4);
+                Scene.add(canv, Man.man(xoff + x, yoff + deckAt(x), {
+                    sca: 0.25,
+                    fli: randChoice([true, false]),
+                }));
+            }
+
+            // The parapet, on posts along the deck
+            var par = 4 + hei * 0.1;
+            Scene.add(canv, stroke(deck.slice(2, -2).map(function(v) {
+                return [v[0] + xoff, v[1] - par + yoff];
+            }), {
+                col: "rgba(100,100,100,0.5)",
+                noi: 0.5,
+                wid: 1,
+                fun: function(x) {
+                    return 1;
+                },
+            }));
+            for (var i = 2; i < deck.length - 2; i += 2) {
+                Scene.add(canv, poly([deck[i], [deck[i][0], deck[i][1] - par]], {
                     xof: xoff,
                     yof: yoff,
                     fil: "none",
                     str: "rgba(100,100,100,0.5)",
-                    wid: 2,
-                });
+                    wid: 1,
+                }));
             }
-        }
 
-        for (var i = 0; i < ptlist.length; i++) {
-            canv += stroke(
-                ptlist[i].map(function(x) {
-                    return [x[0] + xoff, x[1] + yoff];
-                }),
-                {
-                    col: "rgba(100,100,100,0.5)",
+            return Scene.group(canv, {
+                tags: ["building"],
+                source: "Arch.bridge01",
+                depth: yoff,
+            });
+        };
+
+        /**
+         * Generate a plank bridge: long planks laid from bank to bank over
+         * trestles that stand in the water, sagging a little between them,
+         * with a handrail on some
+         * @param {number} xoff - X offset position (middle of the span)
+         * @param {number} yoff - Y offset position (the water line)
+         * @param {number} seed - Random seed for deterministic generation
+         * @param {Object} args - Configuration options
+         * @param {number} args.len - Length from bank to bank (default: 160)
+         * @param {number} args.hei - Height of the deck over the water (default: 12)
+         * @param {boolean} args.rai - Include a handrail (default: random)
+         * @returns {Object} Scene group for the bridge
+         */
+        this.bridge02 = function(xoff, yoff, seed, args) {
+            var args = args != undefined ? args : {};
+            var len = args.len != undefined ? args.len : 160;
+            var hei = args.hei != undefined ? args.hei : 12;
+            var rai = args.rai != undefined ? args.rai : random() < 0.5;
+
+            seed = seed != undefined ? seed : 0;
+            var canv = [];
+            var toGlobal = function(v) {
+                return [v[0] + xoff, v[1] + yoff];
+            };
+
+            // Bays between the trestles; the planks come down to the banks
+            // over the first and last
+            var bay = Math.max(2, Math.round(len / 45));
+            var deckAt = function(x) {
+                var t = (x / len + 0.5) * bay;
+                var ramp = Math.min(1, t, bay - t);
+                return -hei * (0.3 + 0.7 * ramp) + Math.sin((t % 1) * Math.PI) * 1.5;
+            };
+            var top = [];
+            var bot = [];
+            for (var x = -len / 2; x <= len / 2 + 0.1; x += len / (bay * 8)) {
+                top.push([x, deckAt(x)]);
+                bot.push([x, deckAt(x) + 2.5]);
+            }
+            Scene.add(canv, poly(top.concat(bot.slice().reverse()), {
+                xof: xoff,
+                yof: yoff,
+                fil: "white",
+                str: "none",
+            }));
+
+            // Trestles: two splayed legs and a cross bar
+            for (var k = 1; k < bay; k++) {
+                var x = (k / bay - 0.5) * len;
+                var y = deckAt(x) + 2.5;
+                for (var s = -1; s <= 1; s += 2) {
+                    Scene.add(canv, stroke([[x + s * 2, y], [x + s * 3, 3]].map(toGlobal), {
+                        col: "rgba(100,100,100,0.45)",
+                        noi: 0.5,
+                        wid: 1.5,
+                        fun: function(x) {
+                            return 1;
+                        },
+                    }));
+                }
+                Scene.add(canv, poly([[x - 4, y * 0.4], [x + 4, y * 0.4]], {
+                    xof: xoff,
+                    yof: yoff,
+                    fil: "none",
+                    str: "rgba(100,100,100,0.35)",
+                    wid: 1,
+                }));
+            }
+
+            for (var i = 0; i < 2; i++) {
+                Scene.add(canv, stroke([top, bot][i].map(toGlobal), {
+                    col: "rgba(100,100,100,0.45)",
                     noi: 0.5,
-                    wid: wei,
+                    wid: i == 0 ? 1.5 : 1,
                     fun: function(x) {
                         return 1;
                     },
-                }
-            );
-        }
-        return canv;
-    };
-
-    // Helper function for traditional roofs
-    var roof = function(xoff, yoff, args) {
-        var args = args != undefined ? args : {};
-        var hei = args.hei != undefined ? args.hei : 20;
-        var wid = args.wid != undefined ? args.wid : 120;
-        var rot = args.rot != undefined ? args.rot : 0.7;
-        var per = args.per != undefined ? args.per : 4;
-        var cor = args.cor != undefined ? args.cor : 5;
-        var wei = args.wei != undefined ? args.wei : 3;
-        var pla = args.pla != undefined ? args.pla : [0, ""];
-
-        var opf = function(ptlist) {
-            if (rot < 0.5) {
-                return flip(ptlist);
-            } else {
-                return ptlist;
+                }));
+            }
+            // Ends of the planks
+            for (var x = -len / 2 + 4; x < len / 2 - 4; x += 10 + random() * 15) {
+                Scene.add(canv, poly([[x, deckAt(x)], [x, deckAt(x) + 2.5]], {
+                    xof: xoff,
+                    yof: yoff,
+                    fil: "none",
+                    str: "rgba(100,100,100,0.3)",
+                    wid: 0.8,
+                }));
             }
-        };
-        var rrot = rot < 0.5 ? 1 - rot : rot;
 
-        var mid = -wid * 0.5 + wid * rrot;
-        var bmid = -wid * 0.5 + wid * (1 - rrot);
-        var quat = (mid + wid * 0.5) * 0.5 - mid;
+            if (random() < 0.4) {
+                var x = normRand(-len / 4, len / 4);
+                Scene.add(canv, Man.man(xoff + x, yoff + deckAt(x), {
+                    sca: 0.25,
+                    fli: randChoice([true, false]),
+                    ite: randChoice([Man.stick01, function() { return []; }]),
+                }));
+            }
 
-        var ptlist = [];
-        ptlist.push(
-            div(
-                opf([
-                    [-wid * 0.5 + quat, -hei - per / 2],
-                    [-wid * 0.5 + quat * 0.5, -hei / 2 - per / 4],
-                    [-wid * 0.5 - cor, 0],
-                ]),
-                5
-            )
-        );
-        ptlist.push(
-            div(
-                opf([
-                    [mid + quat, -hei],
-                    [(mid + quat + wid * 0.5) / 2, -hei / 2],
-                    [wid * 0.5 + cor, 0],
-                ]),
-                5
-            )
-        );
-        ptlist.push(
-            div(
-                opf([
-                    [mid + quat, -hei],
-                    [mid + quat / 2, -hei / 2 + per / 2],
-                    [mid + cor, per],
-                ]),
-                5
-            )
-        );
-
-        ptlist.push(div(opf([[-wid * 0.5 - cor, 0], [mid + cor, per]]), 5));
-        ptlist.push(div(opf([[wid * 0.5 + cor, 0], [mid + cor, per]]), 5));
-
-        ptlist.push(
-            div(opf([[-wid * 0.5 + quat, -hei - per / 2], [mid + quat, -hei]]), 5)
-        );
-
-        var canv = "";
-
-        var polist = opf([
-            [-wid * 0.5, 0],
-            [-wid * 0.5 + quat, -hei - per / 2],
-            [mid + quat, -hei],
-            [wid * 0.5, 0],
-            [mid, per],
-        ]);
-        canv += poly(polist, { xof: xoff, yof: yoff, str: "none", fil: "white" });
-
-        for (var i = 0; i < ptlist.length; i++) {
-            canv += stroke(
-                ptlist[i].map(function(x) {
-                    return [x[0] + xoff, x[1] + yoff];
-                }),
-                {
-                    col: "rgba(100,100,100,0.4)",
-                    noi: 1,
-                    wid: wei,
-                    fun: function(x) {
-                        return 1;
-                    },
+            if (rai) {
+                var hr = [];
+                for (var k = 0; k <= bay; k++) {
+                    var x = (Math.min(Math.max(k / bay, 0.04), 0.96) - 0.5) * len;
+                    hr.push([x, deckAt(x) - 8]);
+                    Scene.add(canv, poly([[x, deckAt(x)], [x, deckAt(x) - 8]], {
+                        xof: xoff,
+                        yof: yoff,
+                        fil: "none",
+                        str: "rgba(100,100,100,0.4)",
+                        wid: 1,
+                    }));
                 }
-            );
-        }
-
-        if (pla[0] == 1) {
-            var pp = opf([
-                [mid + quat / 2, -hei / 2 + per / 2],
-                [-wid * 0.5 + quat * 0.5, -hei / 2 - per / 4],
-            ]);
-            if (pp[0][0] > pp[1][0]) {
-                pp = [pp[1], pp[0]];
-            }
-            var mp = PolyTools.midPt(pp);
-            var a = Math.atan2(pp[1][1] - pp[0][1], pp[1][0] - pp[0][0]);
-            var adeg = (a * 180) / Math.PI;
-            canv +=
-                "<text font-size='" +
-                hei * 0.6 +
-                "' font-family='Verdana'" +
-                " style='fill:rgba(100,100,100,0.9)'" +
-                " text-anchor='middle' transform='translate(" +
-                (mp[0] + xoff) +
-                "," +
-                (mp[1] + yoff) +
-                ") rotate(" +
-                adeg +
-                ")'>" +
-                pla[1] +
-                "</text>";
-        }
-        return canv;
-    };
-
-    // Helper function for pagoda-style roofs
-    var pagroof = function(xoff, yoff, args) {
-        var args = args != undefined ? args : {};
-        var hei = args.hei != undefined ? args.hei : 20;
-        var wid = args.wid != undefined ? args.wid : 120;
-        var rot = args.rot != undefined ? args.rot : 0.7;
-        var per = args.per != undefined ? args.per : 4;
-        var cor = args.cor != undefined ? args.cor : 10;
-        var sid = args.sid != undefined ? args.sid : 4;
-        var wei = args.wei != undefined ? args.wei : 3;
-
-        var ptlist = [];
-        var polist = [[0, -hei]];
-        var canv = "";
-        for (var i = 0; i < sid; i++) {
-            var fx = wid * ((i * 1.0) / (sid - 1) - 0.5);
-            var fy = per * (1 - Math.abs((i * 1.0) / (sid - 1) - 0.5) * 2);
-            var fxx = (wid + cor) * ((i * 1.0) / (sid - 1) - 0.5);
-            if (i > 0) {
-                ptlist.push([ptlist[ptlist.length - 1][2], [fxx, fy]]);
-            }
-            ptlist.push([[0, -hei], [fx * 0.5, (-hei + fy) * 0.5], [fxx, fy]]);
-            polist.push([fxx, fy]);
-        }
-
-        canv += poly(polist, { xof: xoff, yof: yoff, str: "none", fil: "white" });
-        for (var i = 0; i < ptlist.length; i++) {
-            canv += stroke(
-                div(ptlist[i], 5).map(function(x) {
-                    return [x[0] + xoff, x[1] + yoff];
-                }),
-                {
+                Scene.add(canv, stroke(div(hr, 4).map(toGlobal), {
                     col: "rgba(100,100,100,0.4)",
-                    noi: 1,
-                    wid: wei,
+                    noi: 0.5,
+                    wid: 1,
                     fun: function(x) {
                         return 1;
                     },
-                }
-            );
-        }
-
-        return canv;
-    };    /**
-
-     * Generate simple buildings with traditional roofs and optional human figures
-     * @param {number} xoff - X offset position
-     * @param {number} yoff - Y offset position  
-     * @param {number} seed - Random seed for deterministic generation
-     * @param {Object} args - Configuration options
-     * @param {number} args.hei - Building height (default: 70)
-     * @param {number} args.wid - Building width (default: 180)
-     * @param {number} args.rot - Rotation factor (default: 0.7)
-     * @param {number} args.per - Perspective factor (default: 5)
-     * @returns {string} SVG markup for the building
-     */
-    this.arch01 = function(xoff, yoff, seed, args) {
-        var args = args != undefined ? args : {};
-        var hei = args.hei != undefined ? args.hei : 70;
-        var wid = args.wid != undefined ? args.wid : 180;
-        var rot = args.rot != undefined ? args.rot : 0.7;
-        var per = args.per != undefined ? args.per : 5;
-
-        seed = seed != undefined ? seed : 0;
-
-        var p = 0.4 + Math.random() * 0.2;
-        var h0 = hei * p;
-        var h1 = hei * (1 - p);
-
-        var canv = "";
-        canv += hut(xoff, yoff - hei, { hei: h0, wid: wid });
-        canv += box(xoff, yoff, {
-            hei: h1,
-            wid: (wid * 2) / 3,
-            per: per,
-            bot: false,
-        });
-
-        canv += rail(xoff, yoff, seed, {
-            tra: true,
-            fro: false,
-            hei: 10,
-            wid: wid,
-            per: per * 2,
-            seg: (3 + Math.random() * 3) | 0,
-        });
-
-        var mcnt = randChoice([0, 1, 1, 2]);
-        if (mcnt == 1) {
-            canv += Man.man(xoff + normRand(-wid / 3, wid / 3), yoff, {
-                fli: randChoice([true, false]),
-                sca: 0.42,
-            });
-        } else if (mcnt == 2) {
-            canv += Man.man(xoff + normRand(-wid / 4, -wid / 5), yoff, {
-                fli: false,
-                sca: 0.42,
-            });
-            canv += Man.man(xoff + normRand(wid / 5, wid / 4), yoff, {
-                fli: true,
-                sca: 0.42,
+                }));
+            }
+
+            return Scene.group(canv, {
+                tags: ["building"],
+                source: "Arch.bridge02",
+                depth: yoff,
             });
-        }
-        canv += rail(xoff, yoff, seed, {
-            tra: false,
-            fro: true,
-            hei: 10,
-            wid: wid,
-            per: per * 2,
-            seg: (3 + Math.random() * 3) | 0,
-        });
-
-        return canv;
-    };
-
-    /**
-     * Generate multi-story structures with customizable styles and railings
-     * @param {number} xoff - X offset position
-     * @param {number} yoff - Y offset position
-     * @param {number} seed - Random seed for deterministic generation
-     * @param {Object} args - Configuration options
-     * @param {number} args.hei - Floor height (default: 10)
-     * @param {number} args.wid - Building width (default: 50)
-     * @param {number} args.rot - Rotation factor (default: 0.3)
-     * @param {number} args.per - Perspective factor (default: 5)
-     * @param {number} args.sto - Number of stories (default: 3)
-     * @param {number} args.sty - Decoration style (default: 1)
-     * @param {boolean} args.rai - Include railings (default: false)
-     * @returns {string} SVG markup for the building
-     */
-    this.arch02 = function(xoff, yoff, seed, args) {
-        var args = args != undefined ? args : {};
-        var hei = args.hei != undefined ? args.hei : 10;
-        var wid = args.wid != undefined ? args.wid : 50;
-        var rot = args.rot != undefined ? args.rot : 0.3;
-        var per = args.per != undefined ? args.per : 5;
-        var sto = args.sto != undefined ? args.sto : 3;
-        var sty = args.sty != undefined ? args.sty : 1;
-        var rai = args.rai != undefined ? args.rai : false;
-
-        seed = seed != undefined ? seed : 0;
-        var canv = "";
-
-        var hoff = 0;
-        for (var i = 0; i < sto; i++) {
-            canv += box(xoff, yoff - hoff, {
+        };
+
+        /**
+         * Generate an open-sided pavilion: slender posts on a stone platform
+         * under a pyramidal roof with upturned eaves, and a low railing
+         * between the posts
+         * @param {number} xoff - X offset position
+         * @param {number} yoff - Y offset position
+         * @param {number} seed - Random seed for deterministic generation
+         * @param {Object} args - Configuration options
+         * @param {number} args.hei - Height of the posts (default: 20)
+         * @param {number} args.wid - Width (default: 40)
+         * @param {number} args.rot - Rotation factor (default: 0.7)
+         * @param {number} args.per - Perspective factor (default: 5)
+         * @returns {Object} Scene group for the pavilion
+         */
+        this.pavilion01 = function(xoff, yoff, seed, args) {
+            var args = args != undefined ? args : {};
+            var hei = args.hei != undefined ? args.hei : 20;
+            var wid = args.wid != undefined ? args.wid : 40;
+            var rot = args.rot != undefined ? args.rot : 0.7;
+            var per = args.per != undefined ? args.per : 5;
+
+            seed = seed != undefined ? seed : 0;
+            var canv = [];
+
+            var ph = 4;
+            Scene.add(canv, box(xoff, yoff, {
                 tra: false,
-                hei: hei,
-                wid: wid * Math.pow(0.85, i),
+                hei: ph,
+                wid: wid * 1.15,
                 rot: rot,
-                wei: 1.5,
                 per: per,
-                dec: function(a) {
-                    return deco(
-                        sty,
-                        Object.assign({}, a, {
-                            hsp: [[], [1, 5], [1, 5], [1, 4]][sty],
-                            vsp: [[], [1, 2], [1, 2], [1, 3]][sty],
-                        })
-                    );
-                },
-            });
-            canv += rai
-                ? rail(xoff, yoff - hoff, i * 0.2, {
-                      wid: wid * Math.pow(0.85, i) * 1.1,
-                      hei: hei / 2,
-                      per: per,
-                      rot: rot,
-                      wei: 0.5,
-                      tra: false,
-                  })
-                : [];
-            var pla = undefined;
-            if (sto == 1 && Math.random() < 1 / 3) {
-                pla = [1, "Pizza Hut"];
-            }
-            canv += roof(xoff, yoff - hoff - hei, {
-                hei: hei,
-                wid: wid * Math.pow(0.9, i),
-                rot: rot,
                 wei: 1.5,
-                per: per,
-                pla: pla,
-            });
-
-            hoff += hei * 1.5;
-        }
-        return canv;
-    };
-
-    /**
-     * Generate pagoda-style buildings with multiple levels and traditional roofs
-     * @param {number} xoff - X offset position
-     * @param {number} yoff - Y offset position
-     * @param {number} seed - Random seed for deterministic generation
-     * @param {Object} args - Configuration options
-     * @param {number} args.hei - Floor height (default: 10)
-     * @param {number} args.wid - Building width (default: 50)
-     * @param {number} args.rot - Rotation factor (default: 0.7)
-     * @param {number} args.per - Perspective factor (default: 5)
-     * @param {number} args.sto - Number of stories (default: 7)
-     * @returns {string} SVG markup for the pagoda
-     */
-    this.arch03 = function(xoff, yoff, seed, args) {
-        var args = args != undefined ? args : {};
-        var hei = args.hei != undefined ? args.hei : 10;
-        var wid = args.wid != undefined ? args.wid : 50;
-        var rot = args.rot != undefined ? args.rot : 0.7;
-        var per = args.per != undefined ? args.per : 5;
-        var sto = args.sto != undefined ? args.sto : 7;
-
-        seed = seed != undefined ? seed : 0;
-        var canv = "";
-
-        var hoff = 0;
-        for (var i = 0; i < sto; i++) {
-            canv += box(xoff, yoff - hoff, {
-                tra: false,
+            }));
+            Scene.add(canv, box(xoff, yoff - ph, {
+                tra: true,
+                bot: false,
                 hei: hei,
-                wid: wid * Math.pow(0.85, i),
+                wid: wid,
                 rot: rot,
+                per: per,
                 wei: 1.5,
-                per: per / 2,
-                dec: function(a) {
-                    return deco(1, Object.assign({}, a, { hsp: [1, 4], vsp: [1, 2] }));
-                },
-            });
-            canv += rail(xoff, yoff - hoff, i * 0.2, {
-                seg: 5,
-                wid: wid * Math.pow(0.85, i) * 1.1,
-                hei: hei / 2,
-                per: per / 2,
+            }));
+            if (random() < 0.5) {
+                Scene.add(canv, Man.man(xoff + normRand(-wid / 4, wid / 4), yoff - ph, {
+                    sca: hei / 80,
+                    fli: randChoice([true, false]),
+                }));
+            }
+            Scene.add(canv, rail(xoff, yoff - ph, seed, {
+                seg: 4,
+                wid: wid,
+                hei: hei * 0.25,
+                per: per,
                 rot: rot,
                 wei: 0.5,
                 tra: false,
-            });
-            canv += pagroof(xoff, yoff - hoff - hei, {
-                hei: hei * 1.5,
-                wid: wid * Math.pow(0.9, i),
+            }));
+            Scene.add(canv, pagroof(xoff, yoff - ph - hei, {
+                hei: hei * 0.8,
+                wid: wid * 1.1,
                 rot: rot,
-                wei: 1.5,
                 per: per,
-            });
-            hoff += hei * 1.5;
-        }
-        return canv;
-    };
-
-    /**
-     * Generate complex architectural forms with transparent elements
-     * @param {number} xoff - X offset position
-     * @param {number} yoff - Y offset position
-     * @param {number} seed - Random seed for deterministic generation
-     * @param {Object} args - Configuration options
-     * @param {number} args.hei - Floor height (default: 15)
-     * @param {number} args.wid - Building width (default: 30)
-     * @param {number} args.rot - Rotation factor (default: 0.7)
-     * @param {number} args.per - Perspective factor (default: 5)
-     * @param {number} args.sto - Number of stories (default: 2)
-     * @returns {string} SVG markup for the complex structure
-     */
-    this.arch04 = function(xoff, yoff, seed, args) {
-        var args = args != undefined ? args : {};
-        var hei = args.hei != undefined ? args.hei : 15;
-        var wid = args.wid != undefined ? args.wid : 30;
-        var rot = args.rot != undefined ? args.rot : 0.7;
-        var per = args.per != undefined ? args.per : 5;
-        var sto = args.sto != undefined ? args.sto : 2;
-
-        seed = seed != undefined ? seed : 0;
-        var canv = "";
-
-        var hoff = 0;
-        for (var i = 0; i < sto; i++) {
-            canv += box(xoff, yoff - hoff, {
-                tra: true,
-                hei: hei,
-                wid: wid * Math.pow(0.85, i),
-                rot: rot,
+                cor: wid * 0.3,
                 wei: 1.5,
-                per: per / 2,
-                dec: function(a) {
-                    return [];
+            }));
+            // The finial on the point of the roof
+            Scene.add(canv, stroke([[0, -hei * 0.8], [0, -hei * 0.8 - 5]].map(function(x) {
+                return [x[0] + xoff, x[1] + yoff - ph - hei];
+            }), {
+                col: "rgba(100,100,100,0.5)",
+                noi: 0.5,
+                wid: 1.5,
+                fun: function(x) {
+                    return 1;
                 },
+            }));
+
+            return Scene.group(canv, {
+                tags: ["building"],
+                source: "Arch.pavilion01",
+                depth: yoff,
             });
-            canv += rail(xoff, yoff - hoff, i * 0.2, {
-                seg: 3,
-                wid: wid * Math.pow(0.85, i) * 1.2,
-                hei: hei / 3,
-                per: per / 2,
-                rot: rot,
-                wei: 0.5,
-                tra: true,
-            });
-            canv += pagroof(xoff, yoff - hoff - hei, {
-                hei: hei * 1,
-                wid: wid * Math.pow(0.9, i),
-                rot: rot,
-                wei: 1.5,
-                per: per,
-            });
-            hoff += hei * 1.2;
-        }
-        return canv;
-    };
-
-    /**
-     * Generate fishing boats with human figures
-     * 
-     * Creates traditional fishing boats with human figures using stroke-based rendering.
-     * Automatically applies broken stroke effects when enabled via UI toggle, creating
-     * authentic Chinese painting aesthetics where boat outlines appear hand-painted.
-     * 
-     * @param {number} xoff - X offset position
-     * @param {number} yoff - Y offset position
-     * @param {number} seed - Random seed for deterministic generation
-     * @param {Object} args - Configuration options
-     * @param {number} args.len - Boat length (default: 120)
-     * @param {number} args.sca - Scale factor (default: 1)
-     * @param {boolean} args.fli - Flip horizontally (default: false)
-     * @returns {string} SVG markup for the boat with figure (supports broken strokes)
-     */
-    this.boat01 = function(xoff, yoff, seed, args) {
-        var args = args != undefined ? args : {};
-        var len = args.len != undefined ? args.len : 120;
-        var sca = args.sca != undefined ? args.sca : 1;
-        var fli = args.fli != undefined ? args.fli : false;
-        var canv = "";
-
-        var dir = fli ? -1 : 1;
-        canv += Man.man(xoff + 20 * sca * dir, yoff, {
-            ite: Man.stick01,
-            hat: Man.hat02,
-            sca: 0.5 * sca,
-            fli: !fli,
-            len: [0, 30, 20, 30, 10, 30, 30, 30, 30],
-        });
-
-        var plist1 = [];
-        var plist2 = [];
-        var fun1 = function(x) {
-            return Math.pow(Math.sin(x * Math.PI), 0.5) * 7 * sca;
-        };
-        var fun2 = function(x) {
-            return Math.pow(Math.sin(x * Math.PI), 0.5) * 10 * sca;
-        };
-        for (var i = 0; i < len * sca; i += 5 * sca) {
-            plist1.push([i * dir, fun1(i / len)]);
-            plist2.push([i * dir, fun2(i / len)]);
-        }
-        var plist = plist1.concat(plist2.reverse());
-        canv += poly(plist, { xof: xoff, yof: yoff, fil: "white" });
-        canv += stroke(plist.map(v => [xoff + v[0], yoff + v[1]]), {
-            wid: 1,
-            fun: function(x) {
-                return Math.sin(x * Math.PI * 2);
-            },
-            col: "rgba(100,100,100,0.4)",
-        });
-
-        return canv;
-    };
-
-    /**
-     * Generate modern transmission tower structures
-     * @param {number} xoff - X offset position
-     * @param {number} yoff - Y offset position
-     * @param {number} seed - Random seed for deterministic generation
-     * @param {Object} args - Configuration options
-     * @param {number} args.hei - Tower height (default: 100)
-     * @param {number} args.wid - Tower width (default: 20)
-     * @returns {string} SVG markup for the transmission tower
-     */
-    this.transmissionTower01 = function(xoff, yoff, seed, args) {
-        var args = args != undefined ? args : {};
-        var hei = args.hei != undefined ? args.hei : 100;
-        var wid = args.wid != undefined ? args.wid : 20;
-
-        var canv = "";
-        var toGlobal = function(v) {
-            return [v[0] + xoff, v[1] + yoff];
         };
 
-        var quickstroke = function(pl) {
-            return stroke(div(pl, 5).map(toGlobal), {
-                wid: 1,
-                fun: x => 0.5,
-                col: "rgba(100,100,100,0.4)",
+        /**
+         * Generate a memorial archway (paifang): stone pillars joined by
+         * beams, a tiled roof over each bay, the middle one highest, and a
+         * plaque over the middle bay
+         * @param {number} xoff - X offset position
+         * @param {number} yoff - Y offset position
+         * @param {number} seed - Random seed for deterministic generation
+         * @param {Object} args - Configuration options
+         * @param {number} args.wid - Width (default: 60)
+         * @param {number} args.hei - Height of the middle bay (default: 50)
+         * @param {number} args.bay - Number of bays, 1 or 3 (default: 3)
+         * @returns {Object} Scene group for the archway
+         */
+        this.paifang01 = function(xoff, yoff, seed, args) {
+            var args = args != undefined ? args : {};
+            var wid = args.wid != undefined ? args.wid : 60;
+            var hei = args.hei != undefined ? args.hei : 50;
+            var bay = args.bay != undefined ? args.bay : 3;
+
+            seed = seed != undefined ? seed : 0;
+            var canv = [];
+            var toGlobal = function(v) {
+                return [v[0] + xoff, v[1] + yoff];
+            };
+            var quickstroke = function(pl, wei) {
+                return stroke(div(pl, 3).map(toGlobal), {
+                    col: "rgba(100,100,100,0.5)",
+                    noi: 0.5,
+                    wid: wei,
+                    fun: function(x) {
+                        return 1;
+                    },
+                });
+            };
+            var block = function(x0, y0, x1, y1) {
+                Scene.add(canv, poly([[x0, y0], [x1, y0], [x1, y1], [x0, y1]], {
+                    xof: xoff,
+                    yof: yoff,
+                    fil: "white",
+                    str: "none",
+                }));
+                Scene.add(canv, quickstroke([[x0, y0], [x1, y0]], 1));
+                Scene.add(canv, quickstroke([[x0, y1], [x1, y1]], 1));
+                Scene.add(canv, quickstroke([[x0, y0], [x0, y1]], 1));
+                Scene.add(canv, quickstroke([[x1, y0], [x1, y1]], 1));
+            };
+
+            // Pillars at the edges of the bays, and the top of each bay
+            var px = bay == 3 ? [-0.5, -0.2, 0.2, 0.5] : [-0.5, 0.5];
+            var tops = bay == 3 ? [hei * 0.75, hei, hei * 0.75] : [hei];
+            var pw = 1 + wid * 0.03;
+            var bh = hei * 0.1;
+
+            for (var i = 0; i < px.length; i++) {
+                var x = px[i] * wid;
+                var th = Math.max(tops[Math.max(i - 1, 0)], tops[Math.min(i, tops.length - 1)]);
+                block(x - pw, -th, x + pw, 0);
+                block(x - pw * 2, -4, x + pw * 2, 0);
+            }
+            for (var i = 0; i < tops.length; i++) {
+                var x0 = px[i] * wid;
+                var x1 = px[i + 1] * wid;
+                block(x0 - pw, -tops[i], x1 + pw, -tops[i] + bh);
+                block(x0 + pw, -tops[i] + bh * 2.2, x1 - pw, -tops[i] + bh * 3);
+                if (i == (tops.length - 1) / 2) {
+                    // The plaque, with a column of characters
+                    var mw = (x1 - x0) * 0.15;
+                    block(-mw, -tops[i] + bh, mw, -tops[i] + bh * 2.2);
+                    for (var y = -tops[i] + bh * 1.3; y < -tops[i] + bh * 2; y += 2.5) {
+                        Scene.add(canv, poly([[-mw * 0.4, y], [mw * 0.4, y]], {
+                            xof: xoff,
+                            yof: yoff,
+                            fil: "none",
+                            str: "rgba(100,100,100,0.4)",
+                            wid: 0.8,
+                        }));
+                    }
+                }
+                Scene.add(canv, tileroof(xoff + (x0 + x1) / 2, yoff - tops[i], {
+                    hei: bh * 1.8,
+                    wid: x1 - x0 + pw * 4,
+                    cor: bh * 1.2,
+                    wei: 1.5,
+                }));
+            }
+
+            return Scene.group(canv, {
+                tags: ["building"],
+                source: "Arch.paifang01",
+                depth: yoff,
             });
         };
 
-        var p00 = [-wid * 0.05, -hei];
-        var p01 = [wid * 0.05, -hei];
+        /**
+         * Generate a village wall: a plastered wall under a coping of tiles,
+         * with a gate that has a roof of its own
+         * @param {number} xoff - X offset position (middle of the wall)
+         * @param {number} yoff - Y offset position
+         * @param {number} seed - Random seed for deterministic generation
+         * @param {Object} args - Configuration options
+         * @param {number} args.len - Length (default: 200)
+         * @param {number} args.hei - Height (default: 16)
+         * @param {number} args.gat - Place of the gate as a share of the
+         *   length, or -1 for no gate (default: 0.3 to 0.7)
+         * @returns {Object} Scene group for the wall
+         */
+        this.wall01 = function(xoff, yoff, seed, args) {
+            var args = args != undefined ? args : {};
+            var len = args.len != undefined ? args.len : 200;
+            var hei = args.hei != undefined ? args.hei : 16;
+            var gat = args.gat != undefined ? args.gat : 0.3 + random() * 0.4;
+
+            seed = seed != undefined ? seed : 0;
+            var canv = [];
+            var toGlobal = function(v) {
+                return [v[0] + xoff, v[1] + yoff];
+            };
+
+            var baseAt = function(x) {
+                return (Noise.noise(x * 0.02, seed) - 0.5) * 4;
+            };
+            var base = [];
+            var top = [];
+            for (var x = -len / 2; x <= len / 2 + 0.1; x += len / 20) {
+                base.push([x, baseAt(x)]);
+                top.push([x, baseAt(x) - hei]);
+            }
+            Scene.add(canv, poly(top.concat(base.slice().reverse()), {
+                xof: xoff,
+                yof: yoff,
+                fil: "white",
+                str: "none",
+            }));
+            Scene.add(canv, stroke(base.map(toGlobal), {
+                col: "rgba(100,100,100,0.3)",
+                noi: 1,
+                wid: 1.5,
+                fun: function(x) {
+                    return 1;
+                },
+            }));
+            Scene.add(canv, stroke(top.map(toGlobal), {
+                col: "rgba(100,100,100,0.4)",
+                noi: 0.5,
+                wid: 1,
+                fun: function(x) {
+                    return 1;
+                },
+            }));
+            Scene.add(canv, poly([top[0], base[0]], { xof: xoff, yof: yoff, fil: "none", str: "rgba(100,100,100,0.4)", wid: 1 }));
+            Scene.add(canv, poly([top[top.length - 1], base[base.length - 1]], {
+                xof: xoff,
+                yof: yoff,
+                fil: "none",
+                str: "rgba(100,100,100,0.4)",
+                wid: 1,
+            }));
+
+            // Weathered patches of the plaster
+            for (var i = 0; i < len / 15; i++) {
+                var x = (random() - 0.5) * len * 0.95;
+                var y = baseAt(x) - hei * (0.15 + random() * 0.7);
+                var sl = 3 + random() * 8;
+                Scene.add(canv, poly([[x, y], [x + sl, y + (random() - 0.5)]], {
+                    xof: xoff,
+                    yof: yoff,
+                    fil: "none",
+                    str: "rgba(100,100,100," + (0.1 + random() * 0.15).toFixed(3) + ")",
+                    wid: 1,
+                }));
+            }
 
-        var p10 = [-wid * 0.1, -hei * 0.9];
-        var p11 = [wid * 0.1, -hei * 0.9];
+            // The coping: a ridge of tiles over the wall
+            var cop = top.map(function(v) {
+                return [v[0], v[1] - 3];
+            });
+            cop[0][0] -= 2;
+            cop[cop.length - 1][0] += 2;
+            Scene.add(canv, stroke(cop.map(toGlobal), {
+                col: "rgba(100,100,100,0.5)",
+                noi: 0.5,
+                wid: 2,
+                fun: function(x) {
+                    return 1;
+                },
+            }));
+            for (var x = -len / 2 + 1; x < len / 2; x += 3) {
+                var y = baseAt(x) - hei;
+                Scene.add(canv, poly([[x, y - 2], [x - 0.5, y]], {
+                    xof: xoff,
+                    yof: yoff,
+                    fil: "none",
+                    str: "rgba(100,100,100,0.3)",
+                    wid: 0.8,
+                }));
+            }
 
-        var p20 = [-wid * 0.2, -hei * 0.5];
-        var p21 = [wid * 0.2, -hei * 0.5];
+            if (gat >= 0) {
+                var gx = (gat - 0.5) * len;
+                var gy = baseAt(gx);
+                var gw = hei * 0.45;
+                var gh = hei * 1.35;
+                // The gatehouse rises over the wall, and the gate opens in it
+                var gp = [[gx - gw * 1.5, gy], [gx - gw * 1.5, gy - gh], [gx + gw * 1.5, gy - gh], [gx + gw * 1.5, gy]];
+                Scene.add(canv, poly(gp, { xof: xoff, yof: yoff, fil: "white", str: "none" }));
+                Scene.add(canv, stroke(gp.map(toGlobal), {
+                    col: "rgba(100,100,100,0.4)",
+                    noi: 0.5,
+                    wid: 1,
+                    fun: function(x) {
+                        return 1;
+                    },
+                }));
+                var door = [[gx - gw, gy]];
+                for (var i = 0; i <= 8; i++) {
+                    var a = (i / 8) * Math.PI;
+                    door.push([gx - gw * Math.cos(a), gy - hei * 0.6 - gw * Math.sin(a)]);
+                }
+                door.push([gx + gw, gy]);
+                Scene.add(canv, poly(door, { xof: xoff, yof: yoff, fil: "rgba(100,100,100,0.15)", str: "none" }));
+                Scene.add(canv, stroke(door.map(toGlobal), {
+                    col: "rgba(100,100,100,0.5)",
+                    noi: 0.5,
+                    wid: 1.5,
+                    fun: function(x) {
+                        return 1;
+                    },
+                }));
+                Scene.add(canv, poly([[gx, gy], [gx, gy - hei * 0.6 - gw]], {
+                    xof: xoff,
+                    yof: yoff,
+                    fil: "none",
+                    str: "rgba(100,100,100,0.4)",
+                    wid: 1,
+                }));
+                Scene.add(canv, tileroof(xoff + gx, yoff + gy - gh, {
+                    hei: hei * 0.45,
+                    wid: gw * 3.6,
+                    cor: hei * 0.3,
+                    wei: 1.5,
+                }));
+            }
 
-        var p30 = [-wid * 0.5, 0];
-        var p31 = [wid * 0.5, 0];
+            return Scene.group(canv, {
+                tags: ["building"],
+                source: "Arch.wall01",
+                depth: yoff,
+            });
+        };
 
-        var bch = [[0.7, -0.85], [1, -0.675], [0.7, -0.5]];
+        /**
+         * Generate terraced fields: narrow level strips stepping up a slope,
+         * each held by a low bank. In summer and autumn they are planted in
+         * rows, in spring they stand flooded, and in winter they lie bare.
+         * @param {number} xoff - X offset position (middle of the lowest terrace)
+         * @param {number} yoff - Y offset position
+         * @param {number} seed - Random seed for deterministic generation
+         * @param {Object} args - Configuration options
+         * @param {number} args.wid - Width of the lowest terrace (default: 160)
+         * @param {number} args.hei - Height of the slope (default: 60)
+         * @param {number} args.lev - Number of terraces (default: 5)
+         * @param {string} args.sea - Season, see Tree.tree01 (default: "summer")
+         * @returns {Object} Scene group for the fields
+         */
+        this.terrace01 = function(xoff, yoff, seed, args) {
+            var args = args != undefined ? args : {};
+            var wid = args.wid != undefined ? args.wid : 160;
+            var hei = args.hei != undefined ? args.hei : 60;
+            var lev = args.lev != undefined ? args.lev : 5;
+            var sea = args.sea != undefined ? args.sea : "summer";
+
+            seed = seed != undefined ? seed : 0;
+            var canv = [];
+            var step = hei / lev;
+
+            // Top terrace first, so each lower one is painted over the one
+            // behind it
+            for (var k = lev - 1; k >= 0; k--) {
+                var wk = wid * (1 - (0.5 * k) / lev);
+                var edge = [];
+                for (var i = 0; i <= 20; i++) {
+                    var t = i / 20;
+                    var x = (t - 0.5) * wk;
+                    var y =
+                        -k * step +
+                        Math.sin(t * Math.PI) * step * 0.4 +
+                        (Noise.noise(x * 0.03, k, seed) - 0.5) * step * 0.5;
+                    edge.push([x, y]);
+                }
+                var back = edge.map(function(v) {
+                    return [v[0] * 0.95, v[1] - step * 1.1];
+                });
+                Scene.add(canv, poly(edge.concat(back.reverse()), {
+                    xof: xoff,
+                    yof: yoff,
+                    fil: "white",
+                    str: "none",
+                }));
+                Scene.add(canv, stroke(edge.map(function(v) {
+                    return [v[0] + xoff, v[1] + yoff];
+                }), {
+                    col: "rgba(100,100,100,0.4)",
+                    noi: 0.5,
+                    wid: 1.5,
+                }));
+
+                // What grows in the season is drawn from the season's own
+                // stream, so the banks and what follows stay put
+                Scene.add(canv, seasonal(function() {
+                    var crop = [];
+                    if (sea == "spring") {
+                        // Flooded: the sky in the water
+                        for (var j = 0; j < 2; j++) {
+                            var i0 = Math.floor(random() * 10);
+                            var wl = edge.slice(i0 + 2, i0 + 6 + Math.floor(random() * 6)).map(function(v) {
+                                return [v[0] + xoff, v[1] - step * (0.35 + j * 0.3) + yoff];
+                            });
+                            if (wl.length > 1) {
+                                Scene.add(crop, stroke(wl, { col: "rgba(100,100,100,0.2)", wid: 0.8 }));
+                            }
+                        }
+                    } else if (sea != "winter") {
+                        // Rows of crops
+                        for (var j = 1; j <= 2; j++) {
+                            for (var i = 1; i < edge.length - 1; i++) {
+                                if (random() < 0.7) {
+                                    var x = edge[i][0] * (1 - j * 0.02) + (random() - 0.5) * 3;
+                                    var y = edge[i][1] - step * 0.3 * j;
+                                    Scene.add(crop, poly([[x, y], [x + (random() - 0.5), y - 2 - random()]], {
+                                        xof: xoff,
+                                        yof: yoff,
+                                        fil: "none",
+                                        str: "rgba(100,100,100," + (0.25 + random() * 0.15).toFixed(3) + ")",
+                                        wid: 0.8,
+                                    }));
+                                }
+                            }
+                        }
+                    }
+                    return crop;
+                }));
+                // The bank under the edge
+                for (var i = 2; i < edge.length - 2; i++) {
+                    if (random() < 0.4) {
+                        Scene.add(canv, poly([edge[i], [edge[i][0], edge[i][1] + step * 0.3]], {
+                            xof: xoff,
+                            yof: yoff,
+                            fil: "none",
+                            str: "rgba(100,100,100,0.15)",
+                            wid: 0.8,
+                        }));
+                    }
+                }
+            }
 
-        for (var i = 0; i < bch.length; i++) {
-            canv += quickstroke([
-                [-bch[i][0] * wid, bch[i][1] * hei],
-                [bch[i][0] * wid, bch[i][1] * hei],
-            ]);
-            canv += quickstroke([
-                [-bch[i][0] * wid, bch[i][1] * hei],
-                [0, (bch[i][1] - 0.05) * hei],
-            ]);
-            canv += quickstroke([
-                [bch[i][0] * wid, bch[i][1] * hei],
-                [0, (bch[i][1] - 0.05) * hei],
-            ]);
+            return Scene.group(canv, {
+                tags: ["building"],
+                source: "Arch.terrace01",
+                depth: yoff,
+            });
+        };
 
-            canv += quickstroke([
-                [-bch[i][0] * wid, bch[i][1] * hei],
-                [-bch[i][0] * wid, (bch[i][1] + 0.1) * hei],
-            ]);
-            canv += quickstroke([
-                [bch[i][0] * wid, bch[i][1] * hei],
-                [bch[i][0] * wid, (bch[i][1] + 0.1) * hei],
-            ]);
-        }
+        /**
+         * Generate stone steps winding up a slope: short treads between two
+         * faint edges, following a path or, without one, in switchbacks
+         * @param {number} xoff - X offset position (foot of the steps)
+         * @param {number} yoff - Y offset position
+         * @param {number} seed - Random seed for deterministic generation
+         * @param {Object} args - Configuration options
+         * @param {Array} args.pts - Path from the foot to the top, relative
+         *   to xoff and yoff (default: switchbacks up hei)
+         * @param {number} args.hei - Height of the switchbacks (default: 100)
+         * @param {number} args.wid - Width of the switchbacks (default: 40)
+         * @param {number} args.spc - Spacing of the treads along the path
+         *   (default: 4)
+         * @returns {Object} Scene group for the steps
+         */
+        this.steps01 = function(xoff, yoff, seed, args) {
+            var args = args != undefined ? args : {};
+            var hei = args.hei != undefined ? args.hei : 100;
+            var wid = args.wid != undefined ? args.wid : 40;
+            var spc = args.spc != undefined ? args.spc : 4;
+            var pts = args.pts;
+
+            seed = seed != undefined ? seed : 0;
+            if (pts == undefined) {
+                var n = Math.max(2, Math.round(hei / 40));
+                pts = [[0, 0]];
+                for (var i = 1; i < n; i++) {
+                    pts.push([(i % 2 ? -1 : 1) * (wid / 2) * (0.6 + random() * 0.4), (-hei * i) / n]);
+                }
+                pts.push([0, -hei]);
+            }
+            var path = div(pts, 20);
+            for (var i = 1; i < path.length - 1; i++) {
+                path[i][0] += (Noise.noise(i * 0.3, seed) - 0.5) * 4;
+            }
 
-        var l10 = div([p00, p10, p20, p30], 5);
-        var l11 = div([p01, p11, p21, p31], 5);
+            var canv = [];
+            var tw = 5;
+            var left = path.map(function(v) {
+                return [v[0] - tw / 2 + xoff, v[1] + yoff];
+            });
+            var right = path.map(function(v) {
+                return [v[0] + tw / 2 + xoff, v[1] + yoff];
+            });
+            Scene.add(canv, poly(left.concat(right.slice().reverse()), { fil: "white", str: "none" }));
+            for (var i = 0; i < 2; i++) {
+                Scene.add(canv, stroke([left, right][i], { col: "rgba(100,100,100,0.2)", wid: 0.8, noi: 0.5 }));
+            }
 
-        for (var i = 0; i < l10.length - 1; i++) {
-            canv += quickstroke([l10[i], l11[i + 1]]);
-            canv += quickstroke([l11[i], l10[i + 1]]);
-        }
+            var acc = 0;
+            for (var i = 1; i < path.length; i++) {
+                var dx = path[i][0] - path[i - 1][0];
+                var dy = path[i][1] - path[i - 1][1];
+                // Steps where the path climbs, none where it runs level
+                acc += Math.abs(dy) + Math.abs(dx) * 0.2;
+                if (acc > spc) {
+                    acc = 0;
+                    var x = path[i][0];
+                    var y = path[i][1];
+                    Scene.add(canv, poly([[x - tw / 2, y], [x + tw / 2, y + (random() - 0.5)]], {
+                        xof: xoff,
+                        yof: yoff,
+                        fil: "none",
+                        str: "rgba(100,100,100," + (0.35 + random() * 0.15).toFixed(3) + ")",
+                        wid: 1,
+                    }));
+                }
+            }
 
-        canv += quickstroke([p00, p01]);
-        canv += quickstroke([p10, p11]);
-        canv += quickstroke([p20, p21]);
-        canv += quickstroke([p00, p10, p20, p30]);
-        canv += quickstroke([p01, p11, p21, p31]);
+            return Scene.group(canv, {
+                tags: ["building"],
+                source: "Arch.steps01",
+                depth: yoff,
+            });
+        };
 
-        return canv;
-    };
+    }();
+    return Arch;
+}
 
-}();
+ShanShui.createArch = createArch;
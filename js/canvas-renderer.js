@@ -0,0 +1,100 @@
+/**
+ * Canvas Renderer Module
+ *
+ * Back-end that paints scene graph nodes (see scene.js) onto a Canvas 2D
+ * context. Shapes are filled and then outlined like SVG polylines, so a
+ * canvas and an SVG rendering of the same scene look alike.
+ *
+ * Dependencies: scene.js
+ *
+ * @namespace CanvasRenderer
+ */
+var CanvasRenderer = new function() {
+  var Scene = ShanShui.createScene();
+
+  // Trace an open path through a point list
+  var trace = function(ctx, plist) {
+    ctx.beginPath();
+    for (var i = 0; i < plist.length; i++) {
+      if (i == 0) {
+        ctx.moveTo(plist[i][0], plist[i][1]);
+      } else {
+        ctx.lineTo(plist[i][0], plist[i][1]);
+      }
+    }
+  };
+
+  // Fill and outline a point list, skipping transparent paint
+  var paint = function(ctx, plist, fil, str, wid) {
+    if (plist.length == 0) {
+      return;
+    }
+    trace(ctx, plist);
+    if (fil != "none") {
+      ctx.fillStyle = fil;
+      ctx.fill();
+    }
+    if (str != "none" && wid > 0) {
+      ctx.strokeStyle = str;
+      ctx.lineWidth = wid;
+      ctx.stroke();
+    }
+  };
+
+  /**
+   * Paint a single leaf node
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {Object} node - Polygon, stroke, blob or text node
+   */
+  this.leaf = function(ctx, node) {
+    if (node.type == "polygon") {
+      paint(ctx, node.plist, node.fil, node.str, node.wid);
+    } else if (node.type == "stroke") {
+      paint(ctx, node.plist, node.col, node.col, node.out);
+    } else if (node.type == "blob") {
+      paint(ctx, node.plist, node.col, node.col, 0);
+    } else if (node.type == "text") {
+      ctx.save();
+      ctx.translate(node.x, node.y);
+      ctx.rotate((node.ang * Math.PI) / 180);
+      ctx.font = node.siz + "px Verdana";
+      ctx.textAlign = "center";
+      ctx.fillStyle = node.col;
+      ctx.fillText(node.str, 0, 0);
+      ctx.restore();
+    } else {
+      throw new Error("CanvasRenderer: unknown node type " + node.type);
+    }
+  };
+
+  /**
+   * Paint a scene onto a canvas context
+   * @param {Object|Array} node - Node or node list
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {Object} [args] - Render options
+   * @param {number} [args.xof=0] - X offset added to every point
+   * @param {number} [args.yof=0] - Y offset added to every point
+   * @param {number} [args.sca=1] - Scale applied after the offset
+   * @param {Array} [args.exclude=[]] - Leave out groups with any of these tags
+   */
+  this.render = function(node, ctx, args) {
+    var args = args != undefined ? args : {};
+    var xof = args.xof != undefined ? args.xof : 0;
+    var yof = args.yof != undefined ? args.yof : 0;
+    var sca = args.sca != undefined ? args.sca : 1;
+    var exclude = args.exclude != undefined ? args.exclude : [];
+
+    ctx.save();
+    ctx.lineJoin = "miter";
+    ctx.scale(sca, sca);
+    ctx.translate(xof, yof);
+    Scene.walk(node, function(leaf, tags) {
+      if (exclude.length == 0 || !Scene.excluded(tags, exclude)) {
+        CanvasRenderer.leaf(ctx, leaf);
+      }
+    });
+    ctx.restore();
+  };
+}();
+
+ShanShui.CanvasRenderer = CanvasRenderer;
@@ -0,0 +1,61 @@
+/**
+ * Chunk Worker - Chunk generation off the main thread
+ *
+ * Web Worker script run by chunkpool.js. It loads the generator layer and
+ * the chunk system from main.js, generates the chunk asked for with
+ * chunkgen(), and posts the elements back. Scene graphs are plain objects,
+ * so they survive the structured clone unchanged. A chunk only depends on
+ * the seed, its index and the toggles, so the worker produces exactly what
+ * the main thread would.
+ *
+ * Message in:  { seed, epoch, idx, toggles, broken, weather, season, mode,
+ *               frame, planner }
+ * Message out: { epoch, idx, elems }
+ *
+ * Dependencies: the same scripts shanshui.html loads, except display.js
+ */
+importScripts(
+  "prng.js",
+  "noise.js",
+  "polytools.js",
+  "scene.js",
+  "utils.js",
+  "rendering.js",
+  "trees.js",
+  "mountains.js",
+  "architecture.js",
+  "figures.js",
+  "water.js",
+  "mist.js",
+  "shanshui.js",
+  "global.js",
+  "main.js"
+);
+
+self.onmessage = function(e) {
+  var job = e.data;
+  if (MEM.seed !== job.seed) {
+    seedLandscape(job.seed);
+  }
+  if (MEM.mode !== job.mode || JSON.stringify(MEM.frame) !== JSON.stringify(job.frame)) {
+    setMode(job.mode, job.frame);
+  }
+  if (JSON.stringify(PLANNER) !== JSON.stringify(job.planner)) {
+    setPlanner(job.planner);
+  }
+  for (var k in job.toggles) {
+    ELEMENT_TOGGLES[k] = job.toggles[k];
+  }
+  STROKE_STYLE.broken = job.broken;
+  WEATHER.type = job.weather;
+  MEM.season = job.season;
+  initElementToggles();
+  // Workers plan chunks all along the scroll; keep their plan cache bounded
+  planevict(job.idx - MEM.maxchunks, job.idx + MEM.maxchunks);
+
+  self.postMessage({
+    epoch: job.epoch,
+    idx: job.idx,
+    elems: chunkgen(job.idx, job.toggles),
+  });
+};
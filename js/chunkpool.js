@@ -0,0 +1,120 @@
+/**
+ * Chunk Pool Module
+ *
+ * A small pool of Web Workers (chunk-worker.js) that generate chunks in the
+ * background, so scrolling never waits for Mount.mountain or the planner.
+ * Jobs are handed out first come, first served to whichever worker is idle;
+ * main.js decides what to ask for (chunkprefetch) and inserts the results
+ * (chunkreceive).
+ *
+ * Workers cannot always be started, e.g. Chrome refuses them for pages
+ * opened from file://. start() then returns false and, if a worker fails
+ * later, onfail is called; in both cases the app keeps generating chunks on
+ * the main thread with chunkloader.
+ *
+ * @namespace ChunkPool
+ */
+var ChunkPool = new function() {
+  var workers = [];
+  var idle = [];
+  var queue = [];
+
+  /**
+   * Called with each finished job {epoch, idx, elems}
+   * @type {Function}
+   */
+  this.onchunk = function(res) {};
+
+  /**
+   * Called once if a worker fails; the pool has stopped and unfinished jobs
+   * are lost
+   * @type {Function}
+   */
+  this.onfail = function() {};
+
+  // Hand queued jobs to idle workers
+  var dispatch = function() {
+    while (idle.length > 0 && queue.length > 0) {
+      idle.pop().postMessage(queue.shift());
+    }
+  };
+
+  /**
+   * Start the workers
+   * @param {string} url - URL of chunk-worker.js
+   * @param {number} [n] - Number of workers (default: one less than the
+   *   number of cores, between 1 and 4)
+   * @returns {boolean} True if the workers were started
+   */
+  this.start = function(url, n) {
+    var cores = typeof navigator !== "undefined" && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+    var n = n != undefined ? n : Math.min(4, Math.max(1, cores - 1));
+    if (workers.length > 0) {
+      return true;
+    }
+    if (typeof Worker === "undefined") {
+      return false;
+    }
+    try {
+      for (var i = 0; i < n; i++) {
+        var w = new Worker(url);
+        w.onmessage = function(e) {
+          idle.push(e.target);
+          dispatch();
+          ChunkPool.onchunk(e.data);
+        };
+        w.onerror = function(e) {
+          if (workers.length == 0) {
+            return;
+          }
+          console.log("chunk worker failed, generating on the main thread:", e.message);
+          ChunkPool.stop();
+          ChunkPool.onfail();
+        };
+        workers.push(w);
+        idle.push(w);
+      }
+    } catch (e) {
+      console.log("chunk workers unavailable, generating on the main thread:", e);
+      ChunkPool.stop();
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Terminate all workers and drop queued jobs
+   */
+  this.stop = function() {
+    for (var i = 0; i < workers.length; i++) {
+      workers[i].terminate();
+    }
+    workers = [];
+    idle = [];
+    queue = [];
+  };
+
+  /**
+   * Check whether the pool is running
+   * @returns {boolean} True if there are workers to take jobs
+   */
+  this.active = function() {
+    return workers.length > 0;
+  };
+
+  /**
+   * Queue a job for the next idle worker
+   * @param {Object} job - Job for chunk-worker.js {seed, epoch, idx, toggles, broken}
+   */
+  this.request = function(job) {
+    queue.push(job);
+    dispatch();
+  };
+
+  /**
+   * Drop queued jobs that no worker has started yet
+   */
+  this.clear = function() {
+    queue = [];
+  };
+}();
@@ -9,12 +9,31 @@
 var lastScrollX = 0;
 var pFrame = 0;
 
+// Chunk elements currently in the <svg>, in painting order, and the chunk
+// epoch they belong to (see svgupdate)
+var svgShown = [];
+var svgEpoch = -1;
+var svgStamp = 0;
+
 /**
  * Horizontal scrolling function
  * @param {number} v - The scroll amount
  */
 function xcroll(v) {
+  if (MEM.frame) {
+    // Single paintings are drawn whole, so only the page moves: down the
+    // hanging scroll, or across a framed painting
+    if (MEM.mode == "hanging") {
+      window.scrollBy(0, v * MEM.zoom);
+    } else {
+      window.scrollBy(v * MEM.zoom, 0);
+    }
+    return;
+  }
   MEM.cursx += v;
+  if (v != 0) {
+    MEM.scrolldir = v > 0 ? 1 : -1;
+  }
   if (needupdate()) {
     update();
   } else {
@@ -85,7 +104,37 @@ function getElementToggles() {
 }
 
 /**
- * Regenerate landscape with current element toggles
+ * Get the planner configuration in the PLANNER menu inputs. Empty inputs
+ * give the default.
+ * @returns {Object} Planner configuration, see setPlanner() in main.js
+ */
+function getPlannerSettings() {
+  var cfg = Object.assign({}, PLANNER_DEFAULTS);
+  for (var k in PLANNER_DEFAULTS) {
+    var e = document.getElementById("PLAN_" + k.toUpperCase());
+    if (e && e.value != "") {
+      cfg[k] = parseFloat(e.value);
+    }
+  }
+  return cfg;
+}
+
+/**
+ * Show a planner configuration in the PLANNER menu inputs
+ * @param {Object} cfg - Planner configuration
+ */
+function showPlanner(cfg) {
+  for (var k in cfg) {
+    var e = document.getElementById("PLAN_" + k.toUpperCase());
+    if (e) {
+      e.value = cfg[k];
+    }
+  }
+}
+
+/**
+ * Regenerate landscape with current element toggles, planner settings,
+ * weather and season
  */
 function regenerateLandscape() {
   console.log("Regenerating landscape with element toggles...");
@@ -98,11 +147,21 @@ function regenerateLandscape() {
     ELEMENT_TOGGLES.boats = toggles.boats;
     ELEMENT_TOGGLES.water = toggles.water;
   }
+  try {
+    setPlanner(getPlannerSettings());
+  } catch (e) {
+    alert("Planner settings: " + e.message);
+    return;
+  }
+  if (document.getElementById("INP_WEATHER")) {
+    setWeather(document.getElementById("INP_WEATHER").value);
+  }
+  if (document.getElementById("INP_SEASON")) {
+    setSeason(document.getElementById("INP_SEASON").value);
+  }
   
   // Clear existing chunks to force regeneration
-  MEM.chunks = [];
-  MEM.xmin = 0;
-  MEM.xmax = 0;
+  chunkreset();
   
   // Regenerate the current view
   update();
@@ -174,9 +233,15 @@ function present() {
 }
 
 /**
- * Update the SVG viewport
+ * Update the viewport after scrolling within the drawn range (see
+ * needupdate). The SVG back-end only moves the viewBox; the canvas back-end
+ * blits the cached chunk bitmaps again.
  */
 function viewupdate() {
+  if (MEM.renderer == "canvas") {
+    canvasupdate();
+    return;
+  }
   try {
     document.getElementById("SVG").setAttribute("viewBox", calcViewBox());
   } catch (e) {
@@ -185,55 +250,320 @@ function viewupdate() {
 }
 
 /**
- * Main update function for rendering landscape chunks
+ * Blit the visible chunks onto the #CANV element, creating it on first use.
+ * The canvas is sized in device pixels so the bitmaps stay sharp on high
+ * density screens.
+ */
+function canvasupdate() {
+  var canvas = document.getElementById("CANV");
+  if (canvas == null) {
+    var dpr = window.devicePixelRatio || 1;
+    document.getElementById("BG").innerHTML =
+      "<canvas id='CANV' width='" +
+      Math.round(MEM.windx * dpr) +
+      "' height='" +
+      Math.round(MEM.windy * dpr) +
+      "' style='mix-blend-mode:multiply; width:" +
+      MEM.windx +
+      "px; height:" +
+      MEM.windy +
+      "px;'></canvas>";
+    canvas = document.getElementById("CANV");
+  }
+  self.chunkblit(canvas, MEM.cursx, MEM.cursx + MEM.windx);
+}
+
+/**
+ * Main update function for rendering landscape chunks. Missing chunks are
+ * requested from the worker pool and drawn when they arrive; without a pool
+ * they are generated here first.
  */
 function update() {
-  self.chunkloader(MEM.cursx, MEM.cursx + MEM.windx);
-  self.chunkrender(MEM.cursx, MEM.cursx + MEM.windx);
-
-  document.getElementById("BG").innerHTML =
-    "<svg id='SVG' xmlns='http://www.w3.org/2000/svg' width='" +
-    MEM.windx +
-    "' height='" +
-    MEM.windy +
-    "' style='mix-blend-mode:multiply;'" +
-    "viewBox = '" +
-    calcViewBox() +
-    "'" +
-    "><g id='G' transform='translate(" +
-    0 +
-    ",0)'>" +
-    MEM.canv +
-    "</g></svg>";
-}
-
-/**
- * Reload page with new seed
+  if (!self.chunkprefetch(MEM.cursx, MEM.cursx + MEM.windx, MEM.scrolldir)) {
+    self.chunkloader(MEM.cursx, MEM.cursx + MEM.windx);
+  }
+  draw();
+}
+
+/**
+ * Draw the loaded chunks with the back-end selected by the ?renderer= URL
+ * parameter: "svg" (default) updates the <svg> element, "canvas" blits
+ * cached bitmaps onto a <canvas>.
+ */
+function draw() {
+  if (MEM.renderer == "canvas") {
+    drawrange();
+    canvasupdate();
+    return;
+  }
+  svgupdate();
+}
+
+/**
+ * Bring the <svg> element up to date incrementally. Every chunk element in
+ * the drawn range has its own <g data-chunk="idx:seq"> under #G, in painting
+ * order: elements that entered the range are inserted at their place,
+ * elements that left it are removed, and everything else stays in the DOM
+ * untouched. The <svg> is only rebuilt after a chunkreset().
+ */
+function svgupdate() {
+  var svg = document.getElementById("SVG");
+  if (svg == null || svgEpoch != MEM.epoch) {
+    document.getElementById("BG").innerHTML = svgwrap("");
+    svg = document.getElementById("SVG");
+    svgShown = [];
+    svgEpoch = MEM.epoch;
+  }
+  var g = document.getElementById("G");
+  var range = drawrange();
+  var want = self.chunkquery(range[0], range[1]);
+
+  svgStamp++;
+  for (var i = 0; i < want.length; i++) {
+    want[i].stamp = svgStamp;
+  }
+  var keep = [];
+  for (var i = 0; i < svgShown.length; i++) {
+    if (svgShown[i].stamp == svgStamp) {
+      keep.push(svgShown[i]);
+    } else {
+      g.removeChild(svgShown[i].dom);
+      svgShown[i].dom = undefined;
+    }
+  }
+
+  // Both lists are in painting order, so the kept elements are a
+  // subsequence of the wanted ones and new elements go before the next kept
+  var j = 0;
+  for (var i = 0; i < want.length; i++) {
+    if (j < keep.length && keep[j] === want[i]) {
+      j++;
+      continue;
+    }
+    var node = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    node.setAttribute("data-chunk", want[i].idx + ":" + want[i].seq);
+    node.innerHTML = self.chunksvg(want[i]);
+    g.insertBefore(node, j < keep.length ? keep[j].dom : null);
+    want[i].dom = node;
+  }
+  svgShown = want;
+  svg.setAttribute("viewBox", calcViewBox());
+}
+
+/**
+ * Start generating chunks in background workers (see chunkpool.js). Chunks
+ * are drawn as they arrive; if the workers fail, generation falls back to
+ * the main thread.
+ * @returns {boolean} True if the workers were started
+ */
+function startWorkers() {
+  ChunkPool.onchunk = function(res) {
+    if (self.chunkreceive(res) > 0) {
+      draw();
+    }
+  };
+  ChunkPool.onfail = function() {
+    MEM.requested = {};
+    update();
+  };
+  return ChunkPool.start("js/chunk-worker.js");
+}
+
+/**
+ * The x-range in the EXPORT_XMIN and EXPORT_XMAX inputs. Empty inputs
+ * default to the edges of the current view.
+ * @returns {Array|undefined} [xmin, xmax], or undefined (after telling the
+ *   user) if the range is empty
+ */
+function exportRange() {
+  var xmin = parseFloat(document.getElementById("EXPORT_XMIN").value);
+  var xmax = parseFloat(document.getElementById("EXPORT_XMAX").value);
+  if (isNaN(xmin)) {
+    xmin = MEM.cursx;
+  }
+  if (isNaN(xmax)) {
+    xmax = MEM.cursx + MEM.windx / MEM.zoom;
+  }
+  if (xmax <= xmin) {
+    alert("The export range is empty: \"to\" must be larger than \"from\".");
+    return undefined;
+  }
+  return [xmin, xmax];
+}
+
+/**
+ * Download an SVG of the export range: the painting as it is displayed (see
+ * rangesvg in main.js), or with one layer per element type for editing (see
+ * layeredsvg)
+ * @param {boolean} [layered=false] - Download the layered file
+ */
+function downloadSvg(layered) {
+  var range = exportRange();
+  if (range == undefined) {
+    return;
+  }
+  var name = MEM.seed + "_" + Math.round(range[0]) + "_" + Math.round(range[1]);
+  if (layered) {
+    download(name + "_layered.svg", self.layeredsvg(range[0], range[1]));
+  } else {
+    download(name + ".svg", self.rangesvg(range[0], range[1]));
+  }
+}
+
+/**
+ * Download the export range for a pen plotter, in the format of the
+ * PLOT_FORMAT menu: an SVG (see plottersvg in main.js), or G-code or HPGL
+ * laid out on the PLOT_PAPER sheet (see plotterfile). PLOT_INKS sorts the
+ * lines into pens by tone (see plotterpens), in one file or, with
+ * PLOT_SPLIT checked, one file per pen (see plotterfiles). Empty
+ * PLOT_MARGIN, PLOT_HATCH, PLOT_PENUP and PLOT_PENDOWN inputs keep the
+ * defaults.
+ */
+function downloadPlotter() {
+  var range = exportRange();
+  if (range == undefined) {
+    return;
+  }
+  var format = document.getElementById("PLOT_FORMAT").value;
+  var name = MEM.seed + "_" + Math.round(range[0]) + "_" + Math.round(range[1]) + "_plotter";
+  var type = format == "svg" ? "image/svg+xml" : "text/plain";
+
+  var args = { format: format, paper: document.getElementById("PLOT_PAPER").value };
+  var inks = document.getElementById("PLOT_INKS").value.replace(/\s/g, "");
+  var margin = parseFloat(document.getElementById("PLOT_MARGIN").value);
+  var hatch = parseFloat(document.getElementById("PLOT_HATCH").value);
+  var penUp = document.getElementById("PLOT_PENUP").value;
+  var penDown = document.getElementById("PLOT_PENDOWN").value;
+  if (!isNaN(margin)) {
+    args.margin = margin;
+  }
+  if (!isNaN(hatch)) {
+    args.hatch = hatch;
+  }
+  if (penUp != "") {
+    args.penUp = penUp;
+  }
+  if (penDown != "") {
+    args.penDown = penDown;
+  }
+  if (inks != "") {
+    args.inks = inks;
+  }
+  try {
+    if (inks != "" && document.getElementById("PLOT_SPLIT").checked) {
+      var files = self.plotterfiles(range[0], range[1], args);
+      for (var i = 0; i < files.length; i++) {
+        download(name + "_pen" + (i + 1) + "." + format, files[i].text, type);
+      }
+    } else if (format == "svg") {
+      download(name + ".svg", self.plottersvg(range[0], range[1], args), type);
+    } else {
+      download(name + "." + format, self.plotterfile(range[0], range[1], args), type);
+    }
+  } catch (e) {
+    alert("Plotter export failed: " + e.message);
+  }
+}
+
+/**
+ * Download a PNG (see Raster.png) of the export range, sized by the PNG_DPI
+ * input or, if that is empty, the PNG_HEIGHT input (default: the height of
+ * the view). The button shows the progress while the tiles render.
+ */
+function downloadPng() {
+  var range = exportRange();
+  if (range == undefined) {
+    return;
+  }
+  var dpi = parseFloat(document.getElementById("PNG_DPI").value);
+  var height = parseFloat(document.getElementById("PNG_HEIGHT").value);
+  var args = {};
+  if (!isNaN(dpi)) {
+    args.dpi = dpi;
+  } else if (!isNaN(height)) {
+    args.height = height;
+  }
+
+  var button = document.getElementById("png-btn");
+  var label = button.innerHTML;
+  button.disabled = true;
+  args.progress = function(done, total) {
+    button.innerHTML = "Rendering " + done + "/" + total + "...";
+  };
+  var finish = function() {
+    button.disabled = false;
+    button.innerHTML = label;
+  };
+
+  // Let the button repaint before the first tile blocks the page
+  setTimeout(function() {
+    Raster.png(range[0], range[1], args).then(
+      function(parts) {
+        finish();
+        download(MEM.seed + "_" + Math.round(range[0]) + "_" + Math.round(range[1]) + ".png", parts, "image/png");
+      },
+      function(e) {
+        finish();
+        alert("PNG export failed: " + e.message);
+      },
+    );
+  }, 0);
+}
+
+/**
+ * Reload page with new seed, keeping the renderer, the mode, the weather,
+ * the season and the planner parameters that differ from their defaults
  * @param {string} s - New seed value (generates random seed if empty)
+ * @param {string} [mode=MEM.mode] - "scroll", "hanging" or "framed"
+ * @param {string} [shape] - Shape of the framed painting (default: the
+ *   current one)
  */
-function reloadWSeed(s) {
+function reloadWSeed(s, mode, shape) {
+  var mode = mode != undefined ? mode : MEM.mode;
+  var shape = shape != undefined ? shape : MEM.frame && MEM.frame.shape;
   var u = window.location.href.split("?")[0];
   // If no seed provided, generate a random one
   if (s === "" || s === undefined || s === null) {
     s = "" + new Date().getTime();
   }
-  window.location.href = u + "?seed=" + s;
+  var r = MEM.renderer == "svg" ? "" : "&renderer=" + MEM.renderer;
+  var m = mode == "scroll" ? "" : "&mode=" + mode;
+  if (mode == "framed" && shape) {
+    m += "&shape=" + shape;
+  }
+  if (WEATHER.type != "clear") {
+    m += "&weather=" + WEATHER.type;
+  }
+  if (MEM.season != "summer") {
+    m += "&season=" + MEM.season;
+  }
+  for (var k in PLANNER) {
+    if (PLANNER[k] != PLANNER_DEFAULTS[k]) {
+      m += "&" + k + "=" + PLANNER[k];
+    }
+  }
+  window.location.href = u + "?seed=" + s + r + m;
 }
 
 /**
- * Download SVG content as file
+ * Download content as file. A blob URL is used because exports of long
+ * ranges are too large for a data: URL.
  * @param {string} filename - Name of the file to download
- * @param {string} text - SVG content to download
+ * @param {string|Array} text - Content to download, or a list of parts
+ *   (strings or Uint8Arrays) to join
+ * @param {string} [type="image/svg+xml"] - MIME type of the content
  */
-function download(filename, text) {
+function download(filename, text, type) {
+  var type = type != undefined ? type : "image/svg+xml";
+  var url = URL.createObjectURL(new Blob([].concat(text), { type: type }));
   var element = document.createElement("a");
-  element.setAttribute(
-    "href",
-    "data:text/plain;charset=utf-8," + encodeURIComponent(text),
-  );
+  element.setAttribute("href", url);
   element.setAttribute("download", filename);
   element.style.display = "none";
   document.body.appendChild(element);
   element.click();
   document.body.removeChild(element);
+  setTimeout(function() {
+    URL.revokeObjectURL(url);
+  }, 1000);
 }
\ No newline at end of file
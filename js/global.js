@@ -0,0 +1,49 @@
+/**
+ * Global Bundle Module
+ *
+ * Creates the page-wide Shan Shui instance used by the browser app
+ * (display.js, main.js) and the headless renderer, and exposes its parts
+ * under the classic global names (Prng, Noise, Mount, Tree, poly, stroke...).
+ * Load it with a script tag after shanshui.js. Embedders that want their own
+ * instance use ShanShui.create() instead and can leave this file out.
+ *
+ * Dependencies: shanshui.js
+ */
+
+ShanShui.global = ShanShui.create();
+
+var Prng = ShanShui.global.Prng;
+var SeasonPrng = ShanShui.global.SeasonPrng;
+var seasonal = ShanShui.global.seasonal;
+var Noise = ShanShui.global.Noise;
+var PolyTools = ShanShui.global.PolyTools;
+var Scene = ShanShui.global.Scene;
+
+var unNan = ShanShui.global.unNan;
+var distance = ShanShui.global.distance;
+var mapval = ShanShui.global.mapval;
+var loopNoise = ShanShui.global.loopNoise;
+var randChoice = ShanShui.global.randChoice;
+var normRand = ShanShui.global.normRand;
+var wtrand = ShanShui.global.wtrand;
+var randGaussian = ShanShui.global.randGaussian;
+var bezmh = ShanShui.global.bezmh;
+var div = ShanShui.global.div;
+
+var STROKE_STYLE = ShanShui.global.STROKE_STYLE;
+var WEATHER = ShanShui.global.WEATHER;
+var poly = ShanShui.global.poly;
+var stroke = ShanShui.global.stroke;
+var brokenStroke = ShanShui.global.brokenStroke;
+var blob = ShanShui.global.blob;
+var texture = ShanShui.global.texture;
+var text = ShanShui.global.text;
+
+var Tree = ShanShui.global.Tree;
+var Man = ShanShui.global.Man;
+var Arch = ShanShui.global.Arch;
+var Mount = ShanShui.global.Mount;
+var water = ShanShui.global.water;
+var river = ShanShui.global.river;
+var reflection = ShanShui.global.reflection;
+var Mist = ShanShui.global.Mist;
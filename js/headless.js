@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+/**
+ * Headless Renderer - Node.js entry point
+ *
+ * Loads the generator layer and the chunk system from main.js without a DOM,
+ * and renders a seed and x-range to a standalone SVG or PNG file, so artwork
+ * can be produced offline and in batch.
+ *
+ * Usage:
+ *   node js/headless.js --seed=42 --xmin=0 --xmax=3000 --out=landscape.svg
+ *   node js/headless.js --seed=42 --xmin=0 --xmax=9000 --png --dpi=300 --out=print.png
+ *
+ * Options:
+ *   --seed=S         Landscape seed (default: current time)
+ *   --xmin=X         Left edge of the rendered range (default: 0)
+ *   --xmax=X         Right edge of the rendered range (default: 3000)
+ *   --height=H       Viewport height in pixels, as MEM.windy (default: 800)
+ *   --no-trees, --no-buildings, --no-boats, --no-water
+ *                    Exclude elements, like the ELEMENTS toggles in the menu
+ *   --broken         Use broken strokes, like the Broken Strokes toggle
+ *   --weather=W      clear (default), snow, rain or wind, like the Weather
+ *                    menu (see setWeather in main.js)
+ *   --season=S       spring, summer (default), autumn or winter, like the
+ *                    Season menu (see setSeason in main.js)
+ *   --mode=M         scroll (default), hanging (a tall single painting) or
+ *                    framed (a single composition of --shape), rendered
+ *                    whole instead of --xmin to --xmax
+ *   --shape=S        Framed painting: a3 (default), square or fan
+ *   --preset=P       Planner preset: default, sparse or dense
+ *   --samp=N, --peak=N, --mwid=N, --flatp=N, --boatp=N, --diststep=N,
+ *   --region=N, --river=N, --mist=N
+ *                    Planner parameters, over the preset (see setPlanner in
+ *                    main.js)
+ *   --frame=WxH      Size of the painting in landscape units (default:
+ *                    600x1800 for the hanging scroll, else by --shape)
+ *   --layered        One Inkscape / Illustrator layer per element type, like
+ *                    the Download as layered .SVG button (stacked by type,
+ *                    so it loses the occlusion of the painting)
+ *   --plotter[=F]    Centerlines with hidden lines removed, for pen plotters,
+ *                    like the Download for Plotter button; F is svg (default),
+ *                    gcode or hpgl
+ *   --paper=P        G-code / HPGL sheet: A5, A4 (default), A3, A2, letter,
+ *                    tabloid, or WxH in mm
+ *   --margin=M       G-code / HPGL margin in mm (default: 15)
+ *   --pen-width=W    Pen width in mm, the hatch spacing (default: 0.4)
+ *   --hatch=W        Hatch strokes wider than W mm on paper (default: off)
+ *   --pen-up=C, --pen-down=C
+ *                    G-code that lifts and lowers the pen (default: G0 Z5,
+ *                    G0 Z0)
+ *   --feed=F         G-code drawing speed in mm/min (default: 3000)
+ *   --pen=N          HPGL number of the first pen (default: 1)
+ *   --inks=I         Sort plotter lines into pens by tone: a number of pens,
+ *                    or their tones, e.g. 0.1,0.3:#888,0.6:black
+ *   --pen-change=C   G-code that waits for the next pen (default: M0)
+ *   --split          One plotter file per pen, named FILE_pen1.ext and so
+ *                    on (needs --out)
+ *   --png            Render a PNG over the paper texture, like the Download
+ *                    as .PNG button (needs the canvas package)
+ *   --dpi=D          PNG resolution, 96 being the app's scale on screen
+ *   --png-height=H   PNG height in pixels, if no --dpi (default: --height)
+ *   --out=FILE       Output file (default: write to stdout)
+ *   --verbose        Forward the generators' console.log output to stderr
+ *
+ * Dependencies: Node.js 18+ (fs, path, vm), canvas or @napi-rs/canvas for PNG
+ */
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+// Scripts in the order shanshui.html loads them (display.js needs a DOM)
+var MODULES = [
+  "prng.js",
+  "noise.js",
+  "polytools.js",
+  "scene.js",
+  "utils.js",
+  "rendering.js",
+  "svg-renderer.js",
+  "canvas-renderer.js",
+  "plotter.js",
+  "trees.js",
+  "mountains.js",
+  "architecture.js",
+  "figures.js",
+  "water.js",
+  "mist.js",
+  "shanshui.js",
+  "global.js",
+  "main.js",
+  "raster.js",
+];
+
+/**
+ * Load the Shan Shui scripts into a fresh sandbox. Every sandbox has its own
+ * MEM and Shan Shui instance, so several landscapes can be rendered in one
+ * process.
+ * @param {Object} [args] - Options
+ * @param {boolean} [args.verbose=false] - Forward console.log to stderr
+ * @returns {Object} Sandbox global exposing MEM, chunkloader, Mount, etc.
+ */
+function load(args) {
+  var args = args != undefined ? args : {};
+  var verbose = args.verbose != undefined ? args.verbose : false;
+
+  var err = function() {
+    console.error.apply(console, arguments);
+  };
+  var sandbox = {
+    Buffer: Buffer,
+    CompressionStream: CompressionStream,
+    console: {
+      log: verbose ? err : function() {},
+      warn: err,
+      error: err,
+    },
+  };
+  vm.createContext(sandbox);
+  for (var i = 0; i < MODULES.length; i++) {
+    var file = path.join(__dirname, MODULES[i]);
+    vm.runInContext(fs.readFileSync(file, "utf8"), sandbox, {
+      filename: file,
+    });
+  }
+  return sandbox;
+}
+
+/**
+ * Load a sandbox and set it up for a seed, range and toggles, the way the
+ * app is when it shows that range
+ * @param {Object} args - Render options (see render)
+ * @returns {Object} Sandbox global
+ */
+function prepare(args) {
+  var seed = args.seed != undefined ? args.seed : "" + new Date().getTime();
+  var xmin = args.xmin != undefined ? args.xmin : 0;
+  var xmax = args.xmax != undefined ? args.xmax : 3000;
+  var height = args.height != undefined ? args.height : 800;
+  var toggles = args.toggles != undefined ? args.toggles : {};
+  var broken = args.broken != undefined ? args.broken : false;
+
+  var ss = load({ verbose: args.verbose });
+  ss.seedLandscape(seed);
+  for (var k in toggles) {
+    ss.ELEMENT_TOGGLES[k] = toggles[k];
+  }
+  ss.STROKE_STYLE.broken = broken;
+  if (args.weather != undefined) {
+    ss.setWeather(args.weather);
+  }
+  if (args.season != undefined) {
+    ss.setSeason(args.season);
+  }
+  ss.initElementToggles();
+  if (args.preset != undefined) {
+    ss.setPlanner(args.preset);
+  }
+  var cfg = {};
+  for (var k in ss.PLANNER) {
+    if (args[k] != undefined) {
+      cfg[k] = parseFloat(args[k]);
+    }
+  }
+  ss.setPlanner(cfg);
+
+  var MEM = ss.MEM;
+  MEM.cursx = xmin;
+  MEM.windx = (xmax - xmin) * MEM.zoom;
+  MEM.windy = height;
+  // Chunks only depend on their index, so start loading at the chunk that
+  // contains xmin instead of walking out from 0
+  MEM.xmin = MEM.xmax = Math.floor(xmin / MEM.cwid) * MEM.cwid;
+  if (args.mode != undefined && args.mode != "scroll") {
+    ss.setMode(args.mode, Object.assign({ shape: args.shape }, args.frame));
+    MEM.xmin = MEM.xmax = 0;
+  }
+  return ss;
+}
+
+/**
+ * The x-range to render: args.xmin to args.xmax, or the whole painting in
+ * the hanging scroll and framed modes
+ * @param {Object} ss - Sandbox from prepare()
+ * @param {Object} args - Render options
+ * @returns {Array} [xmin, xmax]
+ */
+function extent(ss, args) {
+  if (ss.MEM.frame) {
+    return [0, ss.MEM.frame.width];
+  }
+  return [args.xmin != undefined ? args.xmin : 0, args.xmax != undefined ? args.xmax : 3000];
+}
+
+/**
+ * Render a landscape to a standalone SVG document
+ * @param {Object} [args] - Render options
+ * @param {string} [args.seed] - Landscape seed (default: current time)
+ * @param {number} [args.xmin=0] - Left edge of the rendered range
+ * @param {number} [args.xmax=3000] - Right edge of the rendered range
+ * @param {number} [args.height=800] - Viewport height in pixels
+ * @param {Object} [args.toggles] - Element toggles (trees, buildings, boats, water)
+ * @param {boolean} [args.broken=false] - Use broken strokes
+ * @param {string} [args.weather="clear"] - "snow", "rain" or "wind"
+ * @param {string} [args.season="summer"] - "spring", "autumn" or "winter"
+ * @param {string} [args.mode="scroll"] - "hanging" or "framed" renders a
+ *   single painting (see setMode in main.js) instead of the range
+ * @param {string} [args.shape="a3"] - Framed mode: "a3", "square" or "fan"
+ * @param {string} [args.preset] - Planner preset (see PLANNER_PRESETS in
+ *   main.js); args.samp, peak, mwid, flatp, boatp, diststep, region, river
+ *   and mist override
+ *   single planner parameters
+ * @param {Object} [args.frame] - {width, height} of the painting
+ * @param {boolean} [args.layered=false] - Split the output into layers per
+ *   element type (see layeredsvg in main.js)
+ * @param {boolean|string} [args.plotter=false] - Output plotter lines
+ *   instead of the painting: true or "svg" for an SVG (see plottersvg in
+ *   main.js), "gcode" or "hpgl" for a program (see plotterfile), which also
+ *   takes args.paper, margin, penWidth, hatch, penUp, penDown, penChange,
+ *   feed and pen
+ * @param {number|string|Array} [args.inks] - Sort plotter lines into pens
+ *   by tone (see plotterpens in main.js)
+ * @param {boolean} [args.verbose=false] - Forward console.log to stderr
+ * @returns {string} SVG document, or G-code or HPGL program
+ */
+function render(args) {
+  var args = args != undefined ? args : {};
+  var layered = args.layered != undefined ? args.layered : false;
+  var plotter = args.plotter != undefined ? args.plotter : false;
+
+  var ss = prepare(args);
+  var MEM = ss.MEM;
+  var range = extent(ss, args);
+  var xmin = range[0];
+  var xmax = range[1];
+  if (plotter === true || plotter == "svg") {
+    return ss.plottersvg(xmin, xmax, { inks: args.inks });
+  }
+  if (plotter) {
+    return ss.plotterfile(xmin, xmax, plotterArgs(args));
+  }
+  if (layered) {
+    return ss.layeredsvg(xmin, xmax);
+  }
+  ss.chunkloader(xmin, xmax);
+  ss.chunkrender(xmin, xmax);
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + ss.svgwrap(MEM.canv);
+}
+
+/**
+ * Render a landscape for a pen plotter as one file per pen (see
+ * plotterfiles in main.js)
+ * @param {Object} [args] - The options of render(), with args.plotter
+ *   "svg", "gcode" or "hpgl" (default: "svg")
+ * @returns {Array} {ink, text} for each ink, lightest first
+ */
+function renderPens(args) {
+  var args = args != undefined ? args : {};
+
+  var ss = prepare(args);
+  var range = extent(ss, args);
+  return ss.plotterfiles(range[0], range[1], plotterArgs(args));
+}
+
+// Options of plotterfile and plotterfiles from render options
+function plotterArgs(args) {
+  return {
+    format: typeof args.plotter == "string" ? args.plotter : "svg",
+    paper: args.paper,
+    margin: args.margin,
+    penWidth: args.penWidth,
+    hatch: args.hatch,
+    penUp: args.penUp,
+    penDown: args.penDown,
+    penChange: args.penChange,
+    feed: args.feed,
+    pen: args.pen,
+    inks: args.inks,
+  };
+}
+
+/**
+ * Find a canvas implementation for Node.js: the canvas package, or
+ * @napi-rs/canvas where canvas has no build for the platform
+ * @returns {Function} createCanvas(w, h)
+ */
+function canvasFactory() {
+  var names = ["canvas", "@napi-rs/canvas"];
+  for (var i = 0; i < names.length; i++) {
+    try {
+      return require(names[i]).createCanvas;
+    } catch (e) {
+      if (e.code != "MODULE_NOT_FOUND") {
+        throw e;
+      }
+    }
+  }
+  throw new Error("PNG output needs a canvas implementation: npm install canvas (or @napi-rs/canvas)");
+}
+
+/**
+ * Render a landscape to a PNG over the paper texture (see Raster.png)
+ * @param {Object} [args] - Render options of render(), and:
+ * @param {number} [args.dpi] - Print resolution
+ * @param {number} [args.pngHeight] - Image height in pixels, if no dpi
+ *   (default: args.height)
+ * @param {Function} [args.canvas] - createCanvas(w, h) (default: from the
+ *   canvas or @napi-rs/canvas package)
+ * @param {Function} [args.progress] - Called as progress(done, total) per tile
+ * @returns {Promise} Resolves to a Buffer holding the PNG file
+ */
+function renderPng(args) {
+  var args = args != undefined ? args : {};
+  var canvas = args.canvas;
+  if (canvas == undefined) {
+    try {
+      canvas = canvasFactory();
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  }
+
+  var ss = prepare(args);
+  var range = extent(ss, args);
+  return ss.Raster.png(range[0], range[1], {
+    dpi: args.dpi,
+    height: args.pngHeight,
+    canvas: canvas,
+    progress: args.progress,
+  }).then(function(parts) {
+    return Buffer.concat(parts);
+  });
+}
+
+/**
+ * Parse command line arguments of the form --key=value and --flag
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Render options for render(), plus out
+ */
+function parseArgv(argv) {
+  var opts = { toggles: {} };
+  for (var i = 0; i < argv.length; i++) {
+    var e = argv[i].replace(/^--/, "").split("=");
+    var key = e[0];
+    var val = e.slice(1).join("=");
+    if (key.indexOf("no-") == 0) {
+      opts.toggles[key.slice(3)] = false;
+    } else if (key == "xmin" || key == "xmax" || key == "height" || key == "dpi") {
+      opts[key] = parseFloat(val);
+    } else if (key == "margin" || key == "hatch" || key == "feed" || key == "pen") {
+      opts[key] = parseFloat(val);
+    } else if (key == "png-height" || key == "pen-width") {
+      opts[key == "png-height" ? "pngHeight" : "penWidth"] = parseFloat(val);
+    } else if (key == "pen-up" || key == "pen-down" || key == "pen-change") {
+      opts[{ "pen-up": "penUp", "pen-down": "penDown", "pen-change": "penChange" }[key]] = val;
+    } else if (key == "frame") {
+      var wh = /^([\d.]+)x([\d.]+)$/.exec(val);
+      opts.frame = wh ? { width: parseFloat(wh[1]), height: parseFloat(wh[2]) } : undefined;
+    } else if (key == "paper") {
+      var wh = /^([\d.]+)x([\d.]+)$/.exec(val);
+      opts.paper = wh ? [parseFloat(wh[1]), parseFloat(wh[2])] : val;
+    } else if (key == "plotter") {
+      opts.plotter = val != "" ? val : true;
+    } else if (key == "broken" || key == "layered" || key == "png" || key == "split" || key == "verbose") {
+      opts[key] = true;
+    } else {
+      opts[key] = val;
+    }
+  }
+  return opts;
+}
+
+if (require.main === module) {
+  var opts = parseArgv(process.argv.slice(2));
+  if (opts.png) {
+    renderPng(opts).then(
+      function(png) {
+        if (opts.out) {
+          fs.writeFileSync(opts.out, png);
+        } else {
+          process.stdout.write(png);
+        }
+      },
+      function(e) {
+        console.error(e.message);
+        process.exitCode = 1;
+      }
+    );
+  } else if (opts.split) {
+    if (!opts.out) {
+      console.error("--split needs --out");
+      process.exitCode = 1;
+    } else {
+      var ext = path.extname(opts.out);
+      renderPens(opts).forEach(function(file, i) {
+        fs.writeFileSync(opts.out.slice(0, opts.out.length - ext.length) + "_pen" + (i + 1) + ext, file.text);
+      });
+    }
+  } else {
+    var svg = render(opts);
+    if (opts.out) {
+      fs.writeFileSync(opts.out, svg);
+    } else {
+      process.stdout.write(svg + "\n");
+    }
+  }
+}
+
+module.exports = {
+  load: load,
+  prepare: prepare,
+  parseArgv: parseArgv,
+  render: render,
+  renderPng: renderPng,
+  renderPens: renderPens,
+};
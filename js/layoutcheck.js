@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Layout Check - Node.js script
+ *
+ * Checks that the weather and the season do not move the landscape. Loads
+ * the chunk system from main.js through headless.js, generates the chunks
+ * of a seed and x-range in each of WEATHERS in the given season, and in
+ * each of SEASONS in the given weather, and compares where their elements
+ * and the buildings, towers, boats, figures and trees in them lie. Only the
+ * snow, the leaves and the like may change (see seasonal in shanshui.js).
+ * Prints the mismatches and exits with status 1 if there are any.
+ *
+ * Usage:
+ *   node js/layoutcheck.js --seed=42 --xmin=0 --xmax=3000
+ *
+ * Options: the seed, range, toggle, weather, season, mode and planner
+ * options of headless.js
+ *
+ * Dependencies: Node.js 18+, headless.js
+ */
+var headless = require("./headless.js");
+
+/**
+ * Where the elements of a chunk and the buildings, towers, boats, figures
+ * and trees in them lie, as strings. Trees are placed by their depth, since
+ * their leaves and snow change their bounds.
+ * @param {Object} ss - Sandbox from headless.js
+ * @param {Array} elems - Chunk elements from chunkgen
+ * @returns {Array} One string per element and group
+ */
+function chunklayout(ss, elems) {
+  var placed = ["building", "tower", "boat", "figure"];
+  var out = [];
+  var visit = function(node) {
+    if (Array.isArray(node)) {
+      for (var i = 0; i < node.length; i++) {
+        visit(node[i]);
+      }
+      return;
+    }
+    if (node.type != "group") {
+      return;
+    }
+    if (node.tags.indexOf("tree") != -1) {
+      out.push(node.source + "@" + Math.round(node.depth));
+    } else if (node.tags.length && placed.indexOf(node.tags[0]) != -1) {
+      var box = ss.Scene.bounds(node);
+      out.push(node.source + "@" + (box ? Math.round(box.xmin) + "," + Math.round(box.ymax) : "-"));
+    }
+    for (var i = 0; i < node.children.length; i++) {
+      visit(node.children[i]);
+    }
+  };
+  for (var i = 0; i < elems.length; i++) {
+    // The rain veil is only planned in the rain
+    if (elems[i].tag == "rain") {
+      continue;
+    }
+    out.push(elems[i].tag + "@" + elems[i].x.toFixed(2) + "," + elems[i].y.toFixed(2));
+    visit(elems[i].canv);
+  }
+  return out;
+}
+
+/**
+ * Compare the layout of a landscape across weathers and seasons
+ * @param {Object} [args] - The options of render() in headless.js; the
+ *   weather and season are the ones the others are compared with
+ * @returns {Array} Mismatches, as strings "weather/season: chunk k:
+ *   expected a, got b"; empty if the layout is the same in all of them
+ */
+function check(args) {
+  var args = args != undefined ? args : {};
+  var xmin = args.xmin != undefined ? args.xmin : 0;
+  var xmax = args.xmax != undefined ? args.xmax : 3000;
+
+  var ss = headless.prepare(args);
+  var weather = ss.WEATHER.type;
+  var season = ss.MEM.season;
+  var modes = [[weather, season]];
+  for (var i = 0; i < ss.WEATHERS.length; i++) {
+    if (ss.WEATHERS[i] != weather) {
+      modes.push([ss.WEATHERS[i], season]);
+    }
+  }
+  for (var i = 0; i < ss.SEASONS.length; i++) {
+    if (ss.SEASONS[i] != season) {
+      modes.push([weather, ss.SEASONS[i]]);
+    }
+  }
+  // A single painting is planned whole in chunk 0
+  var k0 = ss.MEM.frame ? 0 : Math.floor(xmin / ss.MEM.cwid);
+  var k1 = ss.MEM.frame ? 0 : Math.floor(xmax / ss.MEM.cwid);
+
+  var layouts = [];
+  for (var m = 0; m < modes.length; m++) {
+    ss.setWeather(modes[m][0]);
+    ss.setSeason(modes[m][1]);
+    layouts.push([]);
+    for (var k = k0; k <= k1; k++) {
+      layouts[m].push(chunklayout(ss, ss.chunkgen(k, ss.ELEMENT_TOGGLES)));
+    }
+  }
+
+  var bad = [];
+  for (var m = 1; m < modes.length; m++) {
+    for (var k = k0; k <= k1; k++) {
+      var a = layouts[0][k - k0];
+      var b = layouts[m][k - k0];
+      for (var i = 0; i < Math.max(a.length, b.length); i++) {
+        if (a[i] !== b[i]) {
+          bad.push(modes[m].join("/") + ": chunk " + k + ": expected " + a[i] + ", got " + b[i]);
+          break;
+        }
+      }
+    }
+  }
+  return bad;
+}
+
+if (require.main === module) {
+  var bad = check(headless.parseArgv(process.argv.slice(2)));
+  for (var i = 0; i < bad.length; i++) {
+    console.error(bad[i]);
+  }
+  process.exitCode = bad.length ? 1 : 0;
+}
+
+module.exports = {
+  check: check,
+};
@@ -3,12 +3,17 @@
  * 
  * This module contains the main application logic, memory management,
  * landscape planning, chunk rendering, and coordinate system management.
+ * 
+ * Dependencies: global.js, svg-renderer.js, canvas-renderer.js, plotter.js
  */
 
 // Global memory object for application state
 var MEM = {
   canv: "",
-  chunks: [],
+  index: {},
+  loaded: {},
+  maxchunks: 24,
+  drawn: null,
   xmin: 0,
   xmax: 0,
   cwid: 512,
@@ -16,7 +21,19 @@ var MEM = {
   lasttick: 0,
   windx: 3000,
   windy: 800,
+  zoom: 1.142,
   planmtx: [],
+  mountplans: {},
+  seed: "",
+  renderer: "svg",
+  scrolldir: 1,
+  lookahead: 3,
+  ready: {},
+  requested: {},
+  epoch: 0,
+  mode: "scroll",
+  frame: null,
+  season: "summer",
 };
 
 // Global element toggles
@@ -27,6 +44,84 @@ var ELEMENT_TOGGLES = {
   water: true
 };
 
+// Parameters of the handscroll planner (mountplanner), see setPlanner()
+var PLANNER_DEFAULTS = {
+  samp: 0.03, // Noise frequency along x; higher gives more, narrower ranges
+  peak: 0.3, // Height of the noise (0 to 0.9) a mountain must exceed
+  mwid: 200, // Space a mountain keeps free of flat mountains on each side
+  flatp: 0.01, // Chance of a group of flat mountains, per 5px of free space
+  boatp: 0.2, // Chance of a boat per 5px, at least 400px apart
+  diststep: 1000, // Spacing of distant mountains; 0 for none
+  region: 6000, // Typical length of a biome region; 0 for none, see BIOMES
+  river: 1, // Width factor of the river and lakes; 0 for none, see waterAt
+  mist: 1, // Density of mist bands and clouds; 0 for none
+};
+var PLANNER = Object.assign({}, PLANNER_DEFAULTS);
+
+// Named planner configurations, over PLANNER_DEFAULTS
+var PLANNER_PRESETS = {
+  default: {},
+  sparse: { samp: 0.02, peak: 0.45, mwid: 300, flatp: 0.002, boatp: 0.005, diststep: 2000 },
+  dense: { samp: 0.04, peak: 0.2, mwid: 120, flatp: 0.03, boatp: 0.5, diststep: 500 },
+};
+
+// Biomes of the handscroll, see biomeAt(). Numbers are blended across
+// region borders: peak is added to PLANNER.peak; hei, wid, water, flat and
+// boat scale the mountains' size, the water (see waterAt) and the chances
+// of flat mountains and boats, and mis the mist; pro, den, arc, roc, sno,
+// wfl, pav, ste and ter are passed to Mount.mountain. trees and cli come
+// from one biome per mountain.
+var BIOMES = {
+  // Steep karst towers, sparse trees
+  karst: {
+    peak: -0.1, hei: 1.2, wid: 0.45, pro: 0.35, den: 0.7, arc: 0.6, roc: 0.1, sno: 0, wfl: 0.25,
+    pav: 0.3, ste: 0.2, ter: 0,
+    water: 0.7, flat: 0.5, boat: 0.7, mis: 1.5,
+    trees: { mid: "tree08", bot: "tree07", edge: "pine" },
+  },
+  // Broad low hills among wide water, with villages and boats
+  lake: {
+    peak: 0.15, hei: 0.55, wid: 1.2, pro: 1.3, den: 0.5, arc: 1.5, roc: 0.1, sno: 0, wfl: 0.05,
+    pav: 0.15, ste: 0.1, ter: 0.4,
+    water: 2.5, flat: 2.5, boat: 2.5, mis: 1.2,
+    trees: { bot: "willow" },
+  },
+  // Rounded hills covered in trees
+  forest: {
+    peak: 0, hei: 0.9, wid: 1.1, pro: 0.8, den: 1.6, arc: 0.8, roc: 0.05, sno: 0, wfl: 0.2,
+    pav: 0.1, ste: 0.2, ter: 0.3,
+    water: 1, flat: 1, boat: 0.8, mis: 0.8,
+    trees: {},
+  },
+  // Cliffs dropping into the sea, rocks at their feet
+  coast: {
+    peak: 0.05, hei: 0.9, wid: 0.9, pro: 0.4, den: 0.3, arc: 1, roc: 0.3, sno: 0, wfl: 0.15,
+    pav: 0.4, ste: 0.2, ter: 0,
+    water: 2, flat: 0.5, boat: 2, mis: 1,
+    trees: { bot: "tree06", edge: "pine" }, cli: true,
+  },
+  // High ranges with snow on their upper slopes
+  snow: {
+    peak: -0.05, hei: 1.3, wid: 1.1, pro: 1.2, den: 0.3, arc: 0.3, roc: 0.1, sno: 0.5, wfl: 0.15,
+    pav: 0, ste: 0.1, ter: 0,
+    water: 0.6, flat: 0.5, boat: 0.4, mis: 1.2,
+    trees: { mid: "tree08", bot: "tree07", edge: "pine" },
+  },
+};
+
+// Frame sizes of the framed mode in landscape units, see setMode()
+var FRAMES = {
+  a3: { width: 1200, height: 849 }, // A3 landscape
+  square: { width: 800, height: 800 }, // Album leaf
+  fan: { width: 1200, height: 480 }, // Folding fan, see fanShape()
+};
+
+// Weathers the landscape can be painted in, see setWeather()
+var WEATHERS = ["clear", "snow", "rain", "wind"];
+
+// Seasons of the trees, see setSeason()
+var SEASONS = ["spring", "summer", "autumn", "winter"];
+
 // Store original architecture and tree functions
 var OriginalArch = null;
 var OriginalTree = null;
@@ -36,133 +131,80 @@ var OriginalTree = null;
  */
 function initArchitectureToggles() {
   if (!OriginalArch && typeof Arch !== 'undefined') {
-    // Store original functions
-    OriginalArch = {
-      arch01: Arch.arch01,
-      arch02: Arch.arch02,
-      arch03: Arch.arch03,
-      arch04: Arch.arch04
-    };
-    
-    // Wrap architecture functions to respect toggles
-    Arch.arch01 = function(x, y, seed, args) {
-      var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
-      if (!toggles.buildings) {
-        return ''; // Return empty string if buildings are disabled
-      }
-      return OriginalArch.arch01(x, y, seed, args);
-    };
-    
-    Arch.arch02 = function(x, y, seed, args) {
-      var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
-      if (!toggles.buildings) {
-        return '';
-      }
-      return OriginalArch.arch02(x, y, seed, args);
-    };
-    
-    Arch.arch03 = function(x, y, seed, args) {
-      var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
-      if (!toggles.buildings) {
-        return '';
-      }
-      return OriginalArch.arch03(x, y, seed, args);
-    };
-    
-    Arch.arch04 = function(x, y, seed, args) {
-      var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
-      if (!toggles.buildings) {
-        return '';
-      }
-      return OriginalArch.arch04(x, y, seed, args);
-    };
-    
+    // Architecture functions, all under the buildings toggle
+    var wrapped = [
+      "arch01",
+      "arch02",
+      "arch03",
+      "arch04",
+      "bridge01",
+      "bridge02",
+      "pavilion01",
+      "paifang01",
+      "wall01",
+      "terrace01",
+      "steps01"
+    ];
+
+    // Store original functions and wrap them to respect toggles
+    OriginalArch = {};
+    for (var i = 0; i < wrapped.length; i++) {
+      OriginalArch[wrapped[i]] = Arch[wrapped[i]];
+      Arch[wrapped[i]] = toggled(Arch[wrapped[i]], "buildings");
+    }
+
     console.log("Architecture toggles initialized");
   }
 }
 
+/**
+ * Wrap a generator so it returns an empty node list while its element
+ * toggle is off. The generator still runs, so it draws the same random
+ * numbers either way and the rest of the mountain does not change when the
+ * toggle is flipped.
+ * @param {Function} f - Original generator
+ * @param {string} toggle - Key of ELEMENT_TOGGLES it is under
+ * @returns {Function} Wrapped generator
+ */
+function toggled(f, toggle) {
+  return function() {
+    var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
+    var canv = f.apply(this, arguments);
+    if (!toggles[toggle]) {
+      return [];
+    }
+    return canv;
+  };
+}
+
 /**
  * Initialize tree function wrappers
  */
 function initTreeToggles() {
   if (!OriginalTree && typeof Tree !== 'undefined') {
-    // Store original tree functions
-    OriginalTree = {
-      tree01: Tree.tree01,
-      tree02: Tree.tree02,
-      tree03: Tree.tree03,
-      tree04: Tree.tree04,
-      tree05: Tree.tree05,
-      tree06: Tree.tree06,
-      tree07: Tree.tree07,
-      tree08: Tree.tree08
-    };
-    
-    // Wrap tree functions to respect toggles
-    Tree.tree01 = function(x, y, args) {
-      var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
-      if (!toggles.trees) {
-        return ''; // Return empty string if trees are disabled
-      }
-      return OriginalTree.tree01(x, y, args);
-    };
-    
-    Tree.tree02 = function(x, y, args) {
-      var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
-      if (!toggles.trees) {
-        return '';
-      }
-      return OriginalTree.tree02(x, y, args);
-    };
-    
-    Tree.tree03 = function(x, y, args) {
-      var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
-      if (!toggles.trees) {
-        return '';
-      }
-      return OriginalTree.tree03(x, y, args);
-    };
-    
-    Tree.tree04 = function(x, y, args) {
-      var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
-      if (!toggles.trees) {
-        return '';
-      }
-      return OriginalTree.tree04(x, y, args);
-    };
-    
-    Tree.tree05 = function(x, y, args) {
-      var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
-      if (!toggles.trees) {
-        return '';
-      }
-      return OriginalTree.tree05(x, y, args);
-    };
-    
-    Tree.tree06 = function(x, y, args) {
-      var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
-      if (!toggles.trees) {
-        return '';
-      }
-      return OriginalTree.tree06(x, y, args);
+    // Tree functions and the toggle each is under
+    var wrapped = {
+      tree01: "trees",
+      tree02: "trees",
+      tree03: "trees",
+      tree04: "trees",
+      tree05: "trees",
+      tree06: "trees",
+      tree07: "trees",
+      tree08: "trees",
+      bamboo: "trees",
+      willow: "trees",
+      plum: "trees",
+      pine: "trees"
     };
-    
-    Tree.tree07 = function(x, y, args) {
-      var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
-      if (!toggles.trees) {
-        return '';
-      }
-      return OriginalTree.tree07(x, y, args);
-    };
-    
-    Tree.tree08 = function(x, y, args) {
-      var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
-      if (!toggles.trees) {
-        return '';
-      }
-      return OriginalTree.tree08(x, y, args);
-    };
-    
+
+    // Store original tree functions and wrap them to respect toggles
+    OriginalTree = {};
+    for (var name in wrapped) {
+      OriginalTree[name] = Tree[name];
+      Tree[name] = toggled(Tree[name], wrapped[name]);
+    }
+
     console.log("Tree toggles initialized");
   }
 }
@@ -185,16 +227,17 @@ var mouseY = 0;
  * @param {number} y - Y coordinate  
  * @param {number} seed - Random seed
  * @param {Object} toggles - Element toggle states
- * @returns {string} SVG markup for mountain
+ * @param {Object} [args] - More options of Mount.mountain, e.g. hei and wid
+ * @returns {Object} Scene group for mountain
  */
-function generateMountainWithToggles(x, y, seed, toggles) {
+function generateMountainWithToggles(x, y, seed, toggles, args) {
   // Initialize all element toggles if not done yet
   initElementToggles();
   
   // Generate mountain (trees and buildings will be controlled by function wrappers)
-  return Mount.mountain(x, y, seed, {
+  return Mount.mountain(x, y, seed, Object.assign({
     veg: true // Always pass true, let the wrapper functions handle the toggle
-  });
+  }, args));
 }
 
 /**
@@ -217,30 +260,311 @@ function parseArgs(key2f) {
   }
 }
 
+/**
+ * Switch between the infinite handscroll and the single paintings: the
+ * hanging scroll (lizhou) planned by hangingplanner, and the framed
+ * composition planned by framedplanner. A single painting is chunk 0 and
+ * the view is sized to it, so the display and every export (layeredsvg,
+ * plottersvg, Raster.png, ...) cover exactly the painting. Call before
+ * loading chunks.
+ * @param {string} mode - "scroll", "hanging" or "framed"
+ * @param {Object} [args] - Options
+ * @param {string} [args.shape="a3"] - Framed mode: "a3", "square" or "fan",
+ *   see FRAMES
+ * @param {number} [args.width] - Width of the painting in landscape units
+ *   (default: 600 for the hanging scroll, else that of the shape)
+ * @param {number} [args.height] - Height of the painting (default: 1800
+ *   for the hanging scroll, else that of the shape)
+ */
+function setMode(mode, args) {
+  var args = args != undefined ? args : {};
+  if (mode == "hanging" || mode == "framed") {
+    var size = { width: 600, height: 1800 };
+    if (mode == "framed") {
+      var shape = args.shape != undefined ? args.shape : "a3";
+      size = FRAMES[shape];
+      if (size == undefined) {
+        throw new Error("setMode: unknown shape " + shape);
+      }
+    }
+    MEM.frame = {
+      width: args.width != undefined ? args.width : size.width,
+      height: args.height != undefined ? args.height : size.height,
+      shape: shape,
+    };
+    MEM.cursx = 0;
+    MEM.windx = MEM.frame.width * MEM.zoom;
+    MEM.windy = MEM.frame.height * MEM.zoom;
+  } else if (mode == "scroll") {
+    MEM.frame = null;
+  } else {
+    throw new Error("setMode: unknown mode " + mode);
+  }
+  MEM.mode = mode;
+}
+
+/**
+ * Configure the handscroll planner. Plans made with the old configuration
+ * are dropped, so call chunkreset() before loading chunks again.
+ * @param {Object|string} args - Parameters to change (see PLANNER_DEFAULTS),
+ *   or the name of an entry of PLANNER_PRESETS to start over from
+ * @returns {Object} The configuration, PLANNER
+ */
+function setPlanner(args) {
+  var cfg = Object.assign({}, PLANNER);
+  if (typeof args == "string") {
+    if (PLANNER_PRESETS[args] == undefined) {
+      throw new Error("setPlanner: unknown preset " + args);
+    }
+    cfg = Object.assign({}, PLANNER_DEFAULTS, PLANNER_PRESETS[args]);
+  } else {
+    for (var k in args) {
+      if (PLANNER_DEFAULTS[k] == undefined) {
+        throw new Error("setPlanner: unknown parameter " + k);
+      }
+      cfg[k] = args[k];
+    }
+  }
+  for (var k in cfg) {
+    if (typeof cfg[k] != "number" || !isFinite(cfg[k]) || cfg[k] < 0) {
+      throw new Error("setPlanner: bad " + k);
+    }
+  }
+  if (cfg.samp == 0) {
+    throw new Error("setPlanner: bad samp");
+  }
+  Object.assign(PLANNER, cfg);
+  MEM.planmtx = [];
+  MEM.mountplans = {};
+  return PLANNER;
+}
+
+/**
+ * Set the weather the landscape is painted in (WEATHER.type, see
+ * rendering.js): snow on the upper slopes with bare trees, rain over a
+ * darker wash, or wind bending the trees and tilting the ripples. Chunks
+ * generated in the old weather stay as they are, so call chunkreset()
+ * before loading chunks again.
+ * @param {string} type - An entry of WEATHERS
+ * @returns {string} The weather
+ */
+function setWeather(type) {
+  if (WEATHERS.indexOf(type) == -1) {
+    throw new Error("setWeather: unknown weather " + type);
+  }
+  WEATHER.type = type;
+  return type;
+}
+
+/**
+ * Set the season of the trees (MEM.season), passed to Mount.mountain and
+ * Mount.flatMount as args.sea: blossom in spring, sparse red-brown leaves
+ * in autumn, bare branches in winter. Chunks generated in the old season
+ * stay as they are, so call chunkreset() before loading chunks again.
+ * @param {string} type - An entry of SEASONS
+ * @returns {string} The season
+ */
+function setSeason(type) {
+  if (SEASONS.indexOf(type) == -1) {
+    throw new Error("setSeason: unknown season " + type);
+  }
+  MEM.season = type;
+  return type;
+}
+
+/**
+ * Biome of the handscroll at x. Each biome has its own low-frequency noise
+ * along the scroll, and the weights are a softmax of the noises, so one
+ * biome dominates each region and neighbouring ones blend where their
+ * noises cross. Depends only on the seed and x.
+ * @param {number} x - X coordinate
+ * @returns {Object} {weights, name, params}: the weight of each biome, the
+ *   strongest one, and the numeric parameters of BIOMES blended by weight;
+ *   undefined if PLANNER.region is 0
+ */
+function biomeAt(x) {
+  if (PLANNER.region == 0) {
+    return undefined;
+  }
+  var names = Object.keys(BIOMES);
+  var ns = names.map(function(name, k) {
+    return Noise.noise(x / PLANNER.region, 40 + k * 7);
+  });
+  var nmax = Math.max.apply(null, ns);
+  var weights = {};
+  var sum = 0;
+  for (var k = 0; k < names.length; k++) {
+    weights[names[k]] = Math.exp((ns[k] - nmax) / 0.02);
+    sum += weights[names[k]];
+  }
+  var params = {};
+  var name = names[ns.indexOf(nmax)];
+  for (var k = 0; k < names.length; k++) {
+    var w = (weights[names[k]] /= sum);
+    var b = BIOMES[names[k]];
+    for (var p in b) {
+      if (typeof b[p] == "number") {
+        params[p] = (params[p] || 0) + b[p] * w;
+      }
+    }
+  }
+  return { weights: weights, name: name, params: params };
+}
+
+/**
+ * Options of Mount.mountain for a mountain of a biome: its size, shape,
+ * vegetation, buildings, rocks, snow, waterfalls, pavilions, steps and
+ * terraced fields
+ * @param {Object} biome - From biomeAt()
+ * @returns {Object} Options for Mount.mountain
+ */
+function biomeMountain(biome) {
+  var b = biome.params;
+  var pick = biomePick(biome);
+  return {
+    hei: (100 + Prng.next() * 400) * b.hei,
+    wid: (400 + Prng.next() * 200) * b.wid,
+    pro: b.pro,
+    cli: pick.cli ? randChoice([-1, 1]) : 0,
+    trees: pick.trees,
+    den: b.den,
+    arc: b.arc,
+    roc: b.roc,
+    sno: b.sno,
+    wfl: b.wfl,
+    pav: b.pav,
+    ste: b.ste,
+    ter: b.ter,
+  };
+}
+
+/**
+ * Pick one biome by weight, for what cannot be blended, e.g. tree species
+ * @param {Object} biome - From biomeAt()
+ * @returns {Object} Entry of BIOMES
+ */
+function biomePick(biome) {
+  var r = Prng.next();
+  for (var name in biome.weights) {
+    r -= biome.weights[name];
+    if (r < 0) {
+      return BIOMES[name];
+    }
+  }
+  return BIOMES[biome.name];
+}
+
+/**
+ * Water of the handscroll at x: a river that meanders between near and far
+ * along the scroll and now and then widens into a lake, mostly away from
+ * the viewer. Its width follows the biome's water. Depends only on the seed
+ * and x, so the banks of neighbouring chunks meet.
+ * @param {number} x - X coordinate
+ * @returns {Object} {top, bottom, lake}: the y of the far and the near
+ *   bank, and how much of a lake the water is, from 0 to 1; undefined if
+ *   PLANNER.river is 0
+ */
+function waterAt(x) {
+  if (PLANNER.river == 0) {
+    return undefined;
+  }
+  var biome = biomeAt(x);
+  var w = Math.sqrt(PLANNER.river * (biome ? biome.params.water : 1));
+  var y = 560 + (Noise.noise(x * 0.0012, 61) - 0.5) * 240;
+  var wid = (20 + Noise.noise(x * 0.004, 67) * 40) * w;
+  var lake = Math.min(Math.max((Noise.noise(x * 0.0008, 71) - 0.54) * 5 + (w - 1) * 0.5, 0), 1);
+  var top = y - wid / 2 - lake * 160 * w;
+  var bottom = Math.min(y + wid / 2 + lake * 40 * w, 760);
+  return { top: top, bottom: bottom, lake: lake };
+}
+
 /**
  * Calculate SVG viewBox for current viewport
  * @returns {string} ViewBox string for SVG
  */
 function calcViewBox() {
-  var zoom = 1.142;
-  return "" + MEM.cursx + " 0 " + MEM.windx / zoom + " " + MEM.windy / zoom;
+  return (
+    "" + MEM.cursx + " 0 " + MEM.windx / MEM.zoom + " " + MEM.windy / MEM.zoom
+  );
 }
 
 /**
- * Check if landscape needs to be updated
+ * Wrap rendered chunk markup in the <svg> element shown in the viewport.
+ * The result is a standalone SVG document, so it is also what gets saved
+ * by exports and by the headless renderer.
+ * @param {string} canv - Chunk markup, usually MEM.canv
+ * @returns {string} SVG markup
+ */
+function svgwrap(canv) {
+  return (
+    "<svg id='SVG' xmlns='http://www.w3.org/2000/svg' width='" +
+    MEM.windx +
+    "' height='" +
+    MEM.windy +
+    "' style='mix-blend-mode:multiply;' " +
+    "viewBox = '" +
+    calcViewBox() +
+    "'" +
+    "><g id='G' transform='translate(" +
+    0 +
+    ",0)'>" +
+    canv +
+    "</g></svg>"
+  );
+}
+
+/**
+ * Check if landscape needs to be updated, or if moving the view is enough.
+ * The display draws whole MEM.cwid wide steps (see drawrange), so an update
+ * is only needed when the view needs chunks that are not loaded yet, or
+ * enters another step than the one last drawn.
  * @returns {boolean} True if update is needed
  */
 function needupdate() {
-  return true;
-  // Commented out original logic for always updating
-  // if (MEM.xmin < MEM.cursx && MEM.cursx < MEM.xmax - MEM.windx) {
-  //   return false;
-  // }
-  // return true;
+  if (MEM.cursx < MEM.xmin + MEM.cwid || MEM.cursx + MEM.windx > MEM.xmax - MEM.cwid) {
+    return true;
+  }
+  return Math.floor(MEM.cursx / MEM.cwid) != MEM.drawn;
+}
+
+/**
+ * Range of chunk elements the display keeps drawn for the current view.
+ * It starts at the MEM.cwid step containing MEM.cursx and covers the view
+ * for as long as the cursor stays in that step, so scrolling within a step
+ * only has to move the view. Records the step in MEM.drawn.
+ * @returns {Array} [xmin, xmax] to pass to chunkquery
+ */
+function drawrange() {
+  MEM.drawn = Math.floor(MEM.cursx / MEM.cwid);
+  var xmin = MEM.drawn * MEM.cwid;
+  return [xmin, xmin + MEM.windx + MEM.cwid];
+}
+
+/**
+ * Seed the landscape. Everything generated afterwards is derived from this
+ * seed and the chunk index alone, so the same seed always paints the same
+ * scenery at the same x regardless of scroll history.
+ * @param {string|number} seed - Landscape seed (e.g. from the ?seed= parameter)
+ */
+function seedLandscape(seed) {
+  MEM.seed = seed;
+  MEM.planmtx = [];
+  MEM.mountplans = {};
+  Prng.seed(seed);
+  SeasonPrng.reseed(seed, "season");
+  Noise.noiseSeed(Prng.derive(seed, "noise"));
 }
 
 /**
  * Plan mountain and landscape element placement
+ *
+ * The range is planned chunk by chunk (MEM.cwid wide, aligned to multiples
+ * of MEM.cwid). Each chunk reseeds the PRNG from (MEM.seed, chunk index), and
+ * the occupancy of the planning matrix is built from the mounts of the
+ * neighbouring chunks, so a chunk's plan never depends on which chunks were
+ * planned before it. How dense the landscape is is set in PLANNER (see
+ * setPlanner), and varies with the biome along the scroll (see biomeAt).
+ *
  * @param {number} xmin - Minimum X coordinate
  * @param {number} xmax - Maximum X coordinate
  * @returns {Array} Array of planned landscape elements
@@ -248,7 +572,8 @@ function needupdate() {
 function mountplanner(xmin, xmax) {
   function locmax(x, y, f, r) {
     var z0 = f(x, y);
-    if (z0 <= 0.3) {
+    var biome = biomeAt(x);
+    if (z0 <= PLANNER.peak + (biome ? biome.params.peak : 0)) {
       return false;
     }
     for (var i = x - r; i < x + r; i++) {
@@ -261,20 +586,18 @@ function mountplanner(xmin, xmax) {
     return true;
   }
 
-  function chadd(r, mind) {
+  function chadd(reg, r, mind) {
     mind = mind == undefined ? 10 : mind;
     for (var k = 0; k < reg.length; k++) {
       if (Math.abs(reg[k].x - r.x) < mind) {
         return false;
       }
     }
-    console.log("+");
     reg.push(r);
     return true;
   }
 
-  var reg = [];
-  var samp = 0.03;
+  var samp = PLANNER.samp;
   var ns = function(x, y) {
     return Math.max(Noise.noise(x * samp) - 0.55, 0) * 2;
   };
@@ -289,213 +612,1418 @@ function mountplanner(xmin, xmax) {
   };
 
   var xstep = 5;
-  var mwid = 200;
-  for (var i = xmin; i < xmax; i += xstep) {
-    var i1 = Math.floor(i / xstep);
-    MEM.planmtx[i1] = MEM.planmtx[i1] || 0;
-  }
-
-  for (var i = xmin; i < xmax; i += xstep) {
-    for (var j = 0; j < yr(i) * 480; j += 30) {
-      if (locmax(i, j, ns, 2)) {
-        var xof = i + 2 * (Math.random() - 0.5) * 500;
-        var yof = j + 300;
-        var r = { tag: "mount", x: xof, y: yof, h: ns(i, j) };
-        var res = chadd(r);
-        if (res) {
-          for (
-            var k = Math.floor((xof - mwid) / xstep);
-            k < (xof + mwid) / xstep;
-            k++
-          ) {
-            MEM.planmtx[k] += 1;
+  var mwid = PLANNER.mwid;
+  // A mount lands at most 500px outside its chunk and occupies mwid on each
+  // side, so it can only reach this many chunks on either side (two with
+  // the default mwid)
+  var reach = Math.ceil((500 + mwid) / MEM.cwid);
+
+  // Mounts of one chunk. Cached because the planning of the chunks on
+  // either side also needs them, and marks their footprint in MEM.planmtx
+  // exactly once; the marked cells are kept with them, so planevict() can
+  // take them out again.
+  function planmounts(idx) {
+    if (MEM.mountplans[idx] != undefined) {
+      return MEM.mountplans[idx].mounts;
+    }
+    Prng.reseed(MEM.seed, "mount", idx);
+    var mounts = [];
+    var cells = [];
+    for (var i = idx * MEM.cwid; i < (idx + 1) * MEM.cwid; i += xstep) {
+      for (var j = 0; j < yr(i) * 480; j += 30) {
+        if (locmax(i, j, ns, 2)) {
+          var xof = i + 2 * (Prng.next() - 0.5) * 500;
+          var yof = j + 300;
+          var r = { tag: "mount", x: xof, y: yof, h: ns(i, j) };
+          var res = chadd(mounts, r);
+          if (res) {
+            for (
+              var k = Math.floor((xof - mwid) / xstep);
+              k < (xof + mwid) / xstep;
+              k++
+            ) {
+              MEM.planmtx[k] = (MEM.planmtx[k] || 0) + 1;
+              cells.push(k);
+            }
           }
         }
       }
     }
-    if (Math.abs(i) % 1000 < Math.max(1, xstep - 1)) {
-      var r = {
-        tag: "distmount",
-        x: i,
-        y: 280 - Math.random() * 50,
-        h: ns(i, j),
-      };
-      chadd(r);
-    }
-  }
-  console.log([xmin, xmax]);
-  for (var i = xmin; i < xmax; i += xstep) {
-    if (MEM.planmtx[Math.floor(i / xstep)] == 0) {
-      if (Math.random() < 0.01) {
-        for (var j = 0; j < 4 * Math.random(); j++) {
-          var r = {
-            tag: "flatmount",
-            x: i + 2 * (Math.random() - 0.5) * 700,
-            y: 700 - j * 50,
-            h: ns(i, j),
-          };
-          chadd(r);
+    MEM.mountplans[idx] = { mounts: mounts, cells: cells };
+    return mounts;
+  }
+
+  var plan = [];
+  for (
+    var idx = Math.floor(xmin / MEM.cwid);
+    idx < Math.ceil(xmax / MEM.cwid);
+    idx++
+  ) {
+    for (var n = idx - reach; n <= idx + reach; n++) {
+      planmounts(n);
+    }
+    var reg = planmounts(idx).slice();
+    var x0 = idx * MEM.cwid;
+    var x1 = x0 + MEM.cwid;
+
+    Prng.reseed(MEM.seed, "plan", idx);
+    for (var i = x0; i < x1; i += xstep) {
+      if (PLANNER.diststep > 0 && Math.abs(i) % PLANNER.diststep < Math.max(1, xstep - 1)) {
+        var r = {
+          tag: "distmount",
+          x: i,
+          y: 280 - Prng.next() * 50,
+          h: ns(i),
+        };
+        chadd(reg, r);
+      }
+    }
+    for (var i = x0; i < x1; i += xstep) {
+      if (!MEM.planmtx[Math.floor(i / xstep)]) {
+        var biome = biomeAt(i);
+        var wat = waterAt(i);
+        // Lakes draw flat mountains to their shores and islands
+        var p = PLANNER.flatp * (biome ? biome.params.flat : 1) * (wat ? 1 + 3 * wat.lake : 1);
+        if (Prng.next() < p) {
+          for (var j = 0; j < 4 * Prng.next(); j++) {
+            var r = {
+              tag: "flatmount",
+              x: i + 2 * (Prng.next() - 0.5) * 700,
+              y: 700 - j * 50,
+              h: ns(i, j),
+            };
+            if (wat) {
+              // From the near bank back across the water
+              wat = waterAt(r.x);
+              r.y = Math.min(wat.bottom + 10, 760) - j * 50;
+              if (r.y > wat.top && r.y < wat.bottom + 20) {
+                r.args = { sho: true };
+              }
+            }
+            chadd(reg, r);
+          }
         }
       }
     }
+
+    for (var i = x0; i < x1; i += xstep) {
+      var biome = biomeAt(i);
+      if (Prng.next() < PLANNER.boatp * (biome ? biome.params.boat : 1)) {
+        var wat = waterAt(i);
+        var r = { tag: "boat", x: i, y: 300 + Prng.next() * 390 };
+        if (wat) {
+          // On the water, clear of the banks
+          r.y = mapval(r.y, 300, 690, wat.top + 10, Math.max(wat.bottom - 4, wat.top + 10));
+        }
+        chadd(reg, r, 400);
+      }
+    }
+    if (waterAt(x0)) {
+      reg = reg.concat(bridgeplanner(reg));
+      reg.push({ tag: "river", x: x0, y: waterAt(x0).top, args: { xmax: x1 } });
+    }
+    if (PLANNER.mist > 0) {
+      // Mist draws from its own stream, so the rest of the plan does not
+      // change with its density
+      Prng.reseed(MEM.seed, "mist", idx);
+      reg = reg.concat(mistplanner(reg, x0, x1));
+    }
+    plan = plan.concat(reg);
+  }
+
+  return plan;
+}
+
+/**
+ * Plan the bridges of one chunk of the handscroll. A flat mountain that
+ * stands in the water may get an islet beside it, joined to it by a
+ * bridge; the flat mountain is given a width that leaves a gap of water
+ * between their ends for the bridge to span. At most one to a chunk;
+ * chances are 0.5 times the biome's arc per flat mountain.
+ * @param {Array} reg - Plan entries of the chunk
+ * @returns {Array} Plan entries tagged "flatmount" for the islets and
+ *   "bridge"
+ */
+function bridgeplanner(reg) {
+  var res = [];
+  for (var k = 0; k < reg.length; k++) {
+    var a = reg[k];
+    if (a.tag != "flatmount" || !a.args || !a.args.sho) {
+      continue;
+    }
+    var biome = biomeAt(a.x);
+    if (Prng.next() < 0.5 * (biome ? biome.params.arc : 1)) {
+      var side = Prng.next() < 0.5 ? -1 : 1;
+      var gap = 80 + Prng.next() * 100;
+      var wb = 250 + Prng.next() * 250;
+      a.args.wid = 500 + Prng.next() * 300;
+      var b = {
+        tag: "flatmount",
+        x: a.x + side * (a.args.wid / 2 + gap + wb / 2),
+        y: a.y + (Prng.next() - 0.5) * 10,
+        args: { sho: true, wid: wb, hei: 60 },
+      };
+      res.push(b);
+      res.push({
+        tag: "bridge",
+        x: a.x + side * (a.args.wid / 2 + gap / 2),
+        y: Math.max(a.y, b.y) + 4,
+        args: { len: gap + 60 },
+      });
+      // One to a chunk
+      break;
+    }
+  }
+  return res;
+}
+
+/**
+ * Plan the mist of one chunk of the handscroll: a band between the far
+ * ranges and the mountains, bands that dissolve the far ranges, and bands
+ * and clouds that veil the feet and upper slopes of the mountains. Bands
+ * at a mountain are painted just after it, so it rises out of the mist and
+ * nearer mountains stand in front. Chances are PLANNER.mist times the
+ * biome's mis.
+ * @param {Array} reg - Plan entries of the chunk
+ * @param {number} x0 - Left edge of the chunk
+ * @param {number} x1 - Right edge of the chunk
+ * @returns {Array} Plan entries tagged "mist" and "cloud"
+ */
+function mistplanner(reg, x0, x1) {
+  var dens = function(x) {
+    var biome = biomeAt(x);
+    return PLANNER.mist * (biome ? biome.params.mis : 1);
+  };
+  var mist = [];
+  if (Prng.next() < 0.5 * dens(x0)) {
+    mist.push({
+      tag: "mist",
+      x: x0 - 150,
+      y: 300 + Prng.next() * 40,
+      args: { wid: x1 - x0 + 300, hei: 40 + Prng.next() * 40 },
+    });
+  }
+  for (var i = 0; i < reg.length; i++) {
+    var r = reg[i];
+    var d = dens(r.x);
+    if (r.tag == "distmount" && Prng.next() < 0.8 * d) {
+      mist.push({
+        tag: "mist",
+        x: r.x - 200,
+        y: r.y + 10 + Prng.next() * 10,
+        args: { wid: 1000 + Prng.next() * 600, hei: 60 + Prng.next() * 40 },
+      });
+    } else if (r.tag == "mount") {
+      if (Prng.next() < 0.5 * d) {
+        var wid = 400 + Prng.next() * 400;
+        mist.push({
+          tag: "mist",
+          x: r.x - wid / 2,
+          y: r.y - 10 - Prng.next() * 20,
+          depth: r.y + 1,
+          args: { wid: wid, hei: 40 + Prng.next() * 40 },
+        });
+      }
+      if (Prng.next() < 0.3 * d) {
+        var wid = 150 + Prng.next() * 200;
+        mist.push({
+          tag: "cloud",
+          x: r.x - wid / 2 + (Prng.next() - 0.5) * 300,
+          y: r.y - 60 - Prng.next() * 160,
+          depth: r.y + 1,
+          args: { wid: wid, hei: 20 + Prng.next() * 20 },
+        });
+      }
+    }
+  }
+  return mist;
+}
+
+/**
+ * Plan a hanging scroll: one tall composition of MEM.frame, read from the
+ * bottom up. Water with boats and a shore fill the foreground, one or two
+ * large mountains rise through the middle with a temple on a terrace below
+ * them, and far ranges fade into mist near the top, leaving sky above.
+ *
+ * The generators are tuned for the handscroll's 800 pixel strip (mountains
+ * grow their layers with y, boats scale with it), so elements are planned
+ * at a y they would have there and moved up or down into place by dy.
+ *
+ * @returns {Array} Plan entries {tag, x, y, dy, args, water, depth}: args
+ *   are passed on to the generator, dy moves the generated element, water
+ *   false leaves out the water a mountain usually gets at its foot, and
+ *   depth, if set, is where the element is painted instead of at its y
+ */
+function hangingplanner() {
+  var W = MEM.frame.width;
+  var H = MEM.frame.height;
+  Prng.reseed(MEM.seed, "hanging");
+
+  var plan = [];
+  var at = function(tag, x, y, target, args) {
+    return planentry(plan, tag, x, y, target, args);
+  };
+
+  // Far ranges, staggered, with mist at their feet
+  for (var i = 0; i < 2; i++) {
+    at("distmount", -200 - Prng.next() * 100, 280, H * (0.3 + i * 0.06), {
+      hei: 80 + i * 40 + Prng.next() * 60,
+      len: W + 400,
+    });
+    at("mist", -100, 280, H * (0.3 + i * 0.06) + 14, { wid: W + 200, hei: 70 + Prng.next() * 40 });
+  }
+
+  // The main peak, rising out of the mist, and a lower one on the other
+  // side in front of it
+  var side = Prng.next() < 0.5 ? -1 : 1;
+  at("mount", W * (0.5 + side * Prng.next() * 0.1), 500, H * 0.66, {
+    hei: H * (0.5 + Prng.next() * 0.1),
+    wid: W * (0.8 + Prng.next() * 0.15),
+    wfl: 0.5,
+    pav: 0.5,
+    ste: 0.5,
+  });
+  at("mist", -100, 500, H * 0.67, { wid: W + 200, hei: 40 + Prng.next() * 30 });
+  if (Prng.next() < 0.8) {
+    at("mount", W * (0.5 - side * (0.25 + Prng.next() * 0.1)), 550, H * 0.74, {
+      hei: H * (0.2 + Prng.next() * 0.08),
+      wid: W * (0.45 + Prng.next() * 0.15),
+    });
+  }
+
+  // A temple on a terrace, on the side of the main peak, painted over it
+  var tx = W * (0.5 + side * (0.15 + Prng.next() * 0.15));
+  var cho = 0.5 + Prng.next() * 0.2;
+  at("flatmount", tx, 450, H * 0.8, { wid: W * 0.35, hei: 50 + Prng.next() * 30, cho: cho });
+  at("temple", tx + (Prng.next() - 0.5) * W * 0.1, 450 - 100 * cho + 24, H * 0.8 - 100 * cho + 24, {
+    wid: 50 + Prng.next() * 20,
+    sto: randChoice([1, 2, 2]),
+    sty: randChoice([1, 2, 3]),
+  }).depth = H * 0.8 + 1;
+
+  // Water with boats, and a shore in one corner
+  for (var y = H * 0.84; y < H * 0.97; y += 15 + Prng.next() * 25) {
+    at("water", W * (0.15 + Prng.next() * 0.7), y, y, { len: W * (0.4 + Prng.next() * 0.4), clu: 5 });
+  }
+  var nb = randChoice([1, 1, 2]);
+  for (var i = 0; i < nb; i++) {
+    at("boat", W * (0.2 + Prng.next() * 0.6), 450 + Prng.next() * 100, H * (0.87 + Prng.next() * 0.06));
+  }
+  at("flatmount", W * (0.5 - side * 0.45), 600, H * 0.99, { wid: W * 0.4, hei: 60 + Prng.next() * 40, cho: 0.5 });
+
+  return plan;
+}
+
+/**
+ * Plan a framed composition: a complete painting for the fixed rectangle
+ * MEM.frame (a poster, an album leaf or a fan), instead of a slice of the
+ * endless strip. The main peak stands on a third of the width as the focal
+ * point, with a lower peak behind it; across the empty half a faint range,
+ * a low bank and a boat balance it. The top third is left as sky, and
+ * nothing is planned in the margins.
+ *
+ * For the fan shape the foreground keeps above the fan's lower edge, and
+ * fanMount() masks the rest of the frame.
+ *
+ * @returns {Array} Plan entries, as from hangingplanner()
+ */
+function framedplanner() {
+  var W = MEM.frame.width;
+  var H = MEM.frame.height;
+  var m = Math.min(W, H) * 0.06;
+  var fan = MEM.frame.shape == "fan" ? fanShape(W, H) : undefined;
+  // Lowest y inside the painting at x
+  var bottom = function(x) {
+    if (fan == undefined) {
+      return H - m;
+    }
+    var dx = Math.abs(x - fan.cx);
+    if (dx < fan.r0 * Math.sin(fan.a)) {
+      return Math.min(H - m, fan.cy - Math.sqrt(fan.r0 * fan.r0 - dx * dx) - m);
+    }
+    return Math.min(H - m, fan.cy - (dx / Math.tan(fan.a)) - m);
+  };
+  Prng.reseed(MEM.seed, "framed");
+
+  var plan = [];
+  var at = function(tag, x, y, target, args) {
+    return planentry(plan, tag, x, y, target, args);
+  };
+
+  // The focal point, on the third of the width nearer one side
+  var side = Prng.next() < 0.5 ? -1 : 1;
+  var fx = W * (0.5 + side / 6);
+  var gy = H * 0.7;
+
+  // A faint range and mist in the empty half
+  var len = W * (0.45 + Prng.next() * 0.15);
+  at("distmount", side > 0 ? m : W - m - len, 280, H * 0.46, { hei: 50 + Prng.next() * 40, len: len });
+  at("mist", side > 0 ? 0 : W * 0.4, 280, H * 0.46 + 14, { wid: W * 0.6, hei: 50 + Prng.next() * 30 });
+
+  // The main peak with a lower one behind it, their feet in mist
+  if (Prng.next() < 0.6) {
+    at("mount", fx + side * W * (0.1 + Prng.next() * 0.06), 450, gy - H * 0.05, {
+      hei: H * (0.45 + Prng.next() * 0.1),
+      wid: W * (0.2 + Prng.next() * 0.08),
+    });
+  }
+  at("mount", fx, 500, gy, {
+    hei: H * (0.8 + Prng.next() * 0.15),
+    wid: W * (0.35 + Prng.next() * 0.1),
+    wfl: 0.5,
+    pav: 0.5,
+    ste: 0.5,
+  });
+  at("mist", fx - W * 0.3, 500, gy + 4, { wid: W * 0.6, hei: 30 + Prng.next() * 20 });
+
+  // Across the water, a low bank and a boat
+  var bx = W * (0.5 - side * (0.2 + Prng.next() * 0.1));
+  at("flatmount", bx, 450, Math.min(H * 0.76, bottom(bx)), {
+    wid: W * 0.2,
+    hei: 30 + Prng.next() * 20,
+    cho: 0.5 + Prng.next() * 0.2,
+  });
+  for (var y = H * 0.78; y < H - m * 2; y += 12 + Prng.next() * 20) {
+    var wx = W * (0.5 + (Prng.next() - 0.5) * 0.7);
+    if (y < bottom(wx)) {
+      at("water", wx, y, y, { len: W * (0.15 + Prng.next() * 0.2), clu: 4 });
+    }
+  }
+  var bx = W * (0.5 - side * (0.05 + Prng.next() * 0.1));
+  at("boat", bx, 450 + Prng.next() * 100, Math.min(H * (0.82 + Prng.next() * 0.06), bottom(bx)));
+
+  // A bank in the near corner under the focal point
+  var wid = W * 0.25;
+  var bx = W * (0.5 + side * (fan ? 0.15 : 0.5)) - (side * (wid + m)) / 2;
+  at("flatmount", bx, 600, bottom(bx), { wid: wid, hei: 40 + Prng.next() * 30, cho: 0.5 });
+
+  if (fan) {
+    at("fan", W / 2, H, H).depth = H * 2;
+  }
+  return plan;
+}
+
+/**
+ * Plan the rain over one chunk: over the chunk's strip of the handscroll,
+ * or over the whole of a single painting (under the mount of a fan). It is
+ * painted over everything else.
+ * @param {number} idx - Chunk index
+ * @returns {Array} Plan entries tagged "rain"
+ */
+function rainplan(idx) {
+  if (MEM.frame) {
+    if (idx != 0) {
+      return [];
+    }
+    var H = MEM.frame.height;
+    return [{ tag: "rain", x: 0, y: 0, depth: H * 1.5, args: { wid: MEM.frame.width, hei: H } }];
+  }
+  return [{ tag: "rain", x: idx * MEM.cwid, y: 0, depth: 10000, args: { wid: MEM.cwid, hei: 800 } }];
+}
+
+/**
+ * Add an entry to a frame plan (see hangingplanner). Elements are planned
+ * at y and moved to target, with no water at their feet.
+ * @param {Array} plan - Plan to add to
+ * @param {string} tag - Element type
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate the element is generated at
+ * @param {number} target - Y coordinate the element is moved to
+ * @param {Object} [args] - Options of the generator
+ * @returns {Object} The plan entry
+ */
+function planentry(plan, tag, x, y, target, args) {
+  var r = { tag: tag, x: x, y: y, dy: target - y, args: args, water: false };
+  plan.push(r);
+  return r;
+}
+
+/**
+ * Geometry of the fan shape: an annular sector of a circle centred below
+ * the frame, as large as fits within the margins
+ * @param {number} W - Frame width
+ * @param {number} H - Frame height
+ * @returns {Object} {cx, cy, r0, r1, a}: centre, inner and outer radius
+ *   and half the opening angle in radians
+ */
+function fanShape(W, H) {
+  var a = (55 / 180) * Math.PI;
+  var m = Math.min(W, H) * 0.06;
+  // The sector is 0.6 r1 tall from the top of the outer arc to the middle
+  // of the inner arc
+  var r1 = Math.min((W - 2 * m) / (2 * Math.sin(a)), (H - 2 * m) / 0.6);
+  var cy = (H - 0.6 * r1) / 2 + r1;
+  return { cx: W / 2, cy: cy, r0: r1 * 0.4, r1: r1, a: a };
+}
+
+/**
+ * Scene node for the mount of a fan painting: the frame outside the fan
+ * painted over in white, the rim of the fan, and the faint lines where
+ * the fan is folded
+ * @param {number} W - Frame width
+ * @param {number} H - Frame height
+ * @returns {Object} Scene group tagged "frame"
+ */
+function fanMount(W, H) {
+  var f = fanShape(W, H);
+  var pt = function(r, t) {
+    return [f.cx + r * Math.sin(t), f.cy - r * Math.cos(t)];
+  };
+  var arc = function(r, t0, t1) {
+    var res = [];
+    for (var i = 0; i <= 60; i++) {
+      res.push(pt(r, t0 + ((t1 - t0) * i) / 60));
+    }
+    return res;
+  };
+  var canv = [];
+
+  // Two halves, overlapping a little at the middle so no seam shows
+  var e = 2;
+  var half = arc(f.r0, Math.asin(e / f.r0), -f.a)
+    .concat(arc(f.r1, -f.a, Math.asin(e / f.r1)))
+    .concat([[f.cx + e, -e], [-e, -e], [-e, H + e], [f.cx + e, H + e]]);
+  Scene.add(canv, poly(half, { fil: "white", str: "white", wid: 1 }));
+  Scene.add(canv, poly(half.map(function(p) {
+    return [2 * f.cx - p[0], p[1]];
+  }), { fil: "white", str: "white", wid: 1 }));
+
+  for (var i = 1; i < 16; i++) {
+    var t = -f.a + (2 * f.a * i) / 16;
+    Scene.add(canv, poly([pt(f.r0, t), pt(f.r1, t)], {
+      fil: "none",
+      str: "rgba(100,100,100,0.1)",
+      wid: 1,
+    }));
+  }
+  var rim = arc(f.r0, -f.a, f.a).concat(arc(f.r1, f.a, -f.a));
+  Scene.add(canv, poly(rim.concat([rim[0]]), { fil: "none", str: "rgba(100,100,100,0.6)", wid: 1.5 }));
+  return Scene.group(canv, { tags: ["frame"], source: "fanMount", depth: H });
+}
+
+/**
+ * Scene node for the debug markers planned with the "redcirc" and
+ * "greencirc" tags
+ * @param {number} x - Center X coordinate
+ * @param {number} y - Center Y coordinate
+ * @param {string} col - Fill color
+ * @returns {Object} Polygon node
+ */
+function debugCircle(x, y, col) {
+  var plist = [];
+  for (var i = 0; i <= 24; i++) {
+    var a = (i / 24) * Math.PI * 2;
+    plist.push([x + 20 * Math.cos(a), y + 20 * Math.sin(a)]);
+  }
+  return poly(plist, { fil: col, str: "black", wid: 1 });
+}
+
+/**
+ * Painting order of chunk elements: by y, nearer (larger y) last. Ties are
+ * broken by chunk index and position within the chunk, so the order never
+ * depends on the order in which chunks were loaded.
+ * @param {Object} a - Chunk element
+ * @param {Object} b - Chunk element
+ * @returns {number} Negative if a is painted before b
+ */
+function chunkorder(a, b) {
+  return a.y - b.y || a.idx - b.idx || a.seq - b.seq;
+}
+
+/**
+ * Add a chunk element to the spatial index MEM.index. Elements are bucketed
+ * by x, one bucket per MEM.cwid, and each bucket is kept in painting order.
+ * @param {Object} nch - Chunk element {tag, x, y, canv, idx, seq}
+ */
+function chunkinsert(nch) {
+  var b = Math.floor(nch.x / MEM.cwid);
+  if (MEM.index[b] == undefined) {
+    MEM.index[b] = [];
+  }
+  var bucket = MEM.index[b];
+  var lo = 0;
+  var hi = bucket.length;
+  while (lo < hi) {
+    var mid = (lo + hi) >> 1;
+    if (chunkorder(bucket[mid], nch) <= 0) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  bucket.splice(lo, 0, nch);
+}
+
+/**
+ * Remove a chunk element from the spatial index
+ * @param {Object} nch - Chunk element
+ */
+function chunkremove(nch) {
+  var b = Math.floor(nch.x / MEM.cwid);
+  var bucket = MEM.index[b];
+  bucket.splice(bucket.indexOf(nch), 1);
+  if (bucket.length == 0) {
+    delete MEM.index[b];
+  }
+}
+
+/**
+ * Chunk elements within MEM.cwid of a range, in painting order. Only the
+ * index buckets overlapping the range are visited, so the cost does not
+ * grow with the number of loaded chunks.
+ * @param {number} xmin - Minimum X coordinate
+ * @param {number} xmax - Maximum X coordinate
+ * @returns {Array} Chunk elements
+ */
+function chunkquery(xmin, xmax) {
+  var res = [];
+  var b0 = Math.floor((xmin - MEM.cwid) / MEM.cwid);
+  var b1 = Math.floor((xmax + MEM.cwid) / MEM.cwid);
+  for (var b = b0; b <= b1; b++) {
+    var bucket = MEM.index[b];
+    if (bucket == undefined) {
+      continue;
+    }
+    for (var i = 0; i < bucket.length; i++) {
+      if (xmin - MEM.cwid < bucket[i].x && bucket[i].x < xmax + MEM.cwid) {
+        res.push(bucket[i]);
+      }
+    }
+  }
+  return res.sort(chunkorder);
+}
+
+/**
+ * Generate the elements of one chunk. The result only depends on MEM.seed,
+ * the chunk index, the toggles, the planner, the weather and the season
+ * (MEM.season), so it can be computed anywhere, e.g. in a worker (see
+ * chunk-worker.js), and inserted later with chunkstore().
+ * Each element keeps its scene graph in canv (see scene.js); it is turned
+ * into markup by chunksvg() when first rendered.
+ * @param {number} idx - Chunk index; the chunk spans idx * MEM.cwid to
+ *   (idx + 1) * MEM.cwid
+ * @param {Object} toggles - Element toggle states
+ * @returns {Array} Chunk elements {tag, x, y, canv, idx, seq}, where seq
+ *   is the element's position in the chunk
+ */
+function chunkgen(idx, toggles) {
+  var plan;
+  if (MEM.mode == "hanging") {
+    plan = idx == 0 ? hangingplanner() : [];
+  } else if (MEM.mode == "framed") {
+    plan = idx == 0 ? framedplanner() : [];
+  } else {
+    plan = mountplanner(idx * MEM.cwid, (idx + 1) * MEM.cwid);
+  }
+  if (WEATHER.type == "rain") {
+    plan = plan.concat(rainplan(idx));
   }
+  var elems = [];
 
-  for (var i = xmin; i < xmax; i += xstep) {
-    if (Math.random() < 0.2) {
-      var r = { tag: "boat", x: i, y: 300 + Math.random() * 390 };
-      chadd(r, 400);
+  for (var i = 0; i < plan.length; i++) {
+    // Each element gets its own stream keyed by (seed, chunk, element), so
+    // skipping one (e.g. a disabled boat) does not reshuffle the others;
+    // likewise its leaves, blossom and snow (see seasonal in shanshui.js)
+    Prng.reseed(MEM.seed, "chunk", idx, i);
+    SeasonPrng.reseed(MEM.seed, "season", idx, i);
+    var n = elems.length;
+    if (plan[i].tag == "mount") {
+      var biome = MEM.mode == "scroll" ? biomeAt(plan[i].x) : undefined;
+      // With the river, only mountains at the water's edge get ripples and
+      // their reflection, and their waterfalls run on into it
+      var wat = MEM.mode == "scroll" ? waterAt(plan[i].x) : undefined;
+      if (wat && (plan[i].y < wat.top - 20 || plan[i].y > wat.bottom + 20)) {
+        wat = null;
+      }
+      var margs = plan[i].args;
+      if (biome) {
+        margs = Object.assign(biomeMountain(biome), wat ? { fee: 20 } : {}, plan[i].args);
+      }
+      margs = Object.assign({ sea: MEM.season }, margs);
+      elems.push({
+        tag: plan[i].tag,
+        x: plan[i].x,
+        y: plan[i].y,
+        canv: generateMountainWithToggles(plan[i].x, plan[i].y, i * 2 * Prng.next(), toggles, margs),
+      });
+      if (toggles.water && plan[i].water !== false && wat !== null) {
+        Prng.reseed(MEM.seed, "water", idx, i);
+        var wargs = biome ? {
+          len: 800 * Math.sqrt(biome.params.water),
+          clu: Math.round(10 * biome.params.water),
+        } : {};
+        if (wat) {
+          wargs.ref = elems[n].canv;
+        }
+        elems.push({
+          tag: plan[i].tag,
+          x: plan[i].x,
+          y: plan[i].y - 10000,
+          canv: water(plan[i].x, plan[i].y, i * 2, wargs),
+        });
+      }
+    } else if (plan[i].tag == "flatmount") {
+      elems.push({
+        tag: plan[i].tag,
+        x: plan[i].x,
+        y: plan[i].y,
+        canv: Mount.flatMount(
+          plan[i].x,
+          plan[i].y,
+          2 * Prng.next() * Math.PI,
+          Object.assign({
+            wid: 600 + Prng.next() * 400,
+            hei: 100,
+            cho: 0.5 + Prng.next() * 0.2,
+            sea: MEM.season,
+          }, plan[i].args),
+        ),
+      });
+    } else if (plan[i].tag == "distmount") {
+      elems.push({
+        tag: plan[i].tag,
+        x: plan[i].x,
+        y: plan[i].y,
+        canv: Mount.distMount(plan[i].x, plan[i].y, Prng.next() * 100, Object.assign({
+          hei: 150,
+          len: randChoice([500, 1000, 1500]),
+        }, plan[i].args)),
+      });
+    } else if (plan[i].tag == "river" && toggles.water) {
+      // Boats, flat mountains and bridges of the chunk that stand in the
+      // water are reflected in it
+      var ref = [];
+      for (var j = 0; j < elems.length; j++) {
+        var wat = waterAt(elems[j].x);
+        if (
+          (elems[j].tag == "boat" || elems[j].tag == "flatmount" || elems[j].tag == "bridge") &&
+          elems[j].y > wat.top - 5 &&
+          elems[j].y < wat.bottom + 10
+        ) {
+          ref.push({
+            node: elems[j].canv,
+            y: elems[j].tag == "boat" ? undefined : elems[j].y,
+          });
+        }
+      }
+      elems.push({
+        tag: plan[i].tag,
+        x: plan[i].x,
+        y: plan[i].y - 10000,
+        canv: river(plan[i].x, plan[i].args.xmax, waterAt, Object.assign({ ref: ref }, plan[i].args)),
+      });
+    } else if (plan[i].tag == "water" && toggles.water) {
+      elems.push({
+        tag: plan[i].tag,
+        x: plan[i].x,
+        y: plan[i].y,
+        canv: water(plan[i].x, plan[i].y, i * 2, plan[i].args),
+      });
+    } else if (plan[i].tag == "mist") {
+      elems.push({
+        tag: plan[i].tag,
+        x: plan[i].x,
+        y: plan[i].y,
+        canv: Mist.band(plan[i].x, plan[i].y, plan[i].args),
+      });
+    } else if (plan[i].tag == "rain") {
+      elems.push({
+        tag: plan[i].tag,
+        x: plan[i].x,
+        y: plan[i].y,
+        canv: Mist.rain(plan[i].x, plan[i].y, plan[i].args),
+      });
+    } else if (plan[i].tag == "cloud") {
+      elems.push({
+        tag: plan[i].tag,
+        x: plan[i].x,
+        y: plan[i].y,
+        canv: Mist.cloud(plan[i].x, plan[i].y, plan[i].args),
+      });
+    } else if (plan[i].tag == "fan") {
+      elems.push({
+        tag: plan[i].tag,
+        x: plan[i].x,
+        y: plan[i].y,
+        canv: fanMount(MEM.frame.width, MEM.frame.height),
+      });
+    } else if (plan[i].tag == "temple") {
+      elems.push({
+        tag: plan[i].tag,
+        x: plan[i].x,
+        y: plan[i].y,
+        canv: Arch.arch02(plan[i].x, plan[i].y, Prng.next(), plan[i].args),
+      });
+    } else if (plan[i].tag == "bridge") {
+      elems.push({
+        tag: plan[i].tag,
+        x: plan[i].x,
+        y: plan[i].y,
+        canv: (Prng.next() < 0.6 ? Arch.bridge01 : Arch.bridge02)(plan[i].x, plan[i].y, Prng.next(), plan[i].args),
+      });
+    } else if (plan[i].tag == "boat" && toggles.boats) {
+      elems.push({
+        tag: plan[i].tag,
+        x: plan[i].x,
+        y: plan[i].y,
+        canv: Arch.boat01(plan[i].x, plan[i].y, Prng.next(), {
+          sca: plan[i].y / 800,
+          fli: randChoice([true, false]),
+        }),
+      });
+    } else if (plan[i].tag == "redcirc") {
+      elems.push({
+        tag: plan[i].tag,
+        x: plan[i].x,
+        y: plan[i].y,
+        canv: debugCircle(plan[i].x, plan[i].y, "red"),
+      });
+    } else if (plan[i].tag == "greencirc") {
+      elems.push({
+        tag: plan[i].tag,
+        x: plan[i].x,
+        y: plan[i].y,
+        canv: debugCircle(plan[i].x, plan[i].y, "green"),
+      });
+    }
+    // Move the elements of planners that generate out of place
+    if (plan[i].dy) {
+      for (var j = n; j < elems.length; j++) {
+        Scene.translate(elems[j].canv, 0, plan[i].dy);
+        elems[j].y += plan[i].dy;
+      }
+    }
+    if (plan[i].depth != undefined) {
+      for (var j = n; j < elems.length; j++) {
+        elems[j].y = plan[i].depth;
+      }
     }
   }
+  for (var j = 0; j < elems.length; j++) {
+    elems[j].idx = idx;
+    elems[j].seq = j;
+  }
+  return elems;
+}
+
+/**
+ * Move a generated chunk from MEM.ready into MEM.loaded and the spatial
+ * index. Does not update the loaded range.
+ * @param {number} k - Chunk index
+ */
+function chunkadd(k) {
+  MEM.loaded[k] = MEM.ready[k];
+  for (var i = 0; i < MEM.loaded[k].length; i++) {
+    chunkinsert(MEM.loaded[k][i]);
+  }
+  delete MEM.ready[k];
+  delete MEM.requested[k];
+}
 
-  return reg;
+/**
+ * Drop a loaded chunk from MEM.loaded and the spatial index, together with
+ * its cached markup and bitmaps. Does not update the loaded range.
+ * @param {number} k - Chunk index
+ */
+function chunkdrop(k) {
+  for (var i = 0; i < MEM.loaded[k].length; i++) {
+    chunkremove(MEM.loaded[k][i]);
+  }
+  delete MEM.loaded[k];
 }
 
 /**
- * Load landscape chunks for the specified range
+ * Keep the chunk cache bounded. Chunks are dropped from whichever end of
+ * the loaded range is farther from the specified range until at most
+ * MEM.maxchunks are loaded; the chunks the range needs, plus MEM.lookahead
+ * on either side, are never dropped. If the range is not next to the
+ * loaded range at all (e.g. after a long jump), loading starts over at the
+ * range instead of filling the gap. Dropped chunks depend only on the seed
+ * and their index, so they come back identical when scrolled back to.
  * @param {number} xmin - Minimum X coordinate
  * @param {number} xmax - Maximum X coordinate
  */
-function chunkloader(xmin, xmax) {
-  var add = function(nch) {
-    if (nch.canv.includes("NaN")) {
-      console.log("gotcha:");
-      console.log(nch.tag);
-      nch.canv = nch.canv.replace(/NaN/g, -1000);
+function chunkevict(xmin, xmax) {
+  var keep0 = Math.floor((xmin - MEM.cwid) / MEM.cwid) - MEM.lookahead;
+  var keep1 = Math.ceil((xmax + MEM.cwid) / MEM.cwid) + MEM.lookahead;
+  var near0 = (Math.floor(xmin / MEM.cwid) - 1) * MEM.cwid;
+  var near1 = (Math.ceil(xmax / MEM.cwid) + 1) * MEM.cwid;
+  if (MEM.xmax < near0 || near1 < MEM.xmin) {
+    chunkreset(xmin);
+    return;
+  }
+  while ((MEM.xmax - MEM.xmin) / MEM.cwid > MEM.maxchunks) {
+    var k0 = Math.floor(MEM.xmin / MEM.cwid);
+    var k1 = Math.floor(MEM.xmax / MEM.cwid) - 1;
+    var left = keep0 - k0;
+    var right = k1 - keep1 + 1;
+    if (left <= 0 && right <= 0) {
+      break;
     }
-    if (MEM.chunks.length == 0) {
-      MEM.chunks.push(nch);
-      return;
+    if (left >= right) {
+      chunkdrop(k0);
+      MEM.xmin = MEM.xmin + MEM.cwid;
     } else {
-      if (nch.y <= MEM.chunks[0].y) {
-        MEM.chunks.unshift(nch);
-        return;
-      } else if (nch.y >= MEM.chunks[MEM.chunks.length - 1].y) {
-        MEM.chunks.push(nch);
-        return;
-      } else {
-        for (var j = 0; j < MEM.chunks.length - 1; j++) {
-          if (MEM.chunks[j].y <= nch.y && nch.y <= MEM.chunks[j + 1].y) {
-            MEM.chunks.splice(j + 1, 0, nch);
-            return;
-          }
+      chunkdrop(k1);
+      MEM.xmax = MEM.xmax - MEM.cwid;
+    }
+  }
+  // Generated chunks that can no longer join the loaded range
+  for (var k in MEM.ready) {
+    if (k < keep0 - MEM.maxchunks || keep1 + MEM.maxchunks < k) {
+      delete MEM.ready[k];
+      delete MEM.requested[k];
+    }
+  }
+  planevict(keep0 - MEM.maxchunks, keep1 + MEM.maxchunks);
+}
+
+/**
+ * Keep the cache of planned mounts bounded: forget the mounts of the chunks
+ * outside k0..k1 and take their footprint out of MEM.planmtx. Forgotten
+ * mounts are planned again from the seed and their index when needed, so
+ * plans do not change.
+ * @param {number} k0 - First chunk index to keep
+ * @param {number} k1 - Last chunk index to keep
+ */
+function planevict(k0, k1) {
+  for (var k in MEM.mountplans) {
+    if (k < k0 || k1 < k) {
+      var cells = MEM.mountplans[k].cells;
+      for (var i = 0; i < cells.length; i++) {
+        MEM.planmtx[cells[i]]--;
+        if (MEM.planmtx[cells[i]] == 0) {
+          delete MEM.planmtx[cells[i]];
         }
       }
+      delete MEM.mountplans[k];
     }
-    console.log("EH?WTF!");
-    console.log(MEM.chunks);
-    console.log(nch);
-  };
+  }
+}
 
+/**
+ * Hand the generated elements of a chunk to the chunk system. Chunks are
+ * inserted once they extend the loaded range MEM.xmin..MEM.xmax, so it stays
+ * contiguous however the chunks arrive; the rest wait in MEM.ready.
+ * Inserted chunks are kept in MEM.loaded and their elements added to the
+ * spatial index.
+ * @param {number} idx - Chunk index
+ * @param {Array} elems - Chunk elements from chunkgen()
+ * @returns {number} Number of chunks inserted
+ */
+function chunkstore(idx, elems) {
+  MEM.ready[idx] = elems;
+  var n = 0;
+  var k = Math.floor(MEM.xmax / MEM.cwid);
+  while (MEM.ready[k] != undefined) {
+    chunkadd(k);
+    MEM.xmax = MEM.xmax + MEM.cwid;
+    k++;
+    n++;
+  }
+  k = Math.floor(MEM.xmin / MEM.cwid) - 1;
+  while (MEM.ready[k] != undefined) {
+    chunkadd(k);
+    MEM.xmin = MEM.xmin - MEM.cwid;
+    k--;
+    n++;
+  }
+  return n;
+}
+
+/**
+ * Load landscape chunks for the specified range, generating them on this
+ * thread. Used for the first view, by the headless renderer, and whenever
+ * no worker pool is running. Far away chunks are evicted with chunkevict().
+ * @param {number} xmin - Minimum X coordinate
+ * @param {number} xmax - Maximum X coordinate
+ */
+function chunkloader(xmin, xmax) {
+  chunkevict(xmin, xmax);
   while (xmax > MEM.xmax - MEM.cwid || xmin < MEM.xmin + MEM.cwid) {
     console.log("generating new chunk...");
 
-    var plan;
+    var idx;
     if (xmax > MEM.xmax - MEM.cwid) {
-      plan = mountplanner(MEM.xmax, MEM.xmax + MEM.cwid);
-      MEM.xmax = MEM.xmax + MEM.cwid;
+      idx = Math.floor(MEM.xmax / MEM.cwid);
     } else {
-      plan = mountplanner(MEM.xmin - MEM.cwid, MEM.xmin);
-      MEM.xmin = MEM.xmin - MEM.cwid;
+      idx = Math.floor(MEM.xmin / MEM.cwid) - 1;
     }
 
     // Get element toggle states
     var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
 
-    for (var i = 0; i < plan.length; i++) {
-      if (plan[i].tag == "mount") {
-        add({
-          tag: plan[i].tag,
-          x: plan[i].x,
-          y: plan[i].y,
-          canv: generateMountainWithToggles(plan[i].x, plan[i].y, i * 2 * Math.random(), toggles),
-        });
-        if (toggles.water) {
-          add({
-            tag: plan[i].tag,
-            x: plan[i].x,
-            y: plan[i].y - 10000,
-            canv: water(plan[i].x, plan[i].y, i * 2),
-          });
-        }
-      } else if (plan[i].tag == "flatmount") {
-        add({
-          tag: plan[i].tag,
-          x: plan[i].x,
-          y: plan[i].y,
-          canv: Mount.flatMount(
-            plan[i].x,
-            plan[i].y,
-            2 * Math.random() * Math.PI,
-            {
-              wid: 600 + Math.random() * 400,
-              hei: 100,
-              cho: 0.5 + Math.random() * 0.2,
-            },
-          ),
-        });
-      } else if (plan[i].tag == "distmount") {
-        add({
-          tag: plan[i].tag,
-          x: plan[i].x,
-          y: plan[i].y,
-          canv: Mount.distMount(plan[i].x, plan[i].y, Math.random() * 100, {
-            hei: 150,
-            len: randChoice([500, 1000, 1500]),
-          }),
-        });
-      } else if (plan[i].tag == "boat" && toggles.boats) {
-        add({
-          tag: plan[i].tag,
-          x: plan[i].x,
-          y: plan[i].y,
-          canv: Arch.boat01(plan[i].x, plan[i].y, Math.random(), {
-            sca: plan[i].y / 800,
-            fli: randChoice([true, false]),
-          }),
-        });
-      } else if (plan[i].tag == "redcirc") {
-        add({
-          tag: plan[i].tag,
-          x: plan[i].x,
-          y: plan[i].y,
-          canv:
-            "<circle cx='" +
-            plan[i].x +
-            "' cy='" +
-            plan[i].y +
-            "' r='20' stroke='black' fill='red' />",
-        });
-      } else if (plan[i].tag == "greencirc") {
-        add({
-          tag: plan[i].tag,
-          x: plan[i].x,
-          y: plan[i].y,
-          canv:
-            "<circle cx='" +
-            plan[i].x +
-            "' cy='" +
-            plan[i].y +
-            "' r='20' stroke='black' fill='green' />",
-        });
-      }
+    chunkstore(idx, chunkgen(idx, toggles));
+  }
+  chunkevict(xmin, xmax);
+}
+
+/**
+ * Request the chunks needed for the specified range from the worker pool
+ * (see chunkpool.js) instead of generating them here. Covers the same
+ * range as chunkloader, plus MEM.lookahead chunks in the scroll direction,
+ * nearest first. Chunks already requested are not asked for again; they
+ * arrive through chunkreceive().
+ * @param {number} xmin - Minimum X coordinate
+ * @param {number} xmax - Maximum X coordinate
+ * @param {number} dir - Scroll direction (1 right, -1 left, 0 none)
+ * @returns {boolean} False if no worker pool is running, in which case the
+ *   caller should use chunkloader
+ */
+function chunkprefetch(xmin, xmax, dir) {
+  if (typeof ChunkPool === "undefined" || !ChunkPool.active()) {
+    return false;
+  }
+  chunkevict(xmin, xmax);
+  var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
+  var broken = STROKE_STYLE.broken;
+  if (typeof document !== "undefined" && document.getElementById("BROKEN_STROKES")) {
+    broken = document.getElementById("BROKEN_STROKES").checked;
+  }
+
+  var lo = Math.floor((xmin - MEM.cwid) / MEM.cwid);
+  var hi = Math.ceil((xmax + MEM.cwid) / MEM.cwid);
+  if (dir > 0) {
+    hi += MEM.lookahead;
+  } else if (dir < 0) {
+    lo -= MEM.lookahead;
+  }
+  var right = [];
+  for (var k = Math.floor(MEM.xmax / MEM.cwid); k < hi; k++) {
+    right.push(k);
+  }
+  var left = [];
+  for (var k = Math.floor(MEM.xmin / MEM.cwid) - 1; k >= lo; k--) {
+    left.push(k);
+  }
+  var order = dir < 0 ? left.concat(right) : right.concat(left);
+
+  for (var i = 0; i < order.length; i++) {
+    var k = order[i];
+    if (!MEM.requested[k] && MEM.ready[k] == undefined) {
+      MEM.requested[k] = true;
+      ChunkPool.request({
+        seed: MEM.seed,
+        epoch: MEM.epoch,
+        idx: k,
+        toggles: toggles,
+        broken: broken,
+        weather: WEATHER.type,
+        season: MEM.season,
+        mode: MEM.mode,
+        frame: MEM.frame,
+        planner: PLANNER,
+      });
     }
   }
+  return true;
+}
+
+/**
+ * Accept a chunk generated by a worker. Results requested before the last
+ * chunkreset() are dropped, as are chunks loaded on this thread meanwhile.
+ * @param {Object} res - Worker result {epoch, idx, elems}
+ * @returns {number} Number of chunks inserted
+ */
+function chunkreceive(res) {
+  if (res.epoch != MEM.epoch) {
+    return 0;
+  }
+  if (MEM.loaded[res.idx] != undefined) {
+    delete MEM.requested[res.idx];
+    return 0;
+  }
+  return chunkstore(res.idx, res.elems);
 }
 
 /**
- * Render landscape chunks for the specified range
+ * Drop all loaded and pending chunks, e.g. after the element toggles
+ * change. Loading restarts at the chunk containing x; chunks only depend
+ * on their index, so nothing needs to be regenerated from 0.
+ * @param {number} [x=MEM.cursx] - Where loading restarts
+ */
+function chunkreset(x) {
+  var x = x != undefined ? x : MEM.cursx;
+  MEM.index = {};
+  MEM.loaded = {};
+  MEM.ready = {};
+  MEM.requested = {};
+  MEM.epoch++;
+  MEM.xmin = MEM.xmax = Math.floor(x / MEM.cwid) * MEM.cwid;
+  if (typeof ChunkPool !== "undefined") {
+    ChunkPool.clear();
+  }
+}
+
+/**
+ * SVG markup of a chunk element, rendered from its scene graph on first use
+ * and cached on the chunk
+ * @param {Object} chunk - Chunk element
+ * @returns {string} SVG markup
+ */
+function chunksvg(chunk) {
+  if (chunk.svg == undefined) {
+    chunk.svg = SvgRenderer.render(chunk.canv);
+    if (chunk.svg.includes("NaN")) {
+      console.log("gotcha:");
+      console.log(chunk.tag);
+      chunk.svg = chunk.svg.replace(/NaN/g, -1000);
+    }
+  }
+  return chunk.svg;
+}
+
+/**
+ * Render landscape chunks for the specified range into MEM.canv
  * @param {number} xmin - Minimum X coordinate
  * @param {number} xmax - Maximum X coordinate
  */
 function chunkrender(xmin, xmax) {
   MEM.canv = "";
 
-  for (var i = 0; i < MEM.chunks.length; i++) {
-    if (
-      xmin - MEM.cwid < MEM.chunks[i].x &&
-      MEM.chunks[i].x < xmax + MEM.cwid
-    ) {
-      MEM.canv += MEM.chunks[i].canv;
+  var chunks = chunkquery(xmin, xmax);
+  for (var i = 0; i < chunks.length; i++) {
+    MEM.canv += chunksvg(chunks[i]);
+  }
+}
+
+/**
+ * Chunk elements of any x-range, independent of what is on screen, for
+ * exports. Chunks that are loaded are reused and the others are generated
+ * on the spot without entering the cache.
+ * @param {number} xmin - Left edge of the range
+ * @param {number} xmax - Right edge of the range
+ * @returns {Array} Chunk elements in painting order
+ */
+function chunkrange(xmin, xmax) {
+  var toggles = typeof getElementToggles === 'function' ? getElementToggles() : ELEMENT_TOGGLES;
+
+  // Elements lie at most 700 units outside their chunk (see mountplanner)
+  var chunks = [];
+  var k0 = Math.floor((xmin - MEM.cwid) / MEM.cwid) - 2;
+  var k1 = Math.floor((xmax + MEM.cwid) / MEM.cwid) + 2;
+  for (var k = k0; k <= k1; k++) {
+    var elems = MEM.loaded[k] != undefined ? MEM.loaded[k] : chunkgen(k, toggles);
+    for (var i = 0; i < elems.length; i++) {
+      if (xmin - MEM.cwid < elems[i].x && elems[i].x < xmax + MEM.cwid) {
+        chunks.push(elems[i]);
+      }
+    }
+  }
+  return chunks.sort(chunkorder);
+}
+
+/**
+ * SVG document of any x-range (see chunkrange), painted in order like the
+ * display, so nearer shapes hide what lies behind them.
+ * @param {number} xmin - Left edge of the exported range
+ * @param {number} xmax - Right edge of the exported range
+ * @returns {string} Standalone SVG document, MEM.zoom pixels per landscape
+ *   unit and MEM.windy pixels tall like the viewport
+ */
+function rangesvg(xmin, xmax) {
+  return svgdocument(xmin, xmax, SvgRenderer.render(rangenodes(xmin, xmax)));
+}
+
+/**
+ * Layered SVG document of any x-range (see chunkrange). Shapes are sorted
+ * into one Inkscape / Illustrator layer per element type (see
+ * SvgRenderer.layered); each layer keeps the painting order of its shapes.
+ * The layers are stacked by type, not by depth, so the trees and houses of
+ * far ranges lie over the white of nearer mountains: the file is for
+ * editing, and does not look like the painting (use rangesvg for that).
+ * @param {number} xmin - Left edge of the exported range
+ * @param {number} xmax - Right edge of the exported range
+ * @returns {string} Standalone SVG document, sized like rangesvg
+ */
+function layeredsvg(xmin, xmax) {
+  return svgdocument(xmin, xmax, SvgRenderer.layered(rangenodes(xmin, xmax)));
+}
+
+// Scene nodes of the chunk elements of an x-range, in painting order
+function rangenodes(xmin, xmax) {
+  var chunks = chunkrange(xmin, xmax);
+  var nodes = [];
+  for (var i = 0; i < chunks.length; i++) {
+    nodes.push(chunks[i].canv);
+  }
+  return nodes;
+}
+
+// Standalone SVG document of an x-range around the markup, declaring the
+// inkscape namespace for the layers of layeredsvg
+function svgdocument(xmin, xmax, markup) {
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    "<svg xmlns='http://www.w3.org/2000/svg'" +
+    " xmlns:inkscape='http://www.inkscape.org/namespaces/inkscape'" +
+    " width='" +
+    (xmax - xmin) * MEM.zoom +
+    "' height='" +
+    MEM.windy +
+    "' viewBox='" +
+    xmin +
+    " 0 " +
+    (xmax - xmin) +
+    " " +
+    MEM.windy / MEM.zoom +
+    "'>" +
+    markup.replace(/NaN/g, -1000) +
+    "</svg>"
+  );
+}
+
+/**
+ * Plotter lines of any x-range (see chunkrange and Plotter.lines): the
+ * painted scene as centerlines, with the lines hidden behind nearer white
+ * shapes removed, cut to the range and the height of the viewport.
+ * @param {number} xmin - Left edge of the exported range
+ * @param {number} xmax - Right edge of the exported range
+ * @param {Object} [args] - Options of Plotter.lines (hatch, spacing, angle)
+ * @returns {Array} Lines {plist, col, wid} in landscape units
+ */
+function plotterlines(xmin, xmax, args) {
+  var chunks = chunkrange(xmin, xmax);
+  var nodes = [];
+  for (var i = 0; i < chunks.length; i++) {
+    nodes.push(chunks[i].canv);
+  }
+  return Plotter.crop(Plotter.lines(nodes, args), {
+    xmin: xmin,
+    ymin: 0,
+    xmax: xmax,
+    ymax: MEM.windy / MEM.zoom,
+  });
+}
+
+/**
+ * Plotter lines of any x-range (see plotterlines) sorted into pens by their
+ * tone (see Plotter.inks and Plotter.separate), so the shades the painting
+ * gets from its translucent greys can be drawn in several inks. Each pen's
+ * lines are ordered to keep pen travel short.
+ * @param {number} xmin - Left edge of the exported range
+ * @param {number} xmax - Right edge of the exported range
+ * @param {Object} [args] - Options
+ * @param {number|string|Array} [args.inks] - Inks, see Plotter.inks
+ *   (default: one black pen for everything)
+ * @param {Object} [args.page] - Placement on paper from Plotter.fit. The
+ *   pen starts at the sheet's origin instead of the bottom left corner of
+ *   the range, and strokes can be hatched.
+ * @param {number} [args.penWidth=0.4] - Pen width in millimetres, with a page
+ * @param {number} [args.hatch] - Strokes wider than this many millimetres on
+ *   paper are hatched, with a page (default: none)
+ * @returns {Object} {inks, pens}: the inks lightest first, and an Array of
+ *   lines {plist, col, wid, pen} in drawing order for each
+ */
+function plotterpens(xmin, xmax, args) {
+  var args = args != undefined ? args : {};
+  var page = args.page;
+  var penWidth = args.penWidth != undefined ? args.penWidth : 0.4;
+
+  var lines = plotterlines(
+    xmin,
+    xmax,
+    page != undefined && args.hatch != undefined ? { hatch: args.hatch / page.sca, spacing: penWidth / page.sca } : {},
+  );
+  var inks = Plotter.inks(args.inks != undefined ? args.inks : [{ tone: 1, col: "black" }], lines);
+  var pens = Plotter.separate(lines, inks);
+  for (var i = 0; i < pens.length; i++) {
+    pens[i] = Plotter.optimize(pens[i], { home: page != undefined ? page.home : [xmin, MEM.windy / MEM.zoom] });
+  }
+  return { inks: inks, pens: pens };
+}
+
+/**
+ * Plotter SVG document of any x-range (see plotterlines): unfilled
+ * polylines only, sized like layeredsvg, for pen plotters such as the
+ * AxiDraw. With several inks each pen gets an Inkscape layer, numbered so
+ * the AxiDraw software can plot them one at a time.
+ * @param {number} xmin - Left edge of the exported range
+ * @param {number} xmax - Right edge of the exported range
+ * @param {Object} [args] - Options
+ * @param {number|string|Array} [args.inks] - Inks, see plotterpens
+ * @param {number} [args.ink] - Only draw this pen, counting from 1
+ * @param {Object} [args.pens] - plotterpens() of this range, to reuse
+ * @returns {string} Standalone SVG document
+ */
+function plottersvg(xmin, xmax, args) {
+  var args = args != undefined ? args : {};
+  var job = args.pens != undefined ? args.pens : plotterpens(xmin, xmax, { inks: args.inks });
+  var canv = "";
+  for (var i = 0; i < job.pens.length; i++) {
+    if (args.ink != undefined && args.ink != i + 1) {
+      continue;
+    }
+    canv += Plotter.svg(
+      job.pens[i],
+      args.inks != undefined ? { col: job.inks[i].col, id: "pen" + (i + 1), label: i + 1 + " " + job.inks[i].name } : {},
+    );
+  }
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    "<svg xmlns='http://www.w3.org/2000/svg'" +
+    (args.inks != undefined ? " xmlns:inkscape='http://www.inkscape.org/namespaces/inkscape'" : "") +
+    " width='" +
+    (xmax - xmin) * MEM.zoom +
+    "' height='" +
+    MEM.windy +
+    "' viewBox='" +
+    xmin +
+    " 0 " +
+    (xmax - xmin) +
+    " " +
+    MEM.windy / MEM.zoom +
+    "'>" +
+    canv +
+    "</svg>"
+  );
+}
+
+/**
+ * G-code or HPGL program that draws any x-range (see plotterlines) on a
+ * sheet of paper. Lines are ordered to keep pen travel short, and strokes
+ * wider than the hatch threshold are filled with hatch lines one pen width
+ * apart. With several inks the pens are drawn lightest first, with a pen
+ * change in between.
+ * @param {number} xmin - Left edge of the exported range
+ * @param {number} xmax - Right edge of the exported range
+ * @param {Object} [args] - Options
+ * @param {string} [args.format="gcode"] - "gcode" or "hpgl"
+ * @param {string|Array} [args.paper="A4"] - Paper size, see Plotter.fit
+ * @param {number} [args.margin=15] - Margin in millimetres
+ * @param {number} [args.penWidth=0.4] - Pen width in millimetres
+ * @param {number} [args.hatch] - Strokes wider than this many millimetres on
+ *   paper are hatched (default: none, every stroke is a centerline)
+ * @param {string} [args.penUp] - G-code that lifts the pen, see Plotter.gcode
+ * @param {string} [args.penDown] - G-code that lowers the pen
+ * @param {string} [args.penChange] - G-code that waits for a pen change
+ * @param {number} [args.feed] - G-code drawing speed in mm/min
+ * @param {number} [args.pen] - HPGL number of the first pen
+ * @param {number|string|Array} [args.inks] - Inks, see plotterpens
+ * @param {number} [args.ink] - Only draw this pen, counting from 1
+ * @param {Object} [args.pens] - plotterpens() of this range and page, to
+ *   reuse
+ * @returns {string} The program
+ */
+function plotterfile(xmin, xmax, args) {
+  var args = args != undefined ? args : {};
+  var format = args.format != undefined ? args.format : "gcode";
+
+  var page = Plotter.fit({ xmin: xmin, ymin: 0, xmax: xmax, ymax: MEM.windy / MEM.zoom }, args);
+  var job =
+    args.pens != undefined
+      ? args.pens
+      : plotterpens(xmin, xmax, { inks: args.inks, page: page, penWidth: args.penWidth, hatch: args.hatch });
+  var lines = [];
+  for (var i = 0; i < job.pens.length; i++) {
+    if (args.ink == undefined || args.ink == i + 1) {
+      lines = lines.concat(job.pens[i]);
+    }
+  }
+  if (format == "hpgl") {
+    return Plotter.hpgl(lines, page, args);
+  } else if (format == "gcode") {
+    return Plotter.gcode(lines, page, args);
+  }
+  throw new Error("plotterfile: unknown format " + format);
+}
+
+/**
+ * One plotter file per pen of any x-range (see plottersvg and plotterfile),
+ * for plotters without a pen changer, or screen printing with one screen
+ * per ink. The lines are only computed once.
+ * @param {number} xmin - Left edge of the exported range
+ * @param {number} xmax - Right edge of the exported range
+ * @param {Object} [args] - Options of plotterfile; args.format can also be
+ *   "svg"
+ * @returns {Array} {ink, text} for each ink, lightest first
+ */
+function plotterfiles(xmin, xmax, args) {
+  var args = args != undefined ? args : {};
+  var format = args.format != undefined ? args.format : "gcode";
+
+  var job;
+  if (format == "svg") {
+    job = plotterpens(xmin, xmax, { inks: args.inks });
+  } else {
+    var page = Plotter.fit({ xmin: xmin, ymin: 0, xmax: xmax, ymax: MEM.windy / MEM.zoom }, args);
+    job = plotterpens(xmin, xmax, { inks: args.inks, page: page, penWidth: args.penWidth, hatch: args.hatch });
+  }
+  var files = [];
+  for (var i = 0; i < job.inks.length; i++) {
+    var opts = Object.assign({}, args, { ink: i + 1, pens: job });
+    files.push({
+      ink: job.inks[i],
+      text: format == "svg" ? plottersvg(xmin, xmax, opts) : plotterfile(xmin, xmax, opts),
+    });
+  }
+  return files;
+}
+
+/**
+ * Offscreen bitmap of a chunk element for the canvas renderer, rasterized
+ * from its scene graph on first use and cached on the chunk. The bitmap
+ * covers the element's bounding box at display resolution, so blitting it
+ * needs no scaling.
+ * @param {Object} chunk - Chunk element
+ * @param {number} sca - Pixels per landscape unit
+ * @returns {Object|undefined} {img, x, y} with the bitmap and the landscape
+ *   position of its top left corner, or undefined if the element is empty
+ */
+function chunkbitmap(chunk, sca) {
+  if (chunk.bitmap != undefined && chunk.bitmap.sca == sca) {
+    return chunk.bitmap.img ? chunk.bitmap : undefined;
+  }
+  var box = Scene.bounds(chunk.canv);
+  chunk.bitmap = { sca: sca, img: null, x: 0, y: 0 };
+  if (box == undefined) {
+    return undefined;
+  }
+  // Leave room for stroke widths
+  var pad = 4;
+  var img = document.createElement("canvas");
+  img.width = Math.max(1, Math.ceil((box.xmax - box.xmin + pad * 2) * sca));
+  img.height = Math.max(1, Math.ceil((box.ymax - box.ymin + pad * 2) * sca));
+  CanvasRenderer.render(chunk.canv, img.getContext("2d"), {
+    xof: pad - box.xmin,
+    yof: pad - box.ymin,
+    sca: sca,
+  });
+  chunk.bitmap.img = img;
+  chunk.bitmap.x = box.xmin - pad;
+  chunk.bitmap.y = box.ymin - pad;
+  return chunk.bitmap;
+}
+
+/**
+ * Canvas counterpart of chunkrender: blit the cached bitmaps of the chunk
+ * elements in the specified range onto a canvas, in depth order. Bitmaps of
+ * elements far outside the range are dropped to bound memory use; they are
+ * rasterized again when scrolled back into view.
+ * @param {HTMLCanvasElement} canvas - Target canvas, MEM.windx by MEM.windy
+ *   CSS pixels
+ * @param {number} xmin - Minimum X coordinate
+ * @param {number} xmax - Maximum X coordinate
+ */
+function chunkblit(canvas, xmin, xmax) {
+  var dpr = canvas.width / MEM.windx;
+  var sca = MEM.zoom * dpr;
+  var ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  var chunks = chunkquery(xmin, xmax);
+  for (var i = 0; i < chunks.length; i++) {
+    var bm = chunkbitmap(chunks[i], sca);
+    if (bm != undefined) {
+      ctx.drawImage(bm.img, Math.round((bm.x - MEM.cursx) * sca), Math.round(bm.y * sca));
+    }
+  }
+  for (var k in MEM.loaded) {
+    for (var i = 0; i < MEM.loaded[k].length; i++) {
+      var chunk = MEM.loaded[k][i];
+      if (chunk.x < xmin - MEM.windx || xmax + MEM.windx < chunk.x) {
+        chunk.bitmap = undefined;
+      }
     }
   }
 }
@@ -508,10 +2036,28 @@ function onMouseUpdate(e) {
   mouseY = e.pageY;
 }
 
-// Set up mouse event listeners
-document.addEventListener("mousemove", onMouseUpdate, false);
-document.addEventListener("mouseenter", onMouseUpdate, false);
+// Set up mouse event listeners (there is no document when running headless)
+if (typeof document !== "undefined") {
+  document.addEventListener("mousemove", onMouseUpdate, false);
+  document.addEventListener("mouseenter", onMouseUpdate, false);
+}
 
 // Expose chunkloader to global scope for compatibility
-self.chunkloader = chunkloader;
-self.chunkrender = chunkrender;
\ No newline at end of file
+if (typeof self !== "undefined") {
+  self.chunkloader = chunkloader;
+  self.chunkrender = chunkrender;
+  self.chunkblit = chunkblit;
+  self.chunkgen = chunkgen;
+  self.chunkprefetch = chunkprefetch;
+  self.chunkreceive = chunkreceive;
+  self.chunkquery = chunkquery;
+  self.chunksvg = chunksvg;
+  self.chunkrange = chunkrange;
+  self.rangesvg = rangesvg;
+  self.layeredsvg = layeredsvg;
+  self.plotterlines = plotterlines;
+  self.plottersvg = plottersvg;
+  self.plotterfile = plotterfile;
+  self.plotterpens = plotterpens;
+  self.plotterfiles = plotterfiles;
+}
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * Mist and Cloud Module
+ *
+ * Generates the mist that lies between the planes of a landscape: soft
+ * horizontal bands that veil the feet of mountains and dissolve far ranges,
+ * and wispy clouds that drift across upper slopes. The mist is painted in
+ * translucent white, so it fades what lies behind it instead of outlining
+ * anything; only the faint lines under clouds reach a pen plotter. In rain,
+ * a grey wash and slanting streaks are laid over the whole scene.
+ *
+ * Features:
+ * - Bands of stacked veils, densest in the middle and thinning out at both
+ *   ends, so nothing behind them ends abruptly
+ * - Clouds of overlapping blob() wisps, each fading out from its core, with
+ *   a faint line under some of them
+ * - Rain: a darker wash, heaviest under the clouds at the top, and slanting
+ *   streaks
+ *
+ * Dependencies: prng.js (through ss.random), noise.js, rendering.js
+ */
+
+/**
+ * Create the mist generators
+ * @param {Object} ss - Shan Shui instance providing random(), Noise, poly(),
+ *   stroke() and blob()
+ * @returns {Object} Mist namespace
+ */
+function createMist(ss) {
+  var random = ss.random;
+  var Noise = ss.Noise;
+  var poly = ss.poly;
+  var stroke = ss.stroke;
+  var blob = ss.blob;
+  var Scene = ss.Scene;
+
+  var Mist = new function() {
+
+    /**
+     * Generate a band of mist: stacked soft-edged white veils that are
+     * densest in the middle, so what lies behind fades out instead of ending
+     * @param {number} xoff - Left edge
+     * @param {number} yoff - Middle of the band
+     * @param {Object} args - Configuration options
+     * @param {number} args.wid - Width (default: 600)
+     * @param {number} args.hei - Height (default: 60)
+     * @param {number} args.lay - Number of veils (default: 5)
+     * @param {number} args.alp - Opacity of each veil (default: 0.2)
+     * @param {number} args.fad - Part of the width over which the band thins
+     *   out at either end (default: 0.15)
+     * @returns {Object} Scene group tagged "mist"
+     */
+    this.band = function(xoff, yoff, args) {
+      var args = args != undefined ? args : {};
+      var wid = args.wid != undefined ? args.wid : 600;
+      var hei = args.hei != undefined ? args.hei : 60;
+      var lay = args.lay != undefined ? args.lay : 5;
+      var alp = args.alp != undefined ? args.alp : 0.2;
+      var fad = args.fad != undefined ? args.fad : 0.15;
+
+      var canv = [];
+      var seed = random() * 100;
+      var reso = 40;
+      for (var k = 0; k < lay; k++) {
+        var h = (hei / 2) * (1 - k / lay);
+        var top = [];
+        var bot = [];
+        for (var i = 0; i <= reso; i++) {
+          var t = i / reso;
+          var px = xoff + t * wid;
+          var env = fad > 0 ? Math.min(1, t / fad, (1 - t) / fad) : 1;
+          env = Math.sin((env * Math.PI) / 2);
+          top.push([px, yoff - h * env * (0.5 + Noise.noise(px * 0.01, k, seed))]);
+          bot.push([px, yoff + h * env * (0.5 + Noise.noise(px * 0.01, k + 10, seed))]);
+        }
+        Scene.add(canv, poly(top.concat(bot.reverse()), {
+          fil: "rgba(255,255,255," + alp + ")",
+          str: "none",
+        }));
+      }
+      return Scene.group(canv, { tags: ["mist"], source: "Mist.band", depth: yoff });
+    };
+
+    /**
+     * Generate a cloud: long wisps strung along a gently rising and falling
+     * line, each a blob() that fades out from a dense core in a few white
+     * layers, with a faint line under some of them
+     * @param {number} xoff - Left edge
+     * @param {number} yoff - Middle of the cloud
+     * @param {Object} args - Configuration options
+     * @param {number} args.wid - Width (default: 200)
+     * @param {number} args.hei - Height of a wisp (default: 30)
+     * @param {number} args.n - Number of wisps (default: 3 to 5)
+     * @param {number} args.alp - Opacity of each layer (default: 0.3)
+     * @returns {Object} Scene group tagged "mist"
+     */
+    this.cloud = function(xoff, yoff, args) {
+      var args = args != undefined ? args : {};
+      var wid = args.wid != undefined ? args.wid : 200;
+      var hei = args.hei != undefined ? args.hei : 30;
+      var n = args.n != undefined ? args.n : 3 + Math.floor(random() * 3);
+      var alp = args.alp != undefined ? args.alp : 0.3;
+
+      var canv = [];
+      var seed = random() * 100;
+      for (var i = 0; i < n; i++) {
+        var t = (i + 0.5) / n;
+        var len = wid * (0.35 + random() * 0.35);
+        var x = xoff + t * wid + (random() - 0.5) * wid * 0.2;
+        var y = yoff + (Noise.noise(t * 2, seed) - 0.5) * hei * 2;
+        var w = hei * (0.4 + random() * 0.4) * Math.sin((0.3 + t * 0.4) * Math.PI);
+        var ang = (random() - 0.5) * 0.1;
+        for (var k = 0; k < 3; k++) {
+          var s = 1 - k * 0.25;
+          Scene.add(canv, poly(blob(x, y, {
+            len: len * s,
+            wid: w * s,
+            ang: ang,
+            ret: 1,
+          }), { fil: "rgba(255,255,255," + alp + ")", str: "none" }));
+        }
+        if (random() < 0.6) {
+          // The lower edge of the wisp, a little inside its outline
+          var edge = blob(x, y + w * 0.1, { len: len * 0.8, wid: w * 0.8, ang: ang, noi: 0.2, ret: 1 });
+          Scene.add(canv, stroke(edge.slice(2, 9), {
+            col: "rgba(100,100,100," + (0.05 + random() * 0.05).toFixed(3) + ")",
+            wid: 1,
+          }));
+        }
+      }
+      return Scene.group(canv, { tags: ["mist"], source: "Mist.cloud", depth: yoff });
+    };
+
+    /**
+     * Generate rain over a rectangle: a grey wash that is darkest under the
+     * clouds at the top and thins out downwards, and thin streaks slanting
+     * in the wind. The edge of the wash follows noise along x only, so the
+     * rain of neighbouring rectangles meets. Paint it over everything else.
+     * @param {number} xoff - Left edge
+     * @param {number} yoff - Top edge
+     * @param {Object} args - Configuration options
+     * @param {number} args.wid - Width (default: 500)
+     * @param {number} args.hei - Height (default: 800)
+     * @param {number} args.den - Streaks per 1000 square units (default: 0.25)
+     * @param {number} args.ang - Slant of the streaks from the vertical, in
+     *   radians (default: 0.3)
+     * @param {number} args.alp - Opacity of the wash (default: 0.05)
+     * @returns {Object} Scene group tagged "rain"
+     */
+    this.rain = function(xoff, yoff, args) {
+      var args = args != undefined ? args : {};
+      var wid = args.wid != undefined ? args.wid : 500;
+      var hei = args.hei != undefined ? args.hei : 800;
+      var den = args.den != undefined ? args.den : 0.25;
+      var ang = args.ang != undefined ? args.ang : 0.3;
+      var alp = args.alp != undefined ? args.alp : 0.05;
+
+      var canv = [];
+      var col = "rgba(100,100,100," + alp + ")";
+      Scene.add(canv, poly([[xoff, yoff], [xoff + wid, yoff], [xoff + wid, yoff + hei], [xoff, yoff + hei]], {
+        fil: col,
+        str: "none",
+      }));
+      var reso = 40;
+      for (var k = 0; k < 4; k++) {
+        var plist = [[xoff, yoff]];
+        for (var i = 0; i <= reso; i++) {
+          var px = xoff + (i / reso) * wid;
+          plist.push([px, yoff + hei * (0.1 + k * 0.08) * (0.5 + Noise.noise(px * 0.003, k, 31))]);
+        }
+        plist.push([xoff + wid, yoff]);
+        Scene.add(canv, poly(plist, { fil: col, str: "none" }));
+      }
+
+      var n = Math.round((wid * hei * den) / 1000);
+      for (var i = 0; i < n; i++) {
+        var x = xoff + random() * wid;
+        var y = yoff + random() * hei;
+        var len = 15 + random() * 35;
+        Scene.add(canv, poly([[x, y], [x + Math.sin(ang) * len, y + Math.cos(ang) * len]], {
+          fil: "none",
+          str: "rgba(100,100,100," + (0.2 + random() * 0.2).toFixed(3) + ")",
+          wid: 0.8,
+        }));
+      }
+      return Scene.group(canv, { tags: ["rain"], source: "Mist.rain", depth: yoff + hei });
+    };
+  }();
+
+  return Mist;
+}
+
+ShanShui.createMist = createMist;
@@ -1,295 +1,637 @@
 /**
  * Mountain and terrain generation module for Shan Shui
  * Generates various types of mountains, rocks, and terrain features
- * Dependencies: prng.js, noise.js, polytools.js, utils.js, rendering.js, trees.js, architecture.js, figures.js
+ * Dependencies: prng.js (through ss.random), noise.js, polytools.js, utils.js, rendering.js, trees.js, architecture.js
  */
 
-var Mount = new function() {
+/**
+ * Create the mountain generators. Trees and buildings are looked up on the
+ * instance's Tree and Arch objects at call time, so wrappers installed on
+ * those objects (e.g. the element toggles in main.js) take effect.
+ * @param {Object} ss - Shan Shui instance providing random(), Noise,
+ *   PolyTools, utils, rendering functions, Tree and Arch
+ * @returns {Object} Mount namespace
+ */
+function createMount(ss) {
+  var random = ss.random;
+  var Noise = ss.Noise;
+  var PolyTools = ss.PolyTools;
+  var poly = ss.poly;
+  var stroke = ss.stroke;
+  var blob = ss.blob;
+  var texture = ss.texture;
+  var div = ss.div;
+  var loopNoise = ss.loopNoise;
+  var normRand = ss.normRand;
+  var randChoice = ss.randChoice;
+  var Tree = ss.Tree;
+  var Arch = ss.Arch;
+  var Scene = ss.Scene;
+  var WEATHER = ss.WEATHER;
+
+  var Mount = new function() {
   
-  /**
-   * Generate mountain base/foot structures
-   * @param {Array} ptlist - Array of point arrays representing mountain layers
-   * @param {Object} args - Configuration options
-   * @returns {String} SVG markup for mountain foot
-   */
-  var foot = function(ptlist, args) {
-    var args = args != undefined ? args : {};
-    var xof = args.xof != undefined ? args.xof : 0;
-    var yof = args.yof != undefined ? args.yof : 0;
-    var ret = args.ret != undefined ? args.ret : 0;
-
-    var ftlist = [];
-    var span = 10;
-    var ni = 0;
-    for (var i = 0; i < ptlist.length - 2; i += 1) {
-      if (i == ni) {
-        ni = Math.min(ni + randChoice([1, 2]), ptlist.length - 1);
-
-        ftlist.push([]);
-        ftlist.push([]);
-        for (var j = 0; j < Math.min(ptlist[i].length / 8, 10); j++) {
-          ftlist[ftlist.length - 2].push([
-            ptlist[i][j][0] + Noise.noise(j * 0.1, i) * 10,
-            ptlist[i][j][1],
-          ]);
-          ftlist[ftlist.length - 1].push([
-            ptlist[i][ptlist[i].length - 1 - j][0] -
-              Noise.noise(j * 0.1, i) * 10,
-            ptlist[i][ptlist[i].length - 1 - j][1],
-          ]);
-        }
+    /**
+     * Generate mountain base/foot structures
+     * @param {Array} ptlist - Array of point arrays representing mountain layers
+     * @param {Object} args - Configuration options
+     * @returns {Array} Scene nodes for mountain foot
+     */
+    var foot = function(ptlist, args) {
+      var args = args != undefined ? args : {};
+      var xof = args.xof != undefined ? args.xof : 0;
+      var yof = args.yof != undefined ? args.yof : 0;
+      var ret = args.ret != undefined ? args.ret : 0;
+
+      var ftlist = [];
+      var span = 10;
+      var ni = 0;
+      for (var i = 0; i < ptlist.length - 2; i += 1) {
+        if (i == ni) {
+          ni = Math.min(ni + randChoice([1, 2]), ptlist.length - 1);
+
+          ftlist.push([]);
+          ftlist.push([]);
+          for (var j = 0; j < Math.min(ptlist[i].length / 8, 10); j++) {
+            ftlist[ftlist.length - 2].push([
+              ptlist[i][j][0] + Noise.noise(j * 0.1, i) * 10,
+              ptlist[i][j][1],
+            ]);
+            ftlist[ftlist.length - 1].push([
+              ptlist[i][ptlist[i].length - 1 - j][0] -
+                Noise.noise(j * 0.1, i) * 10,
+              ptlist[i][ptlist[i].length - 1 - j][1],
+            ]);
+          }
 
-        ftlist[ftlist.length - 2] = ftlist[ftlist.length - 2].reverse();
-        ftlist[ftlist.length - 1] = ftlist[ftlist.length - 1].reverse();
-        for (var j = 0; j < span; j++) {
-          var p = j / span;
-          var x1 = ptlist[i][0][0] * (1 - p) + ptlist[ni][0][0] * p;
-          var y1 = ptlist[i][0][1] * (1 - p) + ptlist[ni][0][1] * p;
-
-          var x2 =
-            ptlist[i][ptlist[i].length - 1][0] * (1 - p) +
-            ptlist[ni][ptlist[i].length - 1][0] * p;
-          var y2 =
-            ptlist[i][ptlist[i].length - 1][1] * (1 - p) +
-            ptlist[ni][ptlist[i].length - 1][1] * p;
-
-          var vib = -1.7 * (p - 1) * Math.pow(p, 1 / 5);
-          y1 += vib * 5 + Noise.noise(xof * 0.05, i) * 5;
-          y2 += vib * 5 + Noise.noise(xof * 0.05, i) * 5;
-
-          ftlist[ftlist.length - 2].push([x1, y1]);
-          ftlist[ftlist.length - 1].push([x2, y2]);
+          ftlist[ftlist.length - 2] = ftlist[ftlist.length - 2].reverse();
+          ftlist[ftlist.length - 1] = ftlist[ftlist.length - 1].reverse();
+          for (var j = 0; j < span; j++) {
+            var p = j / span;
+            var x1 = ptlist[i][0][0] * (1 - p) + ptlist[ni][0][0] * p;
+            var y1 = ptlist[i][0][1] * (1 - p) + ptlist[ni][0][1] * p;
+
+            var x2 =
+              ptlist[i][ptlist[i].length - 1][0] * (1 - p) +
+              ptlist[ni][ptlist[i].length - 1][0] * p;
+            var y2 =
+              ptlist[i][ptlist[i].length - 1][1] * (1 - p) +
+              ptlist[ni][ptlist[i].length - 1][1] * p;
+
+            var vib = -1.7 * (p - 1) * Math.pow(p, 1 / 5);
+            y1 += vib * 5 + Noise.noise(xof * 0.05, i) * 5;
+            y2 += vib * 5 + Noise.noise(xof * 0.05, i) * 5;
+
+            ftlist[ftlist.length - 2].push([x1, y1]);
+            ftlist[ftlist.length - 1].push([x2, y2]);
+          }
         }
       }
-    }
-    var canv = "";
-    for (var i = 0; i < ftlist.length; i++) {
-      canv += poly(ftlist[i], {
+      var canv = [];
+      for (var i = 0; i < ftlist.length; i++) {
+        Scene.add(canv, poly(ftlist[i], {
+          xof: xof,
+          yof: yof,
+          fil: "white",
+          str: "none",
+        }));
+      }
+      for (var j = 0; j < ftlist.length; j++) {
+        Scene.add(canv, stroke(
+          ftlist[j].map(function(x) {
+            return [x[0] + xof, x[1] + yof];
+          }),
+          {
+            col:
+              "rgba(100,100,100," +
+              (0.1 + random() * 0.1).toFixed(3) +
+              ")",
+            wid: 1,
+          },
+        ));
+      }
+      return ret ? ftlist : canv;
+    };
+
+    /**
+     * Generate a waterfall on a mountain face: a stream leaves the face at
+     * a ledge on one of the inner layers, cascades down in a white gap
+     * through the texture and ends in a misty plunge pool at the foot
+     * @param {Array} ptlist - Array of point arrays representing mountain layers
+     * @param {Object} args - Configuration options
+     * @param {Number} args.xof - X offset (default: 0)
+     * @param {Number} args.yof - Y offset (default: 0)
+     * @param {Number} args.fee - Length of the stream that runs on from the
+     *   pool into the water below (default: 0)
+     * @returns {Object|Array} Scene group for the waterfall; no nodes if
+     *   the face drops less than 60 below the ledge
+     */
+    var waterfall = function(ptlist, args) {
+      var args = args != undefined ? args : {};
+      var xof = args.xof != undefined ? args.xof : 0;
+      var yof = args.yof != undefined ? args.yof : 0;
+      var fee = args.fee != undefined ? args.fee : 0;
+
+      var n = ptlist[0].length;
+      var ledge = ptlist[randChoice([1, 1, 2])][Math.floor(n * (0.3 + random() * 0.4))];
+      var xt = ledge[0];
+      var yt = ledge[1] + 5;
+      // The foot of the mountain, where the layers' edges end
+      var yb = ptlist[ptlist.length - 1][0][1];
+      if (yb - yt < 60) {
+        return [];
+      }
+      var ns = random() * 100;
+
+      // Course of the stream, swaying between steps of the cascade
+      var path = [];
+      for (var y = yt; y <= yb + fee; y += 5) {
+        var p = (y - yt) / (yb - yt);
+        path.push([xt + (Noise.noise(y * 0.02, ns) - 0.5) * 20 * Math.min(p, 1), y]);
+      }
+      // Wider for longer falls
+      var sca = Math.max(1, Math.sqrt((yb - yt) / 150));
+      var half = function(i) {
+        return (3 + Math.min(i / path.length, 1) * 7) * sca;
+      };
+      var left = path.map(function(q, i) {
+        return [q[0] - half(i), q[1]];
+      });
+      var right = path.map(function(q, i) {
+        return [q[0] + half(i), q[1]];
+      });
+
+      var canv = [];
+      //GAP
+      Scene.add(canv, poly(left.concat(right.slice().reverse()), {
         xof: xof,
         yof: yof,
         fil: "white",
         str: "none",
+      }));
+      //BANKS
+      [left, right].forEach(function(side) {
+        Scene.add(canv, stroke(side.map(function(q) {
+          return [q[0] + xof, q[1] + yof];
+        }), {
+          col: "rgba(100,100,100," + (0.2 + random() * 0.15).toFixed(3) + ")",
+          wid: 1.5,
+          noi: 0.8,
+        }));
       });
-    }
-    for (var j = 0; j < ftlist.length; j++) {
-      canv += stroke(
-        ftlist[j].map(function(x) {
-          return [x[0] + xof, x[1] + yof];
-        }),
-        {
-          col:
-            "rgba(100,100,100," +
-            (0.1 + Math.random() * 0.1).toFixed(3) +
-            ")",
+      //FLOW
+      for (var k = 0; k < 4; k++) {
+        var t = (k + 0.5) / 4 - 0.5 + (random() - 0.5) * 0.1;
+        var i0 = Math.floor(random() * path.length * 0.3);
+        while (i0 < path.length - 2) {
+          var i1 = Math.min(i0 + 4 + Math.floor(random() * 12), path.length);
+          Scene.add(canv, stroke(path.slice(i0, i1).map(function(q, i) {
+            return [q[0] + t * 2 * half(i0 + i) + xof, q[1] + yof];
+          }), {
+            col: "rgba(100,100,100," + (0.1 + random() * 0.15).toFixed(3) + ")",
+            wid: 0.8,
+          }));
+          i0 = i1 + Math.floor(random() * 3);
+        }
+      }
+      //PLUNGE POOL
+      var xb = path[Math.min(Math.floor((yb - yt) / 5), path.length - 1)][0];
+      for (var k = 0; k < 3; k++) {
+        var pl = [];
+        var pw = (12 + k * 8 + random() * 6) * sca;
+        for (var x = -pw; x < pw; x += 3) {
+          pl.push([xb + x + xof, yb + 4 + k * 3 + Math.sin(x * 0.4) * 0.8 + yof]);
+        }
+        Scene.add(canv, stroke(pl, {
+          col: "rgba(100,100,100," + (0.25 - k * 0.05).toFixed(3) + ")",
           wid: 1,
-        },
-      );
-    }
-    return ret ? ftlist : canv;
-  };
+        }));
+      }
+      //MIST
+      for (var k = 0; k < 5; k++) {
+        Scene.add(canv, blob(
+          xb + xof + normRand(-15, 15) * sca,
+          yb + yof - random() * 12 * sca,
+          {
+            len: (20 + random() * 30) * sca,
+            wid: (8 + random() * 10) * sca,
+            col: "rgba(255,255,255," + (0.4 + random() * 0.3).toFixed(3) + ")",
+          },
+        ));
+      }
+      return Scene.group(canv, { source: "Mount.waterfall", depth: yb + yof });
+    };
 
-  /**
-   * Generate vegetation on terrain using provided tree function and placement rules
-   * @param {Function} treeFunc - Function to generate trees
-   * @param {Function} growthRule - Function determining where vegetation can grow
-   * @param {Function} proofRule - Function for additional vegetation placement validation
-   * @param {Array} ptlist - Terrain point data
-   * @param {String} canv - Current canvas content to append to
-   * @returns {String} Updated canvas content with vegetation
-   */
-  var vegetate = function(treeFunc, growthRule, proofRule, ptlist, canv) {
-    var veglist = [];
-    for (var i = 0; i < ptlist.length; i += 1) {
-      for (var j = 0; j < ptlist[i].length; j += 1) {
-        if (growthRule(i, j)) {
-          veglist.push([ptlist[i][j][0], ptlist[i][j][1]]);
+    /**
+     * Generate terraced fields on a lower slope of a mountain, on the side
+     * away from the cliff if it has one
+     * @param {Array} ptlist - Array of point arrays representing mountain layers
+     * @param {Object} args - Configuration options
+     * @param {Number} args.xof - X offset (default: 0)
+     * @param {Number} args.yof - Y offset (default: 0)
+     * @param {Number} args.cli - Side of the cliff, see Mount.mountain
+     *   (default: 0)
+     * @param {String} args.sea - Season, see Arch.terrace01 (default: "summer")
+     * @returns {Object|Array} Scene group for the fields; no nodes if the
+     *   slope is too low for them
+     */
+    var terraces = function(ptlist, args) {
+      var args = args != undefined ? args : {};
+      var xof = args.xof != undefined ? args.xof : 0;
+      var yof = args.yof != undefined ? args.yof : 0;
+      var cli = args.cli != undefined ? args.cli : 0;
+      var sea = args.sea != undefined ? args.sea : "summer";
+
+      var n = ptlist[0].length;
+      var side = cli != 0 ? -cli : randChoice([-1, 1]);
+      var base = ptlist[5][Math.floor(n * (0.5 + side * (0.2 + random() * 0.1)))];
+      // The outline above the fields
+      var jo = 0;
+      for (var j = 0; j < n; j++) {
+        if (Math.abs(ptlist[0][j][0] - base[0]) < Math.abs(ptlist[0][jo][0] - base[0])) {
+          jo = j;
         }
       }
-    }
-    for (var i = 0; i < veglist.length; i++) {
-      if (proofRule(veglist, i)) {
-        canv += treeFunc(veglist[i][0], veglist[i][1]);
+      var th = Math.min((base[1] - ptlist[0][jo][1]) * 0.4, 70);
+      if (th < 20) {
+        return [];
       }
-    }
-    return canv;
-  };
-  /**
-   * Generate main mountain with vegetation and architectural elements
-   * @param {Number} xoff - X offset position
-   * @param {Number} yoff - Y offset position  
-   * @param {Number} seed - Random seed for generation
-   * @param {Object} args - Configuration options
-   * @returns {String} SVG markup for complete mountain
-   */
-  this.mountain = function(xoff, yoff, seed, args) {
-    var args = args != undefined ? args : {};
-    var hei = args.hei != undefined ? args.hei : 100 + Math.random() * 400;
-    var wid = args.wid != undefined ? args.wid : 400 + Math.random() * 200;
-    var tex = args.tex != undefined ? args.tex : 200;
-    var veg = args.veg != undefined ? args.veg : true;
-    var ret = args.ret != undefined ? args.ret : 0;
-    var col = args.col != undefined ? args.col : undefined;
-
-    seed = seed != undefined ? seed : 0;
-
-    var canv = "";
-
-    var ptlist = [];
-    var h = hei;
-    var w = wid;
-    var reso = [10, 50];
-
-    var hoff = 0;
-    for (var j = 0; j < reso[0]; j++) {
-      hoff += (Math.random() * yoff) / 100;
-      ptlist.push([]);
-      for (var i = 0; i < reso[1]; i++) {
-        var x = (i / reso[1] - 0.5) * Math.PI;
-        var y = Math.cos(x);
-        y *= Noise.noise(x + 10, j * 0.15, seed);
-        var p = 1 - j / reso[0];
-        ptlist[ptlist.length - 1].push([
-          (x / Math.PI) * w * p,
-          -y * h * p + hoff,
-        ]);
-      }
-    }
-
-    //RIM vegetation
-    canv = vegetate(
-      function(x, y) {
-        return Tree.tree02(x + xoff, y + yoff - 5, {
-          col:
-            "rgba(100,100,100," +
-            (Noise.noise(0.01 * x, 0.01 * y) * 0.5 * 0.3 + 0.5).toFixed(3) +
-            ")",
-          clu: 2,
-        });
-      },
-      function(i, j) {
-        var ns = Noise.noise(j * 0.1, seed);
-        return (
-          i == 0 && ns * ns * ns < 0.1 && Math.abs(ptlist[i][j][1]) / h > 0.2
-        );
-      },
-      function(veglist, i) {
-        return true;
-      },
-      ptlist,
-      canv
-    );
-
-    //WHITE BG
-    canv += poly(ptlist[0].concat([[0, reso[0] * 4]]), {
-      xof: xoff,
-      yof: yoff,
-      fil: "white",
-      str: "none",
-    });
-    //OUTLINE
-    canv += stroke(
-      ptlist[0].map(function(x) {
-        return [x[0] + xoff, x[1] + yoff];
-      }),
-      { col: "rgba(100,100,100,0.3)", noi: 1, wid: 3 },
-    );
-
-    canv += foot(ptlist, { xof: xoff, yof: yoff });
-    canv += texture(ptlist, {
-      xof: xoff,
-      yof: yoff,
-      tex: tex,
-      sha: randChoice([0, 0, 0, 0, 5]),
-      col: col,
-    });
-
-    //TOP vegetation
-    canv = vegetate(
-      function(x, y) {
-        return Tree.tree02(x + xoff, y + yoff, {
-          col:
-            "rgba(100,100,100," +
-            (Noise.noise(0.01 * x, 0.01 * y) * 0.5 * 0.3 + 0.5).toFixed(3) +
-            ")",
-        });
-      },
-      function(i, j) {
-        var ns = Noise.noise(i * 0.1, j * 0.1, seed + 2);
-        return ns * ns * ns < 0.1 && Math.abs(ptlist[i][j][1]) / h > 0.5;
-      },
-      function(veglist, i) {
-        return true;
-      },
-      ptlist,
-      canv
-    );
-
-    if (veg) {
-      //MIDDLE vegetation
+      return Arch.terrace01(base[0] + xof, base[1] + yof, random() * 100, {
+        wid: th * 2.5,
+        hei: th,
+        lev: Math.round(th / 10),
+        sea: sea,
+      });
+    };
+
+    /**
+     * Path of stone steps up a mountain face: from the foot up through the
+     * layers, swinging from side to side, to a point of the outline
+     * @param {Array} ptlist - Array of point arrays representing mountain layers
+     * @param {Number} jt - Index of the point of the outline the steps lead to
+     * @returns {Array} Points of the path, from the foot up
+     */
+    var stairway = function(ptlist, jt) {
+      var n = ptlist[0].length;
+      var ph = random() * Math.PI * 2;
+      var pts = [];
+      for (var i = ptlist.length - 1; i >= 1; i--) {
+        var j = Math.round(jt + (n / 2 - jt) * (i / ptlist.length) + Math.sin(i * 1.3 + ph) * 4);
+        pts.push(ptlist[i][Math.min(Math.max(j, 1), n - 2)].slice());
+      }
+      pts.push([ptlist[0][jt][0], ptlist[0][jt][1] + 4]);
+      return pts;
+    };
+
+    /**
+     * Generate vegetation on terrain using provided tree function and placement rules
+     * @param {Function} treeFunc - Function to generate trees
+     * @param {Function} growthRule - Function determining where vegetation can grow
+     * @param {Function} proofRule - Function for additional vegetation placement validation
+     * @param {Array} ptlist - Terrain point data
+     * @param {Array} canv - Scene nodes to append to
+     * @returns {Array} Scene nodes with vegetation added
+     */
+    var vegetate = function(treeFunc, growthRule, proofRule, ptlist, canv) {
+      var veglist = [];
+      for (var i = 0; i < ptlist.length; i += 1) {
+        for (var j = 0; j < ptlist[i].length; j += 1) {
+          if (growthRule(i, j)) {
+            veglist.push([ptlist[i][j][0], ptlist[i][j][1]]);
+          }
+        }
+      }
+      for (var i = 0; i < veglist.length; i++) {
+        if (proofRule(veglist, i)) {
+          Scene.add(canv, treeFunc(veglist[i][0], veglist[i][1]));
+        }
+      }
+      return canv;
+    };
+    /**
+     * Generate main mountain with vegetation and architectural elements
+     * @param {Number} xoff - X offset position
+     * @param {Number} yoff - Y offset position  
+     * @param {Number} seed - Random seed for generation
+     * @param {Object} args - Configuration options
+     * @param {Number} args.pro - Profile exponent: below 1 gives steep sides
+     *   and a broad top, above 1 a pointed peak (default: 1)
+     * @param {Number} args.cli - Side the profile applies to, -1 (left) or
+     *   1 (right), for a cliff; 0 for both (default: 0)
+     * @param {Object} args.trees - Tree species of the vegetation bands
+     *   {rim, top, mid, bot, edge} (default: tree02, tree02, tree01, tree03,
+     *   and no trees on the edge); edge trees, e.g. pine, lean out from
+     *   the upper edge of the outline
+     * @param {Number} args.den - Vegetation density factor (default: 1)
+     * @param {Number} args.arc - Building frequency factor (default: 1)
+     * @param {Number} args.roc - Chance of a rock at each foot point
+     *   (default: 0.1)
+     * @param {Number} args.sno - Share of the upper texture layers left
+     *   nearly white as snow (default: 0; at least 0.5 in snowy weather)
+     * @param {Number} args.wfl - Chance of a waterfall on the face
+     *   (default: 0)
+     * @param {Number} args.fee - Length of the stream that carries the
+     *   waterfall on from its pool into the water below (default: 0)
+     * @param {String} args.sea - Season of the trees, see Tree.tree01
+     *   (default: "summer")
+     * @param {Number} args.pav - Chance of a pavilion on the summit, or on
+     *   the top of the cliff (default: 0)
+     * @param {Number} args.ste - Chance of stone steps winding up the face
+     *   to the summit or the pavilion (default: 0)
+     * @param {Number} args.ter - Chance of terraced fields on a lower slope
+     *   (default: 0)
+     * @returns {Object} Scene group for complete mountain
+     */
+    this.mountain = function(xoff, yoff, seed, args) {
+      var args = args != undefined ? args : {};
+      var hei = args.hei != undefined ? args.hei : 100 + random() * 400;
+      var wid = args.wid != undefined ? args.wid : 400 + random() * 200;
+      var tex = args.tex != undefined ? args.tex : 200;
+      var veg = args.veg != undefined ? args.veg : true;
+      var ret = args.ret != undefined ? args.ret : 0;
+      var col = args.col != undefined ? args.col : undefined;
+      var pro = args.pro != undefined ? args.pro : 1;
+      var cli = args.cli != undefined ? args.cli : 0;
+      var trees = Object.assign(
+        { rim: "tree02", top: "tree02", mid: "tree01", bot: "tree03" },
+        args.trees,
+      );
+      var den = args.den != undefined ? args.den : 1;
+      var arc = args.arc != undefined ? args.arc : 1;
+      var roc = args.roc != undefined ? args.roc : 0.1;
+      var sno = args.sno != undefined ? args.sno : 0;
+      if (WEATHER.type == "snow") {
+        sno = Math.max(sno, 0.5);
+      }
+      var wfl = args.wfl != undefined ? args.wfl : 0;
+      var fee = args.fee != undefined ? args.fee : 0;
+      var sea = args.sea != undefined ? args.sea : "summer";
+      var pav = args.pav != undefined ? args.pav : 0;
+      var ste = args.ste != undefined ? args.ste : 0;
+      var ter = args.ter != undefined ? args.ter : 0;
+
+      seed = seed != undefined ? seed : 0;
+
+      var canv = [];
+
+      var ptlist = [];
+      var h = hei;
+      var w = wid;
+      var reso = [10, 50];
+
+      var hoff = 0;
+      for (var j = 0; j < reso[0]; j++) {
+        hoff += (random() * yoff) / 100;
+        ptlist.push([]);
+        for (var i = 0; i < reso[1]; i++) {
+          var x = (i / reso[1] - 0.5) * Math.PI;
+          var y = Math.cos(x);
+          if (pro != 1 && x * cli >= 0) {
+            y = Math.pow(y, pro);
+          }
+          y *= Noise.noise(x + 10, j * 0.15, seed);
+          var p = 1 - j / reso[0];
+          ptlist[ptlist.length - 1].push([
+            (x / Math.PI) * w * p,
+            -y * h * p + hoff,
+          ]);
+        }
+      }
+
+      //RIM vegetation
       canv = vegetate(
         function(x, y) {
-          var ht = ((h + y) / h) * 70;
-          ht = ht * 0.3 + Math.random() * ht * 0.7;
-          return Tree.tree01(x + xoff, y + yoff, {
-            hei: ht,
-            wid: Math.random() * 3 + 1,
+          return Tree[trees.rim](x + xoff, y + yoff - 5, {
             col:
               "rgba(100,100,100," +
-              (Noise.noise(0.01 * x, 0.01 * y) * 0.5 * 0.3 + 0.3).toFixed(3) +
+              (Noise.noise(0.01 * x, 0.01 * y) * 0.5 * 0.3 + 0.5).toFixed(3) +
               ")",
+            clu: 2,
+            sea: sea,
           });
         },
         function(i, j) {
-          var ns = Noise.noise(i * 0.2, j * 0.05, seed);
+          var ns = Noise.noise(j * 0.1, seed);
           return (
-            j % 2 &&
-            ns * ns * ns * ns < 0.012 &&
-            Math.abs(ptlist[i][j][1]) / h < 0.3
+            i == 0 && ns * ns * ns < 0.1 * den && Math.abs(ptlist[i][j][1]) / h > 0.2
           );
         },
         function(veglist, i) {
-          var counter = 0;
-          for (var j = 0; j < veglist.length; j++) {
-            if (
-              i != j &&
-              Math.pow(veglist[i][0] - veglist[j][0], 2) +
-                Math.pow(veglist[i][1] - veglist[j][1], 2) <
-                30 * 30
-            ) {
-              counter++;
-            }
-            if (counter > 2) {
-              return true;
-            }
-          }
-          return false;
+          return true;
         },
         ptlist,
         canv
       );
 
-      //BOTTOM vegetation
+      //WHITE BG
+      Scene.add(canv, poly(ptlist[0].concat([[0, reso[0] * 4]]), {
+        xof: xoff,
+        yof: yoff,
+        fil: "white",
+        str: "none",
+      }));
+      //OUTLINE
+      Scene.add(canv, stroke(
+        ptlist[0].map(function(x) {
+          return [x[0] + xoff, x[1] + yoff];
+        }),
+        { col: "rgba(100,100,100,0.3)", noi: 1, wid: 3 },
+      ));
+
+      Scene.add(canv, foot(ptlist, { xof: xoff, yof: yoff }));
+      Scene.add(canv, texture(ptlist, {
+        xof: xoff,
+        yof: yoff,
+        tex: tex,
+        sha: randChoice([0, 0, 0, 0, 5]),
+        col:
+          col == undefined && sno > 0
+            ? function(x) {
+                return "rgba(100,100,100," + (random() * (x < sno ? 0.05 : 0.3)).toFixed(3) + ")";
+              }
+            : col,
+      }));
+
+      if (wfl > 0 && random() < wfl) {
+        Scene.add(canv, waterfall(ptlist, { xof: xoff, yof: yoff, fee: fee }));
+      }
+
+      if (ter > 0 && random() < ter) {
+        Scene.add(canv, terraces(ptlist, { xof: xoff, yof: yoff, cli: cli, sea: sea }));
+      }
+
+      // The top of the mountain: the summit, or out at the edge of the cliff
+      var jt = 0;
+      for (var j = 0; j < reso[1]; j++) {
+        if (ptlist[0][j][1] < ptlist[0][jt][1]) {
+          jt = j;
+        }
+      }
+      if (cli != 0) {
+        var ymin = ptlist[0][jt][1];
+        while (jt + cli > 1 && jt + cli < reso[1] - 2 && ptlist[0][jt + cli][1] < ymin * 0.85) {
+          jt += cli;
+        }
+      }
+      var hasPav = pav > 0 && random() < pav;
+      if (ste > 0 && random() < ste) {
+        Scene.add(canv, Arch.steps01(xoff, yoff, seed, { pts: stairway(ptlist, jt) }));
+      }
+
+      //TOP vegetation
       canv = vegetate(
         function(x, y) {
-          var ht = ((h + y) / h) * 120;
-          ht = ht * 0.5 + Math.random() * ht * 0.5;
-          var bc = Math.random() * 0.1;
-          var bp = 1;
-          return Tree.tree03(x + xoff, y + yoff, {
-            hei: ht,
-            ben: function(x) {
-              return Math.pow(x * bc, bp);
-            },
+          return Tree[trees.top](x + xoff, y + yoff, {
             col:
               "rgba(100,100,100," +
-              (Noise.noise(0.01 * x, 0.01 * y) * 0.5 * 0.3 + 0.3).toFixed(3) +
+              (Noise.noise(0.01 * x, 0.01 * y) * 0.5 * 0.3 + 0.5).toFixed(3) +
               ")",
+            sea: sea,
           });
         },
         function(i, j) {
-          var ns = Noise.noise(i * 0.2, j * 0.05, seed);
+          var ns = Noise.noise(i * 0.1, j * 0.1, seed + 2);
+          return ns * ns * ns < 0.1 * den && Math.abs(ptlist[i][j][1]) / h > 0.5;
+        },
+        function(veglist, i) {
+          return true;
+        },
+        ptlist,
+        canv
+      );
+
+      //EDGE vegetation
+      if (trees.edge) {
+        canv = vegetate(
+          function(x, y) {
+            return Tree[trees.edge](x + xoff, y + yoff + 2, {
+              hei: 25 + random() * 20,
+              dir: x < 0 ? -1 : 1,
+              sea: sea,
+            });
+          },
+          function(i, j) {
+            var ns = Noise.noise(j * 0.2, seed + 7);
+            return (
+              i == 0 &&
+              j > 2 &&
+              j < ptlist[i].length - 3 &&
+              ns * ns * ns < 0.02 * den &&
+              Math.abs(ptlist[i][j][1]) / h > 0.3
+            );
+          },
+          function(veglist, i) {
+            // Keep the trees apart
+            return i == 0 || Math.abs(veglist[i][0] - veglist[i - 1][0]) > 40;
+          },
+          ptlist,
+          canv
+        );
+      }
+
+      if (veg) {
+        //MIDDLE vegetation
+        canv = vegetate(
+          function(x, y) {
+            var ht = ((h + y) / h) * 70;
+            ht = ht * 0.3 + random() * ht * 0.7;
+            return Tree[trees.mid](x + xoff, y + yoff, {
+              hei: ht,
+              wid: random() * 3 + 1,
+              col:
+                "rgba(100,100,100," +
+                (Noise.noise(0.01 * x, 0.01 * y) * 0.5 * 0.3 + 0.3).toFixed(3) +
+                ")",
+              sea: sea,
+            });
+          },
+          function(i, j) {
+            var ns = Noise.noise(i * 0.2, j * 0.05, seed);
+            return (
+              j % 2 &&
+              ns * ns * ns * ns < 0.012 * den &&
+              Math.abs(ptlist[i][j][1]) / h < 0.3
+            );
+          },
+          function(veglist, i) {
+            var counter = 0;
+            for (var j = 0; j < veglist.length; j++) {
+              if (
+                i != j &&
+                Math.pow(veglist[i][0] - veglist[j][0], 2) +
+                  Math.pow(veglist[i][1] - veglist[j][1], 2) <
+                  30 * 30
+              ) {
+                counter++;
+              }
+              if (counter > 2) {
+                return true;
+              }
+            }
+            return false;
+          },
+          ptlist,
+          canv
+        );
+
+        //BOTTOM vegetation
+        canv = vegetate(
+          function(x, y) {
+            var ht = ((h + y) / h) * 120;
+            ht = ht * 0.5 + random() * ht * 0.5;
+            var bc = random() * 0.1;
+            var bp = 1;
+            return Tree[trees.bot](x + xoff, y + yoff, {
+              hei: ht,
+              ben: function(x) {
+                return Math.pow(x * bc, bp);
+              },
+              col:
+                "rgba(100,100,100," +
+                (Noise.noise(0.01 * x, 0.01 * y) * 0.5 * 0.3 + 0.3).toFixed(3) +
+                ")",
+              sea: sea,
+            });
+          },
+          function(i, j) {
+            var ns = Noise.noise(i * 0.2, j * 0.05, seed);
+            return (
+              (j == 0 || j == ptlist[i].length - 1) && ns * ns * ns * ns < 0.012 * den
+            );
+          },
+          function(veglist, i) {
+            return true;
+          },
+          ptlist,
+          canv
+        );
+      }
+
+      //BOTTOM ARCH
+      canv = vegetate(
+        function(x, y) {
+          var tt = randChoice([0, 0, 1, 1, 1, 2]);
+          if (tt == 1) {
+            return Arch.arch02(x + xoff, y + yoff, seed, {
+              wid: normRand(40, 70),
+              sto: randChoice([1, 2, 2, 3]),
+              rot: random(),
+              sty: randChoice([1, 2, 3]),
+            });
+          } else if (tt == 2) {
+            return Arch.arch04(x + xoff, y + yoff, seed, {
+              sto: randChoice([1, 1, 1, 2, 2]),
+            });
+          } else {
+            return [];
+          }
+        },
+        function(i, j) {
+          var ns = Noise.noise(i * 0.2, j * 0.05, seed + 10);
           return (
-            (j == 0 || j == ptlist[i].length - 1) && ns * ns * ns * ns < 0.012
+            i != 0 &&
+            (j == 1 || j == ptlist[i].length - 2) &&
+            ns * ns * ns * ns < 0.008 * arc
           );
         },
         function(veglist, i) {
@@ -298,574 +640,657 @@ var Mount = new function() {
         ptlist,
         canv
       );
-    }
-
-    //BOTTOM ARCH
-    canv = vegetate(
-      function(x, y) {
-        var tt = randChoice([0, 0, 1, 1, 1, 2]);
-        if (tt == 1) {
-          return Arch.arch02(x + xoff, y + yoff, seed, {
-            wid: normRand(40, 70),
-            sto: randChoice([1, 2, 2, 3]),
-            rot: Math.random(),
-            sty: randChoice([1, 2, 3]),
+    
+      //TOP ARCH
+      canv = vegetate(
+        function(x, y) {
+          return Arch.arch03(x + xoff, y + yoff, seed, {
+            sto: randChoice([5, 7]),
+            wid: 40 + random() * 20,
           });
-        } else if (tt == 2) {
-          return Arch.arch04(x + xoff, y + yoff, seed, {
-            sto: randChoice([1, 1, 1, 2, 2]),
+        },
+        function(i, j) {
+          return (
+            i == 1 &&
+            Math.abs(j - ptlist[i].length / 2) < 1 &&
+            random() < 0.02 * arc
+          );
+        },
+        function(veglist, i) {
+          return true;
+        },
+        ptlist,
+        canv
+      );
+
+      //PAVILION
+      if (hasPav) {
+        var pw = 25 + random() * 15;
+        Scene.add(canv, Arch.pavilion01(
+          ptlist[0][jt][0] - cli * pw * 0.4 + xoff,
+          ptlist[0][jt][1] + yoff + 3,
+          seed,
+          { wid: pw, hei: pw * 0.5, rot: cli < 0 ? 0.3 : 0.7 },
+        ));
+      }
+
+      //TRANSMISSION TOWER
+      canv = vegetate(
+        function(x, y) {
+          return Arch.transmissionTower01(x + xoff, y + yoff, seed);
+        },
+        function(i, j) {
+          var ns = Noise.noise(i * 0.2, j * 0.05, seed + 20 * Math.PI);
+          return (
+            i % 2 == 0 &&
+            (j == 1 || j == ptlist[i].length - 2) &&
+            ns * ns * ns * ns < 0.002 * arc
+          );
+        },
+        function(veglist, i) {
+          return true;
+        },
+        ptlist,
+        canv
+      );
+
+      //BOTTOM ROCK
+      canv = vegetate(
+        function(x, y) {
+          return Mount.rock(x + xoff, y + yoff, seed, {
+            wid: 20 + random() * 20,
+            hei: 20 + random() * 20,
+            sha: 2,
           });
-        } else {
-          return "";
-        }
-      },
-      function(i, j) {
-        var ns = Noise.noise(i * 0.2, j * 0.05, seed + 10);
-        return (
-          i != 0 &&
-          (j == 1 || j == ptlist[i].length - 2) &&
-          ns * ns * ns * ns < 0.008
-        );
-      },
-      function(veglist, i) {
-        return true;
-      },
-      ptlist,
-      canv
-    );
-    
-    //TOP ARCH
-    canv = vegetate(
-      function(x, y) {
-        return Arch.arch03(x + xoff, y + yoff, seed, {
-          sto: randChoice([5, 7]),
-          wid: 40 + Math.random() * 20,
+        },
+        function(i, j) {
+          return (j == 0 || j == ptlist[i].length - 1) && random() < roc;
+        },
+        function(veglist, i) {
+          return true;
+        },
+        ptlist,
+        canv
+      );
+
+      if (ret == 0) {
+        return Scene.group(canv, {
+          tags: ["mountain"],
+          source: "Mount.mountain",
+          depth: yoff,
         });
-      },
-      function(i, j) {
-        return (
-          i == 1 &&
-          Math.abs(j - ptlist[i].length / 2) < 1 &&
-          Math.random() < 0.02
-        );
-      },
-      function(veglist, i) {
-        return true;
-      },
-      ptlist,
-      canv
-    );
-
-    //TRANSMISSION TOWER
-    canv = vegetate(
-      function(x, y) {
-        return Arch.transmissionTower01(x + xoff, y + yoff, seed);
-      },
-      function(i, j) {
-        var ns = Noise.noise(i * 0.2, j * 0.05, seed + 20 * Math.PI);
-        return (
-          i % 2 == 0 &&
-          (j == 1 || j == ptlist[i].length - 2) &&
-          ns * ns * ns * ns < 0.002
-        );
-      },
-      function(veglist, i) {
-        return true;
-      },
-      ptlist,
-      canv
-    );
-
-    //BOTTOM ROCK
-    canv = vegetate(
-      function(x, y) {
-        return Mount.rock(x + xoff, y + yoff, seed, {
-          wid: 20 + Math.random() * 20,
-          hei: 20 + Math.random() * 20,
-          sha: 2,
+      } else {
+        return [ptlist];
+      }
+    };  /**
+
+     * Generate flat-topped mountain with decorative elements
+     * @param {Number} xoff - X offset position
+     * @param {Number} yoff - Y offset position
+     * @param {Number} seed - Random seed for generation
+     * @param {Object} args - Configuration options
+     * @param {Boolean} args.sho - Draw a shore line where the foot meets
+     *   the water (default: false)
+     * @param {String} args.sea - Season of the trees, see Tree.tree01
+     *   (default: "summer")
+     * @returns {Object} Scene group for flat mountain
+     */
+    this.flatMount = function(xoff, yoff, seed, args) {
+      var args = args != undefined ? args : {};
+      var hei = args.hei != undefined ? args.hei : 40 + random() * 400;
+      var wid = args.wid != undefined ? args.wid : 400 + random() * 200;
+      var tex = args.tex != undefined ? args.tex : 80;
+      var cho = args.cho != undefined ? args.cho : 0.5;
+      var ret = args.ret != undefined ? args.ret : 0;
+      var sho = args.sho != undefined ? args.sho : false;
+      var sea = args.sea != undefined ? args.sea : "summer";
+
+      seed = seed != undefined ? seed : 0;
+
+      var canv = [];
+      var ptlist = [];
+      var reso = [5, 50];
+      var hoff = 0;
+      var flat = [];
+      for (var j = 0; j < reso[0]; j++) {
+        hoff += (random() * yoff) / 100;
+        ptlist.push([]);
+        flat.push([]);
+        for (var i = 0; i < reso[1]; i++) {
+          var x = (i / reso[1] - 0.5) * Math.PI;
+          var y = Math.cos(x * 2) + 1;
+          y *= Noise.noise(x + 10, j * 0.1, seed);
+          var p = 1 - (j / reso[0]) * 0.6;
+          var nx = (x / Math.PI) * wid * p;
+          var ny = -y * hei * p + hoff;
+          var h = 100;
+          if (ny < -h * cho + hoff) {
+            ny = -h * cho + hoff;
+            if (flat[flat.length - 1].length % 2 == 0) {
+              flat[flat.length - 1].push([nx, ny]);
+            }
+          } else {
+            if (flat[flat.length - 1].length % 2 == 1) {
+              flat[flat.length - 1].push(
+                ptlist[ptlist.length - 1][ptlist[ptlist.length - 1].length - 1],
+              );
+            }
+          }
+
+          ptlist[ptlist.length - 1].push([nx, ny]);
+        }
+      }
+
+      //WHITE BG
+      Scene.add(canv, poly(ptlist[0].concat([[0, reso[0] * 4]]), {
+        xof: xoff,
+        yof: yoff,
+        fil: "white",
+        str: "none",
+      }));
+      //OUTLINE
+      Scene.add(canv, stroke(
+        ptlist[0].map(function(x) {
+          return [x[0] + xoff, x[1] + yoff];
+        }),
+        { col: "rgba(100,100,100,0.3)", noi: 1, wid: 3 },
+      ));
+
+      Scene.add(canv, texture(ptlist, {
+        xof: xoff,
+        yof: yoff,
+        tex: tex,
+        wid: 2,
+        dis: function() {
+          if (random() > 0.5) {
+            return 0.1 + 0.4 * random();
+          } else {
+            return 0.9 - 0.4 * random();
+          }
+        },
+      }));
+      if (sho) {
+        var foot = ptlist[0][0][1];
+        for (var k = 0; k < 3; k++) {
+          var sw = (wid / 2) * (1.1 - k * 0.3) * (0.9 + random() * 0.2);
+          var sl = [];
+          for (var x = -sw; x < sw; x += 5) {
+            sl.push([x + xoff, foot + yoff + 3 + k * 5 + Noise.noise(x * 0.05, k, seed) * 2]);
+          }
+          Scene.add(canv, stroke(sl, {
+            col: "rgba(100,100,100," + (0.35 - k * 0.1).toFixed(2) + ")",
+            wid: 1.5 - k * 0.3,
+          }));
+        }
+      }
+      var grlist1 = [];
+      var grlist2 = [];
+      for (var i = 0; i < flat.length; i += 2) {
+        if (flat[i].length >= 2) {
+          grlist1.push(flat[i][0]);
+          grlist2.push(flat[i][flat[i].length - 1]);
+        }
+      }
+
+      if (grlist1.length == 0) {
+        return Scene.group(canv, {
+          tags: ["mountain"],
+          source: "Mount.flatMount",
+          depth: yoff,
         });
-      },
-      function(i, j) {
-        return (j == 0 || j == ptlist[i].length - 1) && Math.random() < 0.1;
-      },
-      function(veglist, i) {
-        return true;
-      },
-      ptlist,
-      canv
-    );
-
-    if (ret == 0) {
-      return canv;
-    } else {
-      return [ptlist];
-    }
-  };  /**
-
-   * Generate flat-topped mountain with decorative elements
-   * @param {Number} xoff - X offset position
-   * @param {Number} yoff - Y offset position
-   * @param {Number} seed - Random seed for generation
-   * @param {Object} args - Configuration options
-   * @returns {String} SVG markup for flat mountain
-   */
-  this.flatMount = function(xoff, yoff, seed, args) {
-    var args = args != undefined ? args : {};
-    var hei = args.hei != undefined ? args.hei : 40 + Math.random() * 400;
-    var wid = args.wid != undefined ? args.wid : 400 + Math.random() * 200;
-    var tex = args.tex != undefined ? args.tex : 80;
-    var cho = args.cho != undefined ? args.cho : 0.5;
-    var ret = args.ret != undefined ? args.ret : 0;
-
-    seed = seed != undefined ? seed : 0;
-
-    var canv = "";
-    var ptlist = [];
-    var reso = [5, 50];
-    var hoff = 0;
-    var flat = [];
-    for (var j = 0; j < reso[0]; j++) {
-      hoff += (Math.random() * yoff) / 100;
-      ptlist.push([]);
-      flat.push([]);
-      for (var i = 0; i < reso[1]; i++) {
-        var x = (i / reso[1] - 0.5) * Math.PI;
-        var y = Math.cos(x * 2) + 1;
-        y *= Noise.noise(x + 10, j * 0.1, seed);
-        var p = 1 - (j / reso[0]) * 0.6;
-        var nx = (x / Math.PI) * wid * p;
-        var ny = -y * hei * p + hoff;
-        var h = 100;
-        if (ny < -h * cho + hoff) {
-          ny = -h * cho + hoff;
-          if (flat[flat.length - 1].length % 2 == 0) {
-            flat[flat.length - 1].push([nx, ny]);
+      }
+      var wb = [grlist1[0][0], grlist2[0][0]];
+      for (var i = 0; i < 3; i++) {
+        var p = 0.8 - i * 0.2;
+
+        grlist1.unshift([wb[0] * p, grlist1[0][1] - 5]);
+        grlist2.unshift([wb[1] * p, grlist2[0][1] - 5]);
+      }
+      wb = [grlist1[grlist1.length - 1][0], grlist2[grlist2.length - 1][0]];
+      for (var i = 0; i < 3; i++) {
+        var p = 0.6 - i * i * 0.1;
+        grlist1.push([wb[0] * p, grlist1[grlist1.length - 1][1] + 1]);
+        grlist2.push([wb[1] * p, grlist2[grlist2.length - 1][1] + 1]);
+      }
+
+      var d = 5;
+      grlist1 = div(grlist1, d);
+      grlist2 = div(grlist2, d);
+
+      var grlist = grlist1.reverse().concat(grlist2.concat([grlist1[0]]));
+      for (var i = 0; i < grlist.length; i++) {
+        var v = (1 - Math.abs((i % d) - d / 2) / (d / 2)) * 0.12;
+        grlist[i][0] *= 1 - v + Noise.noise(grlist[i][1] * 0.5) * v;
+      }
+
+      Scene.add(canv, poly(grlist, {
+        xof: xoff,
+        yof: yoff,
+        str: "none",
+        fil: "white",
+        wid: 2,
+      }));
+      Scene.add(canv, stroke(grlist.map(function(x) { return [x[0] + xoff, x[1] + yoff]; }), {
+        wid: 3,
+        col: "rgba(100,100,100,0.2)",
+      }));
+
+      var bound = function(plist) {
+        var xmin;
+        var xmax;
+        var ymin;
+        var ymax;
+        for (var i = 0; i < plist.length; i++) {
+          if (xmin == undefined || plist[i][0] < xmin) {
+            xmin = plist[i][0];
           }
-        } else {
-          if (flat[flat.length - 1].length % 2 == 1) {
-            flat[flat.length - 1].push(
-              ptlist[ptlist.length - 1][ptlist[ptlist.length - 1].length - 1],
-            );
+          if (xmax == undefined || plist[i][0] > xmax) {
+            xmax = plist[i][0];
+          }
+          if (ymin == undefined || plist[i][1] < ymin) {
+            ymin = plist[i][1];
+          }
+          if (ymax == undefined || plist[i][1] > ymax) {
+            ymax = plist[i][1];
           }
         }
+        return { xmin: xmin, xmax: xmax, ymin: ymin, ymax: ymax };
+      };
+
+      Scene.add(canv, this.flatDec(xoff, yoff, bound(grlist), { sea: sea, sho: sho }));
+
+      return Scene.group(canv, {
+        tags: ["mountain"],
+        source: "Mount.flatMount",
+        depth: yoff,
+      });
+    };  /**
+     * 
+  Generate decorative elements for flat mountains
+     * @param {Number} xoff - X offset position
+     * @param {Number} yoff - Y offset position
+     * @param {Object} grbd - Boundary object with xmin, xmax, ymin, ymax
+     * @param {Object} args - Configuration options
+     * @param {String} args.sea - Season of the trees, see Tree.tree01
+     *   (default: "summer")
+     * @param {Boolean} args.sho - The bank stands at the water, so willows
+     *   may grow on it (default: false)
+     * @returns {Array} Scene nodes for decorative elements: rocks, trees,
+     *   and sometimes a house, a village wall or a memorial archway
+     */
+    this.flatDec = function(xoff, yoff, grbd, args) {
+      var args = args != undefined ? args : {};
+      var sea = args.sea != undefined ? args.sea : "summer";
+      var sho = args.sho != undefined ? args.sho : false;
+      var canv = [];
+
+      var tt = randChoice([0, 0, 1, 2, 3, 4]);
 
-        ptlist[ptlist.length - 1].push([nx, ny]);
-      }
-    }
-
-    //WHITE BG
-    canv += poly(ptlist[0].concat([[0, reso[0] * 4]]), {
-      xof: xoff,
-      yof: yoff,
-      fil: "white",
-      str: "none",
-    });
-    //OUTLINE
-    canv += stroke(
-      ptlist[0].map(function(x) {
-        return [x[0] + xoff, x[1] + yoff];
-      }),
-      { col: "rgba(100,100,100,0.3)", noi: 1, wid: 3 },
-    );
-
-    canv += texture(ptlist, {
-      xof: xoff,
-      yof: yoff,
-      tex: tex,
-      wid: 2,
-      dis: function() {
-        if (Math.random() > 0.5) {
-          return 0.1 + 0.4 * Math.random();
-        } else {
-          return 0.9 - 0.4 * Math.random();
+      for (var j = 0; j < random() * 5; j++) {
+        Scene.add(canv, Mount.rock(
+          xoff + normRand(grbd.xmin, grbd.xmax),
+          yoff + (grbd.ymin + grbd.ymax) / 2 + normRand(-10, 10) + 10,
+          random() * 100,
+          {
+            wid: 10 + random() * 20,
+            hei: 10 + random() * 20,
+            sha: 2,
+          },
+        ));
+      }
+      for (var j = 0; j < randChoice([0, 0, 1, 2]); j++) {
+        var xr = xoff + normRand(grbd.xmin, grbd.xmax);
+        var yr = yoff + (grbd.ymin + grbd.ymax) / 2 + normRand(-5, 5) + 20;
+        for (var k = 0; k < 2 + random() * 3; k++) {
+          Scene.add(canv, Tree.tree08(
+            xr + Math.min(Math.max(normRand(-30, 30), grbd.xmin), grbd.xmax),
+            yr,
+            { hei: 60 + random() * 40, sea: sea },
+          ));
         }
-      },
-    });
-    var grlist1 = [];
-    var grlist2 = [];
-    for (var i = 0; i < flat.length; i += 2) {
-      if (flat[i].length >= 2) {
-        grlist1.push(flat[i][0]);
-        grlist2.push(flat[i][flat[i].length - 1]);
-      }
-    }
-
-    if (grlist1.length == 0) {
-      return canv;
-    }
-    var wb = [grlist1[0][0], grlist2[0][0]];
-    for (var i = 0; i < 3; i++) {
-      var p = 0.8 - i * 0.2;
-
-      grlist1.unshift([wb[0] * p, grlist1[0][1] - 5]);
-      grlist2.unshift([wb[1] * p, grlist2[0][1] - 5]);
-    }
-    wb = [grlist1[grlist1.length - 1][0], grlist2[grlist2.length - 1][0]];
-    for (var i = 0; i < 3; i++) {
-      var p = 0.6 - i * i * 0.1;
-      grlist1.push([wb[0] * p, grlist1[grlist1.length - 1][1] + 1]);
-      grlist2.push([wb[1] * p, grlist2[grlist2.length - 1][1] + 1]);
-    }
-
-    var d = 5;
-    grlist1 = div(grlist1, d);
-    grlist2 = div(grlist2, d);
-
-    var grlist = grlist1.reverse().concat(grlist2.concat([grlist1[0]]));
-    for (var i = 0; i < grlist.length; i++) {
-      var v = (1 - Math.abs((i % d) - d / 2) / (d / 2)) * 0.12;
-      grlist[i][0] *= 1 - v + Noise.noise(grlist[i][1] * 0.5) * v;
-    }
-
-    canv += poly(grlist, {
-      xof: xoff,
-      yof: yoff,
-      str: "none",
-      fil: "white",
-      wid: 2,
-    });
-    canv += stroke(grlist.map(function(x) { return [x[0] + xoff, x[1] + yoff]; }), {
-      wid: 3,
-      col: "rgba(100,100,100,0.2)",
-    });
-
-    var bound = function(plist) {
-      var xmin;
-      var xmax;
-      var ymin;
-      var ymax;
-      for (var i = 0; i < plist.length; i++) {
-        if (xmin == undefined || plist[i][0] < xmin) {
-          xmin = plist[i][0];
+      }
+
+      if (tt == 0) {
+        for (var j = 0; j < random() * 3; j++) {
+          Scene.add(canv, Mount.rock(
+            xoff + normRand(grbd.xmin, grbd.xmax),
+            yoff + (grbd.ymin + grbd.ymax) / 2 + normRand(-5, 5) + 20,
+            random() * 100,
+            {
+              wid: 50 + random() * 20,
+              hei: 40 + random() * 20,
+              sha: 5,
+            },
+          ));
         }
-        if (xmax == undefined || plist[i][0] > xmax) {
-          xmax = plist[i][0];
+      }
+      if (tt == 1) {
+        var pmin = random() * 0.5;
+        var pmax = random() * 0.5 + 0.5;
+        var xmin = grbd.xmin * (1 - pmin) + grbd.xmax * pmin;
+        var xmax = grbd.xmin * (1 - pmax) + grbd.xmax * pmax;
+        for (var i = xmin; i < xmax; i += 30) {
+          Scene.add(canv, Tree.tree05(
+            xoff + i + 20 * normRand(-1, 1),
+            yoff + (grbd.ymin + grbd.ymax) / 2 + 20,
+            { hei: 100 + random() * 200, sea: sea },
+          ));
         }
-        if (ymin == undefined || plist[i][1] < ymin) {
-          ymin = plist[i][1];
+        for (var j = 0; j < random() * 4; j++) {
+          Scene.add(canv, Mount.rock(
+            xoff + normRand(grbd.xmin, grbd.xmax),
+            yoff + (grbd.ymin + grbd.ymax) / 2 + normRand(-5, 5) + 20,
+            random() * 100,
+            {
+              wid: 50 + random() * 20,
+              hei: 40 + random() * 20,
+              sha: 5,
+            },
+          ));
+        }
+      } else if (tt == 2) {
+        for (var i = 0; i < randChoice([1, 1, 1, 1, 2, 2, 3]); i++) {
+          var xr = normRand(grbd.xmin, grbd.xmax);
+          var yr = (grbd.ymin + grbd.ymax) / 2;
+          Scene.add(canv, Tree.tree04(xoff + xr, yoff + yr + 20, { sea: sea }));
+          for (var j = 0; j < random() * 2; j++) {
+            Scene.add(canv, Mount.rock(
+              xoff +
+                Math.max(
+                  grbd.xmin,
+                  Math.min(grbd.xmax, xr + normRand(-50, 50)),
+                ),
+              yoff + yr + normRand(-5, 5) + 20,
+              j * i * random() * 100,
+              {
+                wid: 50 + random() * 20,
+                hei: 40 + random() * 20,
+                sha: 5,
+              },
+            ));
+          }
+        }
+      } else if (tt == 3) {
+        for (var i = 0; i < randChoice([1, 1, 1, 1, 2, 2, 3]); i++) {
+          Scene.add(canv, Tree.tree06(
+            xoff + normRand(grbd.xmin, grbd.xmax),
+            yoff + (grbd.ymin + grbd.ymax) / 2,
+            { hei: 60 + random() * 60, sea: sea },
+          ));
         }
-        if (ymax == undefined || plist[i][1] > ymax) {
-          ymax = plist[i][1];
+      } else if (tt == 4) {
+        var pmin = random() * 0.5;
+        var pmax = random() * 0.5 + 0.5;
+        var xmin = grbd.xmin * (1 - pmin) + grbd.xmax * pmin;
+        var xmax = grbd.xmin * (1 - pmax) + grbd.xmax * pmax;
+        for (var i = xmin; i < xmax; i += 20) {
+          Scene.add(canv, Tree.tree07(
+            xoff + i + 20 * normRand(-1, 1),
+            yoff + (grbd.ymin + grbd.ymax) / 2 + normRand(-1, 1) + 0,
+            { hei: normRand(40, 80), sea: sea },
+          ));
         }
       }
-      return { xmin: xmin, xmax: xmax, ymin: ymin, ymax: ymax };
-    };
 
-    canv += this.flatDec(xoff, yoff, bound(grlist));
-
-    return canv;
-  };  /**
-   * 
-Generate decorative elements for flat mountains
-   * @param {Number} xoff - X offset position
-   * @param {Number} yoff - Y offset position
-   * @param {Object} grbd - Boundary object with xmin, xmax, ymin, ymax
-   * @returns {String} SVG markup for decorative elements
-   */
-  this.flatDec = function(xoff, yoff, grbd) {
-    var canv = "";
-
-    var tt = randChoice([0, 0, 1, 2, 3, 4]);
-
-    for (var j = 0; j < Math.random() * 5; j++) {
-      canv += Mount.rock(
-        xoff + normRand(grbd.xmin, grbd.xmax),
-        yoff + (grbd.ymin + grbd.ymax) / 2 + normRand(-10, 10) + 10,
-        Math.random() * 100,
-        {
-          wid: 10 + Math.random() * 20,
-          hei: 10 + Math.random() * 20,
-          sha: 2,
-        },
-      );
-    }
-    for (var j = 0; j < randChoice([0, 0, 1, 2]); j++) {
-      var xr = xoff + normRand(grbd.xmin, grbd.xmax);
-      var yr = yoff + (grbd.ymin + grbd.ymax) / 2 + normRand(-5, 5) + 20;
-      for (var k = 0; k < 2 + Math.random() * 3; k++) {
-        canv += Tree.tree08(
-          xr + Math.min(Math.max(normRand(-30, 30), grbd.xmin), grbd.xmax),
-          yr,
-          { hei: 60 + Math.random() * 40 },
-        );
+      for (var i = 0; i < 50 * random(); i++) {
+        Scene.add(canv, Tree.tree02(
+          xoff + normRand(grbd.xmin, grbd.xmax),
+          yoff + normRand(grbd.ymin, grbd.ymax),
+          { sea: sea },
+        ));
       }
-    }
 
-    if (tt == 0) {
-      for (var j = 0; j < Math.random() * 3; j++) {
-        canv += Mount.rock(
+      var ts = randChoice([0, 0, 0, 0, 1]);
+      if (ts == 1 && tt != 4) {
+        Scene.add(canv, Arch.arch01(
           xoff + normRand(grbd.xmin, grbd.xmax),
-          yoff + (grbd.ymin + grbd.ymax) / 2 + normRand(-5, 5) + 20,
-          Math.random() * 100,
-          {
-            wid: 50 + Math.random() * 20,
-            hei: 40 + Math.random() * 20,
-            sha: 5,
-          },
-        );
-      }
-    }
-    if (tt == 1) {
-      var pmin = Math.random() * 0.5;
-      var pmax = Math.random() * 0.5 + 0.5;
-      var xmin = grbd.xmin * (1 - pmin) + grbd.xmax * pmin;
-      var xmax = grbd.xmin * (1 - pmax) + grbd.xmax * pmax;
-      for (var i = xmin; i < xmax; i += 30) {
-        canv += Tree.tree05(
-          xoff + i + 20 * normRand(-1, 1),
           yoff + (grbd.ymin + grbd.ymax) / 2 + 20,
-          { hei: 100 + Math.random() * 200 },
-        );
-      }
-      for (var j = 0; j < Math.random() * 4; j++) {
-        canv += Mount.rock(
-          xoff + normRand(grbd.xmin, grbd.xmax),
-          yoff + (grbd.ymin + grbd.ymax) / 2 + normRand(-5, 5) + 20,
-          Math.random() * 100,
+          random(),
           {
-            wid: 50 + Math.random() * 20,
-            hei: 40 + Math.random() * 20,
-            sha: 5,
+            wid: normRand(160, 200),
+            hei: normRand(80, 100),
+            per: random(),
           },
-        );
+        ));
       }
-    } else if (tt == 2) {
-      for (var i = 0; i < randChoice([1, 1, 1, 1, 2, 2, 3]); i++) {
-        var xr = normRand(grbd.xmin, grbd.xmax);
-        var yr = (grbd.ymin + grbd.ymax) / 2;
-        canv += Tree.tree04(xoff + xr, yoff + yr + 20, {});
-        for (var j = 0; j < Math.random() * 2; j++) {
-          canv += Mount.rock(
-            xoff +
-              Math.max(
-                grbd.xmin,
-                Math.min(grbd.xmax, xr + normRand(-50, 50)),
-              ),
-            yoff + yr + normRand(-5, 5) + 20,
-            j * i * Math.random() * 100,
-            {
-              wid: 50 + Math.random() * 20,
-              hei: 40 + Math.random() * 20,
-              sha: 5,
-            },
-          );
+
+      if (sho) {
+        // Willows at either end of the bank, over the water
+        for (var j = 0; j < randChoice([0, 1, 1, 2]); j++) {
+          Scene.add(canv, Tree.willow(
+            xoff + randChoice([grbd.xmin, grbd.xmax]) * normRand(0.6, 0.9),
+            yoff + (grbd.ymin + grbd.ymax) / 2 + 20,
+            { hei: 60 + random() * 40, sea: sea },
+          ));
         }
       }
-    } else if (tt == 3) {
-      for (var i = 0; i < randChoice([1, 1, 1, 1, 2, 2, 3]); i++) {
-        canv += Tree.tree06(
+
+      var tg = randChoice([0, 0, 0, 1, 2]);
+      if (tg == 1) {
+        // A bamboo grove
+        var xr = normRand(grbd.xmin, grbd.xmax);
+        for (var j = 0; j < 2 + random() * 3; j++) {
+          Scene.add(canv, Tree.bamboo(
+            xoff + Math.min(Math.max(xr + normRand(-40, 40), grbd.xmin), grbd.xmax),
+            yoff + (grbd.ymin + grbd.ymax) / 2 + 20 + normRand(-3, 3),
+            { hei: 50 + random() * 30, sea: sea },
+          ));
+        }
+      } else if (tg == 2) {
+        Scene.add(canv, Tree.plum(
           xoff + normRand(grbd.xmin, grbd.xmax),
-          yoff + (grbd.ymin + grbd.ymax) / 2,
-          { hei: 60 + Math.random() * 60 },
-        );
+          yoff + (grbd.ymin + grbd.ymax) / 2 + 20,
+          { hei: 50 + random() * 30, sea: sea },
+        ));
       }
-    } else if (tt == 4) {
-      var pmin = Math.random() * 0.5;
-      var pmax = Math.random() * 0.5 + 0.5;
-      var xmin = grbd.xmin * (1 - pmin) + grbd.xmax * pmin;
-      var xmax = grbd.xmin * (1 - pmax) + grbd.xmax * pmax;
-      for (var i = xmin; i < xmax; i += 20) {
-        canv += Tree.tree07(
-          xoff + i + 20 * normRand(-1, 1),
-          yoff + (grbd.ymin + grbd.ymax) / 2 + normRand(-1, 1) + 0,
-          { hei: normRand(40, 80) },
-        );
+
+      var tv = randChoice([0, 0, 0, 0, 1, 2]);
+      if (tv == 1) {
+        // The wall of a village, along the front of the bank
+        var wl = Math.min(normRand(120, 260), (grbd.xmax - grbd.xmin) * 0.8);
+        Scene.add(canv, Arch.wall01(
+          xoff + normRand(grbd.xmin + wl / 2, grbd.xmax - wl / 2),
+          yoff + (grbd.ymin + grbd.ymax) / 2 + 24,
+          random(),
+          { len: wl, hei: normRand(12, 18) },
+        ));
+      } else if (tv == 2) {
+        Scene.add(canv, Arch.paifang01(
+          xoff + normRand(grbd.xmin, grbd.xmax) * 0.8,
+          yoff + (grbd.ymin + grbd.ymax) / 2 + 22,
+          random(),
+          { wid: normRand(50, 70), hei: normRand(40, 55), bay: randChoice([1, 3, 3]) },
+        ));
       }
-    }
 
-    for (var i = 0; i < 50 * Math.random(); i++) {
-      canv += Tree.tree02(
-        xoff + normRand(grbd.xmin, grbd.xmax),
-        yoff + normRand(grbd.ymin, grbd.ymax),
-      );
-    }
-
-    var ts = randChoice([0, 0, 0, 0, 1]);
-    if (ts == 1 && tt != 4) {
-      canv += Arch.arch01(
-        xoff + normRand(grbd.xmin, grbd.xmax),
-        yoff + (grbd.ymin + grbd.ymax) / 2 + 20,
-        Math.random(),
-        {
-          wid: normRand(160, 200),
-          hei: normRand(80, 100),
-          per: Math.random(),
-        },
-      );
-    }
+      return canv;
+    };  
+  /**
+     * Generate distant mountain silhouettes. In snowy weather their upper
+     * slopes are nearly white.
+     * @param {Number} xoff - X offset position
+     * @param {Number} yoff - Y offset position
+     * @param {Number} seed - Random seed for generation
+     * @param {Object} args - Configuration options
+     * @returns {Object} Scene group for distant mountains
+     */
+    this.distMount = function(xoff, yoff, seed, args) {
+      var args = args != undefined ? args : {};
+      var hei = args.hei != undefined ? args.hei : 300;
+      var len = args.len != undefined ? args.len : 2000;
+      var seg = args.seg != undefined ? args.seg : 5;
 
-    return canv;
-  };  
-/**
-   * Generate distant mountain silhouettes
-   * @param {Number} xoff - X offset position
-   * @param {Number} yoff - Y offset position
-   * @param {Number} seed - Random seed for generation
-   * @param {Object} args - Configuration options
-   * @returns {String} SVG markup for distant mountains
-   */
-  this.distMount = function(xoff, yoff, seed, args) {
-    var args = args != undefined ? args : {};
-    var hei = args.hei != undefined ? args.hei : 300;
-    var len = args.len != undefined ? args.len : 2000;
-    var seg = args.seg != undefined ? args.seg : 5;
-
-    seed = seed != undefined ? seed : 0;
-    var canv = "";
-    var span = 10;
-
-    var ptlist = [];
-
-    var maxIterations = Math.min(Math.floor(len / span / seg), 1000); // Prevent infinite loops
-    for (var i = 0; i < maxIterations; i++) {
-      ptlist.push([]);
-      for (var j = 0; j < seg + 1; j++) {
-        var k = i * seg + j;
-        var pt = [
-          xoff + k * span,
-          yoff -
-            hei *
-              Noise.noise(k * 0.05, seed) *
-              Math.pow(Math.sin((Math.PI * k) / (len / span)), 0.5),
-        ];
-        ptlist[ptlist.length - 1].push(pt);
-      }
-      for (var j = 0; j < seg / 2 + 1; j++) {
-        var k = i * seg + j * 2;
-        var pt = [
-          xoff + k * span,
-          yoff +
-            24 *
-              Noise.noise(k * 0.05, 2, seed) *
-              Math.pow(Math.sin((Math.PI * k) / (len / span)), 1),
-        ];
-        ptlist[ptlist.length - 1].unshift(pt);
-      }
-    }
-    for (var i = 0; i < ptlist.length; i++) {
-      var getCol = function(x, y) {
-        var c = (Noise.noise(x * 0.02, y * 0.02, yoff) * 55 + 200) | 0;
-        return "rgb(" + c + "," + c + "," + c + ")";
-      };
-      canv += poly(ptlist[i], {
-        fil: getCol(ptlist[i][ptlist[i].length - 1][0], ptlist[i][ptlist[i].length - 1][1]),
-        str: "none",
-        wid: 1,
-      });
+      seed = seed != undefined ? seed : 0;
+      var canv = [];
+      var span = 10;
 
-      // Simplified rendering without triangulation to avoid stack overflow
-      if (ptlist[i].length > 2) {
-        try {
-          var T = PolyTools.triangulate(ptlist[i], {
-            area: 100,
-            convex: true,
-            optimize: false,
-          });
-          for (var k = 0; k < T.length; k++) {
-            var m = PolyTools.midPt(T[k]);
-            var co = getCol(m[0], m[1]);
-            canv += poly(T[k], { fil: co, str: co, wid: 1 });
-          }
-        } catch (e) {
-          // Fallback to simple polygon if triangulation fails
-          console.warn('Triangulation failed, using simple polygon');
+      var ptlist = [];
+
+      var maxIterations = Math.min(Math.floor(len / span / seg), 1000); // Prevent infinite loops
+      for (var i = 0; i < maxIterations; i++) {
+        ptlist.push([]);
+        for (var j = 0; j < seg + 1; j++) {
+          var k = i * seg + j;
+          var pt = [
+            xoff + k * span,
+            yoff -
+              hei *
+                Noise.noise(k * 0.05, seed) *
+                Math.pow(Math.sin((Math.PI * k) / (len / span)), 0.5),
+          ];
+          ptlist[ptlist.length - 1].push(pt);
+        }
+        for (var j = 0; j < seg / 2 + 1; j++) {
+          var k = i * seg + j * 2;
+          var pt = [
+            xoff + k * span,
+            yoff +
+              24 *
+                Noise.noise(k * 0.05, 2, seed) *
+                Math.pow(Math.sin((Math.PI * k) / (len / span)), 1),
+          ];
+          ptlist[ptlist.length - 1].unshift(pt);
         }
       }
-    }
-    return canv;
-  }; 
- /**
-   * Generate individual rocks and boulders
-   * @param {Number} xoff - X offset position
-   * @param {Number} yoff - Y offset position
-   * @param {Number} seed - Random seed for generation
-   * @param {Object} args - Configuration options
-   * @returns {String} SVG markup for rock
-   */
-  this.rock = function(xoff, yoff, seed, args) {
-    var args = args != undefined ? args : {};
-    var hei = args.hei != undefined ? args.hei : 80;
-    var wid = args.wid != undefined ? args.wid : 100;
-    var tex = args.tex != undefined ? args.tex : 40;
-    var ret = args.ret != undefined ? args.ret : 0;
-    var sha = args.sha != undefined ? args.sha : 10;
-
-    seed = seed != undefined ? seed : 0;
-
-    var canv = "";
-
-    var reso = [10, 50];
-    var ptlist = [];
-
-    for (var i = 0; i < reso[0]; i++) {
-      ptlist.push([]);
-
-      var nslist = [];
-      for (var j = 0; j < reso[1]; j++) {
-        nslist.push(Noise.noise(i, j * 0.2, seed));
+      for (var i = 0; i < ptlist.length; i++) {
+        var getCol = function(x, y) {
+          var c = (Noise.noise(x * 0.02, y * 0.02, yoff) * 55 + 200) | 0;
+          if (WEATHER.type == "snow" && y < yoff - hei * 0.3) {
+            c = (c + 250) / 2 | 0;
+          }
+          return "rgb(" + c + "," + c + "," + c + ")";
+        };
+        Scene.add(canv, poly(ptlist[i], {
+          fil: getCol(ptlist[i][ptlist[i].length - 1][0], ptlist[i][ptlist[i].length - 1][1]),
+          str: "none",
+          wid: 1,
+        }));
+
+        // Simplified rendering without triangulation to avoid stack overflow
+        if (ptlist[i].length > 2) {
+          try {
+            var T = PolyTools.triangulate(ptlist[i], {
+              area: 100,
+              convex: true,
+              optimize: false,
+            });
+            for (var k = 0; k < T.length; k++) {
+              var m = PolyTools.midPt(T[k]);
+              var co = getCol(m[0], m[1]);
+              Scene.add(canv, poly(T[k], { fil: co, str: co, wid: 1 }));
+            }
+          } catch (e) {
+            // Fallback to simple polygon if triangulation fails
+            console.warn('Triangulation failed, using simple polygon');
+          }
+        }
       }
-      loopNoise(nslist);
+      return Scene.group(canv, {
+        tags: ["distmount"],
+        source: "Mount.distMount",
+        depth: yoff,
+      });
+    }; 
+   /**
+     * Generate individual rocks and boulders
+     * @param {Number} xoff - X offset position
+     * @param {Number} yoff - Y offset position
+     * @param {Number} seed - Random seed for generation
+     * @param {Object} args - Configuration options
+     * @returns {Object} Scene group for rock
+     */
+    this.rock = function(xoff, yoff, seed, args) {
+      var args = args != undefined ? args : {};
+      var hei = args.hei != undefined ? args.hei : 80;
+      var wid = args.wid != undefined ? args.wid : 100;
+      var tex = args.tex != undefined ? args.tex : 40;
+      var ret = args.ret != undefined ? args.ret : 0;
+      var sha = args.sha != undefined ? args.sha : 10;
 
-      for (var j = 0; j < reso[1]; j++) {
-        var a = (j / reso[1]) * Math.PI * 2 - Math.PI / 2;
-        var l =
-          (wid * hei) /
-          Math.sqrt(
-            Math.pow(hei * Math.cos(a), 2) + Math.pow(wid * Math.sin(a), 2),
-          );
+      seed = seed != undefined ? seed : 0;
 
-        l *= 0.7 + 0.3 * nslist[j];
+      var canv = [];
 
-        var p = 1 - i / reso[0];
+      var reso = [10, 50];
+      var ptlist = [];
 
-        var nx = Math.cos(a) * l * p;
-        var ny = -Math.sin(a) * l * p;
+      for (var i = 0; i < reso[0]; i++) {
+        ptlist.push([]);
 
-        if (Math.PI < a || a < 0) {
-          ny *= 0.2;
+        var nslist = [];
+        for (var j = 0; j < reso[1]; j++) {
+          nslist.push(Noise.noise(i, j * 0.2, seed));
         }
+        loopNoise(nslist);
 
-        ny += hei * (i / reso[0]) * 0.2;
-
-        ptlist[ptlist.length - 1].push([nx, ny]);
-      }
-    }
-
-    //WHITE BG
-    canv += poly(ptlist[0].concat([[0, 0]]), {
-      xof: xoff,
-      yof: yoff,
-      fil: "white",
-      str: "none",
-    });
-    //OUTLINE
-    canv += stroke(
-      ptlist[0].map(function(x) {
-        return [x[0] + xoff, x[1] + yoff];
-      }),
-      { col: "rgba(100,100,100,0.3)", noi: 1, wid: 3 },
-    );
-    canv += texture(ptlist, {
-      xof: xoff,
-      yof: yoff,
-      tex: tex,
-      wid: 3,
-      sha: sha,
-      col: function(x) {
-        return (
-          "rgba(180,180,180," + (0.3 + Math.random() * 0.3).toFixed(3) + ")"
-        );
-      },
-      dis: function() {
-        if (Math.random() > 0.5) {
-          return 0.15 + 0.15 * Math.random();
-        } else {
-          return 0.85 - 0.15 * Math.random();
+        for (var j = 0; j < reso[1]; j++) {
+          var a = (j / reso[1]) * Math.PI * 2 - Math.PI / 2;
+          var l =
+            (wid * hei) /
+            Math.sqrt(
+              Math.pow(hei * Math.cos(a), 2) + Math.pow(wid * Math.sin(a), 2),
+            );
+
+          l *= 0.7 + 0.3 * nslist[j];
+
+          var p = 1 - i / reso[0];
+
+          var nx = Math.cos(a) * l * p;
+          var ny = -Math.sin(a) * l * p;
+
+          if (Math.PI < a || a < 0) {
+            ny *= 0.2;
+          }
+
+          ny += hei * (i / reso[0]) * 0.2;
+
+          ptlist[ptlist.length - 1].push([nx, ny]);
         }
-      },
-    });
+      }
+
+      //WHITE BG
+      Scene.add(canv, poly(ptlist[0].concat([[0, 0]]), {
+        xof: xoff,
+        yof: yoff,
+        fil: "white",
+        str: "none",
+      }));
+      //OUTLINE
+      Scene.add(canv, stroke(
+        ptlist[0].map(function(x) {
+          return [x[0] + xoff, x[1] + yoff];
+        }),
+        { col: "rgba(100,100,100,0.3)", noi: 1, wid: 3 },
+      ));
+      Scene.add(canv, texture(ptlist, {
+        xof: xoff,
+        yof: yoff,
+        tex: tex,
+        wid: 3,
+        sha: sha,
+        col: function(x) {
+          return (
+            "rgba(180,180,180," + (0.3 + random() * 0.3).toFixed(3) + ")"
+          );
+        },
+        dis: function() {
+          if (random() > 0.5) {
+            return 0.15 + 0.15 * random();
+          } else {
+            return 0.85 - 0.15 * random();
+          }
+        },
+      }));
+
+      return ret ? ptlist : Scene.group(canv, {
+        tags: ["rock"],
+        source: "Mount.rock",
+        depth: yoff,
+      });
+    };
 
-    return ret ? ptlist : canv;
-  };
+  }();
+  return Mount;
+}
 
-}();
\ No newline at end of file
+ShanShui.createMount = createMount;
@@ -0,0 +1,870 @@
+/**
+ * Plotter Module
+ *
+ * Back-end that turns scene graph nodes (see scene.js) into plain polylines
+ * a pen plotter can draw. The artwork hides what is behind a shape by
+ * painting it white, which a pen cannot do, so every line is clipped against
+ * the opaque fills painted after it (hidden-line removal) and the fills
+ * themselves are dropped:
+ * - a polygon becomes its outline, unless the outline has the fill colour
+ *   (then it only covers seams of the fill)
+ * - a stroke becomes the path it was drawn along or, if it is wider than
+ *   the hatch threshold, its outline filled with hatch lines
+ * - a blob becomes its spine
+ * - text is left out
+ *
+ * The lines can then be ordered to save pen travel, fitted onto a sheet of
+ * paper and written as G-code or HPGL.
+ *
+ * Dependencies: scene.js
+ *
+ * @namespace Plotter
+ */
+var Plotter = new function() {
+  var Scene = ShanShui.createScene();
+
+  // Side of the squares occluders are bucketed in, and height of the bands
+  // their edges are bucketed in, in landscape units
+  var CELL = 64;
+  var BAND = 8;
+
+  /**
+   * Opacity of a CSS colour as used by the generators: "none", "white",
+   * "rgb(...)" or "rgba(...)"
+   * @param {string} col - Colour
+   * @returns {number} Alpha from 0 to 1
+   */
+  this.alpha = function(col) {
+    if (col == undefined || col == "none" || col == "transparent") {
+      return 0;
+    }
+    var m = /^rgba\(([^)]*)\)$/.exec(col.replace(/\s/g, ""));
+    return m ? parseFloat(m[1].split(",")[3]) : 1;
+  };
+
+  // Split a point list at non-finite points
+  var finite = function(plist) {
+    var out = [[]];
+    for (var i = 0; i < plist.length; i++) {
+      if (isFinite(plist[i][0]) && isFinite(plist[i][1])) {
+        out[out.length - 1].push(plist[i]);
+      } else if (out[out.length - 1].length > 0) {
+        out.push([]);
+      }
+    }
+    return out.filter(function(x) {
+      return x.length > 1;
+    });
+  };
+
+  // Parallel lines spacing apart across a polygon, at angle ang. Rows lie
+  // on a common grid, so the hatching of neighbouring shapes lines up.
+  var hatch = function(plist, spacing, ang) {
+    var c = Math.cos(ang);
+    var s = Math.sin(ang);
+    var rot = plist.map(function(p) {
+      return [p[0] * c + p[1] * s, p[1] * c - p[0] * s];
+    });
+    var ymin = Infinity;
+    var ymax = -Infinity;
+    for (var i = 0; i < rot.length; i++) {
+      ymin = Math.min(ymin, rot[i][1]);
+      ymax = Math.max(ymax, rot[i][1]);
+    }
+    var out = [];
+    for (var y = (Math.floor(ymin / spacing) + 0.5) * spacing; y < ymax; y += spacing) {
+      var xs = [];
+      for (var i = 0; i < rot.length; i++) {
+        var a = rot[i];
+        var b = rot[(i + 1) % rot.length];
+        if (a[1] > y != b[1] > y) {
+          xs.push(a[0] + ((y - a[1]) * (b[0] - a[0])) / (b[1] - a[1]));
+        }
+      }
+      xs.sort(function(a, b) {
+        return a - b;
+      });
+      for (var i = 0; i + 1 < xs.length; i += 2) {
+        out.push([
+          [xs[i] * c - y * s, xs[i] * s + y * c],
+          [xs[i + 1] * c - y * s, xs[i + 1] * s + y * c],
+        ]);
+      }
+    }
+    return out;
+  };
+
+  /**
+   * Centerlines of a single leaf node, before hidden-line removal
+   * @param {Object} node - Polygon, stroke, blob or text node
+   * @param {Object} [args] - Options
+   * @param {number} [args.hatch=Infinity] - Strokes wider than this are
+   *   drawn as their outline filled with hatch lines instead of their path
+   * @param {number} [args.spacing=1] - Distance between hatch lines
+   * @param {number} [args.angle=45] - Angle of the hatch lines in degrees
+   * @returns {Array} Lines {plist, col, wid}
+   */
+  this.centerline = function(node, args) {
+    var args = args != undefined ? args : {};
+    var threshold = args.hatch != undefined ? args.hatch : Infinity;
+    var spacing = args.spacing != undefined ? args.spacing : 1;
+    var angle = args.angle != undefined ? args.angle : 45;
+
+    var lines = [];
+    var add = function(plist, col, wid) {
+      var parts = finite(plist);
+      for (var i = 0; i < parts.length; i++) {
+        lines.push({ plist: parts[i], col: col, wid: wid });
+      }
+    };
+    if (node.type == "polygon") {
+      if (node.wid > 0 && node.str != node.fil && Plotter.alpha(node.str) > 0) {
+        add(node.plist, node.str, node.wid);
+      }
+    } else if (node.type == "stroke") {
+      if (node.wid > threshold) {
+        var outline = finite(node.plist);
+        for (var i = 0; i < outline.length; i++) {
+          add(outline[i], node.col, node.out);
+          var rows = hatch(outline[i], spacing, (angle * Math.PI) / 180);
+          for (var j = 0; j < rows.length; j++) {
+            add(rows[j], node.col, node.out);
+          }
+        }
+      } else {
+        add(node.path, node.col, node.wid);
+      }
+    } else if (node.type == "blob") {
+      // A blob goes out along one side and back along the other
+      var n = node.plist.length;
+      var spine = [];
+      for (var i = 0; i < n / 2; i++) {
+        var a = node.plist[i];
+        var b = node.plist[n - 1 - i];
+        spine.push([(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]);
+      }
+      add(spine, node.col, 1);
+    }
+    return lines;
+  };
+
+  // The paint of a leaf hides what is behind it if it is opaque
+  var occludes = function(node) {
+    if (node.type == "polygon") {
+      return Plotter.alpha(node.fil) >= 1;
+    } else if (node.type == "stroke" || node.type == "blob") {
+      return Plotter.alpha(node.col) >= 1;
+    }
+    return false;
+  };
+
+  // Occluder with its edges bucketed by horizontal band
+  var occluder = function(plist, order) {
+    var box = { xmin: Infinity, ymin: Infinity, xmax: -Infinity, ymax: -Infinity };
+    var bands = {};
+    for (var i = 0; i < plist.length; i++) {
+      var p = plist[i];
+      var q = plist[(i + 1) % plist.length];
+      box.xmin = Math.min(box.xmin, p[0]);
+      box.xmax = Math.max(box.xmax, p[0]);
+      box.ymin = Math.min(box.ymin, p[1]);
+      box.ymax = Math.max(box.ymax, p[1]);
+      var e = [p[0], p[1], q[0], q[1]];
+      var b1 = Math.floor(Math.max(p[1], q[1]) / BAND);
+      for (var b = Math.floor(Math.min(p[1], q[1]) / BAND); b <= b1; b++) {
+        (bands[b] = bands[b] || []).push(e);
+      }
+    }
+    return { order: order, box: box, bands: bands, stamp: -1 };
+  };
+
+  // Even-odd point in polygon test against an occluder
+  var inside = function(occ, x, y) {
+    var edges = occ.bands[Math.floor(y / BAND)];
+    if (edges == undefined || x < occ.box.xmin || x > occ.box.xmax) {
+      return false;
+    }
+    // Only the band holding y is searched, so an edge listed in several
+    // bands counts once
+    var c = false;
+    for (var i = 0; i < edges.length; i++) {
+      var e = edges[i];
+      if (e[1] > y != e[3] > y && x < ((e[2] - e[0]) * (y - e[1])) / (e[3] - e[1]) + e[0]) {
+        c = !c;
+      }
+    }
+    return c;
+  };
+
+  // Parameters along p-q where it crosses the edges of an occluder
+  var crossings = function(occ, p, q, ts) {
+    var b1 = Math.floor(Math.max(p[1], q[1]) / BAND);
+    for (var b = Math.floor(Math.min(p[1], q[1]) / BAND); b <= b1; b++) {
+      var edges = occ.bands[b];
+      if (edges == undefined) {
+        continue;
+      }
+      for (var i = 0; i < edges.length; i++) {
+        var e = edges[i];
+        var dx = q[0] - p[0];
+        var dy = q[1] - p[1];
+        var ex = e[2] - e[0];
+        var ey = e[3] - e[1];
+        var d = dx * ey - dy * ex;
+        if (d == 0) {
+          continue;
+        }
+        var t = ((e[0] - p[0]) * ey - (e[1] - p[1]) * ex) / d;
+        var u = ((e[0] - p[0]) * dy - (e[1] - p[1]) * dx) / d;
+        if (t > 0 && t < 1 && u >= 0 && u <= 1) {
+          ts.push(t);
+        }
+      }
+    }
+  };
+
+  /**
+   * Convert a scene to plotter lines with hidden lines removed. Leaves are
+   * taken in painting order, so pass chunk elements sorted by chunkorder; a
+   * line is clipped by the opaque fills of every leaf painted after it.
+   * @param {Object|Array} node - Node or node list
+   * @param {Object} [args] - Options
+   * @param {Array} [args.exclude=[]] - Leave out groups with any of these tags
+   * @param {number} [args.hatch] - Hatch threshold, see Plotter.centerline
+   * @param {number} [args.spacing] - Hatch spacing, see Plotter.centerline
+   * @param {number} [args.angle] - Hatch angle, see Plotter.centerline
+   * @returns {Array} Lines {plist, col, wid} in painting order, where col and
+   *   wid are the colour and width the line was painted with
+   */
+  this.lines = function(node, args) {
+    var args = args != undefined ? args : {};
+    var exclude = args.exclude != undefined ? args.exclude : [];
+
+    var todo = [];
+    var grid = {};
+    var order = 0;
+    Scene.walk(node, function(leaf, tags) {
+      if (exclude.length != 0 && Scene.excluded(tags, exclude)) {
+        return;
+      }
+      order++;
+      var lines = Plotter.centerline(leaf, args);
+      for (var i = 0; i < lines.length; i++) {
+        lines[i].order = order;
+        todo.push(lines[i]);
+      }
+      if (occludes(leaf)) {
+        var parts = finite(leaf.plist);
+        for (var i = 0; i < parts.length; i++) {
+          var occ = occluder(parts[i], order);
+          for (var cx = Math.floor(occ.box.xmin / CELL); cx <= Math.floor(occ.box.xmax / CELL); cx++) {
+            for (var cy = Math.floor(occ.box.ymin / CELL); cy <= Math.floor(occ.box.ymax / CELL); cy++) {
+              (grid[cx + "," + cy] = grid[cx + "," + cy] || []).push(occ);
+            }
+          }
+        }
+      }
+    });
+
+    var stamp = 0;
+    var out = [];
+    for (var l = 0; l < todo.length; l++) {
+      var line = todo[l];
+      var run = [];
+      var flush = function() {
+        if (run.length > 1) {
+          out.push({ plist: run, col: line.col, wid: line.wid });
+        }
+        run = [];
+      };
+      for (var i = 0; i < line.plist.length - 1; i++) {
+        var p = line.plist[i];
+        var q = line.plist[i + 1];
+
+        // Occluders painted later whose box meets the segment
+        stamp++;
+        var near = [];
+        var x0 = Math.min(p[0], q[0]);
+        var x1 = Math.max(p[0], q[0]);
+        var y0 = Math.min(p[1], q[1]);
+        var y1 = Math.max(p[1], q[1]);
+        for (var cx = Math.floor(x0 / CELL); cx <= Math.floor(x1 / CELL); cx++) {
+          for (var cy = Math.floor(y0 / CELL); cy <= Math.floor(y1 / CELL); cy++) {
+            var cell = grid[cx + "," + cy];
+            if (cell == undefined) {
+              continue;
+            }
+            for (var j = 0; j < cell.length; j++) {
+              var occ = cell[j];
+              if (
+                occ.stamp != stamp &&
+                occ.order > line.order &&
+                occ.box.xmin <= x1 &&
+                occ.box.xmax >= x0 &&
+                occ.box.ymin <= y1 &&
+                occ.box.ymax >= y0
+              ) {
+                occ.stamp = stamp;
+                near.push(occ);
+              }
+            }
+          }
+        }
+
+        // Split the segment where it crosses their edges, and keep the
+        // pieces whose middle no occluder covers
+        var ts = [0, 1];
+        for (var j = 0; j < near.length; j++) {
+          crossings(near[j], p, q, ts);
+        }
+        ts.sort(function(a, b) {
+          return a - b;
+        });
+        for (var k = 0; k < ts.length - 1; k++) {
+          if (ts[k + 1] - ts[k] < 1e-9) {
+            continue;
+          }
+          var tm = (ts[k] + ts[k + 1]) / 2;
+          var mx = p[0] + (q[0] - p[0]) * tm;
+          var my = p[1] + (q[1] - p[1]) * tm;
+          var hidden = false;
+          for (var j = 0; j < near.length && !hidden; j++) {
+            hidden = inside(near[j], mx, my);
+          }
+          if (hidden) {
+            flush();
+            continue;
+          }
+          var a = [p[0] + (q[0] - p[0]) * ts[k], p[1] + (q[1] - p[1]) * ts[k]];
+          var b = [p[0] + (q[0] - p[0]) * ts[k + 1], p[1] + (q[1] - p[1]) * ts[k + 1]];
+          if (run.length == 0) {
+            run.push(a);
+          }
+          run.push(b);
+        }
+      }
+      flush();
+    }
+    return out;
+  };
+
+  // Liang-Barsky: the part of p-q inside a box, as [t0, t1], or undefined
+  var cut = function(p, q, box) {
+    var t0 = 0;
+    var t1 = 1;
+    var dx = q[0] - p[0];
+    var dy = q[1] - p[1];
+    var sides = [
+      [-dx, p[0] - box.xmin],
+      [dx, box.xmax - p[0]],
+      [-dy, p[1] - box.ymin],
+      [dy, box.ymax - p[1]],
+    ];
+    for (var i = 0; i < 4; i++) {
+      var a = sides[i][0];
+      var b = sides[i][1];
+      if (a == 0) {
+        if (b < 0) {
+          return undefined;
+        }
+      } else if (a < 0) {
+        t0 = Math.max(t0, b / a);
+      } else {
+        t1 = Math.min(t1, b / a);
+      }
+    }
+    return t0 < t1 ? [t0, t1] : undefined;
+  };
+
+  /**
+   * Cut lines to a rectangle, e.g. the page
+   * @param {Array} lines - Lines {plist, col, wid}
+   * @param {Object} box - {xmin, ymin, xmax, ymax}
+   * @returns {Array} The parts of the lines inside the box
+   */
+  this.crop = function(lines, box) {
+    var out = [];
+    for (var l = 0; l < lines.length; l++) {
+      var line = lines[l];
+      var run = [];
+      for (var i = 0; i < line.plist.length - 1; i++) {
+        var p = line.plist[i];
+        var q = line.plist[i + 1];
+        var t = cut(p, q, box);
+        if (t == undefined) {
+          if (run.length > 1) {
+            out.push({ plist: run, col: line.col, wid: line.wid });
+          }
+          run = [];
+          continue;
+        }
+        if (run.length == 0 || t[0] > 0) {
+          if (run.length > 1) {
+            out.push({ plist: run, col: line.col, wid: line.wid });
+          }
+          run = [[p[0] + (q[0] - p[0]) * t[0], p[1] + (q[1] - p[1]) * t[0]]];
+        }
+        run.push([p[0] + (q[0] - p[0]) * t[1], p[1] + (q[1] - p[1]) * t[1]]);
+        if (t[1] < 1) {
+          out.push({ plist: run, col: line.col, wid: line.wid });
+          run = [];
+        }
+      }
+      if (run.length > 1) {
+        out.push({ plist: run, col: line.col, wid: line.wid });
+      }
+    }
+    return out;
+  };
+
+  /**
+   * Plotter lines as SVG markup: one unfilled polyline per line, all drawn
+   * with the same pen
+   * @param {Array} lines - Lines {plist, col, wid}
+   * @param {Object} [args] - Options
+   * @param {string} [args.col="black"] - Stroke colour
+   * @param {number} [args.wid=0.5] - Stroke width
+   * @param {string} [args.id] - Id of the <g>
+   * @param {string} [args.label] - Make the <g> an Inkscape layer with this
+   *   name (the enclosing <svg> must declare the inkscape namespace)
+   * @returns {string} SVG markup (without the enclosing <svg> element)
+   */
+  this.svg = function(lines, args) {
+    var args = args != undefined ? args : {};
+    var col = args.col != undefined ? args.col : "black";
+    var wid = args.wid != undefined ? args.wid : 0.5;
+
+    var canv =
+      "<g" +
+      (args.id != undefined ? " id='" + args.id + "'" : "") +
+      (args.label != undefined ? " inkscape:groupmode='layer' inkscape:label='" + args.label + "'" : "") +
+      " style='fill:none;stroke:" +
+      col +
+      ";stroke-width:" +
+      wid +
+      ";stroke-linecap:round;stroke-linejoin:round'>";
+    for (var i = 0; i < lines.length; i++) {
+      canv += "<polyline points='";
+      for (var j = 0; j < lines[i].plist.length; j++) {
+        canv += (j > 0 ? " " : "") + lines[i].plist[j][0].toFixed(1) + "," + lines[i].plist[j][1].toFixed(1);
+      }
+      canv += "'/>";
+    }
+    return canv + "</g>";
+  };
+
+  /**
+   * Tone of a colour: how dark it lies on white paper, as the alpha of the
+   * generators' grey rgba(100,100,100,a) that paints the same shade. Lighter
+   * greys count for less; colours without channels (e.g. "black") count as
+   * opaque grey.
+   * @param {string} col - Colour
+   * @returns {number} Tone from 0 (white) to 1
+   */
+  this.tone = function(col) {
+    var a = Plotter.alpha(col);
+    if (col == "white") {
+      return 0;
+    }
+    var m = /^rgba?\(([^)]*)\)$/.exec(col.replace(/\s/g, ""));
+    if (!m) {
+      return a;
+    }
+    var c = m[1].split(",");
+    var grey = (parseFloat(c[0]) + parseFloat(c[1]) + parseFloat(c[2])) / 3;
+    return Math.max(0, Math.min(1, (a * (255 - grey)) / 155));
+  };
+
+  /**
+   * Inks to separate a drawing into, lightest first. Each ink has the tone
+   * it stands for, a colour to preview it in, and a name.
+   * @param {number|string|Array} spec - Number of inks, spread evenly over
+   *   the tones of the lines; or their tones, as an Array of numbers or of
+   *   {tone, col, name}, or as a string such as "0.1,0.3:#888,0.6:black"
+   * @param {Array} [lines] - Lines {plist, col}, for a number of inks
+   * @returns {Array} Inks {tone, col, name}
+   */
+  this.inks = function(spec, lines) {
+    if (typeof spec == "string" && spec.indexOf(",") == -1 && spec.indexOf(":") == -1) {
+      spec = parseFloat(spec);
+    }
+    var inks = [];
+    if (typeof spec == "number") {
+      var max = 0;
+      for (var i = 0; i < (lines != undefined ? lines.length : 0); i++) {
+        max = Math.max(max, Plotter.tone(lines[i].col));
+      }
+      max = max > 0 ? max : 1;
+      for (var i = 0; i < spec; i++) {
+        inks.push({ tone: (max * (i + 0.5)) / spec });
+      }
+    } else if (typeof spec == "string") {
+      spec.split(",").forEach(function(s) {
+        var e = s.split(":");
+        inks.push({ tone: parseFloat(e[0]), col: e[1] });
+      });
+    } else {
+      for (var i = 0; i < spec.length; i++) {
+        inks.push(typeof spec[i] == "number" ? { tone: spec[i] } : spec[i]);
+      }
+    }
+    if (inks.length == 0 || inks.some(function(ink) {
+      return !isFinite(ink.tone);
+    })) {
+      throw new Error("Plotter: bad inks " + spec);
+    }
+    return inks
+      .map(function(ink) {
+        var v = Math.round(255 - 155 * ink.tone);
+        return {
+          tone: ink.tone,
+          col: ink.col != undefined ? ink.col : "rgb(" + v + "," + v + "," + v + ")",
+          name: ink.name != undefined ? ink.name : "tone " + ink.tone.toFixed(2),
+        };
+      })
+      .sort(function(a, b) {
+        return a.tone - b.tone;
+      });
+  };
+
+  /**
+   * Sort lines into pens: each line goes to the ink nearest to its tone,
+   * and is marked with the pen number
+   * @param {Array} lines - Lines {plist, col, wid}
+   * @param {Array} inks - Inks from Plotter.inks
+   * @returns {Array} One Array of lines {plist, col, wid, pen} per ink
+   */
+  this.separate = function(lines, inks) {
+    var pens = inks.map(function() {
+      return [];
+    });
+    for (var i = 0; i < lines.length; i++) {
+      var t = Plotter.tone(lines[i].col);
+      var k = 0;
+      for (var j = 1; j < inks.length; j++) {
+        if (Math.abs(inks[j].tone - t) < Math.abs(inks[k].tone - t)) {
+          k = j;
+        }
+      }
+      pens[k].push({ plist: lines[i].plist, col: lines[i].col, wid: lines[i].wid, pen: k + 1 });
+    }
+    return pens;
+  };
+
+  // Distance between two points
+  var dist = function(a, b) {
+    return Math.sqrt((a[0] - b[0]) * (a[0] - b[0]) + (a[1] - b[1]) * (a[1] - b[1]));
+  };
+
+  // A line drawn the other way round
+  var reversed = function(line) {
+    return { plist: line.plist.slice().reverse(), col: line.col, wid: line.wid, pen: line.pen };
+  };
+
+  /**
+   * Pen-up travel of a drawing: from home to the first line, between
+   * consecutive lines, and back home
+   * @param {Array} lines - Lines {plist, col, wid} in drawing order
+   * @param {Array} [home=[0, 0]] - Where the pen starts and ends
+   * @returns {number} Total travel
+   */
+  this.travel = function(lines, home) {
+    var home = home != undefined ? home : [0, 0];
+    var d = 0;
+    var at = home;
+    for (var i = 0; i < lines.length; i++) {
+      d += dist(at, lines[i].plist[0]);
+      at = lines[i].plist[lines[i].plist.length - 1];
+    }
+    return d + dist(at, home);
+  };
+
+  /**
+   * Order lines to keep the pen travel short: each next line is the nearest
+   * free end (lines may be drawn backwards), and the tour is then improved
+   * with 2-opt moves, which reverse a run of lines where that shortens the
+   * two hops around it. Hidden-line removal is done by then, so the order
+   * does not change the drawing.
+   * @param {Array} lines - Lines {plist, col, wid}
+   * @param {Object} [args] - Options
+   * @param {number} [args.reach=40] - How many lines ahead 2-opt looks
+   * @param {number} [args.passes=4] - Most 2-opt passes
+   * @param {Array} [args.home=[0, 0]] - Where the pen starts and ends
+   * @returns {Array} The lines in drawing order
+   */
+  this.optimize = function(lines, args) {
+    var args = args != undefined ? args : {};
+    var reach = args.reach != undefined ? args.reach : 40;
+    var passes = args.passes != undefined ? args.passes : 4;
+    var home = args.home != undefined ? args.home : [0, 0];
+    if (lines.length == 0) {
+      return [];
+    }
+
+    // Nearest neighbour, with both ends of every line in a grid
+    var grid = {};
+    var key = function(p) {
+      return Math.floor(p[0] / CELL) + "," + Math.floor(p[1] / CELL);
+    };
+    for (var i = 0; i < lines.length; i++) {
+      var ends = [lines[i].plist[0], lines[i].plist[lines[i].plist.length - 1]];
+      for (var j = 0; j < 2; j++) {
+        (grid[key(ends[j])] = grid[key(ends[j])] || []).push([i, j]);
+      }
+    }
+    var used = [];
+    var tour = [];
+    var at = home;
+    var best, bestd;
+    // Look for the nearest free end in a cell, dropping ends of used lines
+    // on the way; distances are compared squared
+    var visit = function(x, y) {
+      var cell = grid[x + "," + y];
+      if (cell == undefined) {
+        return;
+      }
+      var n = 0;
+      for (var k = 0; k < cell.length; k++) {
+        var e = cell[k];
+        if (used[e[0]]) {
+          continue;
+        }
+        cell[n++] = e;
+        var pl = lines[e[0]].plist;
+        var p = e[1] == 0 ? pl[0] : pl[pl.length - 1];
+        var d = (p[0] - at[0]) * (p[0] - at[0]) + (p[1] - at[1]) * (p[1] - at[1]);
+        if (d < bestd) {
+          bestd = d;
+          best = e;
+        }
+      }
+      cell.length = n;
+    };
+    for (var n = 0; n < lines.length; n++) {
+      var cx = Math.floor(at[0] / CELL);
+      var cy = Math.floor(at[1] / CELL);
+      best = undefined;
+      bestd = Infinity;
+      // Search growing rings of cells until no closer end can be found
+      visit(cx, cy);
+      for (var r = 1; (r - 1) * CELL * (r - 1) * CELL < bestd; r++) {
+        for (var x = cx - r; x <= cx + r; x++) {
+          visit(x, cy - r);
+          visit(x, cy + r);
+        }
+        for (var y = cy - r + 1; y < cy + r; y++) {
+          visit(cx - r, y);
+          visit(cx + r, y);
+        }
+      }
+      used[best[0]] = true;
+      var pl = lines[best[0]].plist;
+      var a = pl[0];
+      var b = pl[pl.length - 1];
+      // Tour stops: the line, whether it is drawn backwards, and the ends
+      // the pen starts and stops at
+      tour.push(best[1] == 0 ? { i: best[0], rev: false, s: a, e: b } : { i: best[0], rev: true, s: b, e: a });
+      at = tour[n].e;
+    }
+
+    // 2-opt: drawing lines i+1..j in reverse order and direction replaces
+    // the hops end(i) -> start(i+1) and end(j) -> start(j+1) by
+    // end(i) -> end(j) and start(i+1) -> start(j+1)
+    // (the pen starts and ends at home). hop[k] is the travel after stop k,
+    // with hop[-1] from home.
+    var start = function(i) {
+      return i >= tour.length ? home : tour[i].s;
+    };
+    var end = function(i) {
+      return i < 0 ? home : tour[i].e;
+    };
+    var hop = {};
+    for (var i = -1; i < tour.length; i++) {
+      hop[i] = dist(end(i), start(i + 1));
+    }
+    for (var pass = 0; pass < passes; pass++) {
+      var better = false;
+      for (var i = -1; i < tour.length - 1; i++) {
+        for (var j = i + 1; j < Math.min(tour.length, i + 1 + reach); j++) {
+          var d1 = dist(end(i), end(j));
+          if (d1 >= hop[i] + hop[j]) {
+            continue;
+          }
+          var d2 = dist(start(i + 1), start(j + 1));
+          if (hop[i] + hop[j] - d1 - d2 > 1e-6) {
+            for (var lo = i + 1, hi = j; lo <= hi; lo++, hi--) {
+              var x = tour[lo];
+              var y = tour[hi];
+              tour[lo] = { i: y.i, rev: !y.rev, s: y.e, e: y.s };
+              tour[hi] = { i: x.i, rev: !x.rev, s: x.e, e: x.s };
+            }
+            // The hops inside the run are the same, in reverse order
+            for (var lo = i + 1, hi = j - 1; lo < hi; lo++, hi--) {
+              var h = hop[lo];
+              hop[lo] = hop[hi];
+              hop[hi] = h;
+            }
+            hop[i] = d1;
+            hop[j] = d2;
+            better = true;
+          }
+        }
+      }
+      if (!better) {
+        break;
+      }
+    }
+    return tour.map(function(t) {
+      return t.rev ? reversed(lines[t.i]) : lines[t.i];
+    });
+  };
+
+  /**
+   * Paper sizes in millimetres, portrait [width, height]
+   * @type {Object}
+   */
+  this.PAPER = {
+    A5: [148, 210],
+    A4: [210, 297],
+    A3: [297, 420],
+    A2: [420, 594],
+    letter: [215.9, 279.4],
+    tabloid: [279.4, 431.8],
+  };
+
+  /**
+   * Placement of a landscape region on a sheet of paper: as large as the
+   * margins allow and centred, on a sheet turned to match the region's
+   * shape. Plotters count y upwards from the bottom edge.
+   * @param {Object} box - Region {xmin, ymin, xmax, ymax}, in landscape units
+   * @param {Object} [args] - Options
+   * @param {string|Array} [args.paper="A4"] - Entry of Plotter.PAPER, or
+   *   [width, height] in millimetres
+   * @param {number} [args.margin=15] - Margin in millimetres
+   * @returns {Object} {width, height, sca, map, home}: sheet size in
+   *   millimetres, millimetres per landscape unit, map(p) taking a landscape
+   *   point to sheet millimetres, and the landscape point at the sheet's
+   *   origin
+   */
+  this.fit = function(box, args) {
+    var args = args != undefined ? args : {};
+    var paper = args.paper != undefined ? args.paper : "A4";
+    var margin = args.margin != undefined ? args.margin : 15;
+
+    var size = typeof paper == "string" ? Plotter.PAPER[paper] : paper;
+    if (size == undefined) {
+      throw new Error("Plotter: unknown paper size " + paper);
+    }
+    var bw = box.xmax - box.xmin;
+    var bh = box.ymax - box.ymin;
+    var width = bw >= bh ? Math.max(size[0], size[1]) : Math.min(size[0], size[1]);
+    var height = bw >= bh ? Math.min(size[0], size[1]) : Math.max(size[0], size[1]);
+    var sca = Math.min((width - 2 * margin) / bw, (height - 2 * margin) / bh);
+    var x0 = (width - bw * sca) / 2;
+    var y0 = (height - bh * sca) / 2;
+    return {
+      width: width,
+      height: height,
+      sca: sca,
+      map: function(p) {
+        return [x0 + (p[0] - box.xmin) * sca, height - y0 - (p[1] - box.ymin) * sca];
+      },
+      home: [box.xmin - x0 / sca, box.ymin + (height - y0) / sca],
+    };
+  };
+
+  // Format a number with at most 3 decimals
+  var num = function(x) {
+    return "" + Math.round(x * 1000) / 1000;
+  };
+
+  /**
+   * Lines as G-code for pen plotters and laser machines, in millimetres and
+   * absolute coordinates. Travel uses G0 and drawing G1. Where the pen
+   * number of the lines changes (see Plotter.separate), the pen goes home
+   * and the machine pauses for the next pen.
+   * @param {Array} lines - Lines {plist, pen} in drawing order, in landscape
+   *   units
+   * @param {Object} page - Placement from Plotter.fit
+   * @param {Object} [args] - Options
+   * @param {string} [args.penUp="G0 Z5"] - Command that lifts the pen
+   * @param {string} [args.penDown="G0 Z0"] - Command that lowers the pen
+   * @param {string} [args.penChange="M0"] - Command that waits for a pen change
+   * @param {number} [args.feed=3000] - Drawing speed in mm/min
+   * @returns {string} G-code program
+   */
+  this.gcode = function(lines, page, args) {
+    var args = args != undefined ? args : {};
+    var penUp = args.penUp != undefined ? args.penUp : "G0 Z5";
+    var penDown = args.penDown != undefined ? args.penDown : "G0 Z0";
+    var penChange = args.penChange != undefined ? args.penChange : "M0";
+    var feed = args.feed != undefined ? args.feed : 3000;
+
+    var out = [
+      "; Shan Shui, " + num(page.width) + " x " + num(page.height) + " mm",
+      "G21",
+      "G90",
+      penUp,
+      "G1 F" + feed,
+    ];
+    var pen = lines.length > 0 ? lines[0].pen : undefined;
+    if (pen != undefined) {
+      out.push("; Pen " + pen);
+    }
+    for (var i = 0; i < lines.length; i++) {
+      if (lines[i].pen != pen) {
+        pen = lines[i].pen;
+        out.push("G0 X0 Y0", "; Pen " + pen, penChange);
+      }
+      var pl = lines[i].plist.map(page.map);
+      out.push("G0 X" + num(pl[0][0]) + " Y" + num(pl[0][1]));
+      out.push(penDown);
+      for (var j = 1; j < pl.length; j++) {
+        out.push("G1 X" + num(pl[j][0]) + " Y" + num(pl[j][1]));
+      }
+      out.push(penUp);
+    }
+    out.push("G0 X0 Y0");
+    return out.join("\n") + "\n";
+  };
+
+  /**
+   * Lines as HPGL, in plotter units of 0.025 mm
+   * @param {Array} lines - Lines {plist, pen} in drawing order, in landscape
+   *   units; the pen of each line (see Plotter.separate) is selected before
+   *   it is drawn
+   * @param {Object} page - Placement from Plotter.fit
+   * @param {Object} [args] - Options
+   * @param {number} [args.pen=1] - Plotter pen that pen 1 is in; pen 2 is
+   *   in the next, and so on
+   * @returns {string} HPGL program
+   */
+  this.hpgl = function(lines, page, args) {
+    var args = args != undefined ? args : {};
+    var pen = args.pen != undefined ? args.pen : 1;
+
+    var unit = function(p) {
+      var q = page.map(p);
+      return Math.round(q[0] * 40) + "," + Math.round(q[1] * 40);
+    };
+    var out = ["IN;"];
+    var sel;
+    for (var i = 0; i < lines.length; i++) {
+      var p = pen + (lines[i].pen != undefined ? lines[i].pen - 1 : 0);
+      if (p != sel) {
+        sel = p;
+        out.push("SP" + sel + ";");
+      }
+      var pl = lines[i].plist;
+      var pts = [];
+      for (var j = 1; j < pl.length; j++) {
+        pts.push(unit(pl[j]));
+      }
+      out.push("PU" + unit(pl[0]) + ";PD" + pts.join(",") + ";");
+    }
+    out.push("PU;SP0;");
+    return out.join("\n") + "\n";
+  };
+}();
+
+ShanShui.Plotter = Plotter;
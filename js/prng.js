@@ -9,92 +9,157 @@
  * The PRNG uses a quadratic congruential generator with carefully chosen
  * parameters to ensure good distribution and period length.
  * 
+ * Every Shan Shui instance owns its own PRNG (see shanshui.js); generators
+ * draw from it through ss.random() instead of Math.random, which is left
+ * untouched for the rest of the page.
+ * 
+ * This is the first module loaded, so it also creates the ShanShui namespace
+ * that every module registers its factory on.
+ * 
  * @namespace Prng
  */
-var Prng = new function() {
-  this.s = 1234;
-  this.p = 999979; //9887//983
-  this.q = 999983; //9967//991
-  this.m = this.p * this.q;
-  /**
-   * Hash function to convert arbitrary input to numeric seed
-   * @param {*} x - Input value to hash (can be any type)
-   * @returns {number} Numeric hash value
-   */
-  this.hash = function(x) {
-    var y = window.btoa(JSON.stringify(x));
-    var z = 0;
-    for (var i = 0; i < y.length; i++) {
-      z += y.charCodeAt(i) * Math.pow(128, i);
-    }
-    return z;
-  };
-  /**
-   * Initialize the PRNG with a seed value
-   * @param {number} [x] - Seed value (uses current time if undefined)
-   */
-  this.seed = function(x) {
-    if (x == undefined) {
-      x = new Date().getTime();
-    }
-    var y = 0;
-    var z = 0;
-    function redo() {
-      y = (Prng.hash(x) + z) % Prng.m;
-      z += 1;
-    }
-    while (y % Prng.p == 0 || y % Prng.q == 0 || y == 0 || y == 1) {
-      redo();
-    }
-    Prng.s = y;
-    console.log(["int seed", Prng.s]);
-    for (var i = 0; i < 10; i++) {
-      Prng.next();
-    }
-  };
-  /**
-   * Generate the next random number in the sequence
-   * @returns {number} Random number between 0 and 1
-   */
-  this.next = function() {
-    Prng.s = (Prng.s * Prng.s) % Prng.m;
-    return Prng.s / Prng.m;
-  };
-  /**
-   * Test the distribution quality of the PRNG
-   * @param {Function} [f] - Optional function to test (defaults to Prng.next)
-   * @returns {Array} Distribution chart showing frequency in each decile
-   */
-  this.test = function(f) {
-    var F =
-      f ||
-      function() {
-        return Prng.next();
-      };
-    var t0 = new Date().getTime();
-    var chart = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
-    for (var i = 0; i < 10000000; i++) {
-      chart[Math.floor(F() * 10)] += 1;
-    }
-    console.log(chart);
-    console.log("finished in " + (new Date().getTime() - t0));
-    return chart;
-  };
-}();
 
 /**
- * Override Math.random to use our deterministic PRNG
- * This ensures all random number generation in the application is reproducible
- * @returns {number} Random number between 0 and 1
+ * Shared namespace for the module factories. Each module registers its
+ * factory here, which is how the ES module entry (shanshui.mjs) reaches them;
+ * when loaded with script tags the factories are plain globals as well.
+ * @namespace ShanShui
  */
-Math.random = function() {
-  return Prng.next();
-};
+var ShanShui = (globalThis.ShanShui = globalThis.ShanShui || {});
 
 /**
- * Add Math.seed function to initialize the PRNG
- * @param {number} x - Seed value for the PRNG
+ * Create an independent PRNG
+ * @returns {Object} PRNG with its own state
+ * @example
+ * var prng = createPrng();
+ * prng.seed("42");
+ * var x = prng.next();
  */
-Math.seed = function(x) {
-  return Prng.seed(x);
-};
+function createPrng() {
+  var Prng = new function() {
+    this.s = 1234;
+    this.p = 999979; //9887//983
+    this.q = 999983; //9967//991
+    this.m = this.p * this.q;
+    /**
+     * Hash function to convert arbitrary input to numeric seed
+     * @param {*} x - Input value to hash (can be any type)
+     * @returns {number} Numeric hash value
+     */
+    this.hash = function(x) {
+      var y = base64(JSON.stringify(x));
+      var z = 0;
+      for (var i = 0; i < y.length; i++) {
+        z += y.charCodeAt(i) * Math.pow(128, i);
+      }
+      return z;
+    };
+    /**
+     * Initialize the PRNG with a seed value
+     * @param {number} [x] - Seed value (uses current time if undefined)
+     */
+    this.seed = function(x) {
+      if (x == undefined) {
+        x = new Date().getTime();
+      }
+      init(x);
+      console.log(["int seed", Prng.s]);
+    };
+    /**
+     * Derive a numeric sub-seed from a base seed and any number of keys.
+     * Unlike hash(), every character of the input contributes to the result,
+     * so seeds that differ only slightly still give unrelated sub-seeds.
+     * @param {...*} keys - Base seed followed by keys (e.g. seed, "chunk", 3)
+     * @returns {number} Unsigned 32-bit sub-seed
+     * @example
+     * var s = Prng.derive(SEED, "chunk", 12);
+     */
+    this.derive = function() {
+      var str = JSON.stringify(Array.prototype.slice.call(arguments));
+      var h = 2166136261;
+      for (var i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+      }
+      return h >>> 0;
+    };
+    /**
+     * Silently reseed the PRNG from a base seed and keys, so that whatever is
+     * generated next depends only on those keys and not on how many numbers
+     * were drawn before. The derived value is used as the state directly
+     * rather than passed through hash(), which would lose most of its bits
+     * and let different keys start identical streams.
+     * @param {...*} keys - Base seed followed by keys, as for derive()
+     */
+    this.reseed = function() {
+      start(Prng.derive.apply(null, arguments));
+    };
+    // Base64-encode a string with the browser's btoa, or Buffer under Node
+    function base64(str) {
+      if (typeof btoa !== "undefined") {
+        return btoa(str);
+      }
+      return Buffer.from(str, "binary").toString("base64");
+    }
+    // Set the internal state from a seed value and warm up the generator
+    function init(x) {
+      var y = 0;
+      var z = 0;
+      function redo() {
+        y = (Prng.hash(x) + z) % Prng.m;
+        z += 1;
+      }
+      while (y % Prng.p == 0 || y % Prng.q == 0 || y == 0 || y == 1) {
+        redo();
+      }
+      Prng.s = y;
+      warmup();
+    }
+    // Set the internal state from an integer, skipping the states the
+    // generator gets stuck in, and warm up the generator
+    function start(n) {
+      var y = n % Prng.m;
+      while (y % Prng.p == 0 || y % Prng.q == 0 || y == 0 || y == 1) {
+        y = (y + 1) % Prng.m;
+      }
+      Prng.s = y;
+      warmup();
+    }
+    function warmup() {
+      for (var i = 0; i < 10; i++) {
+        Prng.next();
+      }
+    }
+    /**
+     * Generate the next random number in the sequence
+     * @returns {number} Random number between 0 and 1
+     */
+    this.next = function() {
+      Prng.s = (Prng.s * Prng.s) % Prng.m;
+      return Prng.s / Prng.m;
+    };
+    /**
+     * Test the distribution quality of the PRNG
+     * @param {Function} [f] - Optional function to test (defaults to Prng.next)
+     * @returns {Array} Distribution chart showing frequency in each decile
+     */
+    this.test = function(f) {
+      var F =
+        f ||
+        function() {
+          return Prng.next();
+        };
+      var t0 = new Date().getTime();
+      var chart = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+      for (var i = 0; i < 10000000; i++) {
+        chart[Math.floor(F() * 10)] += 1;
+      }
+      console.log(chart);
+      console.log("finished in " + (new Date().getTime() - t0));
+      return chart;
+    };
+  }();
+  return Prng;
+}
+
+ShanShui.createPrng = createPrng;
@@ -0,0 +1,267 @@
+/**
+ * Raster Export Module
+ *
+ * Renders any x-range of the landscape to a PNG of any size, composited
+ * over the procedural paper texture the app shows behind the <svg>. The
+ * image is drawn in tiles with CanvasRenderer and streamed through a PNG
+ * encoder band by band, so panoramas far wider than the largest canvas a
+ * browser allows can be exported. Runs in the browser and, given a canvas
+ * implementation, in the headless renderer.
+ *
+ * Dependencies: prng.js, global.js, canvas-renderer.js, main.js (MEM, chunkrange),
+ * CompressionStream (browsers, Node.js 18+)
+ *
+ * @namespace Raster
+ */
+var Raster = new function() {
+  // CRC-32 of PNG chunks
+  var crctable = [];
+  for (var n = 0; n < 256; n++) {
+    var c = n;
+    for (var k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    crctable[n] = c >>> 0;
+  }
+  var crc32 = function(bytes, crc) {
+    for (var i = 0; i < bytes.length; i++) {
+      crc = crctable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return crc;
+  };
+
+  // A PNG chunk: length, type, data, CRC of type and data
+  var pngchunk = function(type, data) {
+    var out = new Uint8Array(12 + data.length);
+    var view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    for (var i = 0; i < 4; i++) {
+      out[4 + i] = type.charCodeAt(i);
+    }
+    out.set(data, 8);
+    var crc = crc32(out.subarray(4, 8 + data.length), 0xffffffff);
+    view.setUint32(8 + data.length, (crc ^ 0xffffffff) >>> 0);
+    return out;
+  };
+
+  // Bounding box of a chunk element, cached on the element
+  var box = function(chunk) {
+    if (chunk.box === undefined) {
+      chunk.box = Scene.bounds(chunk.canv) || null;
+    }
+    return chunk.box;
+  };
+
+  // Default canvas factory: a detached <canvas>
+  var domcanvas = function(w, h) {
+    var canvas = document.createElement("canvas");
+    canvas.width = w;
+    canvas.height = h;
+    return canvas;
+  };
+
+  /**
+   * Draw the paper texture: 512 by 512 pixels of noise-modulated warm grey,
+   * mirrored so it tiles seamlessly. It only depends on MEM.seed, so the
+   * texture behind the app and behind an export of the same seed match. It
+   * draws from a PRNG of its own, leaving the landscape's Prng untouched.
+   * @param {HTMLCanvasElement} canvas - Target canvas, at least 512 by 512
+   */
+  this.paper = function(canvas) {
+    var ctx = canvas.getContext("2d");
+    var reso = 512;
+    var prng = ShanShui.createPrng();
+    prng.reseed(MEM.seed, "paper");
+
+    for (var i = 0; i < reso / 2 + 1; i++) {
+      for (var j = 0; j < reso / 2 + 1; j++) {
+        var c = 245 + Noise.noise(i * 0.1, j * 0.1) * 10;
+        c -= prng.next() * 20;
+
+        var r = c.toFixed(0);
+        var g = (c * 0.95).toFixed(0);
+        var b = (c * 0.85).toFixed(0);
+        ctx.fillStyle = "rgb(" + r + "," + g + "," + b + ")";
+        ctx.fillRect(i, j, 1, 1);
+        ctx.fillRect(reso - i, j, 1, 1);
+        ctx.fillRect(i, reso - j, 1, 1);
+        ctx.fillRect(reso - i, reso - j, 1, 1);
+      }
+    }
+  };
+
+  /**
+   * Pixels per landscape unit for an export. On screen a landscape unit is
+   * MEM.zoom CSS pixels, and a CSS pixel is 1/96 inch.
+   * @param {Object} [args] - Size options
+   * @param {number} [args.dpi] - Print resolution; wins over height
+   * @param {number} [args.height=MEM.windy] - Image height in pixels
+   * @returns {number} Pixels per landscape unit
+   */
+  this.scale = function(args) {
+    var args = args != undefined ? args : {};
+    if (args.dpi != undefined) {
+      return (MEM.zoom * args.dpi) / 96;
+    }
+    var height = args.height != undefined ? args.height : MEM.windy;
+    return height / (MEM.windy / MEM.zoom);
+  };
+
+  /**
+   * Render one tile of an export: paper texture, with the landscape drawn on
+   * its own layer and multiplied onto it like the app's mix-blend-mode.
+   * @param {Array} chunks - Chunk elements in painting order
+   * @param {Object} tile - {x, y, w, h}: landscape position of the top left
+   *   corner and size in pixels
+   * @param {number} sca - Pixels per landscape unit
+   * @param {HTMLCanvasElement} paper - Paper texture from Raster.paper
+   * @param {Function} mkcanvas - Canvas factory (w, h)
+   * @returns {HTMLCanvasElement} The tile
+   */
+  this.tile = function(chunks, tile, sca, paper, mkcanvas) {
+    var out = mkcanvas(tile.w, tile.h);
+    var ctx = out.getContext("2d");
+
+    // The texture is laid out in CSS pixels from landscape x = 0
+    var a = MEM.zoom / sca;
+    var u = tile.x * MEM.zoom;
+    var v = tile.y * MEM.zoom;
+    ctx.save();
+    ctx.setTransform(1 / a, 0, 0, 1 / a, -u / a, -v / a);
+    ctx.fillStyle = ctx.createPattern(paper, "repeat");
+    ctx.fillRect(u, v, tile.w * a, tile.h * a);
+    ctx.restore();
+
+    var layer = mkcanvas(tile.w, tile.h);
+    var x1 = tile.x + tile.w / sca;
+    var y1 = tile.y + tile.h / sca;
+    var nodes = [];
+    for (var i = 0; i < chunks.length; i++) {
+      var b = box(chunks[i]);
+      if (b != null && b.xmin < x1 + 4 && b.xmax > tile.x - 4 && b.ymin < y1 + 4 && b.ymax > tile.y - 4) {
+        nodes.push(chunks[i].canv);
+      }
+    }
+    CanvasRenderer.render(nodes, layer.getContext("2d"), {
+      xof: -tile.x,
+      yof: -tile.y,
+      sca: sca,
+    });
+
+    ctx.globalCompositeOperation = "multiply";
+    ctx.drawImage(layer, 0, 0);
+    return out;
+  };
+
+  /**
+   * Render an x-range to a PNG file. The image is MEM.windy / MEM.zoom
+   * landscape units tall like the viewport, and is rendered in tiles of at
+   * most args.tile pixels a side, in bands of rows that are compressed as
+   * soon as they are done.
+   * @param {number} xmin - Left edge of the exported range
+   * @param {number} xmax - Right edge of the exported range
+   * @param {Object} [args] - Export options
+   * @param {number} [args.dpi] - Print resolution (also stored in the PNG)
+   * @param {number} [args.height=MEM.windy] - Image height in pixels, if no dpi
+   * @param {number} [args.tile=4096] - Largest tile side in pixels
+   * @param {number} [args.band=16777216] - Most pixels per band of rows
+   * @param {Function} [args.canvas] - Canvas factory (w, h); default
+   *   document.createElement("canvas")
+   * @param {Function} [args.progress] - Called as progress(done, total) after
+   *   each tile
+   * @returns {Promise} Resolves to an Array of Uint8Array parts which,
+   *   concatenated, are the PNG file
+   */
+  this.png = function(xmin, xmax, args) {
+    var args = args != undefined ? args : {};
+    var tile = args.tile != undefined ? args.tile : 4096;
+    var budget = args.band != undefined ? args.band : 16777216;
+    var mkcanvas = args.canvas != undefined ? args.canvas : domcanvas;
+    var progress = args.progress != undefined ? args.progress : function() {};
+
+    var sca = Raster.scale(args);
+    var W = Math.max(1, Math.round((xmax - xmin) * sca));
+    var H = Math.max(1, Math.round((MEM.windy / MEM.zoom) * sca));
+    var band = Math.max(1, Math.min(H, Math.floor(budget / W)));
+    var total = Math.ceil(H / band) * Math.ceil(W / tile);
+
+    var chunks = chunkrange(xmin, xmax);
+    var paper = mkcanvas(512, 512);
+    Raster.paper(paper);
+
+    var parts = [new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10])];
+    var ihdr = new Uint8Array(13);
+    var view = new DataView(ihdr.buffer);
+    view.setUint32(0, W);
+    view.setUint32(4, H);
+    ihdr[8] = 8; // bit depth
+    ihdr[9] = 2; // truecolor RGB
+    parts.push(pngchunk("IHDR", ihdr));
+    if (args.dpi != undefined) {
+      var phys = new Uint8Array(9);
+      var ppm = Math.round(args.dpi / 0.0254);
+      new DataView(phys.buffer).setUint32(0, ppm);
+      new DataView(phys.buffer).setUint32(4, ppm);
+      phys[8] = 1; // unit: meter
+      parts.push(pngchunk("pHYs", phys));
+    }
+
+    // Rows go through the compressor in bands; compressed output becomes
+    // IDAT chunks as it comes out
+    var cs = new CompressionStream("deflate");
+    var writer = cs.writable.getWriter();
+    var reader = cs.readable.getReader();
+    var pump = function() {
+      return reader.read().then(function(r) {
+        if (r.done) {
+          return;
+        }
+        parts.push(pngchunk("IDAT", r.value));
+        return pump();
+      });
+    };
+    var reading = pump();
+
+    var done = 0;
+    var stride = W * 3 + 1;
+    var renderband = function(by) {
+      var bh = Math.min(band, H - by);
+      var rows = new Uint8Array(stride * bh);
+      for (var bx = 0; bx < W; bx += tile) {
+        var bw = Math.min(tile, W - bx);
+        var img = Raster.tile(chunks, { x: xmin + bx / sca, y: by / sca, w: bw, h: bh }, sca, paper, mkcanvas);
+        var data = img.getContext("2d").getImageData(0, 0, bw, bh).data;
+        for (var r = 0; r < bh; r++) {
+          var o = r * stride + 1 + bx * 3;
+          var p = r * bw * 4;
+          for (var i = 0; i < bw; i++) {
+            rows[o + i * 3] = data[p + i * 4];
+            rows[o + i * 3 + 1] = data[p + i * 4 + 1];
+            rows[o + i * 3 + 2] = data[p + i * 4 + 2];
+          }
+        }
+        done++;
+        progress(done, total);
+      }
+      return writer.write(rows);
+    };
+
+    var next = function(by) {
+      if (by >= H) {
+        return writer.close();
+      }
+      return renderband(by).then(function() {
+        return next(by + band);
+      });
+    };
+
+    return next(0)
+      .then(function() {
+        return reading;
+      })
+      .then(function() {
+        parts.push(pngchunk("IEND", new Uint8Array(0)));
+        return parts;
+      });
+  };
+}();
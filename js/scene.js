@@ -0,0 +1,189 @@
+/**
+ * Scene Graph Module
+ *
+ * The generators do not produce markup. They build a renderer-neutral scene
+ * graph out of plain objects, which back-ends (svg-renderer.js,
+ * canvas-renderer.js, paperjs/paper-renderer.js) turn into SVG, Canvas2D
+ * drawing or Paper.js items. Nodes only hold numbers, strings and arrays, so
+ * a scene can be cloned, serialized or posted to a worker as is.
+ *
+ * Node types (all coordinates are absolute, offsets already applied):
+ * - group:   { type, tags, source, depth, children }
+ * - polygon: { type, plist, fil, str, wid } - from poly()
+ * - stroke:  { type, plist, path, col, wid, out } - from stroke(); plist is the
+ *            variable-width outline to paint, path the centerline it follows
+ * - blob:    { type, plist, col } - from blob()
+ * - text:    { type, str, x, y, siz, ang, col } - from text()
+ *
+ * Generators accumulate nodes in plain arrays with Scene.add(), and every
+ * public generator (Tree.tree01, Mount.mountain, Arch.boat01, water, ...)
+ * wraps its result in a group tagged with what it is ("tree", "mountain",
+ * "building", ...), the generator that made it and its depth (the y of its
+ * base, larger is nearer).
+ *
+ * @namespace Scene
+ */
+
+/**
+ * Create the scene graph helpers
+ * @returns {Object} Scene namespace
+ */
+function createScene() {
+  var Scene = new function() {
+    /**
+     * Append a node, or every node of a node list, to a node list. Empty
+     * results (undefined, null, "") are skipped.
+     * @param {Array} list - Node list to append to
+     * @param {Object|Array} item - Node or node list
+     * @returns {Array} The node list
+     */
+    this.add = function(list, item) {
+      if (item == undefined || item === "") {
+        return list;
+      }
+      if (Array.isArray(item)) {
+        for (var i = 0; i < item.length; i++) {
+          list.push(item[i]);
+        }
+      } else {
+        list.push(item);
+      }
+      return list;
+    };
+
+    /**
+     * Create a group node
+     * @param {Object|Array} children - Node or node list
+     * @param {Object} [args] - Group options
+     * @param {Array} [args.tags=[]] - What the group depicts, e.g. ["tree"]
+     * @param {string} [args.source] - Generator that made the group, e.g. "Tree.tree04"
+     * @param {number} [args.depth] - Depth for painter's ordering (larger is nearer)
+     * @returns {Object} Group node
+     */
+    this.group = function(children, args) {
+      var args = args != undefined ? args : {};
+      var tags = args.tags != undefined ? args.tags : [];
+      return {
+        type: "group",
+        tags: tags,
+        source: args.source,
+        depth: args.depth,
+        children: Scene.add([], children),
+      };
+    };
+
+    /**
+     * Visit every leaf node in painting order
+     * @param {Object|Array} node - Node or node list
+     * @param {Function} f - Called as f(leaf, tags) where tags are the tags
+     *   of all enclosing groups
+     * @param {Array} [tags] - Tags inherited from outside node
+     */
+    this.walk = function(node, f, tags) {
+      var tags = tags != undefined ? tags : [];
+      if (Array.isArray(node)) {
+        for (var i = 0; i < node.length; i++) {
+          Scene.walk(node[i], f, tags);
+        }
+      } else if (node.type == "group") {
+        var t = node.tags.length ? tags.concat(node.tags) : tags;
+        for (var i = 0; i < node.children.length; i++) {
+          Scene.walk(node.children[i], f, t);
+        }
+      } else {
+        f(node, tags);
+      }
+    };
+
+    /**
+     * Bounding box of everything a node paints. Non-finite coordinates are
+     * ignored, and text is approximated by a box of its font size around
+     * its anchor.
+     * @param {Object|Array} node - Node or node list
+     * @returns {Object|undefined} {xmin, ymin, xmax, ymax}, or undefined if
+     *   the node paints nothing
+     */
+    this.bounds = function(node) {
+      var box = undefined;
+      var grow = function(x, y) {
+        if (!isFinite(x) || !isFinite(y)) {
+          return;
+        }
+        if (box == undefined) {
+          box = { xmin: x, ymin: y, xmax: x, ymax: y };
+          return;
+        }
+        box.xmin = Math.min(box.xmin, x);
+        box.ymin = Math.min(box.ymin, y);
+        box.xmax = Math.max(box.xmax, x);
+        box.ymax = Math.max(box.ymax, y);
+      };
+      Scene.walk(node, function(leaf) {
+        if (leaf.type == "text") {
+          var r = leaf.siz * Math.max(1, leaf.str.length);
+          grow(leaf.x - r, leaf.y - r);
+          grow(leaf.x + r, leaf.y + r);
+          return;
+        }
+        for (var i = 0; i < leaf.plist.length; i++) {
+          grow(leaf.plist[i][0], leaf.plist[i][1]);
+        }
+      });
+      return box;
+    };
+
+    /**
+     * Move a node by (dx, dy), in place. Point lists are replaced rather
+     * than changed, since generators share points between nodes, and group
+     * depths move along.
+     * @param {Object|Array} node - Node or node list
+     * @param {number} dx - Horizontal offset
+     * @param {number} dy - Vertical offset
+     * @returns {Object|Array} The node
+     */
+    this.translate = function(node, dx, dy) {
+      var move = function(plist) {
+        return plist.map(function(p) {
+          return [p[0] + dx, p[1] + dy];
+        });
+      };
+      if (Array.isArray(node)) {
+        for (var i = 0; i < node.length; i++) {
+          Scene.translate(node[i], dx, dy);
+        }
+      } else if (node.type == "group") {
+        if (node.depth != undefined) {
+          node.depth += dy;
+        }
+        Scene.translate(node.children, dx, dy);
+      } else if (node.type == "text") {
+        node.x += dx;
+        node.y += dy;
+      } else {
+        node.plist = move(node.plist);
+        if (node.path != undefined) {
+          node.path = move(node.path);
+        }
+      }
+      return node;
+    };
+
+    /**
+     * Check whether any of the tags is in the exclusion list
+     * @param {Array} tags - Tags of a node
+     * @param {Array} exclude - Tags to leave out
+     * @returns {boolean} True if the node should be left out
+     */
+    this.excluded = function(tags, exclude) {
+      for (var i = 0; i < tags.length; i++) {
+        if (exclude.indexOf(tags[i]) != -1) {
+          return true;
+        }
+      }
+      return false;
+    };
+  }();
+  return Scene;
+}
+
+ShanShui.createScene = createScene;
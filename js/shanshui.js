@@ -0,0 +1,93 @@
+/**
+ * Shan Shui Instance Module
+ *
+ * Assembles the generator layer into a self-contained instance. Every
+ * instance owns its PRNG, Perlin noise table and stroke settings, so several
+ * landscapes can coexist on one page and nothing outside the instance (in
+ * particular Math.random) is touched.
+ *
+ * The module factories are wired in dependency order; each factory receives
+ * the instance built so far and picks its dependencies from it.
+ *
+ * Dependencies: prng.js, noise.js, polytools.js, scene.js, utils.js, rendering.js,
+ * trees.js, figures.js, architecture.js, mountains.js, water.js, mist.js
+ */
+
+/**
+ * Create a Shan Shui instance
+ * @param {Object} [args] - Options
+ * @param {string|number} [args.seed] - Initial seed (default: unseeded, the
+ *   PRNG starts from its built-in state)
+ * @returns {Object} Instance exposing Prng, random, SeasonPrng, seasonal,
+ *   Noise, PolyTools, Scene,
+ *   the utils and rendering functions, Tree, Man, Arch, Mount, water, river,
+ *   reflection, Mist and seed()
+ * @example
+ * var ss = ShanShui.create({ seed: "42" });
+ * var svg = SvgRenderer.render(ss.Mount.mountain(0, 300, 1));
+ */
+function createShanShui(args) {
+  var args = args != undefined ? args : {};
+
+  var ss = {};
+  ss.Prng = ShanShui.createPrng();
+  ss.random = function() {
+    return ss.Prng.next();
+  };
+  ss.SeasonPrng = ShanShui.createPrng();
+  var inSeason = false;
+  /**
+   * Run f with random() drawing from SeasonPrng instead of Prng. What only
+   * some seasons or weathers paint (leaves, blossom, bare twigs, snow) is
+   * drawn this way, so Prng draws the same numbers in every season and
+   * weather and nothing else in the landscape moves.
+   * @param {Function} f - Called without arguments
+   * @returns {*} What f returns
+   */
+  ss.seasonal = function(f) {
+    if (inSeason) {
+      return f();
+    }
+    var s = ss.Prng.s;
+    ss.Prng.s = ss.SeasonPrng.s;
+    inSeason = true;
+    try {
+      return f();
+    } finally {
+      inSeason = false;
+      ss.SeasonPrng.s = ss.Prng.s;
+      ss.Prng.s = s;
+    }
+  };
+  ss.Noise = ShanShui.createNoise(ss);
+  ss.PolyTools = ShanShui.createPolyTools();
+  ss.Scene = ShanShui.createScene();
+  Object.assign(ss, ShanShui.createUtils(ss));
+  Object.assign(ss, ShanShui.createRendering(ss));
+  ss.Tree = ShanShui.createTree(ss);
+  ss.Man = ShanShui.createMan(ss);
+  ss.Arch = ShanShui.createArch(ss);
+  ss.Mount = ShanShui.createMount(ss);
+  var Water = ShanShui.createWater(ss);
+  ss.water = Water.water;
+  ss.river = Water.river;
+  ss.reflection = Water.reflection;
+  ss.Mist = ShanShui.createMist(ss);
+
+  /**
+   * Seed the instance's PRNG and noise table
+   * @param {string|number} seed - Landscape seed
+   */
+  ss.seed = function(seed) {
+    ss.Prng.seed(seed);
+    ss.SeasonPrng.reseed(seed, "season");
+    ss.Noise.noiseSeed(ss.Prng.derive(seed, "noise"));
+  };
+
+  if (args.seed != undefined) {
+    ss.seed(args.seed);
+  }
+  return ss;
+}
+
+ShanShui.create = createShanShui;
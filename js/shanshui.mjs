@@ -0,0 +1,50 @@
+/**
+ * ES Module Entry Point
+ *
+ * Loads the generator layer and the renderers and re-exports them, so Shan
+ * Shui can be embedded in a bundled app without script tags and without any
+ * globals besides the ShanShui factory namespace. Nothing here seeds or replaces
+ * Math.random; every instance has its own PRNG.
+ *
+ * @example
+ * import createShanShui, { SvgRenderer } from "./js/shanshui.mjs";
+ * var ss = createShanShui({ seed: "42" });
+ * var svg = SvgRenderer.render(ss.Mount.mountain(0, 300, 1));
+ */
+import "./prng.js";
+import "./noise.js";
+import "./polytools.js";
+import "./scene.js";
+import "./utils.js";
+import "./rendering.js";
+import "./trees.js";
+import "./figures.js";
+import "./architecture.js";
+import "./mountains.js";
+import "./water.js";
+import "./mist.js";
+import "./shanshui.js";
+import "./svg-renderer.js";
+import "./canvas-renderer.js";
+import "./plotter.js";
+
+var ShanShui = globalThis.ShanShui;
+
+export var createPrng = ShanShui.createPrng;
+export var createNoise = ShanShui.createNoise;
+export var createPolyTools = ShanShui.createPolyTools;
+export var createScene = ShanShui.createScene;
+export var createUtils = ShanShui.createUtils;
+export var createRendering = ShanShui.createRendering;
+export var createTree = ShanShui.createTree;
+export var createMan = ShanShui.createMan;
+export var createArch = ShanShui.createArch;
+export var createMount = ShanShui.createMount;
+export var createWater = ShanShui.createWater;
+export var createMist = ShanShui.createMist;
+export var createShanShui = ShanShui.create;
+export var SvgRenderer = ShanShui.SvgRenderer;
+export var CanvasRenderer = ShanShui.CanvasRenderer;
+export var Plotter = ShanShui.Plotter;
+
+export default createShanShui;
@@ -0,0 +1,171 @@
+/**
+ * SVG Renderer Module
+ *
+ * Back-end that turns scene graph nodes (see scene.js) into SVG markup. Each
+ * painted shape becomes a <polyline> in painting order, so the output matches
+ * what the generators produced when they built markup themselves.
+ *
+ * Dependencies: scene.js
+ *
+ * @namespace SvgRenderer
+ */
+var SvgRenderer = new function() {
+  var Scene = ShanShui.createScene();
+
+  // Format a point list as the points attribute of a polyline
+  var points = function(plist) {
+    var canv = "";
+    for (var i = 0; i < plist.length; i++) {
+      canv += " " + plist[i][0].toFixed(1) + "," + plist[i][1].toFixed(1);
+    }
+    return canv;
+  };
+
+  // Polyline with the given fill, stroke and stroke width
+  var polyline = function(plist, fil, str, wid) {
+    return (
+      "<polyline points='" +
+      points(plist) +
+      "' style='fill:" +
+      fil +
+      ";stroke:" +
+      str +
+      ";stroke-width:" +
+      wid +
+      "'/>"
+    );
+  };
+
+  /**
+   * Render a single leaf node
+   * @param {Object} node - Polygon, stroke, blob or text node
+   * @returns {string} SVG markup
+   */
+  this.leaf = function(node) {
+    if (node.type == "polygon") {
+      return polyline(node.plist, node.fil, node.str, node.wid);
+    } else if (node.type == "stroke") {
+      return polyline(node.plist, node.col, node.col, node.out);
+    } else if (node.type == "blob") {
+      return polyline(node.plist, node.col, node.col, 0);
+    } else if (node.type == "text") {
+      return (
+        "<text font-size='" +
+        node.siz +
+        "' font-family='Verdana'" +
+        " style='fill:" +
+        node.col +
+        "'" +
+        " text-anchor='middle' transform='translate(" +
+        node.x +
+        "," +
+        node.y +
+        ") rotate(" +
+        node.ang +
+        ")'>" +
+        node.str +
+        "</text>"
+      );
+    }
+    throw new Error("SvgRenderer: unknown node type " + node.type);
+  };
+
+  /**
+   * Render a scene to SVG markup
+   * @param {Object|Array} node - Node or node list
+   * @param {Object} [args] - Render options
+   * @param {Array} [args.exclude=[]] - Leave out groups with any of these
+   *   tags, e.g. ["tree", "building"]
+   * @returns {string} SVG markup (without the enclosing <svg> element)
+   */
+  this.render = function(node, args) {
+    var args = args != undefined ? args : {};
+    var exclude = args.exclude != undefined ? args.exclude : [];
+
+    var canv = "";
+    Scene.walk(node, function(leaf, tags) {
+      if (exclude.length == 0 || !Scene.excluded(tags, exclude)) {
+        canv += SvgRenderer.leaf(leaf);
+      }
+    });
+    return canv;
+  };
+
+  /**
+   * Layers of a layered rendering, bottom to top. Each is [id, label, tag]:
+   * a leaf goes to the layer of the innermost enclosing group tag that has
+   * one, so the trees and buildings of a mountain land in their own layers.
+   * @type {Array}
+   */
+  this.LAYERS = [
+    ["water", "Water", "water"],
+    ["distant-mountains", "Distant Mountains", "distmount"],
+    ["mist", "Mist", "mist"],
+    ["mountains", "Mountains", "mountain"],
+    ["rocks", "Rocks", "rock"],
+    ["trees", "Trees", "tree"],
+    ["buildings", "Buildings", "building"],
+    ["towers", "Towers", "tower"],
+    ["boats", "Boats", "boat"],
+    ["figures", "Figures", "figure"],
+    ["rain", "Rain", "rain"],
+    ["frame", "Frame", "frame"],
+  ];
+
+  /**
+   * Render a scene to SVG markup split into layers, one <g> per entry of
+   * SvgRenderer.LAYERS, marked as layers for Inkscape (the enclosing <svg>
+   * must declare the inkscape namespace) and named by id for Illustrator.
+   * Within a layer shapes keep their painting order; leaves without a layer
+   * tag go to an "other" layer on top, which is left out when empty.
+   * @param {Object|Array} node - Node or node list
+   * @param {Object} [args] - Render options
+   * @param {Array} [args.exclude=[]] - Leave out groups with any of these tags
+   * @returns {string} SVG markup (without the enclosing <svg> element)
+   */
+  this.layered = function(node, args) {
+    var args = args != undefined ? args : {};
+    var exclude = args.exclude != undefined ? args.exclude : [];
+
+    var layers = SvgRenderer.LAYERS.concat([["other", "Other", undefined]]);
+    var bytag = {};
+    var canv = {};
+    for (var i = 0; i < layers.length; i++) {
+      bytag[layers[i][2]] = layers[i][0];
+      canv[layers[i][0]] = "";
+    }
+
+    Scene.walk(node, function(leaf, tags) {
+      if (exclude.length != 0 && Scene.excluded(tags, exclude)) {
+        return;
+      }
+      var id = "other";
+      for (var i = tags.length - 1; i >= 0; i--) {
+        if (bytag[tags[i]] != undefined) {
+          id = bytag[tags[i]];
+          break;
+        }
+      }
+      canv[id] += SvgRenderer.leaf(leaf);
+    });
+
+    var out = "";
+    for (var i = 0; i < layers.length; i++) {
+      var id = layers[i][0];
+      if (id == "other" && canv[id] == "") {
+        continue;
+      }
+      out +=
+        "<g id='" +
+        id +
+        "' inkscape:groupmode='layer' inkscape:label='" +
+        layers[i][1] +
+        "'>" +
+        canv[id] +
+        "</g>";
+    }
+    return out;
+  };
+}();
+
+ShanShui.SvgRenderer = SvgRenderer;
@@ -3,787 +3,900 @@
  * 
  * This module contains all tree generation algorithms for the Shan Shui landscape generator.
  * It provides eight different tree types with various visual characteristics and styles.
+ * Each tree takes the season (args.sea): blossom in spring, sparse and
+ * red-brown leaves in autumn, bare branches in winter.
  * 
- * Dependencies: rendering.js, utils.js, noise.js, prng.js
+ * Dependencies: rendering.js, utils.js, noise.js, polytools.js, prng.js (through ss.random)
  */
 
-var Tree = new function() {
-  /**
-   * Tree01 - Simple line trees with leaves
-   * Creates trees with dual trunk lines and scattered leaf blobs
-   * 
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate  
-   * @param {Object} args - Configuration options
-   * @param {number} args.hei - Height of tree (default: 50)
-   * @param {number} args.wid - Width of trunk (default: 3)
-   * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.5)")
-   * @param {number} args.noi - Noise factor (default: 0.5)
-   * @returns {string} SVG markup for the tree
-   */
-  this.tree01 = function(x, y, args) {
-    var args = args != undefined ? args : {};
-    var hei = args.hei != undefined ? args.hei : 50;
-    var wid = args.wid != undefined ? args.wid : 3;
-    var col = args.col != undefined ? args.col : "rgba(100,100,100,0.5)";
-    var noi = args.noi != undefined ? args.noi : 0.5;
-
-    reso = 10;
-    var nslist = [];
-    for (var i = 0; i < reso; i++) {
-      nslist.push([Noise.noise(i * 0.5), Noise.noise(i * 0.5, 0.5)]);
-    }
-
-    var leafcol;
-    if (col.includes("rgba(")) {
-      leafcol = col
-        .replace("rgba(", "")
-        .replace(")", "")
-        .split(",");
-    } else {
-      leafcol = ["100", "100", "100", "0.5"];
-    }
-    var canv = "";
-    var line1 = [];
-    var line2 = [];
-    for (var i = 0; i < reso; i++) {
-      var nx = x;
-      var ny = y - (i * hei) / reso;
-      if (i >= reso / 4) {
-        for (var j = 0; j < (reso - i) / 5; j++) {
-          canv += blob(
-            nx + (Math.random() - 0.5) * wid * 1.2 * (reso - i),
-            ny + (Math.random() - 0.5) * wid,
-            {
-              len: Math.random() * 20 * (reso - i) * 0.2 + 10,
-              wid: Math.random() * 6 + 3,
-              ang: ((Math.random() - 0.5) * Math.PI) / 6,
-              col:
-                "rgba(" +
-                leafcol[0] +
-                "," +
-                leafcol[1] +
-                "," +
-                leafcol[2] +
-                "," +
-                (Math.random() * 0.2 + parseFloat(leafcol[3])).toFixed(1) +
-                ")",
-            },
-          );
-        }
-      }
-      line1.push([nx + (nslist[i][0] - 0.5) * wid - wid / 2, ny]);
-      line2.push([nx + (nslist[i][1] - 0.5) * wid + wid / 2, ny]);
-    }
-    canv +=
-      poly(line1, { fil: "none", str: col, wid: 1.5 }) +
-      poly(line2, { fil: "none", str: col, wid: 1.5 });
-    return canv;
-  };
-
-  /**
-   * Tree02 - Clustered blob trees
-   * Creates trees composed of multiple organic blob shapes clustered together
-   * 
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @param {Object} args - Configuration options
-   * @param {number} args.hei - Height of tree (default: 16)
-   * @param {number} args.wid - Width of tree (default: 8)
-   * @param {number} args.clu - Number of clusters (default: 5)
-   * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.5)")
-   * @param {number} args.noi - Noise factor (default: 0.5)
-   * @returns {string} SVG markup for the tree
-   */
-  this.tree02 = function(x, y, args) {
-    var args = args != undefined ? args : {};
-    var hei = args.hei != undefined ? args.hei : 16;
-    var wid = args.wid != undefined ? args.wid : 8;
-    var clu = args.clu != undefined ? args.clu : 5;
-    var col = args.col != undefined ? args.col : "rgba(100,100,100,0.5)";
-    var noi = args.noi != undefined ? args.noi : 0.5;
-
-    var leafcol;
-    if (col.includes("rgba(")) {
-      leafcol = col
-        .replace("rgba(", "")
-        .replace(")", "")
-        .split(",");
-    } else {
-      leafcol = ["100", "100", "100", "0.5"];
-    }
-
-    var canv = "";
-    for (var i = 0; i < clu; i++) {
-      canv += blob(
-        x + randGaussian() * clu * 4,
-        y + randGaussian() * clu * 4,
-        {
-          ang: Math.PI / 2,
-          col: "rgba(100,100,100,0.8)",
-          fun: function(x) {
-            return x <= 1
-              ? Math.pow(Math.sin(x * Math.PI) * x, 0.5)
-              : -Math.pow(Math.sin((x - 2) * Math.PI * (x - 2)), 0.5);
-          },
-          wid: Math.random() * wid * 0.75 + wid * 0.5,
-          len: Math.random() * hei * 0.75 + hei * 0.5,
-          col: col,
-        },
-      );
-    }
-    return canv;
-  };
-
-  /**
-   * Tree03 - Bent trees with detailed foliage
-   * Creates trees with curved trunks and detailed leaf placement
-   * 
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @param {Object} args - Configuration options
-   * @param {number} args.hei - Height of tree (default: 50)
-   * @param {number} args.wid - Width of trunk (default: 5)
-   * @param {Function} args.ben - Bending function (default: returns 0)
-   * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.5)")
-   * @param {number} args.noi - Noise factor (default: 0.5)
-   * @returns {string} SVG markup for the tree
-   */
-  this.tree03 = function(x, y, args) {
-    var args = args != undefined ? args : {};
-    var hei = args.hei != undefined ? args.hei : 50;
-    var wid = args.wid != undefined ? args.wid : 5;
-    var ben =
-      args.ben != undefined
-        ? args.ben
-        : function(x) {
-            return 0;
-          };
-    var col = args.col != undefined ? args.col : "rgba(100,100,100,0.5)";
-    var noi = args.noi != undefined ? args.noi : 0.5;
-
-    reso = 10;
-    var nslist = [];
-    for (var i = 0; i < reso; i++) {
-      nslist.push([Noise.noise(i * 0.5), Noise.noise(i * 0.5, 0.5)]);
-    }
-
-    var leafcol;
-    if (col.includes("rgba(")) {
-      leafcol = col
-        .replace("rgba(", "")
-        .replace(")", "")
-        .split(",");
-    } else {
-      leafcol = ["100", "100", "100", "0.5"];
-    }
-    var canv = "";
-    var blobs = "";
-    var line1 = [];
-    var line2 = [];
-    for (var i = 0; i < reso; i++) {
-      var nx = x + ben(i / reso) * 100;
-      var ny = y - (i * hei) / reso;
-      if (i >= reso / 5) {
-        for (var j = 0; j < (reso - i) * 2; j++) {
-          var shape = function(x) {
-            return Math.log(50 * x + 1) / 3.95;
-          };
-          var ox = Math.random() * wid * 2 * shape((reso - i) / reso);
-          blobs += blob(
-            nx + ox * randChoice([-1, 1]),
-            ny + (Math.random() - 0.5) * wid * 2,
-            {
-              len: ox * 2,
-              wid: Math.random() * 6 + 3,
-              ang: ((Math.random() - 0.5) * Math.PI) / 6,
-              col:
-                "rgba(" +
-                leafcol[0] +
-                "," +
-                leafcol[1] +
-                "," +
-                leafcol[2] +
-                "," +
-                (Math.random() * 0.2 + parseFloat(leafcol[3])).toFixed(3) +
-                ")",
-            },
-          );
-        }
+/**
+ * Create the tree generators
+ * @param {Object} ss - Shan Shui instance providing random(), Noise,
+ *   PolyTools, utils and rendering functions
+ * @returns {Object} Tree namespace
+ */
+function createTree(ss) {
+  var random = ss.random;
+  var Noise = ss.Noise;
+  var PolyTools = ss.PolyTools;
+  var poly = ss.poly;
+  var stroke = ss.stroke;
+  var blob = ss.blob;
+  var distance = ss.distance;
+  var div = ss.div;
+  var loopNoise = ss.loopNoise;
+  var normRand = ss.normRand;
+  var randChoice = ss.randChoice;
+  var randGaussian = ss.randGaussian;
+  var Scene = ss.Scene;
+  var WEATHER = ss.WEATHER;
+  var seasonal = ss.seasonal;
+
+  var Tree = new function() {
+    /**
+     * Tree01 - Simple line trees with leaves
+     * Creates trees with dual trunk lines and scattered leaf blobs
+     * 
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate  
+     * @param {Object} args - Configuration options
+     * @param {number} args.hei - Height of tree (default: 50)
+     * @param {number} args.wid - Width of trunk (default: 3)
+     * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.5)")
+     * @param {number} args.noi - Noise factor (default: 0.5)
+     * @param {string} args.sea - Season: "spring", "summer" (default),
+     *   "autumn" or "winter"
+     * @returns {Object} Scene group for the tree
+     */
+    this.tree01 = function(x, y, args) {
+      var args = args != undefined ? args : {};
+      var hei = args.hei != undefined ? args.hei : 50;
+      var wid = args.wid != undefined ? args.wid : 3;
+      var col = args.col != undefined ? args.col : "rgba(100,100,100,0.5)";
+      var noi = args.noi != undefined ? args.noi : 0.5;
+      var sea = args.sea != undefined ? args.sea : "summer";
+
+      var reso = 10;
+      var nslist = [];
+      for (var i = 0; i < reso; i++) {
+        nslist.push([Noise.noise(i * 0.5), Noise.noise(i * 0.5, 0.5)]);
       }
-      line1.push([
-        nx + (((nslist[i][0] - 0.5) * wid - wid / 2) * (reso - i)) / reso,
-        ny,
-      ]);
-      line2.push([
-        nx + (((nslist[i][1] - 0.5) * wid + wid / 2) * (reso - i)) / reso,
-        ny,
-      ]);
-    }
-    var lc = line1.concat(line2.reverse());
-    canv += poly(lc, { fil: "white", str: col, wid: 1.5 });
-    canv += blobs;
-    return canv;
-  };
-
-  /**
-   * Tree04 - Complex branching trees with bark
-   * Creates detailed trees with branching structure and bark texture
-   * 
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @param {Object} args - Configuration options
-   * @param {number} args.hei - Height of tree (default: 300)
-   * @param {number} args.wid - Width of trunk (default: 6)
-   * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.5)")
-   * @param {number} args.noi - Noise factor (default: 0.5)
-   * @returns {string} SVG markup for the tree
-   */
-  this.tree04 = function(x, y, args) {
-    var args = args != undefined ? args : {};
-    var hei = args.hei != undefined ? args.hei : 300;
-    var wid = args.wid != undefined ? args.wid : 6;
-    var col = args.col != undefined ? args.col : "rgba(100,100,100,0.5)";
-    var noi = args.noi != undefined ? args.noi : 0.5;
-
-    var canv = "";
-    var txcanv = "";
-    var twcanv = "";
-
-    var trlist = branch({ hei: hei, wid: wid, ang: -Math.PI / 2 });
-    txcanv += barkify(x, y, trlist);
-    trlist = trlist[0].concat(trlist[1].reverse());
-
-    var trmlist = [];
-
-    for (var i = 0; i < trlist.length; i++) {
-      if (
-        (i >= trlist.length * 0.3 &&
-          i <= trlist.length * 0.7 &&
-          Math.random() < 0.1) ||
-        i == trlist.length / 2 - 1
-      ) {
-        var ba = Math.PI * 0.2 - Math.PI * 1.4 * (i > trlist.length / 2);
-        var brlist = branch({
-          hei: hei * (Math.random() + 1) * 0.3,
-          wid: wid * 0.5,
-          ang: ba,
-        });
 
-        brlist[0].splice(0, 1);
-        brlist[1].splice(0, 1);
-        var foff = function(v) {
-          return [v[0] + trlist[i][0], v[1] + trlist[i][1]];
-        };
-        txcanv += barkify(x, y, [brlist[0].map(foff), brlist[1].map(foff)]);
-
-        for (var j = 0; j < brlist[0].length; j++) {
-          if (Math.random() < 0.2 || j == brlist[0].length - 1) {
-            twcanv += twig(
-              brlist[0][j][0] + trlist[i][0] + x,
-              brlist[0][j][1] + trlist[i][1] + y,
-              1,
-              {
-                wid: hei / 300,
-                ang: ba > -Math.PI / 2 ? ba : ba + Math.PI,
-                sca: (0.5 * hei) / 300,
-                dir: ba > -Math.PI / 2 ? 1 : -1,
-              },
-            );
-          }
-        }
-        brlist = brlist[0].concat(brlist[1].reverse());
-        trmlist = trmlist.concat(
-          brlist.map(function(v) {
-            return [v[0] + trlist[i][0], v[1] + trlist[i][1]];
-          }),
-        );
+      var leafcol;
+      if (col.includes("rgba(")) {
+        leafcol = col
+          .replace("rgba(", "")
+          .replace(")", "")
+          .split(",");
       } else {
-        trmlist.push(trlist[i]);
+        leafcol = ["100", "100", "100", "0.5"];
       }
-    }
-    canv += poly(trmlist, { xof: x, yof: y, fil: "white", str: col, wid: 0 });
-
-    trmlist.splice(0, 1);
-    trmlist.splice(trmlist.length - 1, 1);
-    canv += stroke(
-      trmlist.map(function(v) {
-        return [v[0] + x, v[1] + y];
-      }),
-      {
-        col:
-          "rgba(100,100,100," + (0.4 + Math.random() * 0.1).toFixed(3) + ")",
-        wid: 2.5,
-        fun: function(x) {
-          return Math.sin(1);
-        },
-        noi: 0.9,
-        out: 0,
-      },
-    );
-
-    canv += txcanv;
-    canv += twcanv;
-    return canv;
-  };
-
-  // Helper Functions for Tree Generation
-
-  /**
-   * Branch - Generates tree branch structure
-   * Creates the basic branching structure used by complex tree types
-   * 
-   * @param {Object} args - Configuration options
-   * @param {number} args.hei - Height of branch (default: 300)
-   * @param {number} args.wid - Width of branch (default: 6)
-   * @param {number} args.ang - Angle of branch (default: 0)
-   * @param {number} args.det - Detail level (default: 10)
-   * @param {number} args.ben - Bend factor (default: Math.PI * 0.2)
-   * @returns {Array} Array containing two point lists for branch sides
-   */
-  var branch = function(args) {
-    var args = args != undefined ? args : {};
-    var hei = args.hei != undefined ? args.hei : 300;
-    var wid = args.wid != undefined ? args.wid : 6;
-    var ang = args.ang != undefined ? args.ang : 0;
-    var det = args.det != undefined ? args.det : 10;
-    var ben = args.ben != undefined ? args.ben : Math.PI * 0.2;
-
-    var tlist;
-    var nx = 0;
-    var ny = 0;
-    tlist = [[nx, ny]];
-    var a0 = 0;
-    var g = 3;
-    for (var i = 0; i < g; i++) {
-      a0 += (ben / 2 + (Math.random() * ben) / 2) * randChoice([-1, 1]);
-      nx += (Math.cos(a0) * hei) / g;
-      ny -= (Math.sin(a0) * hei) / g;
-      tlist.push([nx, ny]);
-    }
-    var ta = Math.atan2(
-      tlist[tlist.length - 1][1],
-      tlist[tlist.length - 1][0],
-    );
-
-    for (var i = 0; i < tlist.length; i++) {
-      var a = Math.atan2(tlist[i][1], tlist[i][0]);
-      var d = Math.sqrt(
-        tlist[i][0] * tlist[i][0] + tlist[i][1] * tlist[i][1],
-      );
-      tlist[i][0] = d * Math.cos(a - ta + ang);
-      tlist[i][1] = d * Math.sin(a - ta + ang);
-    }
-
-    var trlist1 = [];
-    var trlist2 = [];
-    var span = det;
-    var tl = (tlist.length - 1) * span;
-    var lx = 0;
-    var ly = 0;
-
-    for (var i = 0; i < tl; i += 1) {
-      var lastp = tlist[Math.floor(i / span)];
-      var nextp = tlist[Math.ceil(i / span)];
-      var p = (i % span) / span;
-      var nx = lastp[0] * (1 - p) + nextp[0] * p;
-      var ny = lastp[1] * (1 - p) + nextp[1] * p;
-
-      var ang = Math.atan2(ny - ly, nx - lx);
-      var woff = ((Noise.noise(i * 0.3) - 0.5) * wid * hei) / 80;
-
-      var b = 0;
-      if (p == 0) {
-        b = Math.random() * wid;
+      var canv = [];
+      var line1 = [];
+      var line2 = [];
+      for (var i = 0; i < reso; i++) {
+        var nx = x;
+        var ny = y - (i * hei) / reso;
+        if (i >= reso / 4) {
+          Scene.add(canv, seasonal(function() {
+            var fol = [];
+            if (isBare(sea)) {
+              Scene.add(fol, bareTwigs(nx, ny, wid * 0.6 * (reso - i), col));
+              return fol;
+            }
+            for (var j = 0; j < (reso - i) / 5; j++) {
+              if (isFallen(sea)) {
+                continue;
+              }
+              Scene.add(fol, blob(
+                nx + (random() - 0.5) * wid * 1.2 * (reso - i),
+                ny + (random() - 0.5) * wid,
+                {
+                  len: random() * 20 * (reso - i) * 0.2 + 10,
+                  wid: random() * 6 + 3,
+                  ang: ((random() - 0.5) * Math.PI) / 6,
+                  col: leafColor(
+                    "rgba(" +
+                    leafcol[0] +
+                    "," +
+                    leafcol[1] +
+                    "," +
+                    leafcol[2] +
+                    "," +
+                    (random() * 0.2 + parseFloat(leafcol[3])).toFixed(1) +
+                    ")",
+                    sea,
+                  ),
+                },
+              ));
+            }
+            if (sea == "spring") {
+              Scene.add(fol, blossom(nx, ny, wid * 0.6 * (reso - i), (reso - i) / 2));
+            }
+            return fol;
+          }));
+        }
+        line1.push([nx + (nslist[i][0] - 0.5) * wid - wid / 2, ny]);
+        line2.push([nx + (nslist[i][1] - 0.5) * wid + wid / 2, ny]);
       }
-
-      var nw = wid * (((tl - i) / tl) * 0.5 + 0.5);
-      trlist1.push([
-        nx + Math.cos(ang + Math.PI / 2) * (nw + woff + b),
-        ny + Math.sin(ang + Math.PI / 2) * (nw + woff + b),
-      ]);
-      trlist2.push([
-        nx + Math.cos(ang - Math.PI / 2) * (nw - woff + b),
-        ny + Math.sin(ang - Math.PI / 2) * (nw - woff + b),
-      ]);
-      lx = nx;
-      ly = ny;
-    }
-
-    return [trlist1, trlist2];
-  };
-
-  /**
-   * Twig - Generates small branch details and leaves
-   * Creates detailed twig structures with optional leaf generation
-   * 
-   * @param {number} tx - X coordinate
-   * @param {number} ty - Y coordinate
-   * @param {number} dep - Recursion depth
-   * @param {Object} args - Configuration options
-   * @param {number} args.dir - Direction (default: 1)
-   * @param {number} args.sca - Scale factor (default: 1)
-   * @param {number} args.wid - Width (default: 1)
-   * @param {number} args.ang - Angle (default: 0)
-   * @param {Array} args.lea - Leaf settings [enabled, size] (default: [true, 12])
-   * @returns {string} SVG markup for the twig
-   */
-  var twig = function(tx, ty, dep, args) {
-    var args = args != undefined ? args : {};
-    var dir = args.dir != undefined ? args.dir : 1;
-    var sca = args.sca != undefined ? args.sca : 1;
-    var wid = args.wid != undefined ? args.wid : 1;
-    var ang = args.ang != undefined ? args.ang : 0;
-    var lea = args.lea != undefined ? args.lea : [true, 12];
-
-    var canv = "";
-    var twlist = [];
-    var tl = 10;
-    var hs = Math.random() * 0.5 + 0.5;
-    var fun1 = function(x) {
-      return Math.pow(x, 0.5);
-    };
-    var fun2 = function(x) {
-      return -1 / Math.pow(i / tl + 1, 5) + 1;
+      Scene.add(canv, poly(line1, { fil: "none", str: col, wid: 1.5 }));
+      Scene.add(canv, poly(line2, { fil: "none", str: col, wid: 1.5 }));
+      return Scene.group(canv, {
+        tags: ["tree"],
+        source: "Tree.tree01",
+        depth: y,
+      });
     };
 
-    var tfun = randChoice([fun2]);
-    var a0 = ((Math.random() * Math.PI) / 6) * dir + ang;
-    for (var i = 0; i < tl; i++) {
-      var mx = dir * tfun(i / tl) * 50 * sca * hs;
-      var my = -i * 5 * sca;
-
-      var a = Math.atan2(my, mx);
-      var d = Math.pow(mx * mx + my * my, 0.5);
-
-      var nx = Math.cos(a + a0) * d;
-      var ny = Math.sin(a + a0) * d;
-
-      twlist.push([nx + tx, ny + ty]);
-      if ((i == ((tl / 3) | 0) || i == (((tl * 2) / 3) | 0)) && dep > 0) {
-        canv += twig(nx + tx, ny + ty, dep - 1, {
-          ang: ang,
-          sca: sca * 0.8,
-          wid: wid,
-          dir: dir * randChoice([-1, 1]),
-          lea: lea,
-        });
+    /**
+     * Tree02 - Clustered blob trees
+     * Creates trees composed of multiple organic blob shapes clustered together
+     * 
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} args - Configuration options
+     * @param {number} args.hei - Height of tree (default: 16)
+     * @param {number} args.wid - Width of tree (default: 8)
+     * @param {number} args.clu - Number of clusters (default: 5)
+     * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.5)")
+     * @param {number} args.noi - Noise factor (default: 0.5)
+     * @param {string} args.sea - Season: "spring", "summer" (default),
+     *   "autumn" or "winter"
+     * @returns {Object} Scene group for the tree
+     */
+    this.tree02 = function(x, y, args) {
+      var args = args != undefined ? args : {};
+      var hei = args.hei != undefined ? args.hei : 16;
+      var wid = args.wid != undefined ? args.wid : 8;
+      var clu = args.clu != undefined ? args.clu : 5;
+      var col = args.col != undefined ? args.col : "rgba(100,100,100,0.5)";
+      var noi = args.noi != undefined ? args.noi : 0.5;
+      var sea = args.sea != undefined ? args.sea : "summer";
+
+      var leafcol;
+      if (col.includes("rgba(")) {
+        leafcol = col
+          .replace("rgba(", "")
+          .replace(")", "")
+          .split(",");
+      } else {
+        leafcol = ["100", "100", "100", "0.5"];
       }
-      if (i == tl - 1 && lea[0] == true) {
-        for (var j = 0; j < 5; j++) {
-          var dj = (j - 2.5) * 5;
-          canv += blob(
-            nx + tx + Math.cos(ang) * dj * wid,
-            ny + ty + (Math.sin(ang) * dj - lea[1] / (dep + 1)) * wid,
+
+      var canv = [];
+      for (var i = 0; i < clu; i++) {
+        var bx = x + randGaussian() * clu * 4;
+        var by = y + randGaussian() * clu * 4;
+        var bw = random() * wid * 0.75 + wid * 0.5;
+        var bl = random() * hei * 0.75 + hei * 0.5;
+        Scene.add(canv, seasonal(function() {
+          var fol = [];
+          if (sea == "winter") {
+            // No crown, only the twigs it grew on
+            return bareTwigs(bx, by + bl * 0.3, bl * 0.5, col);
+          }
+          if (isFallen(sea)) {
+            return fol;
+          }
+          Scene.add(fol, blob(
+            bx,
+            by,
             {
-              wid: (6 + 3 * Math.random()) * wid,
-              len: (15 + 12 * Math.random()) * wid,
-              ang:
-                ang / 2 + Math.PI / 2 + Math.PI * 0.2 * (Math.random() - 0.5),
-              col: "rgba(100,100,100," + (0.5 + dep * 0.2).toFixed(3) + ")",
+              ang: Math.PI / 2,
+              col: "rgba(100,100,100,0.8)",
               fun: function(x) {
                 return x <= 1
                   ? Math.pow(Math.sin(x * Math.PI) * x, 0.5)
                   : -Math.pow(Math.sin((x - 2) * Math.PI * (x - 2)), 0.5);
               },
+              wid: bw,
+              len: bl,
+              col: leafColor(col, sea),
             },
-          );
-        }
-      }
-    }
-    canv += stroke(twlist, {
-      wid: 1,
-      fun: function(x) {
-        return Math.cos((x * Math.PI) / 2);
-      },
-      col: "rgba(100,100,100,0.5)",
-    });
-    return canv;
-  };
-
-  /**
-   * Barkify - Generates bark texture for tree trunks
-   * Adds realistic bark texture and surface details to tree branches
-   * 
-   * @param {number} x - X coordinate offset
-   * @param {number} y - Y coordinate offset
-   * @param {Array} trlist - Array of two point lists representing branch sides
-   * @returns {string} SVG markup for bark texture
-   */
-  var barkify = function(x, y, trlist) {
-    function bark(x, y, wid, ang) {
-      var len = 10 + 10 * Math.random();
-      var noi = 0.5;
-      var fun = function(x) {
-        return x <= 1
-          ? Math.pow(Math.sin(x * Math.PI), 0.5)
-          : -Math.pow(Math.sin((x + 1) * Math.PI), 0.5);
-      };
-      var reso = 20.0;
-      var canv = "";
-
-      var lalist = [];
-      for (var i = 0; i < reso + 1; i++) {
-        var p = (i / reso) * 2;
-        var xo = len / 2 - Math.abs(p - 1) * len;
-        var yo = (fun(p) * wid) / 2;
-        var a = Math.atan2(yo, xo);
-        var l = Math.sqrt(xo * xo + yo * yo);
-        lalist.push([l, a]);
+          ));
+          if (sea == "spring") {
+            Scene.add(fol, blossom(bx, by, bw, 2));
+          }
+          if (WEATHER.type == "snow") {
+            // Snow lying on top of the foliage
+            Scene.add(fol, blob(bx, by - bl * 0.2, {
+              ang: Math.PI / 2,
+              wid: bw * 0.7,
+              len: bl * 0.5,
+              col: "rgba(255,255,255,0.7)",
+            }));
+          }
+          return fol;
+        }));
       }
+      return Scene.group(canv, {
+        tags: ["tree"],
+        source: "Tree.tree02",
+        depth: y,
+      });
+    };
+
+    /**
+     * Tree03 - Bent trees with detailed foliage
+     * Creates trees with curved trunks and detailed leaf placement
+     * 
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} args - Configuration options
+     * @param {number} args.hei - Height of tree (default: 50)
+     * @param {number} args.wid - Width of trunk (default: 5)
+     * @param {Function} args.ben - Bending function (default: returns 0);
+     *   in wind the tree leans further
+     * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.5)")
+     * @param {number} args.noi - Noise factor (default: 0.5)
+     * @param {string} args.sea - Season: "spring", "summer" (default),
+     *   "autumn" or "winter"
+     * @returns {Object} Scene group for the tree
+     */
+    this.tree03 = function(x, y, args) {
+      var args = args != undefined ? args : {};
+      var hei = args.hei != undefined ? args.hei : 50;
+      var wid = args.wid != undefined ? args.wid : 5;
+      var ben =
+        args.ben != undefined
+          ? args.ben
+          : function(x) {
+              return 0;
+            };
+      ben = windBend(ben);
+      var col = args.col != undefined ? args.col : "rgba(100,100,100,0.5)";
+      var noi = args.noi != undefined ? args.noi : 0.5;
+      var sea = args.sea != undefined ? args.sea : "summer";
+
+      var reso = 10;
       var nslist = [];
-      var n0 = Math.random() * 10;
-      for (var i = 0; i < reso + 1; i++) {
-        nslist.push(Noise.noise(i * 0.05, n0));
+      for (var i = 0; i < reso; i++) {
+        nslist.push([Noise.noise(i * 0.5), Noise.noise(i * 0.5, 0.5)]);
       }
 
-      loopNoise(nslist);
-      var brklist = [];
-      for (var i = 0; i < lalist.length; i++) {
-        var ns = nslist[i] * noi + (1 - noi);
-        var nx = x + Math.cos(lalist[i][1] + ang) * lalist[i][0] * ns;
-        var ny = y + Math.sin(lalist[i][1] + ang) * lalist[i][0] * ns;
-        brklist.push([nx, ny]);
+      var leafcol;
+      if (col.includes("rgba(")) {
+        leafcol = col
+          .replace("rgba(", "")
+          .replace(")", "")
+          .split(",");
+      } else {
+        leafcol = ["100", "100", "100", "0.5"];
       }
-      var fr = Math.random();
-      canv += stroke(brklist, {
-        wid: 0.8,
-        noi: 0,
-        col: "rgba(100,100,100,0.4)",
-        out: 0,
-        fun: function(x) {
-          return Math.sin((x + fr) * Math.PI * 3);
+      var canv = [];
+      var blobs = [];
+      var line1 = [];
+      var line2 = [];
+      for (var i = 0; i < reso; i++) {
+        var nx = x + ben(i / reso) * 100;
+        var ny = y - (i * hei) / reso;
+        if (i >= reso / 5) {
+          Scene.add(blobs, seasonal(function() {
+            var fol = [];
+            if (isBare(sea)) {
+              Scene.add(fol, bareTwigs(nx, ny, wid * 2 * ((reso - i) / reso), col));
+              return fol;
+            }
+            for (var j = 0; j < (reso - i) * 2; j++) {
+              if (isFallen(sea)) {
+                continue;
+              }
+              var shape = function(x) {
+                return Math.log(50 * x + 1) / 3.95;
+              };
+              var ox = random() * wid * 2 * shape((reso - i) / reso);
+              Scene.add(fol, blob(
+                nx + ox * randChoice([-1, 1]),
+                ny + (random() - 0.5) * wid * 2,
+                {
+                  len: ox * 2,
+                  wid: random() * 6 + 3,
+                  ang: ((random() - 0.5) * Math.PI) / 6,
+                  col: leafColor(
+                    "rgba(" +
+                    leafcol[0] +
+                    "," +
+                    leafcol[1] +
+                    "," +
+                    leafcol[2] +
+                    "," +
+                    (random() * 0.2 + parseFloat(leafcol[3])).toFixed(3) +
+                    ")",
+                    sea,
+                  ),
+                },
+              ));
+            }
+            if (sea == "spring") {
+              Scene.add(fol, blossom(nx, ny, wid * 2 * ((reso - i) / reso) + 2, reso - i));
+            }
+            return fol;
+          }));
+        }
+        line1.push([
+          nx + (((nslist[i][0] - 0.5) * wid - wid / 2) * (reso - i)) / reso,
+          ny,
+        ]);
+        line2.push([
+          nx + (((nslist[i][1] - 0.5) * wid + wid / 2) * (reso - i)) / reso,
+          ny,
+        ]);
+      }
+      var lc = line1.concat(line2.reverse());
+      Scene.add(canv, poly(lc, { fil: "white", str: col, wid: 1.5 }));
+      Scene.add(canv, blobs);
+      return Scene.group(canv, {
+        tags: ["tree"],
+        source: "Tree.tree03",
+        depth: y,
+      });
+    };
+
+    /**
+     * Tree04 - Complex branching trees with bark
+     * Creates detailed trees with branching structure and bark texture
+     * 
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} args - Configuration options
+     * @param {number} args.hei - Height of tree (default: 300)
+     * @param {number} args.wid - Width of trunk (default: 6)
+     * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.5)")
+     * @param {number} args.noi - Noise factor (default: 0.5)
+     * @param {string} args.sea - Season: "spring", "summer" (default),
+     *   "autumn" or "winter"
+     * @returns {Object} Scene group for the tree
+     */
+    this.tree04 = function(x, y, args) {
+      var args = args != undefined ? args : {};
+      var hei = args.hei != undefined ? args.hei : 300;
+      var wid = args.wid != undefined ? args.wid : 6;
+      var col = args.col != undefined ? args.col : "rgba(100,100,100,0.5)";
+      var noi = args.noi != undefined ? args.noi : 0.5;
+      var sea = args.sea != undefined ? args.sea : "summer";
+
+      var canv = [];
+      var txcanv = [];
+      var twcanv = [];
+
+      var trlist = branch({ hei: hei, wid: wid, ang: -Math.PI / 2 });
+      Scene.add(txcanv, barkify(x, y, trlist));
+      trlist = trlist[0].concat(trlist[1].reverse());
+
+      var trmlist = [];
+
+      for (var i = 0; i < trlist.length; i++) {
+        if (
+          (i >= trlist.length * 0.3 &&
+            i <= trlist.length * 0.7 &&
+            random() < 0.1) ||
+          i == trlist.length / 2 - 1
+        ) {
+          var ba = Math.PI * 0.2 - Math.PI * 1.4 * (i > trlist.length / 2);
+          var brlist = branch({
+            hei: hei * (random() + 1) * 0.3,
+            wid: wid * 0.5,
+            ang: ba,
+          });
+
+          brlist[0].splice(0, 1);
+          brlist[1].splice(0, 1);
+          var foff = function(v) {
+            return [v[0] + trlist[i][0], v[1] + trlist[i][1]];
+          };
+          Scene.add(txcanv, barkify(x, y, [brlist[0].map(foff), brlist[1].map(foff)]));
+
+          for (var j = 0; j < brlist[0].length; j++) {
+            if (random() < 0.2 || j == brlist[0].length - 1) {
+              Scene.add(twcanv, twig(
+                brlist[0][j][0] + trlist[i][0] + x,
+                brlist[0][j][1] + trlist[i][1] + y,
+                1,
+                {
+                  wid: hei / 300,
+                  ang: ba > -Math.PI / 2 ? ba : ba + Math.PI,
+                  sca: (0.5 * hei) / 300,
+                  dir: ba > -Math.PI / 2 ? 1 : -1,
+                  sea: sea,
+                },
+              ));
+            }
+          }
+          brlist = brlist[0].concat(brlist[1].reverse());
+          trmlist = trmlist.concat(
+            brlist.map(function(v) {
+              return [v[0] + trlist[i][0], v[1] + trlist[i][1]];
+            }),
+          );
+        } else {
+          trmlist.push(trlist[i]);
+        }
+      }
+      Scene.add(canv, poly(trmlist, { xof: x, yof: y, fil: "white", str: col, wid: 0 }));
+
+      trmlist.splice(0, 1);
+      trmlist.splice(trmlist.length - 1, 1);
+      Scene.add(canv, stroke(
+        trmlist.map(function(v) {
+          return [v[0] + x, v[1] + y];
+        }),
+        {
+          col:
+            "rgba(100,100,100," + (0.4 + random() * 0.1).toFixed(3) + ")",
+          wid: 2.5,
+          fun: function(x) {
+            return Math.sin(1);
+          },
+          noi: 0.9,
+          out: 0,
         },
+      ));
+
+      Scene.add(canv, txcanv);
+      Scene.add(canv, twcanv);
+      return Scene.group(canv, {
+        tags: ["tree"],
+        source: "Tree.tree04",
+        depth: y,
       });
+    };
+
+    // Helper Functions for Tree Generation
+
+    /**
+     * Bending function of a tree in the weather: in wind, the trunk leans
+     * with it, more the higher up it is
+     * @param {Function} ben - Bending function of the tree
+     * @returns {Function} Bending function
+     */
+    var windBend = function(ben) {
+      if (WEATHER.type != "wind") {
+        return ben;
+      }
+      return function(x) {
+        return ben(x) + x * x * 0.15;
+      };
+    };
+
+    /**
+     * BareTwigs - Leafless twigs in place of a tree's leaves in winter and snow
+     * Two thin strokes reaching out and up from a point of the trunk; drawn
+     * inside seasonal() like the leaves they replace
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} len - Length of the twigs
+     * @param {string} col - Color
+     * @returns {Array} Scene nodes for the twigs
+     */
+    var bareTwigs = function(x, y, len, col) {
+      var canv = [];
+      for (var k = -1; k <= 1; k += 2) {
+        var l = len * (0.5 + random() * 0.5);
+        var a = -Math.PI / 2 + k * (0.5 + random() * 0.5);
+        var mid = [x + Math.cos(a) * l * 0.5, y + Math.sin(a) * l * 0.5 + random() * 2];
+        var end = [x + Math.cos(a) * l, y + Math.sin(a) * l - l * 0.2];
+        Scene.add(canv, stroke(div([[x, y], mid, end], 3), {
+          wid: 1,
+          col: col,
+          fun: function(x) {
+            return Math.cos((x * Math.PI) / 2);
+          },
+        }));
+      }
+      return canv;
+    };
+
+    /**
+     * Whether a broadleaf tree stands bare: in winter, and in snow
+     * @param {string} sea - Season
+     * @returns {boolean} True for no leaves
+     */
+    var isBare = function(sea) {
+      return sea == "winter" || WEATHER.type == "snow";
+    };
 
+    /**
+     * Whether a leaf has fallen: half of them in autumn, none otherwise.
+     * Draws only in autumn, so call it inside seasonal()
+     * @param {string} sea - Season
+     * @returns {boolean} True to leave the leaf out
+     */
+    var isFallen = function(sea) {
+      return sea == "autumn" && random() < 0.5;
+    };
+
+    /**
+     * Color of a leaf in the season: in autumn some turn red-brown. Draws
+     * only in autumn, so call it inside seasonal()
+     * @param {string} col - Color of the leaf in summer
+     * @param {string} sea - Season
+     * @returns {string} Color
+     */
+    var leafColor = function(col, sea) {
+      if (sea == "autumn" && random() < 0.3) {
+        return "rgba(140,80,55," + (0.3 + random() * 0.25).toFixed(3) + ")";
+      }
+      return col;
+    };
+
+    /**
+     * Blossom - Spring flowers on a tree
+     * Small pink dots scattered around a point of a branch; only in spring,
+     * so drawn inside seasonal()
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} r - Radius they are scattered in
+     * @param {number} n - Number of dots
+     * @returns {Array} Scene nodes for the blossom
+     */
+    var blossom = function(x, y, r, n) {
+      var canv = [];
+      for (var i = 0; i < n; i++) {
+        var a = random() * Math.PI * 2;
+        var d = Math.sqrt(random()) * r;
+        Scene.add(canv, blob(x + Math.cos(a) * d, y + Math.sin(a) * d * 0.6, {
+          len: 2 + random() * 2,
+          wid: 2 + random() * 1.5,
+          ang: random() * Math.PI,
+          col: "rgba(215,130,140," + (0.5 + random() * 0.3).toFixed(3) + ")",
+        }));
+      }
       return canv;
-    }
-    var canv = "";
+    };
 
-    for (var i = 2; i < trlist[0].length - 1; i++) {
-      var a0 = Math.atan2(
-        trlist[0][i][1] - trlist[0][i - 1][1],
-        trlist[0][i][0] - trlist[0][i - 1][0],
-      );
-      var a1 = Math.atan2(
-        trlist[1][i][1] - trlist[1][i - 1][1],
-        trlist[1][i][0] - trlist[1][i - 1][0],
+    /**
+     * Branch - Generates tree branch structure
+     * Creates the basic branching structure used by complex tree types
+     * 
+     * @param {Object} args - Configuration options
+     * @param {number} args.hei - Height of branch (default: 300)
+     * @param {number} args.wid - Width of branch (default: 6)
+     * @param {number} args.ang - Angle of branch (default: 0)
+     * @param {number} args.det - Detail level (default: 10)
+     * @param {number} args.ben - Bend factor (default: Math.PI * 0.2)
+     * @returns {Array} Array containing two point lists for branch sides
+     */
+    var branch = function(args) {
+      var args = args != undefined ? args : {};
+      var hei = args.hei != undefined ? args.hei : 300;
+      var wid = args.wid != undefined ? args.wid : 6;
+      var ang = args.ang != undefined ? args.ang : 0;
+      var det = args.det != undefined ? args.det : 10;
+      var ben = args.ben != undefined ? args.ben : Math.PI * 0.2;
+
+      var tlist;
+      var nx = 0;
+      var ny = 0;
+      tlist = [[nx, ny]];
+      var a0 = 0;
+      var g = 3;
+      for (var i = 0; i < g; i++) {
+        a0 += (ben / 2 + (random() * ben) / 2) * randChoice([-1, 1]);
+        nx += (Math.cos(a0) * hei) / g;
+        ny -= (Math.sin(a0) * hei) / g;
+        tlist.push([nx, ny]);
+      }
+      var ta = Math.atan2(
+        tlist[tlist.length - 1][1],
+        tlist[tlist.length - 1][0],
       );
-      var p = Math.random();
-      var nx = trlist[0][i][0] * (1 - p) + trlist[1][i][0] * p;
-      var ny = trlist[0][i][1] * (1 - p) + trlist[1][i][1] * p;
-      if (Math.random() < 0.2) {
-        canv += blob(nx + x, ny + y, {
-          noi: 1,
-          len: 15,
-          wid: 6 - Math.abs(p - 0.5) * 10,
-          ang: (a0 + a1) / 2,
-          col: "rgba(100,100,100,0.6)",
-        });
-      } else {
-        canv += bark(
-          nx + x,
-          ny + y,
-          5 - Math.abs(p - 0.5) * 10,
-          (a0 + a1) / 2,
+
+      for (var i = 0; i < tlist.length; i++) {
+        var a = Math.atan2(tlist[i][1], tlist[i][0]);
+        var d = Math.sqrt(
+          tlist[i][0] * tlist[i][0] + tlist[i][1] * tlist[i][1],
         );
+        tlist[i][0] = d * Math.cos(a - ta + ang);
+        tlist[i][1] = d * Math.sin(a - ta + ang);
       }
 
-      if (Math.random() < 0.05) {
-        var jl = Math.random() * 2 + 2;
-        var xya = randChoice([
-          [trlist[0][i][0], trlist[0][i][1], a0],
-          [trlist[1][i][0], trlist[1][i][1], a1],
-        ]);
-        for (var j = 0; j < jl; j++) {
-          canv += blob(
-            xya[0] + x + Math.cos(xya[2]) * (j - jl / 2) * 4,
-            xya[1] + y + Math.sin(xya[2]) * (j - jl / 2) * 4,
-            {
-              wid: 4,
-              len: 4 + 6 * Math.random(),
-              ang: a0 + Math.PI / 2,
-              col: "rgba(100,100,100,0.6)",
-            },
-          );
+      var trlist1 = [];
+      var trlist2 = [];
+      var span = det;
+      var tl = (tlist.length - 1) * span;
+      var lx = 0;
+      var ly = 0;
+
+      for (var i = 0; i < tl; i += 1) {
+        var lastp = tlist[Math.floor(i / span)];
+        var nextp = tlist[Math.ceil(i / span)];
+        var p = (i % span) / span;
+        var nx = lastp[0] * (1 - p) + nextp[0] * p;
+        var ny = lastp[1] * (1 - p) + nextp[1] * p;
+
+        var ang = Math.atan2(ny - ly, nx - lx);
+        var woff = ((Noise.noise(i * 0.3) - 0.5) * wid * hei) / 80;
+
+        var b = 0;
+        if (p == 0) {
+          b = random() * wid;
         }
+
+        var nw = wid * (((tl - i) / tl) * 0.5 + 0.5);
+        trlist1.push([
+          nx + Math.cos(ang + Math.PI / 2) * (nw + woff + b),
+          ny + Math.sin(ang + Math.PI / 2) * (nw + woff + b),
+        ]);
+        trlist2.push([
+          nx + Math.cos(ang - Math.PI / 2) * (nw - woff + b),
+          ny + Math.sin(ang - Math.PI / 2) * (nw - woff + b),
+        ]);
+        lx = nx;
+        ly = ny;
       }
-    }
-    var trflist = trlist[0].concat(trlist[1].slice().reverse());
-    var rglist = [[]];
-    for (var i = 0; i < trflist.length; i++) {
-      if (Math.random() < 0.5) {
-        rglist.push([]);
-      } else {
-        rglist[rglist.length - 1].push(trflist[i]);
-      }
-    }
-
-    for (var i = 0; i < rglist.length; i++) {
-      rglist[i] = div(rglist[i], 4);
-      for (var j = 0; j < rglist[i].length; j++) {
-        rglist[i][j][0] +=
-          (Noise.noise(i, j * 0.1, 1) - 0.5) * (15 + 5 * randGaussian());
-        rglist[i][j][1] +=
-          (Noise.noise(i, j * 0.1, 2) - 0.5) * (15 + 5 * randGaussian());
+
+      return [trlist1, trlist2];
+    };
+
+    /**
+     * Twig - Generates small branch details and leaves
+     * Creates detailed twig structures with optional leaf generation
+     * 
+     * @param {number} tx - X coordinate
+     * @param {number} ty - Y coordinate
+     * @param {number} dep - Recursion depth
+     * @param {Object} args - Configuration options
+     * @param {number} args.dir - Direction (default: 1)
+     * @param {number} args.sca - Scale factor (default: 1)
+     * @param {number} args.wid - Width (default: 1)
+     * @param {number} args.ang - Angle (default: 0)
+     * @param {Array} args.lea - Leaf settings [enabled, size] (default: [true, 12])
+     * @param {string} args.sea - Season (default: "summer"); in spring the
+     *   twig ends in blossom, with or without leaves
+     * @returns {Array} Scene nodes for the twig
+     */
+    var twig = function(tx, ty, dep, args) {
+      var args = args != undefined ? args : {};
+      var dir = args.dir != undefined ? args.dir : 1;
+      var sca = args.sca != undefined ? args.sca : 1;
+      var wid = args.wid != undefined ? args.wid : 1;
+      var ang = args.ang != undefined ? args.ang : 0;
+      var lea = args.lea != undefined ? args.lea : [true, 12];
+      var sea = args.sea != undefined ? args.sea : "summer";
+
+      var canv = [];
+      var twlist = [];
+      var tl = 10;
+      var hs = random() * 0.5 + 0.5;
+      var fun1 = function(x) {
+        return Math.pow(x, 0.5);
+      };
+      var fun2 = function(x) {
+        return -1 / Math.pow(i / tl + 1, 5) + 1;
+      };
+
+      var tfun = randChoice([fun2]);
+      var a0 = ((random() * Math.PI) / 6) * dir + ang;
+      for (var i = 0; i < tl; i++) {
+        var mx = dir * tfun(i / tl) * 50 * sca * hs;
+        var my = -i * 5 * sca;
+
+        var a = Math.atan2(my, mx);
+        var d = Math.pow(mx * mx + my * my, 0.5);
+
+        var nx = Math.cos(a + a0) * d;
+        var ny = Math.sin(a + a0) * d;
+
+        twlist.push([nx + tx, ny + ty]);
+        if ((i == ((tl / 3) | 0) || i == (((tl * 2) / 3) | 0)) && dep > 0) {
+          Scene.add(canv, twig(nx + tx, ny + ty, dep - 1, {
+            ang: ang,
+            sca: sca * 0.8,
+            wid: wid,
+            dir: dir * randChoice([-1, 1]),
+            lea: lea,
+            sea: sea,
+          }));
+        }
+        if (i == tl - 1 && !isBare(sea)) {
+          Scene.add(canv, seasonal(function() {
+            var fol = [];
+            for (var j = 0; j < 5 && lea[0] == true; j++) {
+              if (isFallen(sea)) {
+                continue;
+              }
+              var dj = (j - 2.5) * 5;
+              Scene.add(fol, blob(
+                nx + tx + Math.cos(ang) * dj * wid,
+                ny + ty + (Math.sin(ang) * dj - lea[1] / (dep + 1)) * wid,
+                {
+                  wid: (6 + 3 * random()) * wid,
+                  len: (15 + 12 * random()) * wid,
+                  ang:
+                    ang / 2 + Math.PI / 2 + Math.PI * 0.2 * (random() - 0.5),
+                  col: leafColor("rgba(100,100,100," + (0.5 + dep * 0.2).toFixed(3) + ")", sea),
+                  fun: function(x) {
+                    return x <= 1
+                      ? Math.pow(Math.sin(x * Math.PI) * x, 0.5)
+                      : -Math.pow(Math.sin((x - 2) * Math.PI * (x - 2)), 0.5);
+                  },
+                },
+              ));
+            }
+            if (sea == "spring") {
+              Scene.add(fol, blossom(nx + tx, ny + ty, 10 * sca + 2, 4));
+            }
+            return fol;
+          }));
+        }
       }
-      canv += stroke(
-        rglist[i].map(function(v) {
-          return [v[0] + x, v[1] + y];
-        }),
-        { wid: 1.5, col: "rgba(100,100,100,0.7)", out: 0 },
-      );
-    }
-    return canv;
-  };
-
-  /**
-   * Tree05 - Drooping branch trees
-   * Creates trees with drooping branches and sparse foliage
-   * 
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @param {Object} args - Configuration options
-   * @param {number} args.hei - Height of tree (default: 300)
-   * @param {number} args.wid - Width of trunk (default: 5)
-   * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.5)")
-   * @param {number} args.noi - Noise factor (default: 0.5)
-   * @returns {string} SVG markup for the tree
-   */
-  this.tree05 = function(x, y, args) {
-    var args = args != undefined ? args : {};
-    var hei = args.hei != undefined ? args.hei : 300;
-    var wid = args.wid != undefined ? args.wid : 5;
-    var col = args.col != undefined ? args.col : "rgba(100,100,100,0.5)";
-    var noi = args.noi != undefined ? args.noi : 0.5;
-
-    var canv = "";
-    var txcanv = "";
-    var twcanv = "";
-
-    var trlist = branch({ hei: hei, wid: wid, ang: -Math.PI / 2, ben: 0 });
-    txcanv += barkify(x, y, trlist);
-    trlist = trlist[0].concat(trlist[1].reverse());
-
-    var trmlist = [];
-
-    for (var i = 0; i < trlist.length; i++) {
-      var p = Math.abs(i - trlist.length * 0.5) / (trlist.length * 0.5);
-      if (
-        (i >= trlist.length * 0.2 &&
-          i <= trlist.length * 0.8 &&
-          i % 3 == 0 &&
-          Math.random() > p) ||
-        i == trlist.length / 2 - 1
-      ) {
-        var bar = Math.random() * 0.2;
-        var ba =
-          -bar * Math.PI - (1 - bar * 2) * Math.PI * (i > trlist.length / 2);
-        var brlist = branch({
-          hei: hei * (0.3 * p - Math.random() * 0.05),
-          wid: wid * 0.5,
-          ang: ba,
-          ben: 0.5,
-        });
+      Scene.add(canv, stroke(twlist, {
+        wid: 1,
+        fun: function(x) {
+          return Math.cos((x * Math.PI) / 2);
+        },
+        col: "rgba(100,100,100,0.5)",
+      }));
+      return canv;
+    };
 
-        brlist[0].splice(0, 1);
-        brlist[1].splice(0, 1);
-        var foff = function(v) {
-          return [v[0] + trlist[i][0], v[1] + trlist[i][1]];
+    /**
+     * Barkify - Generates bark texture for tree trunks
+     * Adds realistic bark texture and surface details to tree branches
+     * 
+     * @param {number} x - X coordinate offset
+     * @param {number} y - Y coordinate offset
+     * @param {Array} trlist - Array of two point lists representing branch sides
+     * @returns {Array} Scene nodes for bark texture
+     */
+    var barkify = function(x, y, trlist) {
+      function bark(x, y, wid, ang) {
+        var len = 10 + 10 * random();
+        var noi = 0.5;
+        var fun = function(x) {
+          return x <= 1
+            ? Math.pow(Math.sin(x * Math.PI), 0.5)
+            : -Math.pow(Math.sin((x + 1) * Math.PI), 0.5);
         };
-        //txcanv += barkify(x,y,[brlist[0].map(foff),brlist[1].map(foff)])
-
-        for (var j = 0; j < brlist[0].length; j++) {
-          if (j % 20 == 0 || j == brlist[0].length - 1) {
-            twcanv += twig(
-              brlist[0][j][0] + trlist[i][0] + x,
-              brlist[0][j][1] + trlist[i][1] + y,
-              0,
+        var reso = 20.0;
+        var canv = [];
+
+        var lalist = [];
+        for (var i = 0; i < reso + 1; i++) {
+          var p = (i / reso) * 2;
+          var xo = len / 2 - Math.abs(p - 1) * len;
+          var yo = (fun(p) * wid) / 2;
+          var a = Math.atan2(yo, xo);
+          var l = Math.sqrt(xo * xo + yo * yo);
+          lalist.push([l, a]);
+        }
+        var nslist = [];
+        var n0 = random() * 10;
+        for (var i = 0; i < reso + 1; i++) {
+          nslist.push(Noise.noise(i * 0.05, n0));
+        }
+
+        loopNoise(nslist);
+        var brklist = [];
+        for (var i = 0; i < lalist.length; i++) {
+          var ns = nslist[i] * noi + (1 - noi);
+          var nx = x + Math.cos(lalist[i][1] + ang) * lalist[i][0] * ns;
+          var ny = y + Math.sin(lalist[i][1] + ang) * lalist[i][0] * ns;
+          brklist.push([nx, ny]);
+        }
+        var fr = random();
+        Scene.add(canv, stroke(brklist, {
+          wid: 0.8,
+          noi: 0,
+          col: "rgba(100,100,100,0.4)",
+          out: 0,
+          fun: function(x) {
+            return Math.sin((x + fr) * Math.PI * 3);
+          },
+        }));
+
+        return canv;
+      }
+      var canv = [];
+
+      for (var i = 2; i < trlist[0].length - 1; i++) {
+        var a0 = Math.atan2(
+          trlist[0][i][1] - trlist[0][i - 1][1],
+          trlist[0][i][0] - trlist[0][i - 1][0],
+        );
+        var a1 = Math.atan2(
+          trlist[1][i][1] - trlist[1][i - 1][1],
+          trlist[1][i][0] - trlist[1][i - 1][0],
+        );
+        var p = random();
+        var nx = trlist[0][i][0] * (1 - p) + trlist[1][i][0] * p;
+        var ny = trlist[0][i][1] * (1 - p) + trlist[1][i][1] * p;
+        if (random() < 0.2) {
+          Scene.add(canv, blob(nx + x, ny + y, {
+            noi: 1,
+            len: 15,
+            wid: 6 - Math.abs(p - 0.5) * 10,
+            ang: (a0 + a1) / 2,
+            col: "rgba(100,100,100,0.6)",
+          }));
+        } else {
+          Scene.add(canv, bark(
+            nx + x,
+            ny + y,
+            5 - Math.abs(p - 0.5) * 10,
+            (a0 + a1) / 2,
+          ));
+        }
+
+        if (random() < 0.05) {
+          var jl = random() * 2 + 2;
+          var xya = randChoice([
+            [trlist[0][i][0], trlist[0][i][1], a0],
+            [trlist[1][i][0], trlist[1][i][1], a1],
+          ]);
+          for (var j = 0; j < jl; j++) {
+            Scene.add(canv, blob(
+              xya[0] + x + Math.cos(xya[2]) * (j - jl / 2) * 4,
+              xya[1] + y + Math.sin(xya[2]) * (j - jl / 2) * 4,
               {
-                wid: hei / 300,
-                ang: ba > -Math.PI / 2 ? ba : ba + Math.PI,
-                sca: (0.2 * hei) / 300,
-                dir: ba > -Math.PI / 2 ? 1 : -1,
-                lea: [true, 5],
+                wid: 4,
+                len: 4 + 6 * random(),
+                ang: a0 + Math.PI / 2,
+                col: "rgba(100,100,100,0.6)",
               },
-            );
+            ));
           }
         }
-        brlist = brlist[0].concat(brlist[1].reverse());
-        trmlist = trmlist.concat(
-          brlist.map(function(v) {
-            return [v[0] + trlist[i][0], v[1] + trlist[i][1]];
+      }
+      var trflist = trlist[0].concat(trlist[1].slice().reverse());
+      var rglist = [[]];
+      for (var i = 0; i < trflist.length; i++) {
+        if (random() < 0.5) {
+          rglist.push([]);
+        } else {
+          rglist[rglist.length - 1].push(trflist[i]);
+        }
+      }
+
+      for (var i = 0; i < rglist.length; i++) {
+        rglist[i] = div(rglist[i], 4);
+        for (var j = 0; j < rglist[i].length; j++) {
+          rglist[i][j][0] +=
+            (Noise.noise(i, j * 0.1, 1) - 0.5) * (15 + 5 * randGaussian());
+          rglist[i][j][1] +=
+            (Noise.noise(i, j * 0.1, 2) - 0.5) * (15 + 5 * randGaussian());
+        }
+        Scene.add(canv, stroke(
+          rglist[i].map(function(v) {
+            return [v[0] + x, v[1] + y];
           }),
-        );
-      } else {
-        trmlist.push(trlist[i]);
+          { wid: 1.5, col: "rgba(100,100,100,0.7)", out: 0 },
+        ));
       }
-    }
-
-    canv += poly(trmlist, { xof: x, yof: y, fil: "white", str: col, wid: 0 });
-
-    trmlist.splice(0, 1);
-    trmlist.splice(trmlist.length - 1, 1);
-    canv += stroke(
-      trmlist.map(function(v) {
-        return [v[0] + x, v[1] + y];
-      }),
-      {
-        col:
-          "rgba(100,100,100," + (0.4 + Math.random() * 0.1).toFixed(3) + ")",
-        wid: 2.5,
-        fun: function(x) {
-          return Math.sin(1);
-        },
-        noi: 0.9,
-        out: 0,
-      },
-    );
-
-    canv += txcanv;
-    canv += twcanv;
-    return canv;
-  };
-
-  /**
-   * Tree06 - Fractal trees
-   * Creates trees with recursive fractal branching patterns
-   * 
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @param {Object} args - Configuration options
-   * @param {number} args.hei - Height of tree (default: 100)
-   * @param {number} args.wid - Width of trunk (default: 6)
-   * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.5)")
-   * @param {number} args.noi - Noise factor (default: 0.5)
-   * @returns {string} SVG markup for the tree
-   */
-  this.tree06 = function(x, y, args) {
-    var args = args != undefined ? args : {};
-    var hei = args.hei != undefined ? args.hei : 100;
-    var wid = args.wid != undefined ? args.wid : 6;
-    var col = args.col != undefined ? args.col : "rgba(100,100,100,0.5)";
-    var noi = args.noi != undefined ? args.noi : 0.5;
-
-    var canv = "";
-    var txcanv = "";
-    var twcanv = "";
-
-    function fracTree(xoff, yoff, dep, args) {
+      return canv;
+    };
+
+    /**
+     * Tree05 - Drooping branch trees
+     * Creates trees with drooping branches and sparse foliage
+     * 
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} args - Configuration options
+     * @param {number} args.hei - Height of tree (default: 300)
+     * @param {number} args.wid - Width of trunk (default: 5)
+     * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.5)")
+     * @param {number} args.noi - Noise factor (default: 0.5)
+     * @param {string} args.sea - Season: "spring", "summer" (default),
+     *   "autumn" or "winter"
+     * @returns {Object} Scene group for the tree
+     */
+    this.tree05 = function(x, y, args) {
       var args = args != undefined ? args : {};
       var hei = args.hei != undefined ? args.hei : 300;
       var wid = args.wid != undefined ? args.wid : 5;
-      var ang = args.ang != undefined ? args.ang : 0;
-      var ben = args.ben != undefined ? args.ben : Math.PI * 0.2;
+      var col = args.col != undefined ? args.col : "rgba(100,100,100,0.5)";
+      var noi = args.noi != undefined ? args.noi : 0.5;
+      var sea = args.sea != undefined ? args.sea : "summer";
 
-      var trlist = branch({
-        hei: hei,
-        wid: wid,
-        ang: ang,
-        ben: ben,
-        det: hei / 20,
-      });
-      txcanv += barkify(xoff, yoff, trlist);
+      var canv = [];
+      var txcanv = [];
+      var twcanv = [];
+
+      var trlist = branch({ hei: hei, wid: wid, ang: -Math.PI / 2, ben: 0 });
+      Scene.add(txcanv, barkify(x, y, trlist));
       trlist = trlist[0].concat(trlist[1].reverse());
 
       var trmlist = [];
@@ -791,45 +904,47 @@ var Tree = new function() {
       for (var i = 0; i < trlist.length; i++) {
         var p = Math.abs(i - trlist.length * 0.5) / (trlist.length * 0.5);
         if (
-          ((Math.random() < 0.025 &&
-            i >= trlist.length * 0.2 &&
-            i <= trlist.length * 0.8) ||
-            i == ((trlist.length / 2) | 0) - 1 ||
-            i == ((trlist.length / 2) | 0) + 1) &&
-          dep > 0
+          (i >= trlist.length * 0.2 &&
+            i <= trlist.length * 0.8 &&
+            i % 3 == 0 &&
+            random() > p) ||
+          i == trlist.length / 2 - 1
         ) {
-          var bar = 0.02 + Math.random() * 0.08;
+          var bar = random() * 0.2;
           var ba =
-            bar * Math.PI - bar * 2 * Math.PI * (i > trlist.length / 2);
-
-          var brlist = fracTree(
-            trlist[i][0] + xoff,
-            trlist[i][1] + yoff,
-            dep - 1,
-            {
-              hei: hei * (0.7 + Math.random() * 0.2),
-              wid: wid * 0.6,
-              ang: ang + ba,
-              ben: 0.55,
-            },
-          );
+            -bar * Math.PI - (1 - bar * 2) * Math.PI * (i > trlist.length / 2);
+          var brlist = branch({
+            hei: hei * (0.3 * p - random() * 0.05),
+            wid: wid * 0.5,
+            ang: ba,
+            ben: 0.5,
+          });
 
-          for (var j = 0; j < brlist.length; j++) {
-            if (Math.random() < 0.03) {
-              twcanv += twig(
-                brlist[j][0] + trlist[i][0] + xoff,
-                brlist[j][1] + trlist[i][1] + yoff,
-                2,
+          brlist[0].splice(0, 1);
+          brlist[1].splice(0, 1);
+          var foff = function(v) {
+            return [v[0] + trlist[i][0], v[1] + trlist[i][1]];
+          };
+          //txcanv += barkify(x,y,[brlist[0].map(foff),brlist[1].map(foff)])
+
+          for (var j = 0; j < brlist[0].length; j++) {
+            if (j % 20 == 0 || j == brlist[0].length - 1) {
+              Scene.add(twcanv, twig(
+                brlist[0][j][0] + trlist[i][0] + x,
+                brlist[0][j][1] + trlist[i][1] + y,
+                0,
                 {
-                  ang: ba * (Math.random() * 0.5 + 0.75),
-                  sca: 0.3,
-                  dir: ba > 0 ? 1 : -1,
-                  lea: [false, 0],
+                  wid: hei / 300,
+                  ang: ba > -Math.PI / 2 ? ba : ba + Math.PI,
+                  sca: (0.2 * hei) / 300,
+                  dir: ba > -Math.PI / 2 ? 1 : -1,
+                  lea: [true, 5],
+                  sea: sea,
                 },
-              );
+              ));
             }
           }
-
+          brlist = brlist[0].concat(brlist[1].reverse());
           trmlist = trmlist.concat(
             brlist.map(function(v) {
               return [v[0] + trlist[i][0], v[1] + trlist[i][1]];
@@ -839,300 +954,889 @@ var Tree = new function() {
           trmlist.push(trlist[i]);
         }
       }
-      return trmlist;
-    }
-
-    var trmlist = fracTree(x, y, 3, {
-      hei: hei,
-      wid: wid,
-      ang: -Math.PI / 2,
-      ben: 0,
-    });
-
-    canv += poly(trmlist, { xof: x, yof: y, fil: "white", str: col, wid: 0 });
-
-    trmlist.splice(0, 1);
-    trmlist.splice(trmlist.length - 1, 1);
-    canv += stroke(
-      trmlist.map(function(v) {
-        return [v[0] + x, v[1] + y];
-      }),
-      {
-        col:
-          "rgba(100,100,100," + (0.4 + Math.random() * 0.1).toFixed(3) + ")",
-        wid: 2.5,
-        fun: function(x) {
-          return Math.sin(1);
+
+      Scene.add(canv, poly(trmlist, { xof: x, yof: y, fil: "white", str: col, wid: 0 }));
+
+      trmlist.splice(0, 1);
+      trmlist.splice(trmlist.length - 1, 1);
+      Scene.add(canv, stroke(
+        trmlist.map(function(v) {
+          return [v[0] + x, v[1] + y];
+        }),
+        {
+          col:
+            "rgba(100,100,100," + (0.4 + random() * 0.1).toFixed(3) + ")",
+          wid: 2.5,
+          fun: function(x) {
+            return Math.sin(1);
+          },
+          noi: 0.9,
+          out: 0,
         },
-        noi: 0.9,
-        out: 0,
-      },
-    );
-
-    canv += txcanv;
-    canv += twcanv;
-    return canv;
-  };
-
-  /**
-   * Tree07 - Triangulated trees
-   * Creates trees using triangulation for a geometric, faceted appearance
-   * 
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @param {Object} args - Configuration options
-   * @param {number} args.hei - Height of tree (default: 60)
-   * @param {number} args.wid - Width of trunk (default: 4)
-   * @param {Function} args.ben - Bending function (default: sqrt(x) * 0.2)
-   * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,1)")
-   * @param {number} args.noi - Noise factor (default: 0.5)
-   * @returns {string} SVG markup for the tree
-   */
-  this.tree07 = function(x, y, args) {
-    var args = args != undefined ? args : {};
-    var hei = args.hei != undefined ? args.hei : 60;
-    var wid = args.wid != undefined ? args.wid : 4;
-    var ben =
-      args.ben != undefined
-        ? args.ben
-        : function(x) {
-            return Math.sqrt(x) * 0.2;
-          };
-    var col = args.col != undefined ? args.col : "rgba(100,100,100,1)";
-    var noi = args.noi != undefined ? args.noi : 0.5;
-
-    reso = 10;
-    var nslist = [];
-    for (var i = 0; i < reso; i++) {
-      nslist.push([Noise.noise(i * 0.5), Noise.noise(i * 0.5, 0.5)]);
-    }
-    var leafcol;
-    if (col.includes("rgba(")) {
-      leafcol = col
-        .replace("rgba(", "")
-        .replace(")", "")
-        .split(",");
-    } else {
-      leafcol = ["100", "100", "100", "1"];
-    }
-    var canv = "";
-    var line1 = [];
-    var line2 = [];
-    var T = [];
-    for (var i = 0; i < reso; i++) {
-      var nx = x + ben(i / reso) * 100;
-      var ny = y - (i * hei) / reso;
-      if (i >= reso / 4) {
-        for (var j = 0; j < 1; j++) {
-          var bpl = blob(
-            nx + (Math.random() - 0.5) * wid * 1.2 * (reso - i) * 0.5,
-            ny + (Math.random() - 0.5) * wid * 0.5,
-            {
-              len: Math.random() * 50 + 20,
-              wid: Math.random() * 12 + 12,
-              ang: (-Math.random() * Math.PI) / 6,
-              col:
-                "rgba(" +
-                leafcol[0] +
-                "," +
-                leafcol[1] +
-                "," +
-                leafcol[2] +
-                "," +
-                parseFloat(leafcol[3]).toFixed(3) +
-                ")",
-              fun: function(x) {
-                return x <= 1
-                  ? 2.75 * x * Math.pow(1 - x, 1 / 1.8)
-                  : 2.75 * (x - 2) * Math.pow(x - 1, 1 / 1.8);
+      ));
+
+      Scene.add(canv, txcanv);
+      Scene.add(canv, twcanv);
+      return Scene.group(canv, {
+        tags: ["tree"],
+        source: "Tree.tree05",
+        depth: y,
+      });
+    };
+
+    /**
+     * Tree06 - Fractal trees
+     * Creates trees with recursive fractal branching patterns
+     * 
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} args - Configuration options
+     * @param {number} args.hei - Height of tree (default: 100)
+     * @param {number} args.wid - Width of trunk (default: 6)
+     * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.5)")
+     * @param {number} args.noi - Noise factor (default: 0.5)
+     * @param {string} args.sea - Season: "spring", "summer" (default),
+     *   "autumn" or "winter"
+     * @returns {Object} Scene group for the tree
+     */
+    this.tree06 = function(x, y, args) {
+      var args = args != undefined ? args : {};
+      var hei = args.hei != undefined ? args.hei : 100;
+      var wid = args.wid != undefined ? args.wid : 6;
+      var col = args.col != undefined ? args.col : "rgba(100,100,100,0.5)";
+      var noi = args.noi != undefined ? args.noi : 0.5;
+      var sea = args.sea != undefined ? args.sea : "summer";
+
+      var canv = [];
+      var txcanv = [];
+      var twcanv = [];
+
+      function fracTree(xoff, yoff, dep, args) {
+        var args = args != undefined ? args : {};
+        var hei = args.hei != undefined ? args.hei : 300;
+        var wid = args.wid != undefined ? args.wid : 5;
+        var ang = args.ang != undefined ? args.ang : 0;
+        var ben = args.ben != undefined ? args.ben : Math.PI * 0.2;
+
+        var trlist = branch({
+          hei: hei,
+          wid: wid,
+          ang: ang,
+          ben: ben,
+          det: hei / 20,
+        });
+        Scene.add(txcanv, barkify(xoff, yoff, trlist));
+        trlist = trlist[0].concat(trlist[1].reverse());
+
+        var trmlist = [];
+
+        for (var i = 0; i < trlist.length; i++) {
+          var p = Math.abs(i - trlist.length * 0.5) / (trlist.length * 0.5);
+          if (
+            ((random() < 0.025 &&
+              i >= trlist.length * 0.2 &&
+              i <= trlist.length * 0.8) ||
+              i == ((trlist.length / 2) | 0) - 1 ||
+              i == ((trlist.length / 2) | 0) + 1) &&
+            dep > 0
+          ) {
+            var bar = 0.02 + random() * 0.08;
+            var ba =
+              bar * Math.PI - bar * 2 * Math.PI * (i > trlist.length / 2);
+
+            var brlist = fracTree(
+              trlist[i][0] + xoff,
+              trlist[i][1] + yoff,
+              dep - 1,
+              {
+                hei: hei * (0.7 + random() * 0.2),
+                wid: wid * 0.6,
+                ang: ang + ba,
+                ben: 0.55,
               },
-              ret: 1,
-            },
-          );
+            );
 
-          //canv+=poly(bpl,{fil:col,wid:0})
-          T = T.concat(
-            PolyTools.triangulate(bpl, {
-              area: 50,
-              convex: true,
-              optimize: false,
-            }),
-          );
+            for (var j = 0; j < brlist.length; j++) {
+              if (random() < 0.03) {
+                Scene.add(twcanv, twig(
+                  brlist[j][0] + trlist[i][0] + xoff,
+                  brlist[j][1] + trlist[i][1] + yoff,
+                  2,
+                  {
+                    ang: ba * (random() * 0.5 + 0.75),
+                    sca: 0.3,
+                    dir: ba > 0 ? 1 : -1,
+                    lea: [false, 0],
+                    sea: sea,
+                  },
+                ));
+              }
+            }
+
+            trmlist = trmlist.concat(
+              brlist.map(function(v) {
+                return [v[0] + trlist[i][0], v[1] + trlist[i][1]];
+              }),
+            );
+          } else {
+            trmlist.push(trlist[i]);
+          }
         }
+        return trmlist;
       }
-      line1.push([nx + (nslist[i][0] - 0.5) * wid - wid / 2, ny]);
-      line2.push([nx + (nslist[i][1] - 0.5) * wid + wid / 2, ny]);
-    }
-
-    //canv += poly(line1.concat(line2.reverse()),{fil:col,wid:0})
-    T = PolyTools.triangulate(line1.concat(line2.reverse()), {
-      area: 50,
-      convex: true,
-      optimize: true,
-    }).concat(T);
-
-    for (var k = 0; k < T.length; k++) {
-      var m = PolyTools.midPt(T[k]);
-      var c = (Noise.noise(m[0] * 0.02, m[1] * 0.02) * 200 + 50) | 0;
-      var co = "rgba(" + c + "," + c + "," + c + ",0.8)";
-      canv += poly(T[k], { fil: co, str: co, wid: 0 });
-    }
-    return canv;
-  };
-
-  /**
-   * Tree08 - Minimalist line trees
-   * Creates simple, elegant trees with minimal branching and clean lines
-   * 
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @param {Object} args - Configuration options
-   * @param {number} args.hei - Height of tree (default: 80)
-   * @param {number} args.wid - Width of trunk (default: 1)
-   * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.5)")
-   * @param {number} args.noi - Noise factor (default: 0.5)
-   * @returns {string} SVG markup for the tree
-   */
-  this.tree08 = function(x, y, args) {
-    var args = args != undefined ? args : {};
-    var hei = args.hei != undefined ? args.hei : 80;
-    var wid = args.wid != undefined ? args.wid : 1;
-    var col = args.col != undefined ? args.col : "rgba(100,100,100,0.5)";
-    var noi = args.noi != undefined ? args.noi : 0.5;
-
-    var canv = "";
-    var txcanv = "";
-    var twcanv = "";
-
-    var ang = normRand(-1, 1) * Math.PI * 0.2;
-
-    var trlist = branch({
-      hei: hei,
-      wid: wid,
-      ang: -Math.PI / 2 + ang,
-      ben: Math.PI * 0.2,
-      det: hei / 20,
-    });
-    //txcanv += barkify(x,y,trlist)
-
-    trlist = trlist[0].concat(trlist[1].reverse());
-
-    function fracTree(xoff, yoff, dep, args) {
+
+      var trmlist = fracTree(x, y, 3, {
+        hei: hei,
+        wid: wid,
+        ang: -Math.PI / 2,
+        ben: 0,
+      });
+
+      Scene.add(canv, poly(trmlist, { xof: x, yof: y, fil: "white", str: col, wid: 0 }));
+
+      trmlist.splice(0, 1);
+      trmlist.splice(trmlist.length - 1, 1);
+      Scene.add(canv, stroke(
+        trmlist.map(function(v) {
+          return [v[0] + x, v[1] + y];
+        }),
+        {
+          col:
+            "rgba(100,100,100," + (0.4 + random() * 0.1).toFixed(3) + ")",
+          wid: 2.5,
+          fun: function(x) {
+            return Math.sin(1);
+          },
+          noi: 0.9,
+          out: 0,
+        },
+      ));
+
+      Scene.add(canv, txcanv);
+      Scene.add(canv, twcanv);
+      return Scene.group(canv, {
+        tags: ["tree"],
+        source: "Tree.tree06",
+        depth: y,
+      });
+    };
+
+    /**
+     * Tree07 - Triangulated trees
+     * Creates trees using triangulation for a geometric, faceted appearance
+     * 
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} args - Configuration options
+     * @param {number} args.hei - Height of tree (default: 60)
+     * @param {number} args.wid - Width of trunk (default: 4)
+     * @param {Function} args.ben - Bending function (default: sqrt(x) * 0.2);
+     *   in wind the tree leans further
+     * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,1)")
+     * @param {number} args.noi - Noise factor (default: 0.5)
+     * @param {string} args.sea - Season: "spring" (paler new growth),
+     *   "summer" (default), "autumn" or "winter" (darker); an evergreen
+     *   keeps its needles all year
+     * @returns {Object} Scene group for the tree
+     */
+    this.tree07 = function(x, y, args) {
       var args = args != undefined ? args : {};
-      var ang = args.ang != undefined ? args.ang : -Math.PI / 2;
-      var len = args.len != undefined ? args.len : 15;
-      var ben = args.ben != undefined ? args.ben : 0;
-
-      var fun =
-        dep == 0
-          ? function(x) {
-              return Math.cos(0.5 * Math.PI * x);
-            }
+      var hei = args.hei != undefined ? args.hei : 60;
+      var wid = args.wid != undefined ? args.wid : 4;
+      var ben =
+        args.ben != undefined
+          ? args.ben
           : function(x) {
-              return 1;
+              return Math.sqrt(x) * 0.2;
             };
-      var spt = [xoff, yoff];
-      var ept = [xoff + Math.cos(ang) * len, yoff + Math.sin(ang) * len];
+      ben = windBend(ben);
+      var col = args.col != undefined ? args.col : "rgba(100,100,100,1)";
+      var noi = args.noi != undefined ? args.noi : 0.5;
+      var sea = args.sea != undefined ? args.sea : "summer";
+
+      var reso = 10;
+      var nslist = [];
+      for (var i = 0; i < reso; i++) {
+        nslist.push([Noise.noise(i * 0.5), Noise.noise(i * 0.5, 0.5)]);
+      }
+      var leafcol;
+      if (col.includes("rgba(")) {
+        leafcol = col
+          .replace("rgba(", "")
+          .replace(")", "")
+          .split(",");
+      } else {
+        leafcol = ["100", "100", "100", "1"];
+      }
+      var canv = [];
+      var line1 = [];
+      var line2 = [];
+      var T = [];
+      for (var i = 0; i < reso; i++) {
+        var nx = x + ben(i / reso) * 100;
+        var ny = y - (i * hei) / reso;
+        if (i >= reso / 4) {
+          for (var j = 0; j < 1; j++) {
+            var bpl = blob(
+              nx + (random() - 0.5) * wid * 1.2 * (reso - i) * 0.5,
+              ny + (random() - 0.5) * wid * 0.5,
+              {
+                len: random() * 50 + 20,
+                wid: random() * 12 + 12,
+                ang: (-random() * Math.PI) / 6,
+                col:
+                  "rgba(" +
+                  leafcol[0] +
+                  "," +
+                  leafcol[1] +
+                  "," +
+                  leafcol[2] +
+                  "," +
+                  parseFloat(leafcol[3]).toFixed(3) +
+                  ")",
+                fun: function(x) {
+                  return x <= 1
+                    ? 2.75 * x * Math.pow(1 - x, 1 / 1.8)
+                    : 2.75 * (x - 2) * Math.pow(x - 1, 1 / 1.8);
+                },
+                ret: 1,
+              },
+            );
 
-      var trmlist = [[xoff, yoff], [xoff + len, yoff]];
+            //canv+=poly(bpl,{fil:col,wid:0})
+            T = T.concat(
+              PolyTools.triangulate(bpl, {
+                area: 50,
+                convex: true,
+                optimize: false,
+              }),
+            );
+          }
+        }
+        line1.push([nx + (nslist[i][0] - 0.5) * wid - wid / 2, ny]);
+        line2.push([nx + (nslist[i][1] - 0.5) * wid + wid / 2, ny]);
+      }
 
-      var bfun = randChoice([
-        function(x) {
-          return Math.sin(x * Math.PI);
-        },
-        function(x) {
-          return -Math.sin(x * Math.PI);
+      //canv += poly(line1.concat(line2.reverse()),{fil:col,wid:0})
+      T = PolyTools.triangulate(line1.concat(line2.reverse()), {
+        area: 50,
+        convex: true,
+        optimize: true,
+      }).concat(T);
+
+      for (var k = 0; k < T.length; k++) {
+        var m = PolyTools.midPt(T[k]);
+        var c = (Noise.noise(m[0] * 0.02, m[1] * 0.02) * 200 + 50) | 0;
+        if (sea == "spring") {
+          c = (c * 3 + 255) / 4 | 0;
+        } else if (sea == "winter") {
+          c = c * 0.8 | 0;
+        }
+        if (WEATHER.type == "snow") {
+          // An evergreen keeps its needles, under snow
+          c = (c + 460) / 3 | 0;
+        }
+        var co = "rgba(" + c + "," + c + "," + c + ",0.8)";
+        Scene.add(canv, poly(T[k], { fil: co, str: co, wid: 0 }));
+      }
+      return Scene.group(canv, {
+        tags: ["tree"],
+        source: "Tree.tree07",
+        depth: y,
+      });
+    };
+
+    /**
+     * Tree08 - Minimalist line trees
+     * Creates simple, elegant trees with minimal branching and clean lines
+     * 
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} args - Configuration options
+     * @param {number} args.hei - Height of tree (default: 80)
+     * @param {number} args.wid - Width of trunk (default: 1)
+     * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.5)")
+     * @param {number} args.noi - Noise factor (default: 0.5)
+     * @param {string} args.sea - Season: "spring" (blossom at the tips),
+     *   "summer" (default), "autumn" (a few leaves at the tips, some
+     *   red-brown) or "winter"; the branches are bare all year
+     * @returns {Object} Scene group for the tree
+     */
+    this.tree08 = function(x, y, args) {
+      var args = args != undefined ? args : {};
+      var hei = args.hei != undefined ? args.hei : 80;
+      var wid = args.wid != undefined ? args.wid : 1;
+      var col = args.col != undefined ? args.col : "rgba(100,100,100,0.5)";
+      var noi = args.noi != undefined ? args.noi : 0.5;
+      var sea = args.sea != undefined ? args.sea : "summer";
+
+      var canv = [];
+      var txcanv = [];
+      var twcanv = [];
+
+      var ang = normRand(-1, 1) * Math.PI * 0.2;
+
+      var trlist = branch({
+        hei: hei,
+        wid: wid,
+        ang: -Math.PI / 2 + ang,
+        ben: Math.PI * 0.2,
+        det: hei / 20,
+      });
+      //txcanv += barkify(x,y,trlist)
+
+      trlist = trlist[0].concat(trlist[1].reverse());
+
+      function fracTree(xoff, yoff, dep, args) {
+        var args = args != undefined ? args : {};
+        var ang = args.ang != undefined ? args.ang : -Math.PI / 2;
+        var len = args.len != undefined ? args.len : 15;
+        var ben = args.ben != undefined ? args.ben : 0;
+
+        var fun =
+          dep == 0
+            ? function(x) {
+                return Math.cos(0.5 * Math.PI * x);
+              }
+            : function(x) {
+                return 1;
+              };
+        var spt = [xoff, yoff];
+        var ept = [xoff + Math.cos(ang) * len, yoff + Math.sin(ang) * len];
+
+        var trmlist = [[xoff, yoff], [xoff + len, yoff]];
+
+        var bfun = randChoice([
+          function(x) {
+            return Math.sin(x * Math.PI);
+          },
+          function(x) {
+            return -Math.sin(x * Math.PI);
+          },
+        ]);
+
+        trmlist = div(trmlist, 10);
+
+        for (var i = 0; i < trmlist.length; i++) {
+          trmlist[i][1] += bfun(i / trmlist.length) * 2;
+        }
+        for (var i = 0; i < trmlist.length; i++) {
+          var d = distance(trmlist[i], spt);
+          var a = Math.atan2(trmlist[i][1] - spt[1], trmlist[i][0] - spt[0]);
+          trmlist[i][0] = spt[0] + d * Math.cos(a + ang);
+          trmlist[i][1] = spt[1] + d * Math.sin(a + ang);
+        }
+
+        var tcanv = [];
+        Scene.add(tcanv, stroke(trmlist, {
+          fun: fun,
+          wid: 0.8,
+          col: "rgba(100,100,100,0.5)",
+        }));
+        if (dep == 0 && !isBare(sea)) {
+          Scene.add(tcanv, seasonal(function() {
+            if (sea == "spring" && random() < 0.5) {
+              return blossom(ept[0], ept[1], 3, 2);
+            } else if (sea == "autumn" && random() < 0.3) {
+              return blob(ept[0], ept[1], {
+                len: 3 + random() * 2,
+                wid: 2 + random(),
+                ang: random() * Math.PI,
+                col: leafColor("rgba(100,100,100,0.5)", sea),
+              });
+            }
+            return [];
+          }));
+        }
+        if (dep != 0) {
+          var nben = ben + randChoice([-1, 1]) * Math.PI * 0.001 * dep * dep;
+          if (random() < 0.5) {
+            Scene.add(tcanv, fracTree(ept[0], ept[1], dep - 1, {
+              ang:
+                ang +
+                ben +
+                Math.PI *
+                  randChoice([normRand(-1, 0.5), normRand(0.5, 1)]) *
+                  0.2,
+              len: len * normRand(0.8, 0.9),
+              ben: nben,
+            }));
+            Scene.add(tcanv, fracTree(ept[0], ept[1], dep - 1, {
+              ang:
+                ang +
+                ben +
+                Math.PI *
+                  randChoice([normRand(-1, -0.5), normRand(0.5, 1)]) *
+                  0.2,
+              len: len * normRand(0.8, 0.9),
+              ben: nben,
+            }));
+          } else {
+            Scene.add(tcanv, fracTree(ept[0], ept[1], dep - 1, {
+              ang: ang + ben,
+              len: len * normRand(0.8, 0.9),
+              ben: nben,
+            }));
+          }
+        }
+        return tcanv;
+      }
+
+      for (var i = 0; i < trlist.length; i++) {
+        if (random() < 0.2) {
+          Scene.add(twcanv, fracTree(
+            x + trlist[i][0],
+            y + trlist[i][1],
+            Math.floor(4 * random()),
+            { hei: 20, ang: -Math.PI / 2 - ang * random() },
+          ));
+        } else if (i == Math.floor(trlist.length / 2)) {
+          Scene.add(twcanv, fracTree(x + trlist[i][0], y + trlist[i][1], 3, {
+            hei: 25,
+            ang: -Math.PI / 2 + ang,
+          }));
+        }
+      }
+
+      Scene.add(canv, poly(trlist, { xof: x, yof: y, fil: "white", str: col, wid: 0 }));
+
+      Scene.add(canv, stroke(
+        trlist.map(function(v) {
+          return [v[0] + x, v[1] + y];
+        }),
+        {
+          col:
+            "rgba(100,100,100," + (0.6 + random() * 0.1).toFixed(3) + ")",
+          wid: 2.5,
+          fun: function(x) {
+            return Math.sin(1);
+          },
+          noi: 0.9,
+          out: 0,
         },
-      ]);
+      ));
+
+      Scene.add(canv, txcanv);
+      Scene.add(canv, twcanv);
+      return Scene.group(canv, {
+        tags: ["tree"],
+        source: "Tree.tree08",
+        depth: y,
+      });
+    };
 
-      trmlist = div(trmlist, 10);
+    /**
+     * Bamboo - A clump of bamboo
+     * Straight segmented culms with a mark at each joint, and sprays of
+     * dagger-shaped leaves from the upper joints. Bamboo keeps its leaves
+     * in every season.
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} args - Configuration options
+     * @param {number} args.hei - Height of the tallest culm (default: 60)
+     * @param {number} args.wid - Width of a culm (default: 2)
+     * @param {number} args.cul - Number of culms (default: 3 to 5)
+     * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.6)")
+     * @returns {Object} Scene group for the tree
+     */
+    this.bamboo = function(x, y, args) {
+      var args = args != undefined ? args : {};
+      var hei = args.hei != undefined ? args.hei : 60;
+      var wid = args.wid != undefined ? args.wid : 2;
+      var cul = args.cul != undefined ? args.cul : 3 + Math.floor(random() * 3);
+      var col = args.col != undefined ? args.col : "rgba(100,100,100,0.6)";
+
+      var canv = [];
+      var leaves = [];
+      var sca = hei / 60;
+      for (var k = 0; k < cul; k++) {
+        var bx = x + (random() - 0.5) * wid * 12;
+        var h = hei * (0.5 + random() * 0.5);
+        var lean = (random() - 0.5) * 0.3;
+        var ben = windBend(function(t) {
+          return lean * t;
+        });
+        var seg = 4 + Math.floor(random() * 3);
+        var nodes = [];
+        for (var i = 0; i <= seg; i++) {
+          nodes.push([bx + ben(i / seg) * h, y - (i / seg) * h]);
+        }
+        for (var i = 0; i < seg; i++) {
+          var p0 = nodes[i];
+          var p1 = nodes[i + 1];
+          var lerp = function(p) {
+            return [p0[0] * (1 - p) + p1[0] * p, p0[1] * (1 - p) + p1[1] * p];
+          };
+          Scene.add(canv, stroke([lerp(0.04), lerp(0.08), lerp(0.5), lerp(0.92), lerp(0.96)], {
+            wid: wid * (1 - (i / seg) * 0.4),
+            col: col,
+            noi: 0.3,
+            fun: function(x) {
+              return 1;
+            },
+          }));
+          if (i > 0) {
+            Scene.add(canv, stroke([[p0[0] - wid * 1.2, p0[1]], [p0[0], p0[1] + 0.5], [p0[0] + wid * 1.2, p0[1]]], {
+              wid: 1,
+              col: col,
+            }));
+          }
+        }
+        for (var i = Math.ceil(seg / 2); i <= seg; i++) {
+          if (random() < 0.3) {
+            continue;
+          }
+          var side = randChoice([-1, 1]);
+          for (var j = 0; j < 2 + random() * 3; j++) {
+            // Leaves hang out and down; in wind they all stream away with it
+            var a = WEATHER.type == "wind"
+              ? 0.1 + random() * 0.3
+              : Math.PI / 2 - side * (0.6 + random() * 0.8);
+            var len = (10 + random() * 8) * sca;
+            var lx = nodes[i][0];
+            var ly = nodes[i][1];
+            Scene.add(leaves, stroke([
+              [lx, ly],
+              [lx + Math.cos(a) * len * 0.35, ly + Math.sin(a) * len * 0.35 - len * 0.05],
+              [lx + Math.cos(a) * len * 0.7, ly + Math.sin(a) * len * 0.7 - len * 0.05],
+              [lx + Math.cos(a) * len, ly + Math.sin(a) * len],
+            ], {
+              wid: 1.6 * sca,
+              col: "rgba(100,100,100," + (0.4 + random() * 0.3).toFixed(3) + ")",
+              noi: 0.2,
+              fun: function(x) {
+                return x < 0.25 ? x / 0.25 : (1 - x) / 0.75;
+              },
+            }));
+          }
+          if (WEATHER.type == "snow") {
+            Scene.add(leaves, seasonal(function() {
+              return blob(nodes[i][0], nodes[i][1] - 1, {
+                len: 8 * sca,
+                wid: 3 * sca,
+                col: "rgba(255,255,255,0.7)",
+              });
+            }));
+          }
+        }
+      }
+      Scene.add(canv, leaves);
+      return Scene.group(canv, {
+        tags: ["tree"],
+        source: "Tree.bamboo",
+        depth: y,
+      });
+    };
 
-      for (var i = 0; i < trmlist.length; i++) {
-        trmlist[i][1] += bfun(i / trmlist.length) * 2;
+    /**
+     * Willow - A weeping willow, as grows by the water
+     * A short leaning trunk whose boughs arch out from the crown and let
+     * long thin tendrils hang down towards the ground
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} args - Configuration options
+     * @param {number} args.hei - Height of tree (default: 80)
+     * @param {number} args.wid - Width of trunk (default: 5)
+     * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.5)")
+     * @param {string} args.sea - Season: "spring" (pale new leaves),
+     *   "summer" (default), "autumn" or "winter" (bare tendrils)
+     * @returns {Object} Scene group for the tree
+     */
+    this.willow = function(x, y, args) {
+      var args = args != undefined ? args : {};
+      var hei = args.hei != undefined ? args.hei : 80;
+      var wid = args.wid != undefined ? args.wid : 5;
+      var col = args.col != undefined ? args.col : "rgba(100,100,100,0.5)";
+      var sea = args.sea != undefined ? args.sea : "summer";
+
+      var canv = [];
+      var tdcanv = [];
+      var lean = (random() - 0.5) * 0.4;
+      var th = hei * 0.45;
+      var reso = 8;
+      var n0 = random() * 10;
+      var line1 = [];
+      var line2 = [];
+      for (var i = 0; i <= reso; i++) {
+        var t = i / reso;
+        var nx = x + lean * t * th + (Noise.noise(t * 2, n0) - 0.5) * wid;
+        var w = wid * (1 - t * 0.4);
+        line1.push([nx - w / 2, y - t * th]);
+        line2.push([nx + w / 2, y - t * th]);
       }
-      for (var i = 0; i < trmlist.length; i++) {
-        var d = distance(trmlist[i], spt);
-        var a = Math.atan2(trmlist[i][1] - spt[1], trmlist[i][0] - spt[0]);
-        trmlist[i][0] = spt[0] + d * Math.cos(a + ang);
-        trmlist[i][1] = spt[1] + d * Math.sin(a + ang);
+      var top = [(line1[reso][0] + line2[reso][0]) / 2, y - th];
+      Scene.add(canv, poly(line1.concat(line2.reverse()), { fil: "white", str: col, wid: 1.5 }));
+
+      var nb = 4 + Math.floor(random() * 3);
+      for (var b = 0; b < nb; b++) {
+        var a = -Math.PI / 2 + (b / (nb - 1) - 0.5) * 2.2 + (random() - 0.5) * 0.3;
+        var bl = hei * (0.3 + random() * 0.25);
+        var bough = [];
+        for (var i = 0; i <= 6; i++) {
+          var t = i / 6;
+          bough.push([
+            top[0] + Math.cos(a) * bl * t,
+            top[1] + Math.sin(a) * bl * t + t * t * bl * 0.5,
+          ]);
+        }
+        Scene.add(canv, stroke(bough, {
+          wid: wid * 0.4,
+          col: col,
+          fun: function(x) {
+            return Math.cos((x * Math.PI) / 2);
+          },
+        }));
+        for (var i = 2; i <= 6; i++) {
+          for (var m = 0; m < random() * 2; m++) {
+            var px = bough[i][0] + (random() - 0.5) * 3;
+            var py = bough[i][1];
+            var len = Math.min(hei * (0.3 + random() * 0.4), (y - py) * 0.9);
+            if (len < 5) {
+              continue;
+            }
+            var ph = random() * Math.PI * 2;
+            var tendril = [];
+            for (var j = 0; j <= 9; j++) {
+              var s = j / 9;
+              tendril.push([
+                px + Math.sin(s * 3 + ph) * 1.5 + (WEATHER.type == "wind" ? s * s * len * 0.5 : 0),
+                py + s * len,
+              ]);
+            }
+            Scene.add(tdcanv, stroke(tendril, {
+              wid: 0.8,
+              col: "rgba(100,100,100," + (0.2 + random() * 0.2).toFixed(3) + ")",
+              fun: function(x) {
+                return Math.cos((x * Math.PI) / 2);
+              },
+            }));
+            if (isBare(sea)) {
+              continue;
+            }
+            Scene.add(tdcanv, seasonal(function() {
+              var fol = [];
+              for (var j = 2; j <= 9; j += 3) {
+                if (isFallen(sea)) {
+                  continue;
+                }
+                Scene.add(fol, blob(tendril[j][0], tendril[j][1], {
+                  len: 4 + random() * 2,
+                  wid: 1.5,
+                  ang: Math.PI / 2 + (random() - 0.5) * 0.6,
+                  col: leafColor("rgba(100,100,100," + (sea == "spring" ? 0.2 : 0.3) + ")", sea),
+                }));
+              }
+              return fol;
+            }));
+          }
+        }
       }
+      Scene.add(canv, tdcanv);
+      return Scene.group(canv, {
+        tags: ["tree"],
+        source: "Tree.willow",
+        depth: y,
+      });
+    };
 
-      var tcanv = "";
-      tcanv += stroke(trmlist, {
-        fun: fun,
-        wid: 0.8,
-        col: "rgba(100,100,100,0.5)",
+    /**
+     * Plum - A gnarled plum tree
+     * An ink-dark trunk and limbs that change direction sharply at knotted
+     * joints. It flowers on the bare wood in late winter and spring.
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} args - Configuration options
+     * @param {number} args.hei - Height of tree (default: 60)
+     * @param {number} args.wid - Width of trunk (default: 4)
+     * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.6)")
+     * @param {string} args.sea - Season: "spring" and "winter" (blossom),
+     *   "summer" (default, small leaves at the tips) or "autumn"
+     * @returns {Object} Scene group for the tree
+     */
+    this.plum = function(x, y, args) {
+      var args = args != undefined ? args : {};
+      var hei = args.hei != undefined ? args.hei : 60;
+      var wid = args.wid != undefined ? args.wid : 4;
+      var col = args.col != undefined ? args.col : "rgba(100,100,100,0.6)";
+      var sea = args.sea != undefined ? args.sea : "summer";
+
+      var canv = [];
+      var flcanv = [];
+      var flowers = sea == "spring" || sea == "winter";
+
+      function limb(x0, y0, ang, len, w, dep) {
+        var pts = [[x0, y0]];
+        var n = 3 + Math.floor(random() * 2);
+        for (var i = 0; i < n; i++) {
+          var a = ang + (random() - 0.5) * 1.2;
+          var last = pts[pts.length - 1];
+          pts.push([last[0] + (Math.cos(a) * len) / n, last[1] + (Math.sin(a) * len) / n]);
+        }
+        Scene.add(canv, stroke(div(pts, 4).concat([pts[n]]), {
+          wid: w,
+          col: col,
+          noi: 0.8,
+          fun: function(x) {
+            return 1 - x * 0.6;
+          },
+        }));
+        for (var i = 1; i <= n; i++) {
+          var px = pts[i][0];
+          var py = pts[i][1];
+          if (i < n && random() < 0.5) {
+            Scene.add(canv, blob(px, py, {
+              noi: 1,
+              len: w * 1.5,
+              wid: w,
+              ang: random() * Math.PI,
+              col: "rgba(100,100,100,0.6)",
+            }));
+          }
+          if (i < n && dep > 0 && random() < 0.6) {
+            limb(px, py, ang + randChoice([-1, 1]) * (0.5 + random() * 0.5), len * 0.6, w * 0.6, dep - 1);
+          }
+          Scene.add(flcanv, seasonal(function() {
+            var fol = [];
+            if (flowers) {
+              Scene.add(fol, blossom(px, py, 2 + len * 0.08, i == n ? 5 : 3));
+            } else if (i == n && !isBare(sea)) {
+              for (var j = 0; j < 3; j++) {
+                if (isFallen(sea)) {
+                  continue;
+                }
+                Scene.add(fol, blob(px + (random() - 0.5) * 4, py + (random() - 0.5) * 4, {
+                  len: 4 + random() * 2,
+                  wid: 2,
+                  ang: random() * Math.PI,
+                  col: leafColor("rgba(100,100,100,0.5)", sea),
+                }));
+              }
+            }
+            return fol;
+          }));
+        }
+      }
+      limb(x, y, -Math.PI / 2 + (random() - 0.5) * 0.4, hei * 0.75, wid, 2);
+
+      Scene.add(canv, flcanv);
+      return Scene.group(canv, {
+        tags: ["tree"],
+        source: "Tree.plum",
+        depth: y,
       });
-      if (dep != 0) {
-        var nben = ben + randChoice([-1, 1]) * Math.PI * 0.001 * dep * dep;
-        if (Math.random() < 0.5) {
-          tcanv += fracTree(ept[0], ept[1], dep - 1, {
-            ang:
-              ang +
-              ben +
-              Math.PI *
-                randChoice([normRand(-1, 0.5), normRand(0.5, 1)]) *
-                0.2,
-            len: len * normRand(0.8, 0.9),
-            ben: nben,
-          });
-          tcanv += fracTree(ept[0], ept[1], dep - 1, {
-            ang:
-              ang +
-              ben +
-              Math.PI *
-                randChoice([normRand(-1, -0.5), normRand(0.5, 1)]) *
-                0.2,
-            len: len * normRand(0.8, 0.9),
-            ben: nben,
-          });
-        } else {
-          tcanv += fracTree(ept[0], ept[1], dep - 1, {
-            ang: ang + ben,
-            len: len * normRand(0.8, 0.9),
-            ben: nben,
-          });
+    };
+
+    /**
+     * Pine - A flat-crowned pine, as clings to cliff edges
+     * A twisting trunk that leans out, with flat pads of needle clusters
+     * on short level boughs, the widest at the top. A pine keeps its
+     * needles all year.
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} args - Configuration options
+     * @param {number} args.hei - Height of tree (default: 50)
+     * @param {number} args.wid - Width of trunk (default: 6)
+     * @param {number} args.dir - Side it leans to, 1 (right) or -1 (left)
+     *   (default: either)
+     * @param {string} args.col - Color in rgba format (default: "rgba(100,100,100,0.6)")
+     * @param {string} args.sea - Season (default: "summer"); the needles
+     *   are paler in spring
+     * @returns {Object} Scene group for the tree
+     */
+    this.pine = function(x, y, args) {
+      var args = args != undefined ? args : {};
+      var hei = args.hei != undefined ? args.hei : 50;
+      var wid = args.wid != undefined ? args.wid : 6;
+      var dir = args.dir != undefined ? args.dir : randChoice([-1, 1]);
+      var col = args.col != undefined ? args.col : "rgba(100,100,100,0.6)";
+      var sea = args.sea != undefined ? args.sea : "summer";
+
+      var ben = windBend(function(t) {
+        return dir * (0.25 * t + 0.1 * Math.sin(t * Math.PI * 1.5));
+      });
+      var canv = [];
+      var ndcanv = [];
+      var reso = 10;
+      var line1 = [];
+      var line2 = [];
+      for (var i = 0; i <= reso; i++) {
+        var t = i / reso;
+        var nx = x + ben(t) * hei;
+        var w = wid * (1 - t * 0.5);
+        line1.push([nx - w / 2 + (Noise.noise(t * 3, x * 0.01) - 0.5) * 1.5, y - t * hei]);
+        line2.push([nx + w / 2 + (Noise.noise(t * 3, x * 0.01, 1) - 0.5) * 1.5, y - t * hei]);
+        if (i > 0 && i < reso && random() < 0.6) {
+          // Bark scales
+          Scene.add(canv, stroke([[nx - w * 0.4, y - t * hei], [nx, y - t * hei + 1], [nx + w * 0.4, y - t * hei]], {
+            wid: 0.8,
+            col: "rgba(100,100,100,0.4)",
+          }));
         }
       }
-      return tcanv;
-    }
-
-    for (var i = 0; i < trlist.length; i++) {
-      if (Math.random() < 0.2) {
-        twcanv += fracTree(
-          x + trlist[i][0],
-          y + trlist[i][1],
-          Math.floor(4 * Math.random()),
-          { hei: 20, ang: -Math.PI / 2 - ang * Math.random() },
-        );
-      } else if (i == Math.floor(trlist.length / 2)) {
-        twcanv += fracTree(x + trlist[i][0], y + trlist[i][1], 3, {
-          hei: 25,
-          ang: -Math.PI / 2 + ang,
-        });
+      Scene.add(canv, poly(line1.concat(line2.reverse()), { fil: "white", str: col, wid: 1.5 }));
+
+      var pads = [1];
+      for (var k = 0; k < 1 + random() * 2; k++) {
+        pads.push(0.5 + random() * 0.4);
       }
-    }
-
-    canv += poly(trlist, { xof: x, yof: y, fil: "white", str: col, wid: 0 });
-
-    canv += stroke(
-      trlist.map(function(v) {
-        return [v[0] + x, v[1] + y];
-      }),
-      {
-        col:
-          "rgba(100,100,100," + (0.6 + Math.random() * 0.1).toFixed(3) + ")",
-        wid: 2.5,
-        fun: function(x) {
-          return Math.sin(1);
-        },
-        noi: 0.9,
-        out: 0,
-      },
-    );
-
-    canv += txcanv;
-    canv += twcanv;
-    return canv;
-  };
-}();
\ No newline at end of file
+      var alp = sea == "spring" ? 0.4 : 0.6;
+      for (var k = 0; k < pads.length; k++) {
+        var t = pads[k];
+        var px = x + ben(t) * hei;
+        var py = y - t * hei;
+        var pw = hei * (0.3 + random() * 0.15) * (k == 0 ? 1.3 : 1);
+        var ph = pw * 0.25;
+        var bx = k == 0 ? px : px + randChoice([-1, 1]) * pw * 0.45;
+        var by = py - ph * 0.3;
+        if (k > 0) {
+          Scene.add(canv, stroke([[px, py], [(px + bx) / 2, py - 1], [bx, by]], {
+            wid: wid * 0.4,
+            col: col,
+          }));
+        }
+        Scene.add(ndcanv, blob(bx, by, {
+          len: pw,
+          wid: ph,
+          ang: (random() - 0.5) * 0.1,
+          col: "rgba(100,100,100," + (alp * 0.6).toFixed(3) + ")",
+        }));
+        var nf = Math.max(2, Math.round(pw / 6));
+        for (var f = 0; f < nf; f++) {
+          var cx = bx - pw * 0.45 + ((f + 0.5) / nf) * pw * 0.9;
+          var cy = by - random() * ph * 0.3;
+          var r = ph * (0.8 + random() * 0.4);
+          for (var n = 0; n < 7; n++) {
+            var a = -Math.PI + ((n + 0.5) / 7) * Math.PI;
+            Scene.add(ndcanv, poly([[cx, cy], [cx + Math.cos(a) * r, cy + Math.sin(a) * r]], {
+              fil: "none",
+              str: "rgba(100,100,100," + alp + ")",
+              wid: 0.6,
+            }));
+          }
+        }
+        if (WEATHER.type == "snow") {
+          Scene.add(ndcanv, seasonal(function() {
+            return blob(bx, by - ph * 0.4, {
+              len: pw * 0.8,
+              wid: ph * 0.5,
+              col: "rgba(255,255,255,0.7)",
+            });
+          }));
+        }
+      }
+      Scene.add(canv, ndcanv);
+      return Scene.group(canv, {
+        tags: ["tree"],
+        source: "Tree.pine",
+        depth: y,
+      });
+    };
+  }();
+  return Tree;
+}
+
+ShanShui.createTree = createTree;
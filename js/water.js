@@ -1,7 +1,8 @@
 /**
  * Water Effects Module
  * 
- * Generates water surface effects with waves and ripples for landscape scenes.
+ * Generates water surface effects with waves and ripples for landscape scenes,
+ * and the river and lakes of the handscroll.
  * Supports traditional Chinese painting aesthetics including broken stroke effects
  * when enabled via the global UI toggle.
  * 
@@ -10,61 +11,302 @@
  * - Multiple water clusters for realistic surface variation
  * - Automatic broken stroke support for traditional painting style
  * - Configurable wave height, length, and cluster count
+ * - Choppier ripples, tilted against the wind, in windy weather
+ *
+ * Dependencies: prng.js (through ss.random), noise.js, rendering.js
  */
 
 /**
- * Generate water surface effects with waves and ripples
- * 
- * Creates natural-looking water surfaces with multiple wave clusters.
- * Automatically applies broken stroke effects when enabled via UI checkbox,
- * simulating traditional Chinese water painting techniques.
- * 
- * @param {number} xoff - X offset position for water placement
- * @param {number} yoff - Y offset position for water placement  
- * @param {number} seed - Random seed for deterministic wave generation
- * @param {Object} args - Configuration options
- * @param {number} args.hei - Wave height amplitude (default: 2)
- * @param {number} args.len - Total water surface length (default: 800)
- * @param {number} args.clu - Number of wave clusters (default: 10)
- * @returns {string} SVG markup for water surface with waves
+ * Create the water generator
+ * @param {Object} ss - Shan Shui instance providing random(), Noise and stroke()
+ * @returns {Object} Object holding the water() and river() functions
  */
-function water(xoff, yoff, seed, args) {
-  var args = args != undefined ? args : {};
-  var hei = args.hei != undefined ? args.hei : 2;
-  var len = args.len != undefined ? args.len : 800;
-  var clu = args.clu != undefined ? args.clu : 10;
-  var canv = "";
-
-  var ptlist = [];
-  var yk = 0;
-  for (var i = 0; i < clu; i++) {
-    ptlist.push([]);
-    var xk = (Math.random() - 0.5) * (len / 8);
-    yk += Math.random() * 5;
-    var lk = len / 4 + Math.random() * (len / 4);
-    var reso = 5;
-    for (var j = -lk; j < lk; j += reso) {
-      ptlist[ptlist.length - 1].push([
-        j + xk,
-        Math.sin(j * 0.2) * hei * Noise.noise(j * 0.1) - 20 + yk,
-      ]);
+function createWater(ss) {
+  var random = ss.random;
+  var Noise = ss.Noise;
+  var stroke = ss.stroke;
+  var Scene = ss.Scene;
+  var WEATHER = ss.WEATHER;
+
+  // Slope of the ripples, and the factor of their height: in wind they are
+  // choppier and tilt against it
+  function windTilt() {
+    return WEATHER.type == "wind" ? [-0.06, 1.8] : [0, 1];
+  }
+
+  /**
+   * Generate water surface effects with waves and ripples
+   * 
+   * Creates natural-looking water surfaces with multiple wave clusters.
+   * Automatically applies broken stroke effects when enabled via UI checkbox,
+   * simulating traditional Chinese water painting techniques.
+   * 
+   * @param {number} xoff - X offset position for water placement
+   * @param {number} yoff - Y offset position for water placement  
+   * @param {number} seed - Random seed for deterministic wave generation
+   * @param {Object} args - Configuration options
+   * @param {number} args.hei - Wave height amplitude (default: 2)
+   * @param {number} args.len - Total water surface length (default: 800)
+   * @param {number} args.clu - Number of wave clusters (default: 10)
+   * @param {Object|Array} args.ref - Nodes to reflect in the water line
+   *   yoff, e.g. the mountain the water lies at (default: none)
+   * @returns {Object} Scene group for water surface with waves
+   */
+  function water(xoff, yoff, seed, args) {
+    var args = args != undefined ? args : {};
+    var hei = args.hei != undefined ? args.hei : 2;
+    var len = args.len != undefined ? args.len : 800;
+    var clu = args.clu != undefined ? args.clu : 10;
+    var canv = [];
+    var tilt = windTilt();
+
+    var ptlist = [];
+    var yk = 0;
+    for (var i = 0; i < clu; i++) {
+      ptlist.push([]);
+      var xk = (random() - 0.5) * (len / 8);
+      yk += random() * 5;
+      var lk = len / 4 + random() * (len / 4);
+      var reso = 5;
+      for (var j = -lk; j < lk; j += reso) {
+        ptlist[ptlist.length - 1].push([
+          j + xk,
+          Math.sin(j * 0.2) * hei * tilt[1] * Noise.noise(j * 0.1) - 20 + yk + j * tilt[0],
+        ]);
+      }
+    }
+
+    for (var j = 1; j < ptlist.length; j += 1) {
+      Scene.add(canv, stroke(
+        ptlist[j].map(function(x) {
+          return [x[0] + xoff, x[1] + yoff];
+        }),
+        {
+          col:
+            "rgba(100,100,100," + (0.3 + random() * 0.3).toFixed(3) + ")",
+          wid: 1,
+          // Water strokes will automatically use broken strokes if globally enabled
+          // No need to explicitly set broken parameter as stroke() function handles global detection
+        },
+      ));
+    }
+    if (args.ref != undefined) {
+      Scene.add(canv, reflection(args.ref, yoff, { hei: hei }));
     }
+
+    return Scene.group(canv, {
+      tags: ["water"],
+      source: "water",
+      depth: yoff,
+    });
   }
 
-  for (var j = 1; j < ptlist.length; j += 1) {
-    canv += stroke(
-      ptlist[j].map(function(x) {
-        return [x[0] + xoff, x[1] + yoff];
-      }),
-      {
-        col:
-          "rgba(100,100,100," + (0.3 + Math.random() * 0.3).toFixed(3) + ")",
+  /**
+   * Generate a stretch of a river or lake between two banks
+   *
+   * Ripples gather along the banks and leave the open water blank, as
+   * painters do. Banks are drawn as dashes that start within the stretch
+   * but may run past its end, so neighbouring stretches join without a
+   * seam.
+   *
+   * @param {number} xmin - Start of the stretch
+   * @param {number} xmax - End of the stretch
+   * @param {Function} at - Banks at x, as {top, bottom}: the y of the far
+   *   and the near bank
+   * @param {Object} args - Configuration options
+   * @param {number} args.den - Ripples per 1000 square units of water
+   *   (default: 0.6)
+   * @param {number} args.hei - Wave height amplitude (default: 2)
+   * @param {Array} args.ref - What stands in the water and is reflected,
+   *   as {node, y}: a node such as a boat or flat mountain, and its water
+   *   line (default: the lowest point of its silhouette) (default: none)
+   * @returns {Object} Scene group for the water and its banks
+   */
+  function river(xmin, xmax, at, args) {
+    var args = args != undefined ? args : {};
+    var den = args.den != undefined ? args.den : 0.6;
+    var hei = args.hei != undefined ? args.hei : 2;
+    var ref = args.ref != undefined ? args.ref : [];
+    var canv = [];
+    var reso = 5;
+    var tilt = windTilt();
+
+    var area = 0;
+    for (var x = xmin; x < xmax; x += reso) {
+      var b = at(x);
+      area += (b.bottom - b.top) * reso;
+    }
+    var n = Math.round((area / 1000) * den);
+    for (var i = 0; i < n; i++) {
+      var x0 = xmin + random() * (xmax - xmin);
+      var lk = 20 + random() * 80;
+      // Distance from the nearer bank, as a share of the width
+      var t = Math.pow(random(), 2) * 0.5;
+      var near = random() < 0.6;
+      var ptlist = [];
+      for (var j = -lk; j < lk; j += reso) {
+        var b = at(x0 + j);
+        var y = near ? b.bottom - 4 - t * (b.bottom - b.top) : b.top + 4 + t * (b.bottom - b.top);
+        ptlist.push([x0 + j, y + Math.sin(j * 0.2) * hei * tilt[1] * Noise.noise(j * 0.1, x0) + j * tilt[0]]);
+      }
+      Scene.add(canv, stroke(ptlist, {
+        col: "rgba(100,100,100," + (0.2 + random() * 0.3).toFixed(3) + ")",
         wid: 1,
-        // Water strokes will automatically use broken strokes if globally enabled
-        // No need to explicitly set broken parameter as stroke() function handles global detection
-      },
-    );
+      }));
+    }
+
+    var banks = [["top", 0.3, 1.5], ["bottom", 0.4, 2]];
+    for (var k = 0; k < banks.length; k++) {
+      var x0 = xmin + random() * 40;
+      while (x0 < xmax) {
+        var len = 60 + random() * 200;
+        var ptlist = [];
+        for (var x = x0; x < x0 + len; x += reso) {
+          ptlist.push([x, at(x)[banks[k][0]] + Noise.noise(x * 0.05, k) * 2]);
+        }
+        Scene.add(canv, stroke(ptlist, {
+          col: "rgba(100,100,100," + banks[k][1] + ")",
+          wid: banks[k][2],
+          noi: 0.5,
+        }));
+        x0 += len + random() * 40;
+      }
+    }
+
+    for (var i = 0; i < ref.length; i++) {
+      Scene.add(canv, reflection(ref[i].node, ref[i].y, {
+        hei: hei,
+        bot: function(x) {
+          return at(x).bottom;
+        },
+      }));
+    }
+
+    return Scene.group(canv, {
+      tags: ["water"],
+      source: "river",
+      depth: at(xmin).top,
+    });
   }
 
-  return canv;
-}
\ No newline at end of file
+  // Whether a colour is fully opaque, like the white that generators fill
+  // silhouettes with
+  function opaque(col) {
+    if (col == undefined || col == "none") {
+      return false;
+    }
+    var m = /^rgba\(([^)]*)\)$/.exec(col.replace(/\s/g, ""));
+    return m ? parseFloat(m[1].split(",")[3]) >= 1 : true;
+  }
+
+  /**
+   * Reflection of the silhouettes of nodes in still water: the opaque
+   * shapes they paint, mirrored in a water line, as faint broken horizontal
+   * strokes that fade with distance from the line and are shifted by the
+   * waves. Mountains, the buildings on them and boat hulls all paint their
+   * silhouettes white, so this mirrors what stands at the water's edge.
+   *
+   * @param {Object|Array} node - Nodes to reflect
+   * @param {number} y0 - Water line (default: the lowest point of the
+   *   silhouettes, as for a boat's hull)
+   * @param {Object} args - Configuration options
+   * @param {number} args.dep - How far below the water line the reflection
+   *   reaches (default: 80)
+   * @param {number} args.alp - Opacity at the water line (default: 0.2)
+   * @param {number} args.hei - Wave height amplitude (default: 2)
+   * @param {Function} args.bot - Lowest y of the water at x, where the
+   *   reflection ends (default: none)
+   * @returns {Array} Scene nodes of the reflection
+   */
+  function reflection(node, y0, args) {
+    var args = args != undefined ? args : {};
+    var dep = args.dep != undefined ? args.dep : 80;
+    var alp = args.alp != undefined ? args.alp : 0.2;
+    var hei = args.hei != undefined ? args.hei : 2;
+    var bot = args.bot;
+    var canv = [];
+
+    var shapes = [];
+    Scene.walk(node, function(leaf) {
+      if (leaf.type == "polygon" && opaque(leaf.fil)) {
+        shapes.push(leaf.plist);
+      }
+    });
+    if (y0 == undefined) {
+      y0 = -Infinity;
+      for (var k = 0; k < shapes.length; k++) {
+        for (var i = 0; i < shapes[k].length; i++) {
+          y0 = Math.max(y0, shapes[k][i][1]);
+        }
+      }
+    }
+
+    for (var d = 2; d < dep; d += 4) {
+      // Where the silhouettes cross the line d above the water line
+      var spans = [];
+      for (var k = 0; k < shapes.length; k++) {
+        var xs = [];
+        var pl = shapes[k];
+        for (var i = 0; i < pl.length; i++) {
+          var a = pl[i];
+          var b = pl[(i + 1) % pl.length];
+          if ((a[1] > y0 - d) != (b[1] > y0 - d)) {
+            xs.push(a[0] + ((y0 - d - a[1]) / (b[1] - a[1])) * (b[0] - a[0]));
+          }
+        }
+        xs.sort(function(p, q) {
+          return p - q;
+        });
+        for (var i = 0; i + 1 < xs.length; i += 2) {
+          spans.push([xs[i], xs[i + 1]]);
+        }
+      }
+      spans.sort(function(p, q) {
+        return p[0] - q[0];
+      });
+      var merged = [];
+      for (var i = 0; i < spans.length; i++) {
+        var last = merged[merged.length - 1];
+        if (last && spans[i][0] <= last[1]) {
+          last[1] = Math.max(last[1], spans[i][1]);
+        } else {
+          merged.push(spans[i].slice());
+        }
+      }
+
+      var fade = 1 - d / dep;
+      for (var i = 0; i < merged.length; i++) {
+        var x0 = merged[i][0] + random() * 10;
+        while (x0 < merged[i][1]) {
+          var len = 10 + random() * 40;
+          var x1 = Math.min(x0 + len, merged[i][1]);
+          var sh = (Noise.noise(d * 0.1, x0 * 0.01, y0) - 0.5) * hei * 10;
+          var ptlist = [];
+          for (var x = x0; x < x1; x += 5) {
+            var y = y0 + d + Math.sin(x * 0.2) * hei * Noise.noise(x * 0.1, d);
+            if (bot != undefined && y > bot(x + sh)) {
+              break;
+            }
+            ptlist.push([x + sh, y]);
+          }
+          if (ptlist.length > 1 && random() < 0.3 + 0.7 * fade) {
+            Scene.add(canv, stroke(ptlist, {
+              col: "rgba(100,100,100," + (alp * fade * (0.5 + random() * 0.5)).toFixed(3) + ")",
+              wid: 1 + random() * fade,
+            }));
+          }
+          x0 = x1 + random() * 20 * (1.5 - fade);
+        }
+      }
+    }
+    return canv;
+  }
+
+  return {
+    water: water,
+    river: river,
+    reflection: reflection,
+  };
+}
+
+ShanShui.createWater = createWater;
@@ -1,18 +1,19 @@
 /**
  * Paper.js Renderer Module
  * 
- * Core rendering system that provides Paper.js-based implementations of the original
- * SVG rendering functions. This module serves as the foundation for all Paper.js
- * rendering operations in the Shan Shui landscape generator.
+ * Paper.js back-end for the scene graph built by the shared generators in js/
+ * (see js/scene.js). The generators themselves are not duplicated here: they
+ * run unchanged, and this module turns their output into Paper.js items.
  * 
- * Provides Paper.js equivalents for:
- * - SVG path and polygon creation
+ * Provides:
+ * - Scene graph to Paper.js Group conversion
+ * - Path and polygon creation
  * - Color parsing and management
  * - Coordinate transformations
  * - Style application
  * - Group management
  * 
- * Dependencies: Paper.js library
+ * Dependencies: Paper.js library, js/scene.js
  * 
  * @namespace PaperRenderer
  */
@@ -168,141 +169,67 @@ var PaperRenderer = new function () {
     };
 
     /**
-     * Create organic blob shape using Paper.js
-     * @param {number} x - Center X coordinate
-     * @param {number} y - Center Y coordinate
-     * @param {Object} [args] - Blob options
-     * @param {number} [args.len=20] - Length
-     * @param {number} [args.wid=5] - Width
-     * @param {number} [args.ang=0] - Rotation angle
-     * @param {string} [args.col='rgba(200,200,200,0.9)'] - Color
-     * @param {number} [args.noi=0.5] - Noise factor
-     * @param {Function} [args.fun] - Shape function
-     * @returns {paper.Path} Paper.js Path representing the blob
+     * Create a Paper.js item for a single scene graph leaf node
+     * @param {Object} node - Polygon, stroke, blob or text node (see js/scene.js)
+     * @returns {paper.Item} Paper.js Path or PointText
      */
-    this.createBlob = function (x, y, args) {
-        var opts = args || {};
-        var len = opts.len !== undefined ? opts.len : 20;
-        var wid = opts.wid !== undefined ? opts.wid : 5;
-        var ang = opts.ang !== undefined ? opts.ang : 0;
-        var col = opts.col !== undefined ? opts.col : 'rgba(200,200,200,0.9)';
-        var noi = opts.noi !== undefined ? opts.noi : 0.5;
-        var fun = opts.fun !== undefined ? opts.fun : function (x) {
-            return x <= 1 ? Math.pow(Math.sin(x * Math.PI), 0.5) : -Math.pow(Math.sin((x + 1) * Math.PI), 0.5);
-        };
-
-        var reso = 20.0;
-        var lalist = [];
-        for (var i = 0; i < reso + 1; i++) {
-            var p = (i / reso) * 2;
-            var xo = len / 2 - Math.abs(p - 1) * len;
-            var yo = (fun(p) * wid) / 2;
-            var a = Math.atan2(yo, xo);
-            var l = Math.sqrt(xo * xo + yo * yo);
-            lalist.push([l, a]);
-        }
-
-        var nslist = [];
-        var n0 = Math.random() * 10;
-        for (var i = 0; i < reso + 1; i++) {
-            nslist.push(Noise.noise(i * 0.05, n0));
-        }
-
-        loopNoise(nslist);
-        var points = [];
-        for (var i = 0; i < lalist.length; i++) {
-            var ns = nslist[i] * noi + (1 - noi);
-            var nx = x + Math.cos(lalist[i][1] + ang) * lalist[i][0] * ns;
-            var ny = y + Math.sin(lalist[i][1] + ang) * lalist[i][0] * ns;
-            points.push([nx, ny]);
+    this.leaf = function (node) {
+        if (node.type === 'polygon') {
+            return this.createPath(node.plist, { fil: node.fil, str: node.str, wid: node.wid });
+        } else if (node.type === 'stroke') {
+            return this.createPath(node.plist, { fil: node.col, str: node.col, wid: node.out });
+        } else if (node.type === 'blob') {
+            return this.createPath(node.plist, { fil: node.col, str: node.col, wid: 0 });
+        } else if (node.type === 'text') {
+            var text = new paper.PointText({
+                point: new paper.Point(node.x, node.y),
+                content: node.str,
+                fontFamily: 'Verdana',
+                fontSize: node.siz,
+                justification: 'center',
+                fillColor: this.parseColor(node.col)
+            });
+            text.rotate(node.ang, text.point);
+            return text;
         }
-
-        return this.createPolygon(points, { fil: col, str: col, wid: 0 });
+        throw new Error('PaperRenderer: unknown node type ' + node.type);
     };
 
     /**
-     * Create surface texture using Paper.js paths
-     * @param {Array} ptlist - 2D array of points defining surface layers
-     * @param {Object} [args] - Texture options
-     * @param {number} [args.xof=0] - X offset
-     * @param {number} [args.yof=0] - Y offset
-     * @param {number} [args.tex=400] - Number of texture lines
-     * @param {number} [args.wid=1.5] - Line width
-     * @param {number} [args.len=0.2] - Line length factor
-     * @param {number} [args.sha=0] - Shadow width
-     * @param {Function} [args.noi] - Noise function for texture variation
-     * @param {Function} [args.col] - Color function for texture lines
-     * @param {Function} [args.dis] - Distribution function for texture placement
-     * @returns {paper.Group} Group containing texture paths
+     * Convert a scene graph into Paper.js items. Groups become paper.Groups
+     * carrying the node's tags, source and depth in item.data.
+     * @param {Object|Array} node - Scene node or node list (see js/scene.js)
+     * @param {Object} [args] - Render options
+     * @param {Array} [args.exclude=[]] - Leave out groups with any of these tags
+     * @returns {paper.Group} Group containing the rendered scene
      */
-    this.createTexture = function (ptlist, args) {
+    this.render = function (node, args) {
         var opts = args || {};
-        var xof = opts.xof !== undefined ? opts.xof : 0;
-        var yof = opts.yof !== undefined ? opts.yof : 0;
-        var tex = opts.tex !== undefined ? opts.tex : 400;
-        var wid = opts.wid !== undefined ? opts.wid : 1.5;
-        var len = opts.len !== undefined ? opts.len : 0.2;
-        var sha = opts.sha !== undefined ? opts.sha : 0;
-        var noi = opts.noi !== undefined ? opts.noi : function (x) { return 30 / x; };
-        var col = opts.col !== undefined ? opts.col : function (x) {
-            return 'rgba(100,100,100,' + (Math.random() * 0.3).toFixed(3) + ')';
-        };
-        var dis = opts.dis !== undefined ? opts.dis : function () {
-            if (Math.random() > 0.5) {
-                return (1 / 3) * Math.random();
-            } else {
-                return (1 * 2) / 3 + (1 / 3) * Math.random();
-            }
-        };
-
-        var reso = [ptlist.length, ptlist[0].length];
-        var textureGroup = new paper.Group();
-        var texlist = [];
+        var exclude = opts.exclude || [];
+        var self = this;
 
-        for (var i = 0; i < tex; i++) {
-            var mid = (dis() * reso[1]) | 0;
-            var hlen = Math.floor(Math.random() * (reso[1] * len));
-            var start = Math.min(Math.max(mid - hlen, 0), reso[1]);
-            var end = Math.min(Math.max(mid + hlen, 0), reso[1]);
-            var layer = (i / tex) * (reso[0] - 1);
-
-            texlist.push([]);
-            for (var j = start; j < end; j++) {
-                var p = layer - Math.floor(layer);
-                var x = ptlist[Math.floor(layer)][j][0] * p + ptlist[Math.ceil(layer)][j][0] * (1 - p);
-                var y = ptlist[Math.floor(layer)][j][1] * p + ptlist[Math.ceil(layer)][j][1] * (1 - p);
-                var ns = [
-                    noi(layer + 1) * (Noise.noise(x, j * 0.5) - 0.5),
-                    noi(layer + 1) * (Noise.noise(y, j * 0.5) - 0.5)
-                ];
-                texlist[texlist.length - 1].push([x + ns[0] + xof, y + ns[1] + yof]);
-            }
-        }
-
-        // Create shadow strokes
-        if (sha) {
-            for (var j = 0; j < texlist.length; j += 1 + (sha != 0)) {
-                if (texlist[j].length >= 2) {
-                    var shadowPath = this.createPath(texlist[j], {
-                        str: 'rgba(100,100,100,0.1)',
-                        wid: sha
-                    });
-                    textureGroup.addChild(shadowPath);
+        var build = function (node, parent) {
+            if (Array.isArray(node)) {
+                for (var i = 0; i < node.length; i++) {
+                    build(node[i], parent);
                 }
+            } else if (node.type === 'group') {
+                for (var i = 0; i < node.tags.length; i++) {
+                    if (exclude.indexOf(node.tags[i]) !== -1) {
+                        return;
+                    }
+                }
+                var group = self.createGroup();
+                group.data = { tags: node.tags, source: node.source, depth: node.depth };
+                build(node.children, group);
+                parent.addChild(group);
+            } else {
+                parent.addChild(self.leaf(node));
             }
-        }
-
-        // Create main texture strokes
-        for (var j = 0 + sha; j < texlist.length; j += 1 + sha) {
-            if (texlist[j].length >= 2) {
-                var texturePath = this.createPath(texlist[j], {
-                    str: col(j / texlist.length),
-                    wid: wid
-                });
-                textureGroup.addChild(texturePath);
-            }
-        }
+        };
 
-        return textureGroup;
+        var root = this.createGroup();
+        build(node, root);
+        return root;
     };
-}();
\ No newline at end of file
+}();
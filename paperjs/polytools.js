@@ -1,350 +0,0 @@
-/**
- * PolyTools Module - Paper.js Compatible Version
- * 
- * Provides geometric operations for polygon manipulation and triangulation.
- * This module contains essential geometric functions used throughout the system
- * for processing and manipulating polygon shapes, calculating midpoints,
- * and performing triangulation for complex shapes.
- * 
- * Updated for Paper.js compatibility - can work with both array points and Paper.js Point objects.
- * 
- * Key functions:
- * - midPt: Calculate midpoint of multiple points
- * - triangulate: Break complex polygons into triangles for rendering
- * 
- * @namespace PolyTools
- */
-var PolyTools = new function() {
-  /**
-   * Convert Paper.js Point to array format if needed
-   * @param {Array|paper.Point} point - Point in either format
-   * @returns {Array} Point as [x, y] array
-   */
-  function toArray(point) {
-    if (point && typeof point.x !== 'undefined' && typeof point.y !== 'undefined') {
-      return [point.x, point.y];
-    }
-    return point;
-  }
-  
-  /**
-   * Calculate the midpoint (centroid) of multiple points
-   * @param {...Array|Array} points - Either multiple point arguments or single array of points
-   * @returns {Array} Midpoint coordinates [x, y]
-   * @example
-   * // Calculate midpoint of three points
-   * var center = PolyTools.midPt([0,0], [10,0], [5,10]);
-   * // Or pass as array
-   * var center = PolyTools.midPt([[0,0], [10,0], [5,10]]);
-   * // Works with Paper.js Points too
-   * var center = PolyTools.midPt(new paper.Point(0,0), new paper.Point(10,0));
-   */
-  this.midPt = function() {
-    var plist =
-      arguments.length == 1 ? arguments[0] : Array.apply(null, arguments);
-    
-    // Ensure plist is an array and convert Paper.js Points to arrays if needed
-    if (!Array.isArray(plist)) {
-      console.warn('PolyTools.midPt: plist is not an array, returning [0,0]');
-      return [0, 0];
-    }
-    plist = plist.map(toArray);
-    
-    return plist.reduce(
-      function(acc, v) {
-        /*       if (v == undefined || acc == undefined){
-      console.log("ERRR");
-      console.log(plist)
-      return [0,0]
-    } */
-        return [v[0] / plist.length + acc[0], v[1] / plist.length + acc[1]];
-      },
-      [0, 0],
-    );
-  };
-  
-  /**
-   * Create a Paper.js Path from a polygon point list
-   * @param {Array} plist - Array of points defining the polygon
-   * @returns {paper.Path|null} Paper.js Path object or null if Paper.js not available
-   */
-  this.createPaperPath = function(plist) {
-    if (typeof paper === 'undefined' || !paper.Path) {
-      return null;
-    }
-    
-    if (!Array.isArray(plist)) {
-      console.warn('PolyTools.createPaperPath: plist is not an array');
-      return null;
-    }
-    plist = plist.map(toArray);
-    var path = new paper.Path();
-    
-    if (plist.length > 0) {
-      path.moveTo(new paper.Point(plist[0][0], plist[0][1]));
-      for (var i = 1; i < plist.length; i++) {
-        path.lineTo(new paper.Point(plist[i][0], plist[i][1]));
-      }
-      path.closePath();
-    }
-    
-    return path;
-  };
-
-  /**
-   * Triangulate a polygon into smaller triangles
-   * @param {Array} plist - Array of points defining the polygon
-   * @param {Object} [args] - Triangulation options
-   * @param {number} [args.area=100] - Maximum area for resulting triangles
-   * @param {boolean} [args.convex=false] - Whether to assume convex polygon
-   * @param {boolean} [args.optimize=true] - Whether to optimize triangle quality
-   * @returns {Array} Array of triangles, each triangle is an array of 3 points
-   * @example
-   * // Triangulate a square
-   * var triangles = PolyTools.triangulate([[0,0], [10,0], [10,10], [0,10]]);
-   */
-  this.triangulate = function(plist, args) {
-    //return []
-    var args = args != undefined ? args : {};
-    var area = args.area != undefined ? args.area : 100;
-    var convex = args.convex != undefined ? args.convex : false;
-    var optimize = args.optimize != undefined ? args.optimize : true;
-    
-    // Ensure plist is an array and convert Paper.js Points to arrays if needed
-    if (!Array.isArray(plist)) {
-      console.warn('PolyTools.triangulate: plist is not an array, returning empty array');
-      return [];
-    }
-    plist = plist.map(toArray);
-    
-    function lineExpr(pt0, pt1) {
-      var den = pt1[0] - pt0[0];
-      var m = den == 0 ? Infinity : (pt1[1] - pt0[1]) / den;
-      var k = pt0[1] - m * pt0[0];
-      return [m, k];
-    }
-    
-    function intersect(ln0, ln1) {
-      var le0 = lineExpr(...ln0);
-      var le1 = lineExpr(...ln1);
-      var den = le0[0] - le1[0];
-      if (den == 0) {
-        return false;
-      }
-      var x = (le1[1] - le0[1]) / den;
-      var y = le0[0] * x + le0[1];
-      function onSeg(p, ln) {
-        //non-inclusive
-        return (
-          Math.min(ln[0][0], ln[1][0]) <= p[0] &&
-          p[0] <= Math.max(ln[0][0], ln[1][0]) &&
-          Math.min(ln[0][1], ln[1][1]) <= p[1] &&
-          p[1] <= Math.max(ln[0][1], ln[1][1])
-        );
-      }
-      if (onSeg([x, y], ln0) && onSeg([x, y], ln1)) {
-        return [x, y];
-      }
-      return false;
-    }
-    
-    function ptInPoly(pt, plist) {
-      var scount = 0;
-      for (var i = 0; i < plist.length; i++) {
-        var np = plist[i != plist.length - 1 ? i + 1 : 0];
-        var sect = intersect(
-          [plist[i], np],
-          [pt, [pt[0] + 999, pt[1] + 999]],
-        );
-        if (sect != false) {
-          scount++;
-        }
-      }
-      return scount % 2 == 1;
-    }
-    
-    function lnInPoly(ln, plist) {
-      var lnc = [[0, 0], [0, 0]];
-      var ep = 0.01;
-
-      lnc[0][0] = ln[0][0] * (1 - ep) + ln[1][0] * ep;
-      lnc[0][1] = ln[0][1] * (1 - ep) + ln[1][1] * ep;
-      lnc[1][0] = ln[0][0] * ep + ln[1][0] * (1 - ep);
-      lnc[1][1] = ln[0][1] * ep + ln[1][1] * (1 - ep);
-
-      for (var i = 0; i < plist.length; i++) {
-        var pt = plist[i];
-        var np = plist[i != plist.length - 1 ? i + 1 : 0];
-        if (intersect(lnc, [pt, np]) != false) {
-          return false;
-        }
-      }
-      var mid = PolyTools.midPt(ln);
-      if (ptInPoly(mid, plist) == false) {
-        return false;
-      }
-      return true;
-    }
-
-    function sidesOf(plist) {
-      var slist = [];
-      for (var i = 0; i < plist.length; i++) {
-        var pt = plist[i];
-        var np = plist[i != plist.length - 1 ? i + 1 : 0];
-        var s = Math.sqrt(
-          Math.pow(np[0] - pt[0], 2) + Math.pow(np[1] - pt[1], 2),
-        );
-        slist.push(s);
-      }
-      return slist;
-    }
-    
-    function areaOf(plist) {
-      var slist = sidesOf(plist);
-      var a = slist[0],
-        b = slist[1],
-        c = slist[2];
-      var s = (a + b + c) / 2;
-      return Math.sqrt(s * (s - a) * (s - b) * (s - c));
-    }
-    
-    function sliverRatio(plist) {
-      var A = areaOf(plist);
-      var P = sidesOf(plist).reduce(function(m, n) {
-        return m + n;
-      }, 0);
-      return A / P;
-    }
-    
-    function bestEar(plist) {
-      var cuts = [];
-      for (var i = 0; i < plist.length; i++) {
-        var pt = plist[i];
-        var lp = plist[i != 0 ? i - 1 : plist.length - 1];
-        var np = plist[i != plist.length - 1 ? i + 1 : 0];
-        var qlist = plist.slice();
-        qlist.splice(i, 1);
-        if (convex || lnInPoly([lp, np], plist)) {
-          var c = [[lp, pt, np], qlist];
-          if (!optimize) return c;
-          cuts.push(c);
-        }
-      }
-      var best = [plist, []];
-      var bestRatio = 0;
-      for (var i = 0; i < cuts.length; i++) {
-        var r = sliverRatio(cuts[i][0]);
-        if (r >= bestRatio) {
-          best = cuts[i];
-          bestRatio = r;
-        }
-      }
-      return best;
-    }
-    
-    function shatter(plist, a) {
-      if (plist.length == 0) {
-        return [];
-      }
-      if (areaOf(plist) < a) {
-        return [plist];
-      } else {
-        var slist = sidesOf(plist);
-        var ind = slist.reduce(
-          (iMax, x, i, arr) => (x > arr[iMax] ? i : iMax),
-          0,
-        );
-        var nind = (ind + 1) % plist.length;
-        var lind = (ind + 2) % plist.length;
-        try {
-          var mid = PolyTools.midPt([plist[ind], plist[nind]]);
-        } catch (err) {
-          console.log(plist);
-          console.log(err);
-          return [];
-        }
-        return shatter([plist[ind], mid, plist[lind]], a).concat(
-          shatter([plist[lind], plist[nind], mid], a),
-        );
-      }
-    }
-    
-    if (plist.length <= 3) {
-      return shatter(plist, area);
-    } else {
-      var cut = bestEar(plist);
-      return shatter(cut[0], area).concat(
-        PolyTools.triangulate(cut[1], args),
-      );
-    }
-  };
-
-  /**
-   * Calculate the bounding box of a set of points
-   * @param {Array} plist - Array of points
-   * @returns {Object} Bounding box with {x, y, width, height}
-   */
-  this.getBounds = function(plist) {
-    if (!Array.isArray(plist)) {
-      console.warn('PolyTools.getBounds: plist is not an array, returning default bounds');
-      return {x: 0, y: 0, width: 0, height: 0};
-    }
-    plist = plist.map(toArray);
-    
-    if (plist.length === 0) {
-      return {x: 0, y: 0, width: 0, height: 0};
-    }
-    
-    var minX = plist[0][0], maxX = plist[0][0];
-    var minY = plist[0][1], maxY = plist[0][1];
-    
-    for (var i = 1; i < plist.length; i++) {
-      minX = Math.min(minX, plist[i][0]);
-      maxX = Math.max(maxX, plist[i][0]);
-      minY = Math.min(minY, plist[i][1]);
-      maxY = Math.max(maxY, plist[i][1]);
-    }
-    
-    return {
-      x: minX,
-      y: minY,
-      width: maxX - minX,
-      height: maxY - minY
-    };
-  };
-
-  /**
-   * Transform points using a transformation matrix
-   * @param {Array} plist - Array of points to transform
-   * @param {Object} transform - Transform object with {scale, rotate, translate}
-   * @returns {Array} Transformed points
-   */
-  this.transformPoints = function(plist, transform) {
-    if (!Array.isArray(plist)) {
-      console.warn('PolyTools.transformPoints: plist is not an array, returning empty array');
-      return [];
-    }
-    plist = plist.map(toArray);
-    transform = transform || {};
-    
-    var scale = transform.scale || 1;
-    var rotate = transform.rotate || 0;
-    var translate = transform.translate || [0, 0];
-    
-    var cos = Math.cos(rotate);
-    var sin = Math.sin(rotate);
-    
-    return plist.map(function(point) {
-      // Scale
-      var x = point[0] * scale;
-      var y = point[1] * scale;
-      
-      // Rotate
-      var rx = x * cos - y * sin;
-      var ry = x * sin + y * cos;
-      
-      // Translate
-      return [rx + translate[0], ry + translate[1]];
-    });
-  };
-}();
\ No newline at end of file